@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState, type ReactNode } from "react";
+import { useEffect, useMemo, useRef, useState, type ReactNode } from "react";
 import { Button } from "@/components/ui/button";
 import {
   Dialog,
@@ -13,8 +13,10 @@ import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { Card, CardContent, CardFooter as CardFooterSection, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
 import { Label } from "@/components/ui/label";
 import { Separator } from "@/components/ui/separator";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -26,22 +28,113 @@ import {
   AlertDialogTitle,
   AlertDialogTrigger
 } from "@/components/ui/alert-dialog";
-import { Pencil, PlusCircle, Trash2 } from "lucide-react";
+import {
+  Download,
+  History,
+  Pencil,
+  PlusCircle,
+  RotateCcw,
+  Search,
+  Star,
+  Trash2,
+  Upload
+} from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import type { PromptSequence } from "@/types";
+import {
+  buildFlowSteps,
+  describeFlowTarget,
+  findFlowProblems,
+  type FlowStep,
+  type FlowTarget
+} from "./extension/promptFlow.js";
+import {
+  DEFAULT_EXPANSION_MODE,
+  LARGE_RUN_THRESHOLD,
+  expandPrompts,
+  extractVariableDefinitions,
+  formatVariableDefinitions,
+  type ExpansionMode,
+  type PromptVariable
+} from "./extension/promptTemplates.js";
+import {
+  applySequenceImport,
+  describeSequenceExport,
+  findSequenceConflict,
+  formatImportSummary,
+  parseSequenceImport,
+  serializeSequences,
+  type ImportConflictStrategy,
+  type SequenceExportFormat
+} from "./extension/sequenceTransfer.js";
+import {
+  SEQUENCE_HISTORY_KEY,
+  TRASH_RETENTION_DAYS,
+  createSequenceHistory,
+  diffRevisions,
+  matchesRevision,
+  restoreFromTrash,
+  restoreRevision,
+  type PromptChange,
+  type SequenceHistory,
+  type SequenceRevision,
+  type TrashedSequence
+} from "./extension/sequenceHistory.js";
+import {
+  DEFAULT_SEQUENCE_SORT,
+  SEQUENCE_SORTS,
+  SEQUENCE_SORT_LABELS,
+  filterSequences,
+  formatTags,
+  groupSequences,
+  listFolders,
+  listTags,
+  normalizeFolder,
+  normalizeTags,
+  sortSequences,
+  type SequenceSort
+} from "./extension/sequenceLibrary.js";
+import { createLocalStorageBackend, createSequenceStore } from "./extension/sequenceStore.js";
+
+const PREVIEW_LIMIT = 20;
 
-const STORAGE_KEY = "promptSequences";
+type TemplatedPromptSequence = PromptSequence & {
+  variables?: PromptVariable[];
+  expansionMode?: ExpansionMode;
+  steps?: FlowStep[];
+  tags?: string[];
+  folder?: string;
+  pinned?: boolean;
+  lastRunAt?: string;
+};
 
 interface PromptSequenceFormState {
   name: string;
   description: string;
+  folder: string;
+  tagsText: string;
   promptsText: string;
+  expansionMode: ExpansionMode;
+  flowMode: boolean;
+  flowSteps: FlowStep[];
 }
 
 const initialFormState: PromptSequenceFormState = {
   name: "",
   description: "",
-  promptsText: ""
+  folder: "",
+  tagsText: "",
+  promptsText: "",
+  expansionMode: DEFAULT_EXPANSION_MODE,
+  flowMode: false,
+  flowSteps: []
+};
+
+type FlowTargetKey = "onRefused" | "onFailed";
+
+const FLOW_TARGET_LABELS: Record<FlowTargetKey, string> = {
+  onRefused: "If refused",
+  onFailed: "If it fails"
 };
 
 interface PromptSequenceManagerProps {
@@ -54,40 +147,105 @@ const normalizePrompts = (text: string) =>
     .map(prompt => prompt.trim())
     .filter(Boolean);
 
+const parsePromptsText = (text: string) => {
+  const { variables, body } = extractVariableDefinitions(text);
+  return { variables, prompts: normalizePrompts(body) };
+};
+
+// Folder filter values are prefixed so a folder cannot be mistaken for "all" or "none".
+const ALL_FOLDERS = "all";
+const NO_FOLDER = "none";
+const ALL_TAGS = "all";
+
+const toFolderFilter = (value: string) =>
+  value === ALL_FOLDERS ? null : value === NO_FOLDER ? "" : value.slice("folder:".length);
+
+const PROMPT_CHANGE_STYLES: Record<PromptChange["type"], string> = {
+  added: "bg-green-50 text-green-800",
+  removed: "bg-red-50 text-red-800 line-through",
+  same: "text-muted-foreground"
+};
+
+const PROMPT_CHANGE_MARKS: Record<PromptChange["type"], string> = { added: "+", removed: "−", same: " " };
+
+const downloadText = (text: string, filename: string, type: string) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
 export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) => {
   const { toast } = useToast();
   const [open, setOpen] = useState(false);
-  const [sequences, setSequences] = useState<PromptSequence[]>([]);
+  const [sequences, setSequences] = useState<TemplatedPromptSequence[]>([]);
   const [formState, setFormState] = useState<PromptSequenceFormState>(initialFormState);
   const [editingId, setEditingId] = useState<string | null>(null);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [exportFormat, setExportFormat] = useState<SequenceExportFormat>("json");
+  const [importOpen, setImportOpen] = useState(false);
+  const [importText, setImportText] = useState("");
+  const [importFilename, setImportFilename] = useState<string | undefined>();
+  const [importStrategy, setImportStrategy] = useState<ImportConflictStrategy>("merge");
+  const [query, setQuery] = useState("");
+  const [folderFilter, setFolderFilter] = useState(ALL_FOLDERS);
+  const [tagFilter, setTagFilter] = useState(ALL_TAGS);
+  const [sort, setSort] = useState<SequenceSort>(DEFAULT_SEQUENCE_SORT);
+  const storeRef = useRef<ReturnType<typeof createSequenceStore> | null>(null);
+  const historyStoreRef = useRef<ReturnType<typeof createSequenceHistory> | null>(null);
+  const [history, setHistory] = useState<SequenceHistory>({ version: 1, revisions: {}, trash: [] });
+  const [historyId, setHistoryId] = useState<string | null>(null);
+  const [loaded, setLoaded] = useState(false);
 
   useEffect(() => {
     if (typeof window === "undefined") {
       return;
     }
 
-    try {
-      const stored = window.localStorage.getItem(STORAGE_KEY);
-      if (stored) {
-        const parsed = JSON.parse(stored) as PromptSequence[];
-        setSequences(parsed);
-      }
-    } catch (error) {
-      console.error("Failed to parse stored prompt sequences", error);
-    }
+    const historyStore = createSequenceHistory({
+      backend: createLocalStorageBackend(window.localStorage, SEQUENCE_HISTORY_KEY)
+    });
+    historyStoreRef.current = historyStore;
+    const store = createSequenceStore({
+      primary: createLocalStorageBackend(window.localStorage),
+      history: historyStore
+    });
+    storeRef.current = store;
+    store
+      .load()
+      .then(({ sequences: stored, warnings }) => {
+        warnings.forEach(warning => console.warn(warning));
+        setSequences(stored as TemplatedPromptSequence[]);
+      })
+      .catch(error => {
+        console.error("Failed to read stored prompt sequences", error);
+      })
+      .finally(() => setLoaded(true));
   }, []);
 
   useEffect(() => {
-    if (typeof window === "undefined") {
+    if (!loaded || !storeRef.current) {
       return;
     }
 
-    try {
-      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(sequences));
-    } catch (error) {
-      console.error("Failed to persist prompt sequences", error);
-    }
-  }, [sequences]);
+    storeRef.current
+      .save(sequences)
+      .then(({ warnings }) => {
+        warnings.forEach(warning => console.warn(warning));
+        return historyStoreRef.current?.load();
+      })
+      .then(stored => stored && setHistory(stored))
+      .catch(error => {
+        console.error("Failed to persist prompt sequences", error);
+        toast({
+          title: "Could not save sequences",
+          description: "Your changes may be lost when you leave the page.",
+          variant: "destructive"
+        });
+      });
+  }, [sequences, loaded]);
 
   useEffect(() => {
     if (!open) {
@@ -95,41 +253,212 @@ export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) =
     }
   }, [open]);
 
-  const sortedSequences = useMemo(
+  const folders = useMemo(() => listFolders(sequences), [sequences]);
+  const tags = useMemo(() => listTags(sequences), [sequences]);
+
+  const sequenceGroups = useMemo(
     () =>
-      [...sequences].sort(
-        (a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime()
-      ),
-    [sequences]
+      groupSequences(
+        sortSequences(
+          filterSequences(sequences, {
+            query,
+            tag: tagFilter === ALL_TAGS ? "" : tagFilter,
+            folder: toFolderFilter(folderFilter)
+          }),
+          sort
+        ) as TemplatedPromptSequence[]
+      ) as { key: string; label: string; sequences: TemplatedPromptSequence[] }[],
+    [sequences, query, tagFilter, folderFilter, sort]
   );
 
+  const visibleCount = sequenceGroups.reduce((count, group) => count + group.sequences.length, 0);
+
+  const togglePinned = (sequenceId: string) => {
+    const timestamp = new Date().toISOString();
+    setSequences(previous =>
+      previous.map(sequence =>
+        sequence.id === sequenceId
+          ? { ...sequence, pinned: sequence.pinned ? undefined : true, updatedAt: timestamp }
+          : sequence
+      )
+    );
+  };
+
+  const preview = useMemo(() => {
+    const { variables, prompts } = parsePromptsText(formState.promptsText);
+    return {
+      templateCount: prompts.length,
+      ...expandPrompts(prompts, variables, formState.expansionMode)
+    };
+  }, [formState.promptsText, formState.expansionMode]);
+
+  const flowSteps = useMemo(
+    () =>
+      formState.flowMode
+        ? buildFlowSteps(parsePromptsText(formState.promptsText).prompts, formState.flowSteps)
+        : [],
+    [formState.promptsText, formState.flowMode, formState.flowSteps]
+  );
+
+  const flowProblems = useMemo(() => findFlowProblems(flowSteps), [flowSteps]);
+
+  const setFlowTarget = (position: number, key: FlowTargetKey, target: FlowTarget) => {
+    setFormState(previous => ({
+      ...previous,
+      flowSteps: flowSteps.map((step, index) => (index === position ? { ...step, [key]: target } : step))
+    }));
+  };
+
+  const importPreview = useMemo(
+    () => (importText.trim() ? parseSequenceImport(importText, { filename: importFilename }) : null),
+    [importText, importFilename]
+  );
+
+  const resetImport = () => {
+    setImportOpen(false);
+    setImportText("");
+    setImportFilename(undefined);
+  };
+
+  const toggleSelected = (sequenceId: string, selected: boolean) => {
+    setSelectedIds(previous =>
+      selected ? [...previous, sequenceId] : previous.filter(id => id !== sequenceId)
+    );
+  };
+
+  const handleExport = () => {
+    const selected = selectedIds.length
+      ? sequences.filter(sequence => selectedIds.includes(sequence.id))
+      : sequences;
+    if (selected.length === 0) {
+      return;
+    }
+    const { filename, mimeType } = describeSequenceExport(selected, exportFormat);
+    downloadText(serializeSequences(selected, exportFormat), filename, mimeType);
+    toast({
+      title: "Sequences exported",
+      description: `Saved ${selected.length} sequence(s) as ${filename}.`
+    });
+  };
+
+  const handleImportFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      setImportText(await file.text());
+      setImportFilename(file.name);
+    } catch (error) {
+      console.error("Failed to read the import file", error);
+      toast({
+        title: "Import failed",
+        description: "Could not read the selected file.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleImport = () => {
+    if (!importPreview?.sequences.length) {
+      return;
+    }
+    const { sequences: imported, summary } = applySequenceImport(
+      sequences,
+      importPreview.sequences,
+      importStrategy
+    );
+    setSequences(imported as TemplatedPromptSequence[]);
+    resetImport();
+    toast({
+      title: "Sequences imported",
+      description: formatImportSummary(summary)
+    });
+  };
+
   const resetForm = () => {
     setFormState(initialFormState);
     setEditingId(null);
   };
 
-  const handleEdit = (sequence: PromptSequence) => {
+  const handleEdit = (sequence: TemplatedPromptSequence) => {
     setEditingId(sequence.id);
     setFormState({
       name: sequence.name,
       description: sequence.description ?? "",
-      promptsText: sequence.prompts.join("\n")
+      folder: sequence.folder ?? "",
+      tagsText: formatTags(sequence.tags),
+      promptsText: [formatVariableDefinitions(sequence.variables), ...sequence.prompts]
+        .filter(Boolean)
+        .join("\n"),
+      expansionMode: sequence.expansionMode ?? DEFAULT_EXPANSION_MODE,
+      flowMode: Boolean(sequence.steps),
+      flowSteps: sequence.steps ?? []
     });
   };
 
   const handleDelete = (sequenceId: string) => {
     setSequences(prev => prev.filter(sequence => sequence.id !== sequenceId));
+    setSelectedIds(previous => previous.filter(id => id !== sequenceId));
     toast({
-      title: "Sequence deleted",
-      description: "The prompt sequence has been removed."
+      title: "Sequence moved to the trash",
+      description: `You can restore it for ${TRASH_RETENTION_DAYS} days.`
     });
   };
 
+  const handleRestoreRevision = (sequenceId: string, revision: SequenceRevision) => {
+    setSequences(previous =>
+      previous.map(sequence =>
+        sequence.id === sequenceId
+          ? (restoreRevision(sequence, revision) as TemplatedPromptSequence)
+          : sequence
+      )
+    );
+    if (editingId === sequenceId) {
+      resetForm();
+    }
+    toast({
+      title: "Revision restored",
+      description: `Restored the version saved ${new Date(revision.savedAt).toLocaleString()}.`
+    });
+  };
+
+  const handleRestoreFromTrash = (entry: TrashedSequence) => {
+    setSequences(previous => [restoreFromTrash(entry) as TemplatedPromptSequence, ...previous]);
+    toast({
+      title: "Sequence restored",
+      description: `${entry.sequence.name} is back in your saved sequences.`
+    });
+  };
+
+  const updateTrash = (change: (store: ReturnType<typeof createSequenceHistory>) => Promise<SequenceHistory>) => {
+    if (!historyStoreRef.current) {
+      return;
+    }
+    change(historyStoreRef.current)
+      .then(setHistory)
+      .catch(error => {
+        console.error("Failed to update the trash", error);
+        toast({
+          title: "Could not update the trash",
+          description: "Please try again.",
+          variant: "destructive"
+        });
+      });
+  };
+
   const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
     event.preventDefault();
 
     const name = formState.name.trim();
-    const prompts = normalizePrompts(formState.promptsText);
+    const { variables, prompts } = parsePromptsText(formState.promptsText);
+    const templateFields = variables.length
+      ? { variables, expansionMode: formState.expansionMode }
+      : { variables: undefined, expansionMode: undefined };
+    const steps = formState.flowMode ? buildFlowSteps(prompts, formState.flowSteps) : undefined;
+    const folder = normalizeFolder(formState.folder);
+    const tags = normalizeTags(formState.tagsText);
+    const libraryFields = { folder: folder || undefined, tags: tags.length ? tags : undefined };
 
     if (!name) {
       toast({
@@ -161,6 +490,9 @@ export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) =
                 name,
                 description,
                 prompts,
+                ...templateFields,
+                ...libraryFields,
+                steps,
                 updatedAt: timestamp
               }
             : sequence
@@ -176,11 +508,14 @@ export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) =
         ? crypto.randomUUID()
         : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 
-      const newSequence: PromptSequence = {
+      const newSequence: TemplatedPromptSequence = {
         id,
         name,
         description,
         prompts,
+        ...templateFields,
+        ...libraryFields,
+        steps,
         createdAt: timestamp,
         updatedAt: timestamp
       };
@@ -196,6 +531,64 @@ export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) =
     resetForm();
   };
 
+  const renderRevisions = (sequence: TemplatedPromptSequence) => {
+    const revisions = history.revisions[sequence.id] ?? [];
+    if (revisions.length === 0) {
+      return (
+        <p className="border-t pt-3 text-xs text-muted-foreground">
+          No revisions yet. One is kept every time the sequence is saved.
+        </p>
+      );
+    }
+    return (
+      <ol className="space-y-3 border-t pt-3">
+        {revisions
+          .map((revision, index) => ({
+            revision,
+            index,
+            diff: diffRevisions(revisions[index - 1]?.sequence, revision.sequence)
+          }))
+          .reverse()
+          .map(({ revision, index, diff }) => (
+            <li key={revision.id} className="space-y-1">
+              <div className="flex items-center justify-between gap-2 text-xs font-medium">
+                <span>
+                  {new Date(revision.savedAt).toLocaleString()}
+                  {index === 0 ? " · first saved" : ""}
+                </span>
+                {matchesRevision(sequence, revision) ? (
+                  <span className="text-muted-foreground">Current version</span>
+                ) : (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    className="gap-1"
+                    onClick={() => handleRestoreRevision(sequence.id, revision)}
+                  >
+                    <RotateCcw className="h-3 w-3" />
+                    Restore
+                  </Button>
+                )}
+              </div>
+              {diff.fields.length > 0 && (
+                <p className="text-xs text-muted-foreground">Changed: {diff.fields.join(", ")}</p>
+              )}
+              {(index === 0 || diff.prompts.some(change => change.type !== "same")) && (
+                <ul className="rounded-md border bg-muted/40 p-2 font-mono text-xs">
+                  {diff.prompts.map((change, position) => (
+                    <li key={position} className={`whitespace-pre-wrap ${PROMPT_CHANGE_STYLES[change.type]}`}>
+                      {PROMPT_CHANGE_MARKS[change.type]} {change.prompt}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+      </ol>
+    );
+  };
+
   return (
     <Dialog open={open} onOpenChange={setOpen}>
       <DialogTrigger asChild>
@@ -239,6 +632,37 @@ export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) =
             />
           </div>
 
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="grid gap-2">
+              <Label htmlFor="prompt-sequence-folder">Folder (optional)</Label>
+              <Input
+                id="prompt-sequence-folder"
+                list="prompt-sequence-folders"
+                value={formState.folder}
+                onChange={event =>
+                  setFormState(previous => ({ ...previous, folder: event.target.value }))
+                }
+                placeholder="Client work"
+              />
+              <datalist id="prompt-sequence-folders">
+                {folders.map(({ folder }) => (
+                  <option key={folder} value={folder} />
+                ))}
+              </datalist>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="prompt-sequence-tags">Tags (comma-separated)</Label>
+              <Input
+                id="prompt-sequence-tags"
+                value={formState.tagsText}
+                onChange={event =>
+                  setFormState(previous => ({ ...previous, tagsText: event.target.value }))
+                }
+                placeholder="print, spring"
+              />
+            </div>
+          </div>
+
           <div className="grid gap-2">
             <Label htmlFor="prompt-sequence-prompts">Prompts</Label>
             <Textarea
@@ -252,9 +676,113 @@ export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) =
             />
             <p className="text-xs text-muted-foreground">
               Each line becomes an individual prompt. Order is preserved when you reuse the sequence.
+              Define variables on their own lines, like <code>@style = watercolor | neon</code>, and use{" "}
+              <code>{"{style}"}</code> in a prompt to expand it.
             </p>
           </div>
 
+          <div className="grid gap-2">
+            <Label htmlFor="prompt-sequence-expansion">Template expansion</Label>
+            <Select
+              value={formState.expansionMode}
+              onValueChange={value =>
+                setFormState(previous => ({ ...previous, expansionMode: value as ExpansionMode }))
+              }
+            >
+              <SelectTrigger id="prompt-sequence-expansion">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="cartesian">Every combination</SelectItem>
+                <SelectItem value="zip">Pair values in order</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid gap-2">
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="prompt-sequence-flow"
+                checked={formState.flowMode}
+                onCheckedChange={checked =>
+                  setFormState(previous => ({ ...previous, flowMode: checked === true }))
+                }
+              />
+              <Label htmlFor="prompt-sequence-flow">Run as a multi-step flow</Label>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Each prompt is a step that runs after the one before, in one tab. Use{" "}
+              <code>{"{{step1.reply}}"}</code>, <code>{"{{step1.imageTitle}}"}</code> or{" "}
+              <code>{"{{previous.reply}}"}</code> to pass on earlier output. A step with variables runs once per value.
+            </p>
+            {flowSteps.length > 0 && (
+              <ol className="space-y-2 rounded-md border p-3 text-sm">
+                {flowSteps.map((step, position) => (
+                  <li key={position} className="grid gap-2">
+                    <span className="truncate font-medium" title={step.prompt}>
+                      {position + 1}. {step.prompt}
+                    </span>
+                    <div className="grid grid-cols-2 gap-2">
+                      {(Object.keys(FLOW_TARGET_LABELS) as FlowTargetKey[]).map(key => (
+                        <Select
+                          key={key}
+                          value={String(step[key])}
+                          onValueChange={value =>
+                            setFlowTarget(position, key, value === "next" || value === "stop" ? value : Number(value))
+                          }
+                        >
+                          <SelectTrigger aria-label={`Step ${position + 1}: ${FLOW_TARGET_LABELS[key]}`}>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {(["next", "stop", ...flowSteps.map((_, index) => index + 1)] as FlowTarget[]).map(target => (
+                              <SelectItem key={String(target)} value={String(target)}>
+                                {FLOW_TARGET_LABELS[key]}: {describeFlowTarget(target)}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+                {flowProblems.map(problem => (
+                  <li key={problem} className="text-xs text-amber-600">
+                    {problem}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+
+          {preview.prompts.length > 0 && preview.prompts.length !== preview.templateCount && (
+            <div className="space-y-2 rounded-md border p-3 text-sm">
+              <p className="font-medium">
+                Expands to {preview.prompts.length} prompts from {preview.templateCount} templates
+              </p>
+              {preview.prompts.length > LARGE_RUN_THRESHOLD && (
+                <p className="text-xs text-destructive">
+                  Large run: more than {LARGE_RUN_THRESHOLD} prompts will be sent to ChatGPT.
+                </p>
+              )}
+              {preview.warnings.map(warning => (
+                <p key={warning} className="text-xs text-muted-foreground">
+                  {warning}
+                </p>
+              ))}
+              <ol className="list-decimal space-y-1 pl-5 text-xs">
+                {preview.prompts.slice(0, PREVIEW_LIMIT).map((prompt, index) => (
+                  <li key={index}>{prompt}</li>
+                ))}
+              </ol>
+              {preview.prompts.length > PREVIEW_LIMIT && (
+                <p className="text-xs text-muted-foreground">
+                  …and {preview.prompts.length - PREVIEW_LIMIT} more
+                </p>
+              )}
+            </div>
+          )}
+
           <div className="flex items-center gap-3">
             <Button type="submit" className="gap-2">
               {editingId ? "Update Sequence" : "Save Sequence"}
@@ -269,82 +797,393 @@ export const PromptSequenceManager = ({ trigger }: PromptSequenceManagerProps) =
 
         <Separator className="my-4" />
 
+        <div className="flex flex-wrap items-center gap-2">
+          <Select
+            value={exportFormat}
+            onValueChange={value => setExportFormat(value as SequenceExportFormat)}
+          >
+            <SelectTrigger className="w-28" aria-label="Export format">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="json">JSON</SelectItem>
+              <SelectItem value="csv">CSV</SelectItem>
+              <SelectItem value="text">Text</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button
+            type="button"
+            variant="outline"
+            className="gap-2"
+            onClick={handleExport}
+            disabled={sequences.length === 0}
+          >
+            <Download className="h-4 w-4" />
+            {selectedIds.length ? `Export selected (${selectedIds.length})` : "Export all"}
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            className="gap-2"
+            onClick={() => (importOpen ? resetImport() : setImportOpen(true))}
+          >
+            <Upload className="h-4 w-4" />
+            Import
+          </Button>
+        </div>
+
+        {importOpen && (
+          <div className="space-y-3 rounded-md border p-3">
+            <div className="grid gap-2">
+              <Label htmlFor="prompt-sequence-import-file">Import from a file</Label>
+              <Input
+                id="prompt-sequence-import-file"
+                type="file"
+                accept=".json,.csv,.txt,application/json,text/csv,text/plain"
+                onChange={handleImportFile}
+              />
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="prompt-sequence-import-text">Or paste exported sequences</Label>
+              <Textarea
+                id="prompt-sequence-import-text"
+                value={importText}
+                onChange={event => {
+                  setImportText(event.target.value);
+                  setImportFilename(undefined);
+                }}
+                placeholder="JSON, CSV, or one prompt per line with # Name headings"
+                rows={4}
+              />
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="prompt-sequence-import-strategy">When a name or id already exists</Label>
+              <Select
+                value={importStrategy}
+                onValueChange={value => setImportStrategy(value as ImportConflictStrategy)}
+              >
+                <SelectTrigger id="prompt-sequence-import-strategy">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="merge">Merge the prompts</SelectItem>
+                  <SelectItem value="overwrite">Overwrite the saved sequence</SelectItem>
+                  <SelectItem value="keep-both">Keep both</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {importPreview && (
+              <ul className="space-y-1 text-xs">
+                {importPreview.sequences.map((sequence, index) => {
+                  const conflict = findSequenceConflict(sequences, sequence);
+                  return (
+                    <li key={index} className={conflict ? "text-amber-600" : undefined}>
+                      {sequence.name} — {sequence.prompts.length} prompt(s)
+                      {conflict ? `, matches saved "${conflict.name}"` : ", new"}
+                    </li>
+                  );
+                })}
+                {importPreview.errors.map(error => (
+                  <li key={error} className="text-destructive">
+                    Skipped: {error}
+                  </li>
+                ))}
+                {importPreview.warnings.map(warning => (
+                  <li key={warning} className="text-muted-foreground">
+                    {warning}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex items-center gap-3">
+              <Button type="button" onClick={handleImport} disabled={!importPreview?.sequences.length}>
+                Import sequences
+              </Button>
+              <Button type="button" variant="ghost" onClick={resetImport}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {sequences.length > 0 && (
+          <div className="grid gap-2 sm:grid-cols-4">
+            <div className="relative sm:col-span-4">
+              <Search className="absolute left-2 top-2.5 h-4 w-4 text-muted-foreground" />
+              <Input
+                type="search"
+                value={query}
+                onChange={event => setQuery(event.target.value)}
+                placeholder="Search names, prompts or #tags"
+                aria-label="Search saved sequences"
+                className="pl-8"
+              />
+            </div>
+            <Select value={folderFilter} onValueChange={setFolderFilter}>
+              <SelectTrigger aria-label="Filter by folder">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_FOLDERS}>All folders</SelectItem>
+                {folders.map(({ folder, count }) => (
+                  <SelectItem key={folder} value={`folder:${folder}`}>
+                    {folder} ({count})
+                  </SelectItem>
+                ))}
+                <SelectItem value={NO_FOLDER}>No folder</SelectItem>
+              </SelectContent>
+            </Select>
+            <Select value={tagFilter} onValueChange={setTagFilter} disabled={tags.length === 0}>
+              <SelectTrigger aria-label="Filter by tag">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_TAGS}>All tags</SelectItem>
+                {tags.map(({ tag, count }) => (
+                  <SelectItem key={tag} value={tag}>
+                    #{tag} ({count})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={sort} onValueChange={value => setSort(value as SequenceSort)}>
+              <SelectTrigger aria-label="Sort saved sequences" className="sm:col-span-2">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(SEQUENCE_SORTS as SequenceSort[]).map(option => (
+                  <SelectItem key={option} value={option}>
+                    Sort: {SEQUENCE_SORT_LABELS[option]}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {visibleCount < sequences.length && (
+              <p className="text-xs text-muted-foreground sm:col-span-4">
+                Showing {visibleCount} of {sequences.length} sequences.
+              </p>
+            )}
+          </div>
+        )}
+
         <div className="space-y-4">
-          {sortedSequences.length === 0 ? (
+          {sequences.length === 0 ? (
             <p className="text-sm text-muted-foreground">
               Saved sequences will appear here. Create your first sequence to start reusing prompt flows.
             </p>
+          ) : visibleCount === 0 ? (
+            <p className="text-sm text-muted-foreground">No saved sequence matches the search and filters.</p>
           ) : (
-            sortedSequences.map(sequence => (
-              <Card key={sequence.id}>
-                <CardHeader className="flex flex-col gap-2">
-                  <div className="flex items-center justify-between gap-4">
-                    <div>
-                      <CardTitle className="text-lg flex items-center gap-2">
-                        {sequence.name}
-                        <Badge variant="secondary">{sequence.prompts.length} prompts</Badge>
-                      </CardTitle>
-                      {sequence.description && (
-                        <p className="text-sm text-muted-foreground">{sequence.description}</p>
-                      )}
-                    </div>
-                    <div className="flex items-center gap-2">
-                      <Button
-                        type="button"
-                        variant="ghost"
-                        size="icon"
-                        onClick={() => handleEdit(sequence)}
-                        aria-label={`Edit ${sequence.name}`}
-                      >
-                        <Pencil className="h-4 w-4" />
-                      </Button>
-                      <AlertDialog>
-                        <AlertDialogTrigger asChild>
+            sequenceGroups.map(group => (
+              <div key={group.key} className="space-y-4">
+                {group.label && (
+                  <h3 className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                    {group.label}
+                  </h3>
+                )}
+                {group.sequences.map(sequence => (
+                  <Card key={sequence.id}>
+                    <CardHeader className="flex flex-col gap-2">
+                      <div className="flex items-center justify-between gap-4">
+                        <div>
+                          <CardTitle className="text-lg flex items-center gap-2">
+                            <Checkbox
+                              checked={selectedIds.includes(sequence.id)}
+                              onCheckedChange={checked => toggleSelected(sequence.id, checked === true)}
+                              aria-label={`Select ${sequence.name} for export`}
+                            />
+                            {sequence.name}
+                            <Badge variant="secondary">{sequence.prompts.length} prompts</Badge>
+                            {sequence.steps ? <Badge variant="outline">Multi-step flow</Badge> : null}
+                            {sequence.variables?.length ? (
+                              <Badge variant="outline">
+                                Expands to{" "}
+                                {expandPrompts(sequence.prompts, sequence.variables, sequence.expansionMode).prompts.length}
+                              </Badge>
+                            ) : null}
+                          </CardTitle>
+                          {sequence.description && (
+                            <p className="text-sm text-muted-foreground">{sequence.description}</p>
+                          )}
+                          {sequence.tags?.length ? (
+                            <div className="mt-1 flex flex-wrap gap-1">
+                              {sequence.tags.map(tag => (
+                                <button
+                                  key={tag}
+                                  type="button"
+                                  onClick={() => setTagFilter(tag)}
+                                  title={`Show sequences tagged #${tag}`}
+                                >
+                                  <Badge variant="outline">#{tag}</Badge>
+                                </button>
+                              ))}
+                            </div>
+                          ) : null}
+                        </div>
+                        <div className="flex items-center gap-2">
                           <Button
                             type="button"
                             variant="ghost"
                             size="icon"
-                            aria-label={`Delete ${sequence.name}`}
+                            onClick={() => togglePinned(sequence.id)}
+                            aria-label={sequence.pinned ? `Unpin ${sequence.name}` : `Pin ${sequence.name}`}
+                            aria-pressed={sequence.pinned === true}
                           >
-                            <Trash2 className="h-4 w-4" />
+                            <Star className={sequence.pinned ? "h-4 w-4 fill-current" : "h-4 w-4"} />
                           </Button>
-                        </AlertDialogTrigger>
-                        <AlertDialogContent>
-                          <AlertDialogHeader>
-                            <AlertDialogTitle>Delete this sequence?</AlertDialogTitle>
-                            <AlertDialogDescription>
-                              This action cannot be undone. The sequence "{sequence.name}" will be permanently removed.
-                            </AlertDialogDescription>
-                          </AlertDialogHeader>
-                          <AlertDialogFooter>
-                            <AlertDialogCancel>Cancel</AlertDialogCancel>
-                            <AlertDialogAction onClick={() => handleDelete(sequence.id)}>
-                              Confirm Delete
-                            </AlertDialogAction>
-                          </AlertDialogFooter>
-                        </AlertDialogContent>
-                      </AlertDialog>
-                    </div>
-                  </div>
-                </CardHeader>
-                <CardContent>
-                  <ol className="list-decimal space-y-2 pl-5 text-sm">
-                    {sequence.prompts.map((prompt, index) => (
-                      <li key={index} className="leading-relaxed">
-                        {prompt}
-                      </li>
-                    ))}
-                  </ol>
-                </CardContent>
-                <CardFooterSection className="flex flex-col items-start gap-1 text-xs text-muted-foreground">
-                  <span>Last updated {new Date(sequence.updatedAt).toLocaleString()}</span>
-                  <span>Created {new Date(sequence.createdAt).toLocaleString()}</span>
-                </CardFooterSection>
-              </Card>
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => setHistoryId(previous => (previous === sequence.id ? null : sequence.id))}
+                            aria-label={`Revision history of ${sequence.name}`}
+                            aria-expanded={historyId === sequence.id}
+                          >
+                            <History className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleEdit(sequence)}
+                            aria-label={`Edit ${sequence.name}`}
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                          <AlertDialog>
+                            <AlertDialogTrigger asChild>
+                              <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                aria-label={`Delete ${sequence.name}`}
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </AlertDialogTrigger>
+                            <AlertDialogContent>
+                              <AlertDialogHeader>
+                                <AlertDialogTitle>Move this sequence to the trash?</AlertDialogTitle>
+                                <AlertDialogDescription>
+                                  "{sequence.name}" and its revisions stay in the trash for {TRASH_RETENTION_DAYS}{" "}
+                                  days, where you can restore them.
+                                </AlertDialogDescription>
+                              </AlertDialogHeader>
+                              <AlertDialogFooter>
+                                <AlertDialogCancel>Cancel</AlertDialogCancel>
+                                <AlertDialogAction onClick={() => handleDelete(sequence.id)}>
+                                  Move to Trash
+                                </AlertDialogAction>
+                              </AlertDialogFooter>
+                            </AlertDialogContent>
+                          </AlertDialog>
+                        </div>
+                      </div>
+                    </CardHeader>
+                    <CardContent className="space-y-3">
+                      {sequence.variables?.length ? (
+                        <div className="flex flex-wrap gap-2">
+                          {sequence.variables.map(variable => (
+                            <Badge key={variable.name} variant="outline">
+                              {`{${variable.name}}`}: {variable.values.join(" | ")}
+                            </Badge>
+                          ))}
+                        </div>
+                      ) : null}
+                      <ol className="list-decimal space-y-2 pl-5 text-sm">
+                        {sequence.prompts.map((prompt, index) => {
+                          const step = sequence.steps?.[index];
+                          return (
+                            <li key={index} className="leading-relaxed">
+                              {prompt}
+                              {step && (step.onRefused !== "next" || step.onFailed !== "next") && (
+                                <span className="block text-xs text-muted-foreground">
+                                  If refused: {describeFlowTarget(step.onRefused)}; if it fails:{" "}
+                                  {describeFlowTarget(step.onFailed)}
+                                </span>
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ol>
+                      {historyId === sequence.id && renderRevisions(sequence)}
+                    </CardContent>
+                    <CardFooterSection className="flex flex-col items-start gap-1 text-xs text-muted-foreground">
+                      <span>Last updated {new Date(sequence.updatedAt).toLocaleString()}</span>
+                      <span>Created {new Date(sequence.createdAt).toLocaleString()}</span>
+                      {sequence.lastRunAt && (
+                        <span>Last run {new Date(sequence.lastRunAt).toLocaleString()}</span>
+                      )}
+                      {sequence.pinned && sequence.folder && <span>Folder: {sequence.folder}</span>}
+                    </CardFooterSection>
+                  </Card>
+                ))}
+              </div>
             ))
           )}
         </div>
 
+        {history.trash.length > 0 && (
+          <div className="space-y-3 rounded-md border border-dashed p-4">
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <h3 className="text-sm font-medium">Trash ({history.trash.length})</h3>
+                <p className="text-xs text-muted-foreground">
+                  Deleted sequences stay here for {TRASH_RETENTION_DAYS} days, then they are removed with their
+                  revisions.
+                </p>
+              </div>
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button type="button" variant="ghost" size="sm">
+                    Empty trash
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Empty the trash?</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      This action cannot be undone. {history.trash.length} sequence(s) and their revisions will be
+                      permanently removed.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Cancel</AlertDialogCancel>
+                    <AlertDialogAction onClick={() => updateTrash(store => store.emptyTrash())}>
+                      Empty Trash
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </div>
+            <ul className="space-y-2">
+              {history.trash.map(entry => (
+                <li key={entry.sequence.id} className="flex items-center justify-between gap-2 text-sm">
+                  <span>
+                    {entry.sequence.name}
+                    <span className="block text-xs text-muted-foreground">
+                      {entry.sequence.prompts.length} prompts · deleted {new Date(entry.deletedAt).toLocaleString()}
+                    </span>
+                  </span>
+                  <span className="flex gap-1">
+                    <Button type="button" variant="outline" size="sm" onClick={() => handleRestoreFromTrash(entry)}>
+                      Restore
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => updateTrash(store => store.deleteForever([entry.sequence.id]))}
+                    >
+                      Delete forever
+                    </Button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <DialogFooter>
           <Button type="button" variant="secondary" onClick={() => setOpen(false)}>
             Done
@@ -0,0 +1,102 @@
+/**
+ * IndexedDB library of reference images, keyed by name. The popup adds and removes images;
+ * the background worker reads them when a prompt's `[image: name]` tags are sent. Content
+ * scripts run in the page's origin and cannot open this database, so the worker passes the
+ * image data along with the prompt.
+ */
+
+const DB_NAME = 'prompt-queue';
+const DB_VERSION = 1;
+const STORE_NAME = 'attachments';
+
+/**
+ * @typedef {object} StoredAttachment
+ * @property {string} name
+ * @property {string} type
+ * @property {number} size
+ * @property {Blob} blob
+ * @property {string} addedAt
+ */
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+  };
+  return requestResult(request);
+}
+
+/**
+ * Runs `work` against the object store and resolves with its result once the transaction
+ * has completed.
+ */
+async function withStore(mode, work) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error('The attachment update was aborted.'));
+    });
+    const result = await work(transaction.objectStore(STORE_NAME));
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * @returns {Promise<StoredAttachment[]>} Oldest first.
+ */
+export async function listAttachments() {
+  const attachments = await withStore('readonly', (store) => requestResult(store.getAll()));
+  return attachments.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+/**
+ * @param {string[]} names
+ * @returns {Promise<StoredAttachment[]>} The ones found, in the order asked for.
+ */
+export async function getAttachments(names) {
+  const found = await withStore('readonly', (store) => Promise.all(names.map((name) => requestResult(store.get(name)))));
+  return found.filter(Boolean);
+}
+
+/**
+ * @param {string} name Already made unique by the caller.
+ * @param {File | Blob} file
+ * @returns {Promise<StoredAttachment>}
+ */
+export async function addAttachment(name, file) {
+  const attachment = { name, type: file.type, size: file.size, blob: file, addedAt: new Date().toISOString() };
+  await withStore('readwrite', (store) => requestResult(store.put(attachment)));
+  return attachment;
+}
+
+export async function deleteAttachment(name) {
+  await withStore('readwrite', (store) => requestResult(store.delete(name)));
+}
+
+/**
+ * Base64 without the `data:` prefix, small enough chunks for `String.fromCharCode`.
+ *
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,1374 @@
+import { ImageCooldownError, exponentialBackoff, withImageCooldownRetry } from './imageCooldown.js';
+import {
+  loadDownloadSettings,
+  renderFilename,
+  sidecarFilename,
+  toJsonDataUrl,
+} from './downloads.js';
+import { blobToBase64, getAttachments } from './attachmentStore.js';
+import { extractAttachmentRefs } from './promptAttachments.js';
+import { MAX_FLOW_PROMPTS, createFlowCursor, normalizeFlowSteps } from './promptFlow.js';
+import { classifyPromptOutcome, formatOutcomeLabel } from './promptOutcome.js';
+import { expandPrompts } from './promptTemplates.js';
+import { applyRewriteRules, loadRefusalSettings, parseRewriteRules } from './refusalPolicy.js';
+import { createRunRecord, saveRun } from './runHistory.js';
+import {
+  NEW_CHAT_URL,
+  getNewChatUrl,
+  isFailedResult,
+  isFatalPromptError,
+  isQueueTabUrl,
+  isSimulatorUrl,
+  loadRunOptions,
+  shouldOpenNewChat,
+  toPromptTimeouts,
+} from './runOptions.js';
+import {
+  describePacing,
+  getPacingDelay,
+  isPaced,
+  loadScheduledRuns,
+  saveScheduledRuns,
+  scheduleAlarmName,
+  scheduleIdFromAlarm,
+  sortScheduledRuns,
+} from './schedules.js';
+import { createChromeStorageBackend, createSequenceStore } from './sequenceStore.js';
+import { loadUiSelectors } from './uiSelectors.js';
+import {
+  describeUsage,
+  forgetLearnedLimit,
+  getQuotaDelay,
+  isUsageLow,
+  loadUsageQuota,
+  recordGeneration,
+  recordLimitHit,
+  saveUsageQuota,
+  summarizeUsage,
+} from './usageQuota.js';
+
+const STATE_KEY = 'promptQueueState';
+// How each reply outcome is recorded on the prompt's result.
+const OUTCOME_STATUSES = { images: 'done', text: 'done', refusal: 'refused', error: 'failed' };
+// Wakes the worker every 30 seconds while a run waits between prompts, so Chrome does not
+// stop it during a long pacing wait or image-limit cooldown.
+const KEEPALIVE_ALARM = 'queue-keepalive';
+// How a finished run is recorded on the schedule that started it.
+const SCHEDULE_STATUSES = { completed: 'completed', cancelled: 'cancelled', failed: 'failed', interrupted: 'failed' };
+// A scheduled run that comes due while another queue is running tries again after this long.
+const SCHEDULE_RETRY_MS = 5 * 60 * 1000;
+const TAB_LOAD_TIMEOUT_MS = 60 * 1000;
+// Updates the badge when the oldest counted image generation leaves the window.
+const USAGE_ALARM = 'usage-quota';
+const BADGE_COLORS = { unknown: '#6b7280', plenty: '#15803d', low: '#b45309', none: '#dc2626' };
+
+let queueState = createIdleState();
+// Controls for the run driven by this worker instance: a pending cancel request, the prompts
+// marked for skipping, the controllers that interrupt each running prompt, the shared pause
+// and the time until which a cooldown holds back new prompts in every tab.
+let runControl = null;
+// Schedule changes are applied one after another so no update is lost.
+let scheduleWrites = Promise.resolve();
+// Image generations of the rolling window, kept in memory so every tab sees the same count.
+let usageQuota = null;
+
+function createIdleState() {
+  return {
+    status: 'idle',
+    runId: null,
+    tabIds: [],
+    sequenceName: null,
+    scheduleId: null,
+    pacing: null,
+    nextPromptAt: null,
+    throttle: null,
+    prompts: [],
+    results: [],
+    cooldown: null,
+    error: null,
+    log: [],
+    startedAt: null,
+    finishedAt: null,
+  };
+}
+
+function isQueueActive(state = queueState) {
+  return state.status === 'running' || state.status === 'paused';
+}
+
+function createRunId() {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function persistState() {
+  chrome.storage?.session?.set?.({ [STATE_KEY]: queueState }).catch((error) => {
+    console.error('Failed to persist the prompt queue state', error);
+  });
+}
+
+function broadcastState() {
+  try {
+    chrome.runtime.sendMessage({ type: 'QUEUE_STATE', state: queueState }, () => {
+      // Nobody is listening while the popup is closed.
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    // Ignore; the popup will request the state when it opens.
+  }
+}
+
+function updateState(patch) {
+  queueState = { ...queueState, ...patch };
+  persistState();
+  broadcastState();
+}
+
+function updateResult(index, patch) {
+  const results = queueState.results.map((result, position) => (
+    position === index ? { ...result, ...patch } : result
+  ));
+  updateState({ results });
+}
+
+function appendLog(line) {
+  updateState({ log: [...queueState.log, line] });
+}
+
+/**
+ * Shows the image generations left on the extension's badge (or, until the limit is
+ * learned, the generations made), and wakes the worker to update it as they expire.
+ */
+function updateUsageBadge() {
+  const summary = summarizeUsage(usageQuota);
+  let text = summary.used ? String(summary.used) : '';
+  let color = BADGE_COLORS.unknown;
+  if (summary.limit !== null) {
+    text = String(summary.remaining);
+    color = !summary.remaining ? BADGE_COLORS.none : isUsageLow(summary) ? BADGE_COLORS.low : BADGE_COLORS.plenty;
+  }
+  chrome.action?.setBadgeText?.({ text });
+  chrome.action?.setBadgeBackgroundColor?.({ color });
+  chrome.action?.setTitle?.({ title: `Prompt Queue\n${describeUsage(summary)}` });
+  if (summary.resetsAt) {
+    chrome.alarms.create(USAGE_ALARM, { when: Date.parse(summary.resetsAt) });
+  } else {
+    chrome.alarms.clear(USAGE_ALARM);
+  }
+}
+
+function changeUsageQuota(change) {
+  usageQuota = change(usageQuota);
+  saveUsageQuota(usageQuota).catch((error) => {
+    console.error('Failed to save the image usage', error);
+  });
+  updateUsageBadge();
+}
+
+function recordRunHistory() {
+  saveRun(createRunRecord(queueState)).catch((error) => {
+    console.error('Failed to save the run history', error);
+  });
+}
+
+async function getTabUrl(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return tab?.url || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function sendMessageToTab(tabId, message) {
+  const send = () => new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, (resp) => {
+      const err = chrome.runtime.lastError;
+      if (err) {
+        reject(new Error(err.message));
+        return;
+      }
+      resolve(resp);
+    });
+  });
+
+  try {
+    return await send();
+  } catch (error) {
+    if (!/Receiving end does not exist/i.test(error.message)) {
+      throw error;
+    }
+
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['uiAdapter.js', 'contentScript.js'],
+      });
+    } catch (injectError) {
+      const message = injectError?.message || 'Unknown error while injecting content script.';
+      throw new Error(`Could not inject the helper script. ${message}`);
+    }
+
+    return await send();
+  }
+}
+
+async function requestFromTab(tabId, message) {
+  const response = await sendMessageToTab(tabId, message);
+  if (response?.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Every tab waits on the same promise, so one resume releases them all.
+ */
+function waitWhilePaused() {
+  if (queueState.status !== 'paused') {
+    return Promise.resolve();
+  }
+  if (!runControl.paused) {
+    appendLog('Queue paused.');
+    runControl.paused = new Promise((resolve) => {
+      runControl.release = resolve;
+    });
+  }
+  return runControl.paused;
+}
+
+function releasePause() {
+  const release = runControl?.release;
+  if (release) {
+    runControl.release = null;
+    runControl.paused = null;
+    release();
+  }
+}
+
+/**
+ * Holds back new prompts in every tab until `until` (ms since epoch). Prompts already
+ * generating in other tabs are left to finish.
+ */
+function holdDispatch(until) {
+  // Whole milliseconds, like Date.now(), or the last wait could be a fraction of one that
+  // ends without the clock moving on.
+  runControl.dispatchHeldUntil = Math.max(runControl.dispatchHeldUntil, Math.ceil(until));
+}
+
+async function waitForDispatchWindow() {
+  let waitMs = runControl.dispatchHeldUntil - Date.now();
+  while (waitMs > 0) {
+    await delay(waitMs, runControl.cancelController.signal);
+    // Another tab may have hit the limit again meanwhile.
+    waitMs = runControl.dispatchHeldUntil - Date.now();
+  }
+}
+
+/**
+ * Holds the next prompt back while the learned image limit is near (see `getQuotaDelay`).
+ */
+async function waitForQuotaWindow() {
+  for (;;) {
+    await waitWhilePaused();
+    const waitMs = getQuotaDelay(usageQuota, { inFlight: runControl.quotaInFlight });
+    if (waitMs <= 0) {
+      break;
+    }
+    const until = new Date(Date.now() + waitMs).toISOString();
+    if (queueState.throttle?.until !== until) {
+      const { remaining, limit } = summarizeUsage(usageQuota);
+      updateState({ throttle: { until, remaining, limit } });
+      appendLog(`Image limit near (${remaining} of about ${limit} left): next prompt at ${new Date(until).toLocaleTimeString()}.`);
+    }
+    await delay(waitMs, runControl.cancelController.signal);
+  }
+  if (queueState.throttle) {
+    updateState({ throttle: null });
+  }
+}
+
+/**
+ * Waits until the run's pacing rule lets another prompt start.
+ */
+async function waitForPacingWindow() {
+  if (!isPaced(runControl.pacing)) {
+    return;
+  }
+  for (;;) {
+    // A pause during the wait holds the prompt back until the queue resumes.
+    await waitWhilePaused();
+    const waitMs = getPacingDelay(runControl.pacing, runControl.promptStarts, Date.now());
+    if (waitMs <= 0) {
+      break;
+    }
+    const nextPromptAt = new Date(Date.now() + waitMs).toISOString();
+    if (queueState.nextPromptAt !== nextPromptAt) {
+      updateState({ nextPromptAt });
+      appendLog(`Pacing: next prompt at ${new Date(nextPromptAt).toLocaleTimeString()}.`);
+    }
+    await delay(waitMs, runControl.cancelController.signal);
+  }
+  if (queueState.nextPromptAt) {
+    updateState({ nextPromptAt: null });
+  }
+}
+
+function isPromptSlotFree(now = Date.now()) {
+  return runControl.dispatchHeldUntil <= now
+    && getQuotaDelay(usageQuota, { now, inFlight: runControl.quotaInFlight }) <= 0
+    && (!isPaced(runControl.pacing) || getPacingDelay(runControl.pacing, runControl.promptStarts, now) <= 0);
+}
+
+/**
+ * Waits out a cooldown, the image limit and the pacing rule, then claims the slot for the
+ * tab's next prompt: it counts towards the pacing rule and as in flight for the image
+ * limit (the `inFlight` of `getQuotaDelay`) until its result is recorded. Other tabs may
+ * claim slots or hit the limit during the later waits, so everything is checked again
+ * before claiming, with no wait in between.
+ *
+ * @returns {Promise<boolean>} False when the run was cancelled meanwhile or the prompts ran out.
+ */
+async function waitForPromptSlot(source) {
+  try {
+    do {
+      await waitForDispatchWindow();
+      await waitForQuotaWindow();
+      await waitForPacingWindow();
+    } while (!isPromptSlotFree());
+  } catch (error) {
+    if (error?.name !== 'AbortError') {
+      throw error;
+    }
+    return false;
+  }
+  if (!isDispatching() || !source.hasNext()) {
+    return false;
+  }
+  if (isPaced(runControl.pacing)) {
+    runControl.promptStarts.push(Date.now());
+  }
+  runControl.quotaInFlight += 1;
+  return true;
+}
+
+function summarizeProgress() {
+  const total = queueState.results.length;
+  const count = (status) => queueState.results.filter((result) => result.status === status).length;
+  const parts = [`Completed ${count('done')} of ${total} prompt(s)`];
+  for (const status of ['refused', 'failed', 'skipped']) {
+    if (count(status)) {
+      parts.push(`${status} ${count(status)}`);
+    }
+  }
+  const failed = queueState.results
+    .map((result, index) => (isFailedResult(result) ? index + 1 : null))
+    .filter(Boolean);
+  const summary = `${parts.join(', ')}.`;
+  return failed.length ? `${summary} Failed prompts: ${failed.join(', ')}.` : summary;
+}
+
+function countRetry(index) {
+  updateResult(index, { retries: (queueState.results[index].retries ?? 0) + 1 });
+}
+
+/**
+ * Splits the `[image: name]` tags out of the prompt and loads those images for the tab.
+ * A missing image fails the prompt without retries.
+ */
+async function loadPromptAttachments(prompt) {
+  const { text, names } = extractAttachmentRefs(prompt);
+  if (!names.length) {
+    return { text, attachments: [] };
+  }
+  const stored = await getAttachments(names);
+  const missing = names.filter((name) => !stored.some((attachment) => attachment.name === name));
+  if (missing.length) {
+    const failure = new Error(`Reference image not found: ${missing.join(', ')}. Add it under Reference images in the popup.`);
+    failure.resultStatus = 'failed';
+    throw failure;
+  }
+  const attachments = await Promise.all(stored.map(async (attachment) => ({
+    name: attachment.name,
+    type: attachment.type,
+    data: await blobToBase64(attachment.blob),
+  })));
+  return { text, attachments };
+}
+
+/**
+ * Sends a prompt to the tab and classifies the reply, waiting out image-limit cooldowns.
+ */
+async function sendPrompt(tabId, index, prompt, signal) {
+  const total = queueState.prompts.length;
+  const { text, attachments } = await loadPromptAttachments(prompt);
+  try {
+    return await withImageCooldownRetry(
+      async () => {
+        const response = await requestFromTab(tabId, {
+          type: 'RUN_PROMPT',
+          prompt: text,
+          attachments,
+          index,
+          total,
+          downloadImages: runControl.downloadSettings.enabled,
+          selectors: runControl.selectors,
+          timeouts: runControl.timeouts,
+        });
+        if (response?.aborted) {
+          return response;
+        }
+        const outcome = classifyPromptOutcome(response);
+        // `message` carries the reply so the cooldown wait can be read from it.
+        return { ...response, outcome, message: outcome.message };
+      },
+      {
+        detector: (response) => response?.outcome?.type === 'cooldown',
+        logger: null,
+        onCooldown: ({ attempt, waitMs, waitSource }) => {
+          const until = new Date(Date.now() + waitMs).toISOString();
+          // The dry run and the usage quota learn the image limit from when prompts first
+          // ran into it.
+          if (!queueState.results[index]?.limitHitAt) {
+            updateResult(index, { limitHitAt: new Date().toISOString() });
+            changeUsageQuota((quota) => recordLimitHit(quota));
+          }
+          holdDispatch(Date.now() + waitMs);
+          updateState({ cooldown: { index, attempt, waitMs, waitSource, until } });
+          const origin = waitSource === 'message' ? 'as ChatGPT asked' : 'default delay';
+          const others = queueState.tabIds.length > 1 ? ' No new prompts go to any tab until then.' : '';
+          appendLog(`(${index + 1}/${total}) Waiting ${Math.ceil(waitMs / 1000)}s for the image limit to reset (${origin}, attempt ${attempt})...${others}`);
+        },
+        onEvent: (event) => {
+          if (event.type === 'attempt' && event.attempt > 1) {
+            countRetry(index);
+          }
+        },
+        signal,
+      },
+    );
+  } catch (error) {
+    if (error instanceof ImageCooldownError && !signal.aborted) {
+      const failure = new Error('ChatGPT kept reporting the image-generation limit after several retries.');
+      failure.resultStatus = 'cooldown';
+      throw failure;
+    }
+    throw error;
+  } finally {
+    if (queueState.cooldown?.index === index) {
+      updateState({ cooldown: null });
+    }
+  }
+}
+
+/**
+ * Whether an error reply is worth sending the prompt again for. Only an error in the
+ * prompt's own turn says the prompt failed; a card elsewhere on the page, such as a toast,
+ * may not be about it, and the prompt may have gone through, so sending it again could
+ * duplicate it.
+ */
+function isRetryableReply(response) {
+  return response?.outcome?.type === 'error' && (!response.errorText || Boolean(response.errorInTurn));
+}
+
+/**
+ * Retries a prompt that ended with an error in its turn (see `isRetryableReply`) or an
+ * error from the tab (composer or send button not found, reply timeout) up to the run's
+ * `maxRetries`, backing off exponentially. Once the attempts run out the last error reply
+ * is returned, or the last error rethrown. Errors that a retry cannot fix, such as a
+ * closed tab, are rethrown straight away.
+ */
+async function runPrompt(tabId, index, prompt, signal) {
+  const total = queueState.prompts.length;
+  const { maxRetries, retryDelaySeconds } = runControl.options;
+  let lastFailure = null;
+  return withImageCooldownRetry(
+    async () => {
+      try {
+        lastFailure = await sendPrompt(tabId, index, prompt, signal);
+        return lastFailure;
+      } catch (error) {
+        lastFailure = error;
+        throw error;
+      }
+    },
+    {
+      maxAttempts: maxRetries + 1,
+      baseDelayMs: retryDelaySeconds * 1000,
+      backoff: exponentialBackoff(),
+      jitterMsRange: [0, 0],
+      detector: isRetryableReply,
+      errorDetector: (error) => !isFatalPromptError(error) && !error?.resultStatus,
+      waitHintExtractor: () => undefined,
+      logger: null,
+      onCooldown: ({ attempt, waitMs, payload }) => {
+        const reason = payload instanceof Error ? payload.message : payload.outcome.message;
+        appendLog(`(${index + 1}/${total}) Attempt ${attempt} failed: ${truncate(reason, 160)} Retrying in ${Math.ceil(waitMs / 1000)}s...`);
+        countRetry(index);
+      },
+      fallback: () => {
+        if (lastFailure instanceof Error) {
+          throw lastFailure;
+        }
+        return lastFailure;
+      },
+      signal,
+    },
+  );
+}
+
+/**
+ * Runs a prompt and, when it is refused under the `rewrite` policy, sends it once more with
+ * the rewrite rules applied.
+ */
+async function runPromptWithRefusalPolicy(tabId, index, signal) {
+  const original = queueState.prompts[index];
+  const response = await runPrompt(tabId, index, original, signal);
+  const { refusal } = runControl;
+  if (response?.aborted || response.outcome.type !== 'refusal' || refusal.policy !== 'rewrite') {
+    return response;
+  }
+  const total = queueState.prompts.length;
+  const rewritten = applyRewriteRules(original, refusal.rules);
+  if (!rewritten || rewritten === original) {
+    appendLog(`(${index + 1}/${total}) Refused, and no rewrite rule changes this prompt.`);
+    return response;
+  }
+  appendLog(`(${index + 1}/${total}) Refused. Retrying as: ${truncate(rewritten, 160)}`);
+  updateResult(index, { rewrittenPrompt: rewritten });
+  return runPrompt(tabId, index, rewritten, signal);
+}
+
+async function downloadImages(settings, index, images = []) {
+  if (!settings.enabled || !images.length) {
+    return;
+  }
+  const total = queueState.prompts.length;
+  const prompt = queueState.prompts[index];
+  let downloaded = 0;
+  for (let n = 0; n < images.length; n++) {
+    const filename = renderFilename(settings.filenameTemplate, {
+      sequenceName: queueState.sequenceName,
+      index,
+      total,
+      prompt,
+      imageNumber: n + 1,
+    });
+    try {
+      await chrome.downloads.download({ url: images[n], filename, conflictAction: 'uniquify' });
+      downloaded++;
+      if (settings.writeSidecar) {
+        const metadata = {
+          sequence: queueState.sequenceName,
+          index: index + 1,
+          prompt,
+          image: n + 1,
+          runId: queueState.runId,
+          createdAt: new Date().toISOString(),
+        };
+        await chrome.downloads.download({
+          url: toJsonDataUrl(metadata),
+          filename: sidecarFilename(filename),
+          conflictAction: 'uniquify',
+        });
+      }
+    } catch (error) {
+      appendLog(`(${index + 1}/${total}) Could not download image ${n + 1}: ${error?.message || 'Unknown error.'}`);
+    }
+  }
+  if (downloaded) {
+    appendLog(`(${index + 1}/${total}) Downloaded ${downloaded} image(s).`);
+  }
+}
+
+function describeOutcome(outcome) {
+  switch (outcome.type) {
+    case 'images':
+      return `Done: ${formatOutcomeLabel(outcome)} generated.`;
+    case 'text':
+      return 'Done, but ChatGPT replied without an image.';
+    case 'refusal':
+      return `Refused: ${truncate(outcome.message, 160)}`;
+    default:
+      return `Failed: ${truncate(outcome.message, 160)}`;
+  }
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function finishRun(status, patch = {}) {
+  updateState({ status, cooldown: null, nextPromptAt: null, throttle: null, finishedAt: new Date().toISOString(), ...patch });
+  runControl = null;
+  chrome.alarms.clear(KEEPALIVE_ALARM);
+  recordRunHistory();
+  settleScheduledRun();
+}
+
+/**
+ * Records what happened to one prompt. Returns the reason to stop the whole queue, if the
+ * refusal or error policy asks for it.
+ */
+async function recordPromptResult(tabId, index, { response, failure, skipped }) {
+  const total = queueState.prompts.length;
+  const finished = { finishedAt: new Date().toISOString(), conversationUrl: await getTabUrl(tabId) };
+  if (failure) {
+    updateResult(index, { ...finished, status: failure.resultStatus ?? 'failed', error: failure.message });
+    appendLog(`(${index + 1}/${total}) Failed: ${failure.message}`);
+    return runControl.options.onError === 'stop' ? `Queue stopped because prompt ${index + 1} failed.` : null;
+  }
+  if (response?.aborted) {
+    updateResult(index, { ...finished, status: skipped ? 'skipped' : 'cancelled' });
+    if (skipped) {
+      appendLog(`(${index + 1}/${total}) Skipped.`);
+    }
+    return null;
+  }
+  const { outcome } = response;
+  const failed = outcome.type === 'refusal' || outcome.type === 'error';
+  updateResult(index, {
+    ...finished,
+    status: OUTCOME_STATUSES[outcome.type],
+    outcome: { type: outcome.type, imageCount: outcome.imageCount },
+    error: failed ? outcome.message : null,
+    images: response.images ?? [],
+  });
+  if (outcome.type === 'images') {
+    changeUsageQuota((quota) => recordGeneration(quota));
+  }
+  appendLog(`(${index + 1}/${total}) ${describeOutcome(outcome)}`);
+  await downloadImages(runControl.downloadSettings, index, response.downloadUrls ?? response.images);
+  if (outcome.type === 'refusal' && runControl.refusal.policy === 'stop') {
+    return `Queue stopped because prompt ${index + 1} was refused.`;
+  }
+  if (outcome.type === 'error' && runControl.options.onError === 'stop') {
+    return `Queue stopped because prompt ${index + 1} failed.`;
+  }
+  return null;
+}
+
+function isDispatching() {
+  return runControl.action !== 'cancel' && !runControl.stopReason;
+}
+
+/**
+ * @typedef {object} PromptSource
+ * @property {() => boolean} hasNext
+ * @property {() => number} take Returns the index of the next prompt to run.
+ * @property {(index: number) => void} putBack Returns a prompt whose tab was lost.
+ * @property {(index: number, response: object | null) => string | null | undefined} settle
+ *   Called once a prompt's result is recorded. Returns the reason to stop the run, null to
+ *   carry on whatever the policies say, or undefined to leave it to the policies.
+ */
+
+/**
+ * Hands out the prompts of a plain run, lowest index first, to every tab.
+ *
+ * @returns {PromptSource}
+ */
+function createPromptSource(count) {
+  const pending = Array.from({ length: count }, (_, index) => index);
+  return {
+    hasNext: () => pending.length > 0,
+    take: () => pending.shift(),
+    putBack(index) {
+      // Keep the list in order so the prompt is the next one out.
+      const position = pending.findIndex((item) => item > index);
+      pending.splice(position === -1 ? pending.length : position, 0, index);
+    },
+    settle: () => undefined,
+  };
+}
+
+/**
+ * Hands out the prompts of a multi-step flow one at a time, adding each to the queue as it
+ * is reached, since which step runs next depends on how the last prompt ended. A step's
+ * "go to" or "stop" target overrides the refusal and error policies; "continue" leaves the
+ * decision to them.
+ *
+ * @param {import('./promptFlow.js').PromptFlow} flow
+ * @returns {PromptSource}
+ */
+function createFlowSource(flow) {
+  const cursor = createFlowCursor(flow);
+  let upcoming;
+  let returned = null;
+  return {
+    hasNext() {
+      if (returned !== null) {
+        return true;
+      }
+      if (upcoming === undefined) {
+        upcoming = cursor.next();
+      }
+      if (!upcoming && cursor.limitReached && !runControl.stopReason) {
+        runControl.stopReason = `The flow stopped after ${MAX_FLOW_PROMPTS} prompts. Check its “go to” steps for a loop that never ends.`;
+      }
+      return Boolean(upcoming);
+    },
+    take() {
+      if (returned !== null) {
+        const index = returned;
+        returned = null;
+        return index;
+      }
+      const { step, prompt } = upcoming;
+      upcoming = undefined;
+      updateState({
+        prompts: [...queueState.prompts, prompt],
+        results: [...queueState.results, { prompt, step, status: 'pending', error: null }],
+      });
+      return queueState.prompts.length - 1;
+    },
+    putBack(index) {
+      returned = index;
+    },
+    settle(index, response) {
+      const { step, status } = queueState.results[index];
+      const target = cursor.report(step, {
+        status,
+        reply: response?.reply ?? '',
+        imageTitle: response?.imageTitles?.[0] ?? '',
+      });
+      if (target === 'next') {
+        return undefined;
+      }
+      if (target === 'stop') {
+        return `Flow stopped because step ${step} was ${status === 'refused' ? 'refused' : 'not completed'}.`;
+      }
+      appendLog(`(${index + 1}/${queueState.prompts.length}) Step ${step} was ${status === 'refused' ? 'refused' : 'not completed'}; going to step ${target}.`);
+      return null;
+    },
+  };
+}
+
+/**
+ * Runs prompts from the shared `source` in one tab until it runs out or the run stops. If
+ * the tab becomes unusable its prompt goes back to the source and the next spare tab, if
+ * any, takes over. Returns the error that ended the last tab it used, or null.
+ */
+async function runTabWorker(tabId, source, spareTabIds) {
+  let sentInTab = 0;
+  try {
+    const prepared = await requestFromTab(tabId, {
+      type: 'PREPARE_PROMPT_QUEUE',
+      selectors: runControl.selectors,
+      timeouts: runControl.timeouts,
+    });
+    if (prepared?.aborted) {
+      return null;
+    }
+  } catch (error) {
+    return handleLostTab(tabId, error, source, spareTabIds);
+  }
+
+  while (source.hasNext() && isDispatching()) {
+    await waitWhilePaused();
+    if (!await waitForPromptSlot(source)) {
+      break;
+    }
+    const index = source.take();
+    updateResult(index, { status: 'running', tabId, startedAt: new Date().toISOString(), retries: 0 });
+    const controller = new AbortController();
+    runControl.controllers.set(index, controller);
+    let response = null;
+    let failure = null;
+    try {
+      if (shouldOpenNewChat(runControl.options, sentInTab)) {
+        // The simulator starts a new conversation by reloading, keeping its options.
+        const tabUrl = await getTabUrl(tabId);
+        await openConversation(tabId, isSimulatorUrl(tabUrl) ? tabUrl : getNewChatUrl(runControl.options));
+      }
+      sentInTab += 1;
+      response = await runPromptWithRefusalPolicy(tabId, index, controller.signal);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        response = { aborted: true };
+      } else if (isFatalPromptError(error)) {
+        runControl.controllers.delete(index);
+        runControl.quotaInFlight -= 1;
+        // Put the prompt back for another tab to pick up.
+        source.putBack(index);
+        updateResult(index, { status: 'pending', tabId: null, startedAt: null, error: describeTabError(error) });
+        return handleLostTab(tabId, error, source, spareTabIds);
+      } else {
+        failure = error;
+      }
+    }
+    runControl.controllers.delete(index);
+    const skipped = runControl.skipped.delete(index);
+    const policyStopReason = await recordPromptResult(tabId, index, { response, failure, skipped });
+    runControl.quotaInFlight -= 1;
+    const flowStopReason = source.settle(index, response);
+    const stopReason = flowStopReason === undefined ? policyStopReason : flowStopReason;
+    if (stopReason && !runControl.stopReason) {
+      runControl.stopReason = stopReason;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads `url` in the tab and waits until the composer is ready, so the next prompt starts a
+ * new conversation (inside the custom GPT or project, if the URL points to one).
+ */
+async function openConversation(tabId, url) {
+  const loaded = waitForTabLoad(tabId);
+  try {
+    await chrome.tabs.update(tabId, { url });
+  } catch (error) {
+    loaded.catch(() => {});
+    throw error;
+  }
+  await loaded;
+  await requestFromTab(tabId, {
+    type: 'PREPARE_PROMPT_QUEUE',
+    selectors: runControl.selectors,
+    timeouts: runControl.timeouts,
+  });
+}
+
+function handleLostTab(tabId, error, source, spareTabIds) {
+  const message = describeTabError(error);
+  const nextTabId = isDispatching() && source.hasNext() ? spareTabIds.shift() : undefined;
+  if (queueState.tabIds.length > 1) {
+    appendLog(`Tab ${queueState.tabIds.indexOf(tabId) + 1} stopped: ${message}${nextTabId ? ' Continuing in another tab.' : ''}`);
+  }
+  if (nextTabId) {
+    return runTabWorker(nextTabId, source, spareTabIds);
+  }
+  return new Error(message);
+}
+
+function describeTabError(error) {
+  const message = error?.message || 'Unknown error.';
+  if (/Receiving end does not exist/i.test(message)) {
+    return 'Could not connect to the ChatGPT tab. Please reload the page and try again.';
+  }
+  return message;
+}
+
+/**
+ * Spreads the prompts over the given tabs, one prompt per tab at a time and at most
+ * `concurrency` tabs at once; extra tabs stand by in case one is closed. Results stay in
+ * prompt order whichever tab finishes first. Scheduled runs pass their schedule id and
+ * pacing rule. A multi-step `flow` is passed instead of `prompts` and runs in one tab, its
+ * prompts added to the queue as they are reached.
+ */
+async function runQueue(tabIds, prompts, sequenceName, { scheduleId = null, pacing = null, flow = null } = {}) {
+  queueState = {
+    ...createIdleState(),
+    status: 'running',
+    runId: createRunId(),
+    tabIds,
+    sequenceName: sequenceName || null,
+    scheduleId,
+    pacing: isPaced(pacing) ? pacing : null,
+    prompts,
+    results: prompts.map((prompt) => ({ prompt, status: 'pending', error: null })),
+    startedAt: new Date().toISOString(),
+  };
+  runControl = {
+    action: null,
+    stopReason: null,
+    controllers: new Map(),
+    skipped: new Set(),
+    cancelController: new AbortController(),
+    paused: null,
+    release: null,
+    dispatchHeldUntil: 0,
+    quotaInFlight: 0,
+    pacing,
+    promptStarts: [],
+    downloadSettings: null,
+    selectors: null,
+    refusal: null,
+    options: null,
+    timeouts: null,
+  };
+
+  chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+
+  try {
+    await usageRestored;
+    runControl.downloadSettings = await loadDownloadSettings();
+    const refusalSettings = await loadRefusalSettings();
+    runControl.refusal = { policy: refusalSettings.policy, rules: parseRewriteRules(refusalSettings.rewriteRules).rules };
+    runControl.options = await loadRunOptions();
+    runControl.timeouts = toPromptTimeouts(runControl.options);
+    runControl.selectors = await loadUiSelectors();
+
+    // Each step of a flow waits for the one before, so a flow only needs one tab.
+    const workerCount = flow ? 1 : Math.min(tabIds.length, runControl.options.concurrency, prompts.length);
+    const spareTabIds = tabIds.slice(workerCount);
+    if (flow) {
+      appendLog(`Starting flow with ${flow.steps.length} step(s)...`);
+    } else {
+      appendLog(workerCount > 1
+        ? `Starting queue with ${prompts.length} prompt(s) across ${workerCount} tabs...`
+        : `Starting queue with ${prompts.length} prompt(s)...`);
+    }
+    if (queueState.pacing) {
+      appendLog(`Pacing: ${describePacing(queueState.pacing)}.`);
+    }
+
+    const source = flow ? createFlowSource(flow) : createPromptSource(prompts.length);
+    const tabErrors = await Promise.all(tabIds.slice(0, workerCount).map((tabId) => runTabWorker(tabId, source, spareTabIds)));
+
+    if (runControl.action === 'cancel') {
+      finishRun('cancelled');
+      appendLog(`Queue cancelled. ${summarizeProgress()}`);
+      return;
+    }
+    if (runControl.stopReason) {
+      const { stopReason } = runControl;
+      finishRun('failed', { error: stopReason });
+      appendLog(`${stopReason} ${summarizeProgress()}`);
+      return;
+    }
+    if (source.hasNext()) {
+      // Every tab was lost before the prompts ran out.
+      const message = tabErrors.find(Boolean)?.message ?? 'No ChatGPT tab was available.';
+      finishRun('failed', { error: message });
+      appendLog(`Error: ${message} ${summarizeProgress()}`);
+      return;
+    }
+    finishRun('completed');
+    appendLog(`Queue complete. ${summarizeProgress()}`);
+  } catch (error) {
+    const message = describeTabError(error);
+    finishRun('failed', { error: message });
+    appendLog(`Error: ${message} ${summarizeProgress()}`);
+  }
+}
+
+function pauseQueue() {
+  if (queueState.status !== 'running') {
+    return { error: 'The queue is not running.' };
+  }
+  updateState({ status: 'paused' });
+  appendLog('Pausing after the prompts in progress...');
+  return { ok: true };
+}
+
+function resumeQueue() {
+  if (queueState.status !== 'paused') {
+    return { error: 'The queue is not paused.' };
+  }
+  updateState({ status: 'running' });
+  appendLog('Resuming queue.');
+  releasePause();
+  return { ok: true };
+}
+
+function sendAbort(tabId, stopGeneration) {
+  chrome.tabs.sendMessage(tabId, { type: 'ABORT_PROMPT', stopGeneration }, () => {
+    // The tab may be between prompts or already closed; the run loop handles both.
+    void chrome.runtime.lastError;
+  });
+}
+
+function skipPrompt() {
+  if (!isQueueActive() || !runControl) {
+    return { error: 'The queue is not running.' };
+  }
+  const running = [...runControl.controllers.keys()];
+  if (!running.length) {
+    return { error: 'No prompt is in progress.' };
+  }
+  appendLog(running.length > 1 ? `Skipping ${running.length} prompts in progress...` : 'Skipping the current prompt...');
+  for (const index of running) {
+    runControl.skipped.add(index);
+    runControl.controllers.get(index).abort();
+    sendAbort(queueState.results[index].tabId, true);
+  }
+  return { ok: true };
+}
+
+function cancelQueue() {
+  if (!isQueueActive() || !runControl) {
+    return { error: 'The queue is not running.' };
+  }
+  runControl.action = 'cancel';
+  runControl.cancelController.abort();
+  for (const controller of runControl.controllers.values()) {
+    controller.abort();
+  }
+  for (const tabId of queueState.tabIds) {
+    sendAbort(tabId, false);
+  }
+  appendLog('Cancelling queue...');
+  if (queueState.status === 'paused') {
+    updateState({ status: 'running' });
+  }
+  releasePause();
+  return { ok: true };
+}
+
+async function findChatGptTab() {
+  const tabs = (await chrome.tabs.query({})).filter((tab) => isQueueTabUrl(tab.url));
+  return tabs.find((tab) => tab.active) ?? tabs[0] ?? null;
+}
+
+async function diagnoseUi(tabId) {
+  const targetTabId = tabId ?? (await findChatGptTab())?.id;
+  if (!targetTabId) {
+    throw new Error('Open ChatGPT in a tab, then run the diagnosis again.');
+  }
+  const selectors = await loadUiSelectors();
+  const { report } = await requestFromTab(targetTabId, { type: 'DIAGNOSE_UI', selectors });
+  return report;
+}
+
+function broadcastScheduledRuns(schedules) {
+  try {
+    chrome.runtime.sendMessage({ type: 'SCHEDULED_RUNS', schedules }, () => {
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    // Ignore; the popup will request the list when it opens.
+  }
+}
+
+/**
+ * Creates an alarm for every schedule still waiting to start and clears the rest. An alarm
+ * that was pushed back because another queue was running is left alone unless the start
+ * time changed.
+ */
+async function syncScheduleAlarms(schedules) {
+  const alarms = await chrome.alarms.getAll();
+  const waiting = new Map(schedules
+    .filter((schedule) => schedule.status === 'scheduled')
+    .map((schedule) => [scheduleAlarmName(schedule.id), schedule]));
+  for (const alarm of alarms) {
+    if (scheduleIdFromAlarm(alarm.name) && !waiting.has(alarm.name)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  for (const [name, schedule] of waiting) {
+    const startAt = Date.parse(schedule.startAt);
+    const existing = alarms.find((alarm) => alarm.name === name);
+    if (!existing || (existing.scheduledTime !== startAt && startAt > Date.now())) {
+      // Start times that passed while Chrome was closed fire right away.
+      chrome.alarms.create(name, { when: Math.max(startAt, Date.now() + 1000) });
+    }
+  }
+}
+
+/**
+ * Applies `change` to the stored schedules, then updates the alarms and the popup.
+ * Resolves to the saved list.
+ *
+ * @param {(schedules: import('./schedules.js').ScheduledRun[]) => import('./schedules.js').ScheduledRun[]} change
+ */
+function changeScheduledRuns(change) {
+  const write = scheduleWrites.then(async () => {
+    const schedules = sortScheduledRuns(change(await loadScheduledRuns()));
+    await saveScheduledRuns(schedules);
+    await syncScheduleAlarms(schedules);
+    broadcastScheduledRuns(schedules);
+    return schedules;
+  });
+  scheduleWrites = write.catch((error) => {
+    console.error('Failed to update the scheduled runs', error);
+  });
+  return write;
+}
+
+function updateScheduledRun(scheduleId, patch) {
+  return changeScheduledRuns((schedules) => schedules.map((schedule) => (
+    schedule.id === scheduleId ? { ...schedule, ...patch, updatedAt: new Date().toISOString() } : schedule
+  )));
+}
+
+/**
+ * Records the outcome of the run that just ended on the schedule that started it.
+ */
+function settleScheduledRun() {
+  const { scheduleId, status, error } = queueState;
+  if (!scheduleId) {
+    return;
+  }
+  updateScheduledRun(scheduleId, { status: SCHEDULE_STATUSES[status] ?? 'failed', error: error ?? null }).catch(() => {});
+}
+
+function saveScheduledRun(schedule) {
+  if (queueState.scheduleId === schedule.id && isQueueActive()) {
+    return Promise.reject(new Error('This scheduled run is in progress. Cancel the queue first.'));
+  }
+  return changeScheduledRuns((schedules) => [...schedules.filter((item) => item.id !== schedule.id), schedule]);
+}
+
+function deleteScheduledRun(scheduleId) {
+  if (queueState.scheduleId === scheduleId && isQueueActive()) {
+    return Promise.reject(new Error('This scheduled run is in progress. Cancel the queue to stop it.'));
+  }
+  return changeScheduledRuns((schedules) => schedules.filter((schedule) => schedule.id !== scheduleId));
+}
+
+function openSequenceStore() {
+  return createSequenceStore({ primary: createChromeStorageBackend(chrome.storage.local) });
+}
+
+async function loadSavedSequence(sequenceId) {
+  const { sequences } = await openSequenceStore().load();
+  return sequences.find((sequence) => sequence.id === sequenceId) ?? null;
+}
+
+/**
+ * Records when a scheduled run started its sequence, for sorting by the last run. The
+ * popup does the same for the runs it starts.
+ */
+async function recordSequenceRun(sequenceId) {
+  const store = openSequenceStore();
+  const { sequences } = await store.load();
+  const lastRunAt = new Date().toISOString();
+  await store.save(sequences.map((sequence) => (sequence.id === sequenceId ? { ...sequence, lastRunAt } : sequence)));
+}
+
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error('The ChatGPT tab did not finish loading.'));
+    }, TAB_LOAD_TIMEOUT_MS);
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        resolve();
+      }
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+}
+
+/**
+ * Uses an open ChatGPT tab, or opens one in the background.
+ */
+async function openChatGptTab() {
+  const existing = await findChatGptTab();
+  if (existing) {
+    return existing.id;
+  }
+  const tab = await chrome.tabs.create({ url: NEW_CHAT_URL, active: false });
+  await waitForTabLoad(tab.id);
+  return tab.id;
+}
+
+function postponeScheduledRun(scheduleId) {
+  chrome.alarms.create(scheduleAlarmName(scheduleId), { when: Date.now() + SCHEDULE_RETRY_MS });
+}
+
+async function startScheduledRun(scheduleId) {
+  await stateRestored;
+  const schedule = (await loadScheduledRuns()).find((item) => item.id === scheduleId);
+  if (schedule?.status !== 'scheduled') {
+    return;
+  }
+  if (isQueueActive()) {
+    postponeScheduledRun(scheduleId);
+    return;
+  }
+  try {
+    const sequence = await loadSavedSequence(schedule.sequenceId);
+    if (!sequence) {
+      throw new Error(`The sequence “${schedule.sequenceName}” no longer exists.`);
+    }
+    const flow = sequence.steps
+      ? { steps: sequence.steps, variables: sequence.variables, expansionMode: sequence.expansionMode }
+      : null;
+    const prompts = flow ? [] : expandPrompts(sequence.prompts, sequence.variables, sequence.expansionMode).prompts;
+    if (!flow && !prompts.length) {
+      throw new Error(`The sequence “${sequence.name}” has no prompts.`);
+    }
+    const tabId = await openChatGptTab();
+    // A queue may have been started from the popup while the tab was loading.
+    if (isQueueActive()) {
+      postponeScheduledRun(scheduleId);
+      return;
+    }
+    void runQueue([tabId], prompts, sequence.name, { scheduleId, pacing: schedule.pacing, flow });
+    recordSequenceRun(sequence.id).catch((error) => {
+      console.error('Failed to record the sequence run', error);
+    });
+    await updateScheduledRun(scheduleId, { status: 'running', error: null, runId: queueState.runId });
+  } catch (error) {
+    await updateScheduledRun(scheduleId, { status: 'failed', error: error?.message || 'Unknown error.' });
+  }
+}
+
+async function restoreState() {
+  try {
+    const stored = await chrome.storage?.session?.get?.(STATE_KEY);
+    const previous = stored?.[STATE_KEY];
+    if (!previous || queueState.runId) {
+      return;
+    }
+    queueState = previous;
+    if (isQueueActive()) {
+      // The worker was restarted mid-run, so nobody is driving the queue anymore, and the
+      // cooldown, throttle and pacing waits it was in went with it.
+      const message = 'The background worker restarted and the queue was interrupted.';
+      updateState({
+        status: 'interrupted',
+        error: message,
+        cooldown: null,
+        throttle: null,
+        nextPromptAt: null,
+        finishedAt: new Date().toISOString(),
+      });
+      appendLog(`Error: ${message}`);
+      recordRunHistory();
+      settleScheduledRun();
+    }
+    chrome.alarms.clear(KEEPALIVE_ALARM);
+  } catch (error) {
+    console.error('Failed to restore the prompt queue state', error);
+  }
+}
+
+const stateRestored = restoreState();
+const usageRestored = loadUsageQuota().then((quota) => {
+  usageQuota = quota;
+  updateUsageBadge();
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message?.type) {
+    case 'START_PROMPT_QUEUE': {
+      stateRestored.then(async () => {
+        if (isQueueActive()) {
+          sendResponse({ error: 'A prompt queue is already running.' });
+          return;
+        }
+        const steps = message.flow ? normalizeFlowSteps(message.flow.steps) : null;
+        const flow = steps ? { ...message.flow, steps } : null;
+        const prompts = !flow && Array.isArray(message.prompts) ? message.prompts : [];
+        let tabIds = Array.isArray(message.tabIds) ? message.tabIds : [message.tabId].filter(Boolean);
+        // Pages without a ChatGPT tab of their own, such as the gallery, ask for one.
+        if (!tabIds.length && message.openTab && (prompts.length || flow)) {
+          try {
+            tabIds = [await openChatGptTab()];
+          } catch (error) {
+            sendResponse({ error: `Could not open ChatGPT: ${error?.message || 'Unknown error.'}` });
+            return;
+          }
+          if (isQueueActive()) {
+            sendResponse({ error: 'A prompt queue is already running.' });
+            return;
+          }
+        }
+        if (!tabIds.length || (!prompts.length && !flow)) {
+          sendResponse({ error: 'Provide a ChatGPT tab and at least one prompt.' });
+          return;
+        }
+        void runQueue(tabIds, prompts, message.sequenceName, { flow });
+        sendResponse({ ok: true, state: queueState });
+      });
+      return true;
+    }
+    case 'PAUSE_PROMPT_QUEUE':
+      sendResponse(pauseQueue());
+      return undefined;
+    case 'RESUME_PROMPT_QUEUE':
+      sendResponse(resumeQueue());
+      return undefined;
+    case 'SKIP_PROMPT':
+      sendResponse(skipPrompt());
+      return undefined;
+    case 'CANCEL_PROMPT_QUEUE':
+      sendResponse(cancelQueue());
+      return undefined;
+    case 'GET_QUEUE_STATE': {
+      stateRestored.then(() => sendResponse({ state: queueState }));
+      return true;
+    }
+    case 'PROMPT_PROGRESS': {
+      if (isQueueActive() && queueState.tabIds.includes(sender.tab?.id)) {
+        appendLog(message.text);
+      }
+      return undefined;
+    }
+    case 'DIAGNOSE_UI': {
+      diagnoseUi(message.tabId)
+        .then((report) => sendResponse({ ok: true, report }))
+        .catch((error) => sendResponse({ error: error?.message || 'Unknown error.' }));
+      return true;
+    }
+    case 'GET_SCHEDULED_RUNS': {
+      loadScheduledRuns().then((schedules) => sendResponse({ schedules: sortScheduledRuns(schedules) }));
+      return true;
+    }
+    case 'SAVE_SCHEDULED_RUN': {
+      saveScheduledRun(message.schedule)
+        .then((schedules) => sendResponse({ ok: true, schedules }))
+        .catch((error) => sendResponse({ error: error?.message || 'Unknown error.' }));
+      return true;
+    }
+    case 'DELETE_SCHEDULED_RUN': {
+      deleteScheduledRun(message.scheduleId)
+        .then((schedules) => sendResponse({ ok: true, schedules }))
+        .catch((error) => sendResponse({ error: error?.message || 'Unknown error.' }));
+      return true;
+    }
+    case 'RESET_USAGE_LIMIT': {
+      usageRestored.then(() => {
+        changeUsageQuota(forgetLearnedLimit);
+        sendResponse({ ok: true });
+      });
+      return true;
+    }
+    case 'QUEUE_HEARTBEAT':
+      // Receiving the event is enough to keep the worker alive during long generations.
+      return undefined;
+    default:
+      return undefined;
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  const scheduleId = scheduleIdFromAlarm(alarm.name);
+  if (scheduleId) {
+    void startScheduledRun(scheduleId);
+  }
+  if (alarm.name === USAGE_ALARM) {
+    void usageRestored.then(updateUsageBadge);
+  }
+  // KEEPALIVE_ALARM needs no handling; the event alone keeps the worker running.
+});
+
+// Chrome does not promise to keep alarms across restarts, so recreate them from storage.
+// A run still marked as running did not survive the restart.
+chrome.runtime.onStartup.addListener(() => {
+  const updatedAt = new Date().toISOString();
+  changeScheduledRuns((schedules) => schedules.map((schedule) => (
+    schedule.status === 'running'
+      ? { ...schedule, status: 'failed', error: 'Chrome closed before the run finished.', updatedAt }
+      : schedule
+  ))).catch(() => {});
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  changeScheduledRuns((schedules) => schedules).catch(() => {});
+});
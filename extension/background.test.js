@@ -0,0 +1,387 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { NEW_CHAT_URL } from './runOptions.js';
+import { buildScheduledRun, scheduleAlarmName } from './schedules.js';
+import { createChromeStorageBackend, createSequenceStore } from './sequenceStore.js';
+
+const TAB_ID = 7;
+const OTHER_TAB_ID = 8;
+const MINUTE = 60 * 1000;
+const IMAGES = { reply: '', images: ['https://files.example.com/a.png'], imageTitles: [], errorText: '' };
+const LIMIT = { reply: 'You’ve hit the image generation limit. Please try again in 2 minutes.', images: [], errorText: '' };
+const REFUSAL = { reply: 'I’m unable to create that image because it violates our content policy.', images: [], errorText: '' };
+
+let local = null;
+let session = null;
+let listeners = null;
+let alarms = null;
+let tabs = null;
+let page = null;
+let pendingRuns = null;
+
+function createStorageArea(items) {
+  return {
+    async get(keys) {
+      const names = keys === null || keys === undefined ? Object.keys(items) : [keys].flat();
+      return Object.fromEntries(names.filter((name) => name in items).map((name) => [name, structuredClone(items[name])]));
+    },
+    async set(patch) {
+      Object.assign(items, structuredClone(patch));
+    },
+    async remove(keys) {
+      for (const name of [keys].flat()) {
+        delete items[name];
+      }
+    },
+  };
+}
+
+function createEvent() {
+  const callbacks = new Set();
+  return {
+    addListener: (callback) => callbacks.add(callback),
+    removeListener: (callback) => callbacks.delete(callback),
+    dispatch: (...args) => [...callbacks].map((callback) => callback(...args)),
+  };
+}
+
+/**
+ * Stands in for the content script: PREPARE_PROMPT_QUEUE is ready at once, RUN_PROMPT
+ * answers with `page.reply` and ABORT_PROMPT ends the prompt running in that tab.
+ */
+function answerTab(tabId, message) {
+  switch (message.type) {
+    case 'RUN_PROMPT':
+      return new Promise((resolve) => {
+        pendingRuns.set(tabId, () => resolve({ aborted: true }));
+        Promise.resolve(page.reply(message, tabId)).then(resolve);
+      });
+    case 'ABORT_PROMPT':
+      pendingRuns.get(tabId)?.();
+      return undefined;
+    default:
+      return { ok: true };
+  }
+}
+
+function stubChrome() {
+  listeners = { message: createEvent(), alarm: createEvent(), startup: createEvent(), installed: createEvent(), tabUpdated: createEvent() };
+  alarms = new Map();
+  return {
+    runtime: {
+      lastError: undefined,
+      getURL: (path) => `chrome-extension://extension-id/${path}`,
+      sendMessage: (message, callback) => callback?.(),
+      onMessage: listeners.message,
+      onStartup: listeners.startup,
+      onInstalled: listeners.installed,
+    },
+    storage: { local: createStorageArea(local), session: createStorageArea(session) },
+    alarms: {
+      create: (name, { when, periodInMinutes } = {}) => {
+        alarms.set(name, { name, scheduledTime: when ?? Date.now() + periodInMinutes * 60_000 });
+      },
+      clear: async (name) => alarms.delete(name),
+      getAll: async () => [...alarms.values()],
+      onAlarm: listeners.alarm,
+    },
+    tabs: {
+      query: async () => tabs,
+      get: async (tabId) => tabs.find((tab) => tab.id === tabId),
+      create: async ({ url }) => {
+        const tab = { id: 100 + tabs.length, url, active: false };
+        tabs.push(tab);
+        setTimeout(() => listeners.tabUpdated.dispatch(tab.id, { status: 'complete' }), 100);
+        return tab;
+      },
+      update: vi.fn(async (tabId, { url }) => {
+        tabs.find((tab) => tab.id === tabId).url = url;
+        setTimeout(() => listeners.tabUpdated.dispatch(tabId, { status: 'complete' }), 100);
+      }),
+      sendMessage: vi.fn((tabId, message, callback) => {
+        Promise.resolve(answerTab(tabId, message)).then(callback);
+      }),
+      onUpdated: listeners.tabUpdated,
+    },
+    scripting: { executeScript: async () => [] },
+    downloads: { download: vi.fn(async () => 1) },
+    action: { setBadgeText() {}, setBadgeBackgroundColor() {}, setTitle() {} },
+  };
+}
+
+/**
+ * Loads a fresh copy of the background worker, as when Chrome starts it.
+ */
+async function startWorker() {
+  globalThis.chrome = stubChrome();
+  vi.resetModules();
+  await import('./background.js');
+  await vi.advanceTimersByTimeAsync(0);
+}
+
+function send(message) {
+  return new Promise((resolve) => {
+    listeners.message.dispatch(message, { id: 'extension-id' }, resolve);
+  });
+}
+
+async function getState() {
+  return (await send({ type: 'GET_QUEUE_STATE' })).state;
+}
+
+async function startQueue(prompts, message = {}) {
+  const started = send({ type: 'START_PROMPT_QUEUE', tabIds: [TAB_ID], prompts, ...message });
+  await vi.advanceTimersByTimeAsync(0);
+  return started;
+}
+
+async function finishQueue() {
+  await vi.runAllTimersAsync();
+  return getState();
+}
+
+function later(ms, value) {
+  return new Promise((resolve) => setTimeout(() => resolve(value), ms));
+}
+
+function promptsSent() {
+  return chrome.tabs.sendMessage.mock.calls
+    .filter(([, message]) => message.type === 'RUN_PROMPT')
+    .map(([, message]) => message.prompt);
+}
+
+beforeEach(async () => {
+  vi.useFakeTimers();
+  local = {};
+  session = {};
+  tabs = [{ id: TAB_ID, url: 'https://chatgpt.com/c/1', active: true }];
+  page = { reply: vi.fn(() => IMAGES) };
+  pendingRuns = new Map();
+  await startWorker();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  delete globalThis.chrome;
+});
+
+describe('error replies', () => {
+  it('send the prompt again when the error card is in its own turn', async () => {
+    page.reply
+      .mockReturnValueOnce({ reply: 'Something went wrong.', images: [], errorText: 'Something went wrong.', errorInTurn: true });
+
+    await startQueue(['a red fox']);
+    const state = await finishQueue();
+
+    expect(promptsSent()).toEqual(['a red fox', 'a red fox']);
+    expect(state.results[0]).toMatchObject({ status: 'done', retries: 1 });
+  });
+
+  it('do not send a text reply again for an old error card on the page', async () => {
+    page.reply.mockReturnValueOnce({
+      reply: 'Which style would you like?',
+      images: [],
+      errorText: 'Something went wrong.',
+      errorInTurn: false,
+    });
+
+    await startQueue(['a red fox']);
+    const state = await finishQueue();
+
+    expect(promptsSent()).toEqual(['a red fox']);
+    expect(state.results[0]).toMatchObject({ status: 'done', outcome: { type: 'text' }, retries: 0 });
+  });
+
+  it('do not send the prompt again for an error card outside its turn', async () => {
+    page.reply.mockReturnValueOnce({ reply: '', images: [], errorText: 'Something went wrong.', errorInTurn: false });
+
+    await startQueue(['a red fox']);
+    const state = await finishQueue();
+
+    expect(promptsSent()).toEqual(['a red fox']);
+    expect(state.results[0]).toMatchObject({ status: 'failed', error: 'Something went wrong.' });
+  });
+});
+
+describe('queue controls', () => {
+  beforeEach(() => {
+    page.reply.mockImplementation(() => later(1000, IMAGES));
+  });
+
+  it('pause after the prompt in progress and resume where they left off', async () => {
+    await startQueue(['one', 'two', 'three']);
+    expect(await send({ type: 'PAUSE_PROMPT_QUEUE' })).toEqual({ ok: true });
+
+    await vi.advanceTimersByTimeAsync(10 * MINUTE);
+    let state = await getState();
+    expect(state.status).toBe('paused');
+    expect(state.results.map((result) => result.status)).toEqual(['done', 'pending', 'pending']);
+    expect(promptsSent()).toEqual(['one']);
+
+    expect(await send({ type: 'RESUME_PROMPT_QUEUE' })).toEqual({ ok: true });
+    state = await finishQueue();
+    expect(state.status).toBe('completed');
+    expect(promptsSent()).toEqual(['one', 'two', 'three']);
+  });
+
+  it('skip the prompt in progress and go on with the next', async () => {
+    page.reply.mockReturnValueOnce(new Promise(() => {}));
+
+    await startQueue(['one', 'two']);
+    expect(await send({ type: 'SKIP_PROMPT' })).toEqual({ ok: true });
+    const state = await finishQueue();
+
+    expect(state.status).toBe('completed');
+    expect(state.results.map((result) => result.status)).toEqual(['skipped', 'done']);
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(TAB_ID, { type: 'ABORT_PROMPT', stopGeneration: true }, expect.any(Function));
+  });
+
+  it('cancel the run, leaving the remaining prompts unsent', async () => {
+    page.reply.mockReturnValueOnce(new Promise(() => {}));
+
+    await startQueue(['one', 'two']);
+    expect(await send({ type: 'CANCEL_PROMPT_QUEUE' })).toEqual({ ok: true });
+    const state = await finishQueue();
+
+    expect(state.status).toBe('cancelled');
+    expect(state.results.map((result) => result.status)).toEqual(['cancelled', 'pending']);
+    expect(promptsSent()).toEqual(['one']);
+  });
+
+  it('are refused while no queue runs', async () => {
+    expect(await send({ type: 'PAUSE_PROMPT_QUEUE' })).toEqual({ error: 'The queue is not running.' });
+    expect(await send({ type: 'SKIP_PROMPT' })).toEqual({ error: 'The queue is not running.' });
+    expect(await send({ type: 'CANCEL_PROMPT_QUEUE' })).toEqual({ error: 'The queue is not running.' });
+  });
+});
+
+describe('the image limit', () => {
+  it('holds back new prompts in every tab until it resets', async () => {
+    tabs.push({ id: OTHER_TAB_ID, url: 'https://chatgpt.com/c/2', active: false });
+    let limited = false;
+    page.reply.mockImplementation((message) => {
+      if (message.prompt === 'one' && !limited) {
+        limited = true;
+        return later(500, LIMIT);
+      }
+      return later(1000, IMAGES);
+    });
+
+    await startQueue(['one', 'two', 'three'], { tabIds: [TAB_ID, OTHER_TAB_ID] });
+    await vi.advanceTimersByTimeAsync(MINUTE);
+    expect(promptsSent().sort()).toEqual(['one', 'two']);
+    expect((await getState()).cooldown).toMatchObject({ index: 0, waitSource: 'message' });
+
+    const state = await finishQueue();
+    expect(state.status).toBe('completed');
+    expect(promptsSent()).toHaveLength(4);
+    expect(state.results[0]).toMatchObject({ status: 'done', retries: 1, limitHitAt: expect.any(String) });
+    expect(state.cooldown).toBeNull();
+  });
+});
+
+describe('refused prompts', () => {
+  it('are sent once more with the rewrite rules applied under the rewrite policy', async () => {
+    local.refusalSettings = { policy: 'rewrite', rewriteRules: 'remove: Greg Rutkowski' };
+    page.reply.mockReturnValueOnce(REFUSAL);
+
+    await startQueue(['a castle by Greg Rutkowski']);
+    const state = await finishQueue();
+
+    expect(state.results[0]).toMatchObject({ status: 'done', rewrittenPrompt: expect.not.stringContaining('Rutkowski') });
+    expect(promptsSent()).toEqual(['a castle by Greg Rutkowski', state.results[0].rewrittenPrompt]);
+  });
+
+  it('stop the queue under the stop policy', async () => {
+    local.refusalSettings = { policy: 'stop', rewriteRules: '' };
+    page.reply.mockReturnValueOnce(REFUSAL);
+
+    await startQueue(['one', 'two']);
+    const state = await finishQueue();
+
+    expect(state).toMatchObject({ status: 'failed', error: 'Queue stopped because prompt 1 was refused.' });
+    expect(promptsSent()).toEqual(['one']);
+  });
+});
+
+describe('new chats', () => {
+  it('open before every Nth prompt in the tab', async () => {
+    local.runOptions = { newChatEvery: 2 };
+
+    await startQueue(['one', 'two', 'three']);
+    const state = await finishQueue();
+
+    expect(state.status).toBe('completed');
+    expect(chrome.tabs.update.mock.calls).toEqual([[TAB_ID, { url: NEW_CHAT_URL }], [TAB_ID, { url: NEW_CHAT_URL }]]);
+  });
+});
+
+describe('scheduled runs', () => {
+  async function schedule(pacing) {
+    const store = createSequenceStore({ primary: createChromeStorageBackend(chrome.storage.local) });
+    await store.save([{ id: 'foxes', name: 'Foxes', prompts: ['one', 'two'] }]);
+    const scheduled = buildScheduledRun(
+      { sequenceId: 'foxes', sequenceName: 'Foxes', startAt: new Date(Date.now() + 60 * MINUTE).toISOString(), pacing },
+      { createId: () => 'schedule-1' },
+    );
+    expect(await send({ type: 'SAVE_SCHEDULED_RUN', schedule: scheduled })).toMatchObject({ ok: true });
+    return scheduled;
+  }
+
+  async function fireAlarm(name) {
+    vi.setSystemTime(alarms.get(name).scheduledTime);
+    listeners.alarm.dispatch({ name });
+    await vi.advanceTimersByTimeAsync(0);
+  }
+
+  it('start with an alarm and space the prompts out by the pacing rule', async () => {
+    const { startAt } = await schedule({ minGapMinutes: 10 });
+    expect(alarms.get(scheduleAlarmName('schedule-1')).scheduledTime).toBe(Date.parse(startAt));
+
+    await fireAlarm(scheduleAlarmName('schedule-1'));
+    await vi.advanceTimersByTimeAsync(5 * MINUTE);
+    expect(promptsSent()).toEqual(['one']);
+    expect(await getState()).toMatchObject({ scheduleId: 'schedule-1', nextPromptAt: expect.any(String) });
+
+    const state = await finishQueue();
+    expect(state.status).toBe('completed');
+    expect(promptsSent()).toEqual(['one', 'two']);
+    const { schedules } = await send({ type: 'GET_SCHEDULED_RUNS' });
+    expect(schedules[0]).toMatchObject({ id: 'schedule-1', status: 'completed', runId: state.runId });
+  });
+
+  it('can be cancelled while waiting out the pacing rule', async () => {
+    await schedule({ minGapMinutes: 10 });
+    await fireAlarm(scheduleAlarmName('schedule-1'));
+    await vi.advanceTimersByTimeAsync(5 * MINUTE);
+
+    expect(await send({ type: 'CANCEL_PROMPT_QUEUE' })).toEqual({ ok: true });
+    const state = await finishQueue();
+
+    expect(state).toMatchObject({ status: 'cancelled', nextPromptAt: null });
+    expect(state.results.map((result) => result.status)).toEqual(['done', 'pending']);
+    expect(promptsSent()).toEqual(['one']);
+  });
+});
+
+describe('a worker restart', () => {
+  it('interrupts the run it was driving, dropping its waits', async () => {
+    const until = new Date(Date.now() + 10 * MINUTE).toISOString();
+    await startQueue(['one', 'two']);
+    await finishQueue();
+    session.promptQueueState = {
+      ...session.promptQueueState,
+      status: 'running',
+      finishedAt: null,
+      cooldown: { index: 1, attempt: 1, waitMs: 10 * MINUTE, waitSource: 'message', until },
+      throttle: { until, remaining: 0, limit: 40 },
+      nextPromptAt: until,
+    };
+
+    await startWorker();
+    const state = await getState();
+    expect(state).toMatchObject({ status: 'interrupted', cooldown: null, throttle: null, nextPromptAt: null });
+
+    await startQueue(['three']);
+    expect(promptsSent()).toEqual(['three']);
+  });
+});
@@ -0,0 +1,421 @@
+/**
+ * A stand-in for the ChatGPT page, for rehearsing sequences and checking selectors without
+ * spending the image quota. It renders a conversation with one of the composers
+ * `createUiAdapter` finds (a textarea, a Lexical or a ProseMirror contenteditable), swaps the
+ * send button for a stop button while a reply streams, and answers each prompt with images,
+ * text, a refusal, an error card or the image-limit message, after configurable delays.
+ *
+ * `simulator.html` shows it next to a settings panel and runs the content script in the
+ * page, so the queue can target it like a ChatGPT tab; `contentScript.test.js` drives the
+ * same page in jsdom.
+ */
+
+/**
+ * @typedef {'textarea' | 'lexical' | 'prosemirror'} SimulatorComposer
+ */
+
+/**
+ * @typedef {'images' | 'text' | 'refusal' | 'error' | 'cooldown'} SimulatorReply
+ */
+
+/**
+ * @typedef {object} SimulatorOptions
+ * @property {SimulatorComposer} composer
+ * @property {SimulatorReply[]} replies Taken in turn for each prompt, starting over at the end.
+ * @property {number} thinkMs Time between sending a prompt and the reply appearing.
+ * @property {number} streamMs How long the reply streams.
+ * @property {number} imageCount Images per image reply.
+ * @property {number} imageLimit Image replies before the limit message; 0 for no limit.
+ * @property {number} cooldownSeconds How long the limit lasts once reached.
+ */
+
+export const SIMULATOR_COMPOSERS = ['textarea', 'lexical', 'prosemirror'];
+
+export const SIMULATOR_REPLIES = ['images', 'text', 'refusal', 'error', 'cooldown'];
+
+/** @type {SimulatorOptions} */
+export const DEFAULT_SIMULATOR_OPTIONS = {
+  composer: 'textarea',
+  replies: ['images'],
+  thinkMs: 1000,
+  streamMs: 3000,
+  imageCount: 2,
+  imageLimit: 0,
+  cooldownSeconds: 60,
+};
+
+const NUMBER_LIMITS = {
+  thinkMs: [0, 60 * 1000],
+  streamMs: [0, 5 * 60 * 1000],
+  imageCount: [1, 4],
+  imageLimit: [0, 200],
+  cooldownSeconds: [1, 3600],
+};
+
+// What the reply says, worded so `promptOutcome.js` classifies it like the real thing.
+const REPLY_TEXT = {
+  text: 'Here is a description of the scene instead of an image, since no image was requested.',
+  refusal: 'I can’t create that image because it goes against our content policy.',
+  error: 'Something went wrong while generating the response.',
+};
+
+// How long an attached file shows as uploading.
+const UPLOAD_MS = 500;
+// Steps in which streamed text appears.
+const STREAM_STEPS = 10;
+// Where the image limit is kept, so like on ChatGPT it outlasts the conversation.
+const LIMIT_STORAGE_KEY = 'chatSimulatorLimit';
+
+/**
+ * Fills in defaults, clamps the numbers and drops unknown composers and replies.
+ *
+ * @param {Partial<SimulatorOptions> | null | undefined} candidate
+ * @returns {SimulatorOptions}
+ */
+export function normalizeSimulatorOptions(candidate) {
+  const options = { ...DEFAULT_SIMULATOR_OPTIONS };
+  if (SIMULATOR_COMPOSERS.includes(candidate?.composer)) {
+    options.composer = candidate.composer;
+  }
+  const replies = (Array.isArray(candidate?.replies) ? candidate.replies : [])
+    .filter((reply) => SIMULATOR_REPLIES.includes(reply));
+  if (replies.length) {
+    options.replies = replies;
+  }
+  for (const [key, [min, max]] of Object.entries(NUMBER_LIMITS)) {
+    const value = Number(candidate?.[key]);
+    if (candidate?.[key] !== undefined && candidate?.[key] !== '' && Number.isFinite(value)) {
+      options[key] = Math.min(max, Math.max(min, Math.round(value)));
+    }
+  }
+  return options;
+}
+
+/**
+ * Reads the options from the page's query string, e.g.
+ * `?composer=lexical&replies=images,refusal&thinkMs=200`.
+ *
+ * @param {string} search
+ * @returns {SimulatorOptions}
+ */
+export function parseSimulatorOptions(search) {
+  const params = new URLSearchParams(search);
+  const candidate = Object.fromEntries(params);
+  if (params.has('replies')) {
+    candidate.replies = params.get('replies').split(',').map((reply) => reply.trim());
+  }
+  return normalizeSimulatorOptions(candidate);
+}
+
+/**
+ * @param {SimulatorOptions} options
+ * @returns {string} The query string for the options that differ from the defaults, empty
+ *   when none do.
+ */
+export function formatSimulatorQuery(options) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(options)) {
+    const text = Array.isArray(value) ? value.join(',') : String(value);
+    const fallback = DEFAULT_SIMULATOR_OPTIONS[key];
+    if (text !== (Array.isArray(fallback) ? fallback.join(',') : String(fallback))) {
+      params.set(key, text);
+    }
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+function cooldownText(seconds) {
+  return `You’ve hit the image generation limit. Please try again in ${seconds} seconds.`;
+}
+
+function hashText(text) {
+  let hash = 0;
+  for (const character of text) {
+    hash = (hash * 31 + character.codePointAt(0)) % 360;
+  }
+  return hash;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"]/g, (character) => `&#${character.charCodeAt(0)};`);
+}
+
+/**
+ * A plain coloured square captioned with the prompt, as a data: URL.
+ */
+function createImageUrl(title, position) {
+  const hue = (hashText(title) + position * 47) % 360;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512">`
+    + `<rect width="512" height="512" fill="hsl(${hue} 55% 55%)"/>`
+    + `<text x="24" y="488" font-family="sans-serif" font-size="24" fill="white">${escapeXml(title)}</text>`
+    + '</svg>';
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+function readLimit(storage) {
+  try {
+    const stored = JSON.parse(storage?.getItem(LIMIT_STORAGE_KEY) ?? 'null');
+    return { imageReplies: Number(stored?.imageReplies) || 0, limitedUntil: Number(stored?.limitedUntil) || 0 };
+  } catch (error) {
+    return { imageReplies: 0, limitedUntil: 0 };
+  }
+}
+
+/**
+ * Renders the simulated conversation into `root`, replacing what it holds.
+ *
+ * @param {HTMLElement} root
+ * @param {Partial<SimulatorOptions>} [candidate]
+ * @param {{ now?: () => number, storage?: Storage }} [environment] `storage` keeps the
+ *   image limit across page loads, such as the new chats the queue opens.
+ */
+export function createChatSimulator(root, candidate, { now = () => Date.now(), storage } = {}) {
+  const options = normalizeSimulatorOptions(candidate);
+  const doc = root.ownerDocument;
+  const timers = new Set();
+  let replyCount = 0;
+  let { imageReplies, limitedUntil } = readLimit(storage);
+  let turnCount = 0;
+  // The reply in progress: `{ pending: true }` until it appears, then its turn, message
+  // element and kind.
+  let streaming = null;
+
+  function element(tag, attributes = {}, text = '') {
+    const node = doc.createElement(tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      node.setAttribute(name, value);
+    }
+    node.textContent = text;
+    return node;
+  }
+
+  function after(ms, callback) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      callback();
+    }, ms);
+    timers.add(timer);
+  }
+
+  function cancelTimers() {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  }
+
+  function createComposer() {
+    if (options.composer === 'textarea') {
+      return element('textarea', {
+        id: 'prompt-textarea',
+        'data-testid': 'prompt-textarea',
+        placeholder: 'Message ChatGPT',
+        rows: '2',
+      });
+    }
+    if (options.composer === 'lexical') {
+      return element('div', {
+        contenteditable: 'true',
+        'data-lexical-editor': 'true',
+        role: 'textbox',
+        'aria-label': 'Message ChatGPT',
+      });
+    }
+    return element('div', { id: 'prompt-textarea', class: 'ProseMirror', contenteditable: 'true', translate: 'no' });
+  }
+
+  const thread = element('div', { class: 'sim-thread' });
+  const form = element('form', { class: 'sim-composer', 'data-testid': 'composer-form' });
+  const attachmentList = element('div', { class: 'sim-attachments' });
+  const composer = createComposer();
+  const fileInput = element('input', { type: 'file', accept: 'image/*', multiple: '', hidden: '' });
+  const sendButton = element('button', { type: 'button', 'data-testid': 'send-button', 'aria-label': 'Send prompt' }, 'Send');
+  const stopButton = element('button', { type: 'button', 'data-testid': 'stop-button', 'aria-label': 'Stop streaming' }, 'Stop');
+  // Like ChatGPT, an empty composer shows the voice button where the send button goes.
+  const speechButton = element('button', { type: 'button', 'data-testid': 'composer-speech-button', 'aria-label': 'Start voice mode' }, 'Voice');
+  let actionButton = speechButton;
+  form.append(attachmentList, composer, actionButton, fileInput);
+  root.replaceChildren(thread, form);
+
+  function readComposer() {
+    return (composer.tagName === 'TEXTAREA' ? composer.value : composer.innerText ?? composer.textContent ?? '').trim();
+  }
+
+  function clearComposer() {
+    if (composer.tagName === 'TEXTAREA') {
+      composer.value = '';
+    } else {
+      composer.replaceChildren(element('p'));
+    }
+  }
+
+  function updateActionButton() {
+    let next = readComposer() ? sendButton : speechButton;
+    if (streaming) {
+      next = stopButton;
+    }
+    if (next !== actionButton) {
+      actionButton.replaceWith(next);
+      actionButton = next;
+    }
+  }
+
+  function addTurn(role, text = '') {
+    turnCount += 1;
+    const turn = element('article', { class: `sim-turn sim-turn--${role}`, 'data-testid': `conversation-turn-${turnCount}` });
+    const message = element('div', { class: 'sim-message', 'data-message-author-role': role }, text);
+    turn.appendChild(message);
+    thread.appendChild(turn);
+    turn.scrollIntoView?.({ block: 'end' });
+    return { turn, message };
+  }
+
+  /**
+   * Picks the next reply in turn. While the image limit lasts every prompt gets the limit
+   * message, and an image reply past `imageLimit` starts the limit instead of counting.
+   */
+  function takeReply() {
+    if (now() < limitedUntil) {
+      return 'cooldown';
+    }
+    let reply = options.replies[replyCount % options.replies.length];
+    if (reply === 'images' && options.imageLimit && imageReplies >= options.imageLimit) {
+      reply = 'cooldown';
+    } else {
+      replyCount += 1;
+    }
+    if (reply === 'images') {
+      imageReplies += 1;
+    } else if (reply === 'cooldown') {
+      imageReplies = 0;
+      limitedUntil = now() + options.cooldownSeconds * 1000;
+    }
+    storage?.setItem(LIMIT_STORAGE_KEY, JSON.stringify({ imageReplies, limitedUntil }));
+    return reply;
+  }
+
+  function finishStreaming() {
+    const { turn } = streaming;
+    turn.querySelectorAll('.sim-streaming').forEach((node) => node.remove());
+    turn.dataset.state = 'complete';
+    streaming = null;
+    updateActionButton();
+  }
+
+  function completeReply(prompt, reply) {
+    const { message } = streaming;
+    if (reply === 'images') {
+      const title = prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt;
+      const images = Array.from({ length: options.imageCount }, (_, position) => element('img', {
+        class: 'sim-image',
+        alt: `Generated image: ${title}`,
+        src: createImageUrl(title, position),
+        width: '256',
+        height: '256',
+      }));
+      message.replaceChildren(element('div', { class: 'sim-images' }));
+      message.firstChild.append(...images);
+    } else if (reply === 'error') {
+      message.replaceChildren(element('div', { class: 'text-token-text-error', role: 'alert' }, REPLY_TEXT.error));
+    } else {
+      message.textContent = reply === 'cooldown'
+        ? cooldownText(Math.max(1, Math.ceil((limitedUntil - now()) / 1000)))
+        : REPLY_TEXT[reply];
+    }
+    finishStreaming();
+  }
+
+  function startReply(prompt, reply) {
+    const { turn, message } = addTurn('assistant');
+    turn.dataset.state = 'streaming';
+    streaming = { turn, message, reply };
+    if (reply === 'images') {
+      message.appendChild(element('div', { class: 'sim-streaming sim-spinner', 'data-testid': 'image-generation-card-spinner' }, 'Creating image…'));
+    } else if (reply === 'text' || reply === 'refusal') {
+      // Streams the words in a few steps, like a reply being typed out.
+      const words = REPLY_TEXT[reply].split(' ');
+      const cursor = element('span', { class: 'sim-streaming sim-cursor', 'data-testid': 'result-streaming' });
+      const text = doc.createTextNode('');
+      message.append(text, cursor);
+      for (let step = 1; step < STREAM_STEPS; step += 1) {
+        after((options.streamMs * step) / STREAM_STEPS, () => {
+          text.data = words.slice(0, Math.ceil((words.length * step) / STREAM_STEPS)).join(' ');
+        });
+      }
+    }
+    after(options.streamMs, () => completeReply(prompt, reply));
+  }
+
+  function submit() {
+    const prompt = readComposer();
+    if (!prompt || streaming) {
+      return;
+    }
+    addTurn('user', prompt);
+    clearComposer();
+    attachmentList.replaceChildren();
+    const reply = takeReply();
+    // Until the reply appears there is only the wait to stop.
+    streaming = { pending: true };
+    updateActionButton();
+    after(options.thinkMs, () => startReply(prompt, reply));
+  }
+
+  /**
+   * Stops the reply where it is, keeping the text streamed so far.
+   */
+  function stop() {
+    if (!streaming) {
+      return;
+    }
+    cancelTimers();
+    if (streaming.pending) {
+      streaming = null;
+      updateActionButton();
+      return;
+    }
+    streaming.message.querySelector('.sim-spinner')?.replaceWith(element('p', {}, 'Image creation stopped.'));
+    finishStreaming();
+  }
+
+  function attachFiles(files) {
+    for (const file of files) {
+      const tile = element('div', { class: 'sim-attachment', 'data-testid': 'attachment-tile' }, file.name);
+      const progress = element('span', { role: 'progressbar', 'aria-label': `Uploading ${file.name}` });
+      tile.appendChild(progress);
+      attachmentList.appendChild(tile);
+      after(UPLOAD_MS, () => progress.remove());
+    }
+  }
+
+  composer.addEventListener('input', updateActionButton);
+  composer.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      submit();
+    }
+  });
+  sendButton.addEventListener('click', submit);
+  stopButton.addEventListener('click', stop);
+  fileInput.addEventListener('change', () => attachFiles(fileInput.files ?? []));
+  form.addEventListener('submit', (event) => event.preventDefault());
+  clearComposer();
+
+  return {
+    options,
+
+    /**
+     * Starts a new conversation, dropping any reply in progress. The image limit stays.
+     */
+    clear() {
+      cancelTimers();
+      streaming = null;
+      thread.replaceChildren();
+      updateActionButton();
+    },
+
+    destroy() {
+      cancelTimers();
+      root.replaceChildren();
+    },
+  };
+}
@@ -0,0 +1,68 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  DEFAULT_SIMULATOR_OPTIONS,
+  createChatSimulator,
+  formatSimulatorQuery,
+  normalizeSimulatorOptions,
+  parseSimulatorOptions,
+} from './chatSimulator.js';
+
+describe('parseSimulatorOptions', () => {
+  it('reads the query string, clamping numbers and dropping unknown values', () => {
+    expect(parseSimulatorOptions('?composer=lexical&replies=images, refusal,poem&thinkMs=-5&imageCount=9')).toEqual({
+      ...DEFAULT_SIMULATOR_OPTIONS,
+      composer: 'lexical',
+      replies: ['images', 'refusal'],
+      thinkMs: 0,
+      imageCount: 4,
+    });
+    expect(parseSimulatorOptions('?composer=quill&replies=&streamMs=soon')).toEqual(DEFAULT_SIMULATOR_OPTIONS);
+  });
+
+  it('round-trips what formatSimulatorQuery writes', () => {
+    const options = normalizeSimulatorOptions({ composer: 'prosemirror', replies: ['text', 'cooldown'], imageLimit: 3 });
+
+    expect(formatSimulatorQuery(options)).toBe('?composer=prosemirror&replies=text%2Ccooldown&imageLimit=3');
+    expect(parseSimulatorOptions(formatSimulatorQuery(options))).toEqual(options);
+    expect(formatSimulatorQuery(DEFAULT_SIMULATOR_OPTIONS)).toBe('');
+  });
+});
+
+describe('createChatSimulator', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.replaceChildren();
+  });
+
+  function prompt(text) {
+    const composer = document.querySelector('textarea');
+    composer.value = text;
+    composer.dispatchEvent(new Event('input', { bubbles: true }));
+    document.querySelector('[data-testid="send-button"]').click();
+  }
+
+  it('keeps the image limit in storage across page loads', async () => {
+    vi.useFakeTimers();
+    const stored = new Map();
+    const storage = { getItem: (key) => stored.get(key) ?? null, setItem: (key, value) => stored.set(key, value) };
+    const options = { thinkMs: 0, streamMs: 0, imageLimit: 1, cooldownSeconds: 30 };
+
+    createChatSimulator(document.body, options, { storage });
+    prompt('first');
+    await vi.advanceTimersByTimeAsync(10);
+    expect(document.querySelectorAll('img')).toHaveLength(2);
+
+    createChatSimulator(document.body, options, { storage });
+    prompt('second');
+    await vi.advanceTimersByTimeAsync(10);
+    expect(document.querySelector('[data-message-author-role="assistant"]').textContent)
+      .toBe('You’ve hit the image generation limit. Please try again in 30 seconds.');
+
+    await vi.advanceTimersByTimeAsync(30 * 1000);
+    createChatSimulator(document.body, options, { storage });
+    prompt('third');
+    await vi.advanceTimersByTimeAsync(10);
+    expect(document.querySelectorAll('img')).toHaveLength(2);
+  });
+});
@@ -1,6 +1,40 @@
 let isProcessing = false;
+let activeController = null;
+// Page adapter built from the selectors in the latest command from the background worker.
+let ui = null;
+// Step timeouts from the run options; each message from the background worker replaces them.
+let timeouts = { composerMs: 5000, sendButtonMs: 2000, uploadMs: 60 * 1000, replyMs: 5 * 60 * 1000 };
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+function configureUi(selectors, stepTimeouts) {
+  if (stepTimeouts) {
+    timeouts = { ...timeouts, ...stepTimeouts };
+  }
+  if (selectors) {
+    ui = createUiAdapter(selectors);
+  }
+  if (!ui) {
+    throw new Error('The page selectors were not provided. Reload the extension and try again.');
+  }
+  return ui;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
 function notify(text) {
   try {
@@ -13,137 +47,10 @@ function notify(text) {
   }
 }
 
-function getComposer() {
-  const selectors = [
-    'textarea[data-testid="prompt-text-input"]',
-    'textarea[data-testid="prompt-textarea"]',
-    'textarea[data-testid="textbox"]',
-    'div[data-testid="prompt-textarea"] textarea',
-    'div[data-testid="prompt-textarea"] [contenteditable="true"]',
-    'div[data-testid="prompt-editor"] textarea',
-    'div[data-testid="prompt-editor"] [contenteditable="true"]',
-    'div[data-testid="composer-textarea"] textarea',
-    'div[data-testid="composer-textarea"] [contenteditable="true"]',
-    'div[role="textbox"][data-testid="prompt-textarea"]',
-    'div[role="textbox"][aria-label*="Describe" i]',
-    'div[role="textbox"][aria-label*="want to see" i]',
-    'textarea[data-id="root"]',
-    'div[data-id="root"] textarea',
-    'div[contenteditable="true"][data-id="root"]',
-    'div[data-lexical-editor="true"][contenteditable="true"]',
-    'textarea[placeholder*="Message" i]',
-    'textarea[placeholder*="Describe" i]',
-    'textarea[placeholder*="Create" i]',
-    'textarea[data-testid*="composer"]',
-    'textarea[data-testid*="prompt"]',
-    'textarea[data-testid*="message"]',
-    'div[contenteditable="true"][data-testid*="composer"]',
-    'div[contenteditable="true"][data-testid*="prompt"]',
-    'div[contenteditable="true"][data-testid*="message"]',
-    'div[role="textbox"][data-testid*="composer"]',
-    'div[role="textbox"][data-testid*="prompt"]',
-    'div[role="textbox"][data-testid*="message"]',
-    'div[contenteditable="true"]',
-    'textarea'
-  ];
-  for (const selector of selectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      if (el.matches('[contenteditable="true"]')) {
-        return el;
-      }
-      const nestedEditable = el.querySelector?.('[contenteditable="true"]');
-      if (nestedEditable) {
-        return nestedEditable;
-      }
-      if (el.matches('textarea, input')) {
-        return el;
-      }
-      const nestedTextarea = el.querySelector?.('textarea');
-      if (nestedTextarea) {
-        return nestedTextarea;
-      }
-    }
-  }
-  return null;
-}
-
-function isVisible(element) {
-  if (!element) return false;
-  const style = window.getComputedStyle(element);
-  if (style.visibility === 'hidden' || style.display === 'none') {
-    return false;
-  }
-  const rect = element.getBoundingClientRect();
-  return rect.width > 0 && rect.height > 0;
-}
-
-function isStopButton(button) {
-  if (!button) return false;
-  const ariaLabel = button.getAttribute('aria-label')?.toLowerCase() || '';
-  const dataTestId = button.getAttribute('data-testid')?.toLowerCase() || '';
-  const text = button.textContent?.trim().toLowerCase() || '';
-  if (ariaLabel.includes('stop') || ariaLabel.includes('cancel')) return true;
-  if (dataTestId.includes('stop') || dataTestId.includes('cancel')) return true;
-  if (text.includes('stop') || text.includes('cancel')) return true;
-  return false;
-}
-
-function getSendButton(options = {}) {
-  const { includeDisabled = false } = options;
-  const selectors = [
-    'button[data-testid="send-button"]',
-    'button[data-testid="send"]',
-    'button[data-testid="composer-send-button"]',
-    'button[data-testid="prompt-send-button"]',
-    'button[data-testid="prompt-submit-button"]',
-    'button[data-testid="prompt-submit"]',
-    'button[data-testid*="composer"]',
-    'button[data-testid*="prompt"]',
-    'button[data-testid*="generate"]',
-    'button[data-testid*="submit"]',
-    'button[aria-label*="Send" i]',
-    'button[aria-label*="submit" i]',
-    'button[aria-label*="Generate" i]',
-    'form button[type="submit"]'
-  ];
-  for (const selector of selectors) {
-    const buttons = Array.from(document.querySelectorAll(selector));
-    const visibleButton = buttons.find((button) => {
-      if (!isVisible(button)) return false;
-      if (isStopButton(button)) return false;
-      if (!includeDisabled) {
-        if (button.disabled) return false;
-        if (button.getAttribute('aria-disabled') === 'true') return false;
-      }
-      return true;
-    });
-    if (visibleButton) {
-      return visibleButton;
-    }
-  }
-
-  const textMatches = ['send', 'generate', 'create', 'submit'];
-  const allButtons = Array.from(document.querySelectorAll('button'));
-  for (const button of allButtons) {
-    if (!isVisible(button)) continue;
-    if (isStopButton(button)) continue;
-    if (!includeDisabled) {
-      if (button.disabled || button.getAttribute('aria-disabled') === 'true') continue;
-    }
-    const text = button.textContent?.trim().toLowerCase() || '';
-    if (textMatches.some((match) => text.includes(match))) {
-      return button;
-    }
-  }
-
-  return null;
-}
-
-async function waitForSendButton(timeoutMs = 2000) {
+async function waitForSendButton(timeoutMs = timeouts.sendButtonMs) {
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
-    const button = getSendButton();
+    const button = ui.getSendButton();
     if (button) {
       return button;
     }
@@ -168,10 +75,10 @@ function dispatchEnter(composer) {
   }
 }
 
-async function ensureComposer() {
-  const maxAttempts = 10;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const composer = getComposer();
+async function ensureComposer(timeoutMs = timeouts.composerMs) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const composer = ui.getComposer();
     if (composer) {
       return composer;
     }
@@ -280,8 +187,56 @@ function setComposerValue(composer, prompt) {
   composer.dispatchEvent(new Event('change', { bubbles: true }));
 }
 
-async function sendPrompt(prompt) {
+/**
+ * @param {{ name: string, type: string, data: string }} attachment Base64 image data from the background worker.
+ */
+function toFile(attachment) {
+  const binary = atob(attachment.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let position = 0; position < binary.length; position += 1) {
+    bytes[position] = binary.charCodeAt(position);
+  }
+  return new File([bytes], attachment.name, { type: attachment.type });
+}
+
+/**
+ * Hands the reference images to the composer through its file input, or by a simulated
+ * drop when no file input is found, then waits until ChatGPT shows them and has finished
+ * uploading.
+ */
+async function attachImages(composer, attachments, signal) {
+  const previewsBefore = ui.countAttachmentPreviews();
+  const transfer = new DataTransfer();
+  for (const attachment of attachments) {
+    transfer.items.add(toFile(attachment));
+  }
+
+  const fileInput = ui.getFileInput();
+  if (fileInput) {
+    fileInput.files = transfer.files;
+    fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+  } else {
+    for (const type of ['dragenter', 'dragover', 'drop']) {
+      composer.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer: transfer }));
+    }
+  }
+
+  await observeUntil(
+    () => (ui.countAttachmentPreviews() >= previewsBefore + attachments.length && !ui.isUploading() ? true : undefined),
+    {
+      settleMs: 500,
+      timeoutMs: timeouts.uploadMs,
+      timeoutMessage: 'The reference images did not finish uploading. Check the attachment selectors in Settings.',
+      signal,
+    },
+  );
+}
+
+async function sendPrompt(prompt, attachments, signal) {
   const composer = await ensureComposer();
+  if (attachments.length) {
+    await attachImages(composer, attachments, signal);
+  }
   composer.focus();
   setComposerValue(composer, prompt);
   await sleep(150);
@@ -300,64 +255,305 @@ async function sendPrompt(prompt) {
   throw new Error('Send button not found. The ChatGPT UI might have changed.');
 }
 
-function isStreaming() {
-  const streamingTurn = document.querySelector('[data-testid="conversation-turn"][data-state="streaming"]');
-  if (streamingTurn) return true;
-  const spinner = document.querySelector('[data-testid="result-streaming"], [data-testid="response-loader"], [data-testid="image-generator-loading"], [data-testid="image-generation-card-spinner"]');
-  if (spinner) return true;
-  const stopButton = document.querySelector('button[data-testid*="stop" i], button[data-testid*="cancel" i], button[aria-label*="Stop" i], button[aria-label*="Cancel" i]');
-  if (stopButton && isVisible(stopButton)) return true;
-  const sendButton = getSendButton({ includeDisabled: true });
-  if (sendButton && (sendButton.disabled || sendButton.getAttribute('aria-disabled') === 'true')) return true;
-  return false;
+function stopGenerating() {
+  const stopButton = ui?.getStopButton();
+  if (stopButton) {
+    stopButton.click();
+  }
 }
 
-async function waitForCompletion(timeoutMs = 5 * 60 * 1000) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    if (!isStreaming()) {
-      await sleep(500);
-      if (!isStreaming()) {
-        return;
+// Attributes that change when a reply streams in or an image finishes loading.
+const TURN_MUTATIONS = {
+  childList: true,
+  subtree: true,
+  characterData: true,
+  attributes: true,
+  attributeFilter: ['src', 'data-state', 'aria-busy', 'disabled'],
+};
+
+/**
+ * Resolves with the first value `evaluate` returns other than `undefined`. It is evaluated
+ * once the observed node has had no mutations for `settleMs`, and again every `settleMs`
+ * while it stays quiet, so changes outside the node (like the stop button disappearing)
+ * are still picked up. `getTarget` is re-read on every mutation and evaluation, which lets
+ * the observer move to a turn that only appears after the prompt was sent.
+ */
+function observeUntil(evaluate, { getTarget = () => document.body, settleMs = 1000, timeoutMs, timeoutMessage, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    let target = null;
+    let settleTimer = null;
+
+    const retarget = () => {
+      const next = getTarget() ?? document.body;
+      if (next !== target) {
+        target = next;
+        observer.disconnect();
+        observer.observe(target, TURN_MUTATIONS);
+      }
+    };
+    const schedule = () => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(check, settleMs);
+    };
+    const finish = (error, value) => {
+      observer.disconnect();
+      clearTimeout(settleTimer);
+      clearTimeout(deadline);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    const check = () => {
+      retarget();
+      const value = evaluate();
+      if (value === undefined) {
+        schedule();
+      } else {
+        finish(null, value);
+      }
+    };
+    const onAbort = () => finish(signal.reason);
+
+    const observer = new MutationObserver(() => {
+      retarget();
+      schedule();
+    });
+    const deadline = setTimeout(() => finish(new Error(timeoutMessage)), timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    retarget();
+    schedule();
+  });
+}
+
+function waitUntilIdle(signal, timeoutMs = timeouts.replyMs) {
+  return observeUntil(() => (ui.isStreaming() ? undefined : true), {
+    settleMs: 500,
+    timeoutMs,
+    timeoutMessage: 'Timed out while waiting for the previous reply to finish.',
+    signal,
+  });
+}
+
+function getNewTurn(turnsBefore) {
+  const turns = ui.getAssistantTurns();
+  return turns.length > turnsBefore ? ui.getTurnContainer(turns[turns.length - 1]) : null;
+}
+
+/**
+ * Watches the reply to the prompt just sent until it settles, then reports what it holds.
+ * Before the reply's turn appears only an error card can end the wait. Only cards in the
+ * new turn count, or before it appears, cards that were not on the page when the prompt
+ * was sent (`staleErrorCards`): an error left over from an earlier prompt says nothing
+ * about this one.
+ */
+function waitForReply(turnsBefore, staleErrorCards, signal, timeoutMs = timeouts.replyMs) {
+  return observeUntil(() => {
+    if (ui.isStreaming()) return undefined;
+    const turn = getNewTurn(turnsBefore);
+    const errorText = ui.getErrorText({ root: turn ?? document, ignore: staleErrorCards });
+    if (!turn && !errorText) return undefined;
+    const images = turn ? collectGeneratedImages(turnsBefore) : [];
+    return {
+      reply: turn ? getLatestAssistantText() : '',
+      images: images.map((image) => image.src),
+      imageTitles: images.map((image) => image.title).filter(Boolean),
+      errorText,
+      errorInTurn: Boolean(turn && errorText),
+    };
+  }, {
+    getTarget: () => getNewTurn(turnsBefore),
+    settleMs: 1500,
+    timeoutMs,
+    timeoutMessage: 'Timed out while waiting for DALL-E to finish.',
+    signal,
+  });
+}
+
+function getLatestAssistantText() {
+  const turns = ui.getAssistantTurns();
+  const latest = turns[turns.length - 1];
+  return (latest?.innerText || latest?.textContent || '').trim();
+}
+
+/**
+ * Lists the images generated since `turnsBefore` with their titles, taken from the alt text
+ * without ChatGPT's "Generated image:" label.
+ */
+function collectGeneratedImages(turnsBefore) {
+  const turns = ui.getAssistantTurns().slice(turnsBefore);
+  const images = new Map();
+  for (const turn of turns) {
+    for (const image of ui.getTurnContainer(turn).querySelectorAll('img')) {
+      const src = image.currentSrc || image.src;
+      if (!src || images.has(src)) continue;
+      // Skip avatars and icons; generated images are labelled or at least 256px wide.
+      const looksGenerated = /generated/i.test(image.alt || '')
+        || (image.naturalWidth >= 256 && image.naturalHeight >= 256);
+      if (looksGenerated) {
+        const title = (image.alt || image.title || '').replace(/^generated image\s*[:–-]?\s*/i, '').trim();
+        images.set(src, { src, title });
       }
     }
-    await sleep(1000);
   }
-  throw new Error('Timed out while waiting for DALL-E to finish.');
+  return Array.from(images.values());
+}
+
+/**
+ * blob: URLs only exist inside this page, so the worker gets a data: URL to download
+ * instead. An image that cannot be read keeps its URL, and only its download fails.
+ */
+async function toDownloadableUrl(src) {
+  if (!src.startsWith('blob:')) {
+    return src;
+  }
+  try {
+    const blob = await (await fetch(src)).blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.warn(`Could not read ${src} for its download.`, error);
+    return src;
+  }
+}
+
+function startHeartbeat(intervalMs = 20000) {
+  // Image generations can take minutes without any other message reaching the background
+  // worker, which would otherwise be shut down as idle and lose the queue.
+  const timer = setInterval(() => {
+    try {
+      chrome.runtime.sendMessage({ type: 'QUEUE_HEARTBEAT' }, () => {
+        void chrome.runtime.lastError;
+      });
+    } catch (error) {
+      // Ignore; the next prompt will wake the worker again.
+    }
+  }, intervalMs);
+  return () => clearInterval(timer);
 }
 
-async function processPrompts(prompts) {
+async function prepareQueue(signal) {
+  await ensureComposer();
+  await waitUntilIdle(signal);
+}
+
+/**
+ * Sends one prompt and returns what the reply contained. The background worker classifies
+ * it (images, text, refusal, error or cooldown) and decides what to do next.
+ *
+ * With `downloadImages`, the result also carries `downloadUrls`: the images as URLs the
+ * worker can download. They are only built then, as they can run to megabytes.
+ */
+async function processPrompt(prompt, attachments, index, total, downloadImages, signal) {
   isProcessing = true;
+  const stopHeartbeat = startHeartbeat();
   try {
-    await ensureComposer();
-    await waitForCompletion();
-    for (let index = 0; index < prompts.length; index++) {
-      const prompt = prompts[index];
-      notify(`(${index + 1}/${prompts.length}) Sending prompt...`);
-      await sendPrompt(prompt);
-      notify(`(${index + 1}/${prompts.length}) Waiting for completion...`);
-      await waitForCompletion();
-      notify(`(${index + 1}/${prompts.length}) Done.`);
-      await sleep(500);
+    const turnsBefore = ui.getAssistantTurns().length;
+    const staleErrorCards = ui.getErrorCards();
+    if (attachments.length) {
+      notify(`(${index + 1}/${total}) Uploading ${attachments.length} reference image(s)...`);
+    }
+    notify(`(${index + 1}/${total}) Sending prompt...`);
+    await sendPrompt(prompt, attachments, signal);
+    signal.throwIfAborted();
+    notify(`(${index + 1}/${total}) Waiting for the reply...`);
+    const observation = await waitForReply(turnsBefore, staleErrorCards, signal);
+    if (!downloadImages) {
+      return observation;
     }
+    const downloadUrls = await Promise.all(observation.images.map(toDownloadableUrl));
+    return { ...observation, downloadUrls };
   } finally {
+    stopHeartbeat();
     isProcessing = false;
   }
 }
 
+/**
+ * Commands come from the background worker, which has no tab. In the simulator, an
+ * extension page, this script also receives what the settings and gallery tabs send to the
+ * worker, which it must leave alone.
+ */
+function isFromWorker(sender) {
+  return !sender?.tab;
+}
+
+function respondWith(run, sendResponse) {
+  const controller = new AbortController();
+  activeController = controller;
+  run(controller.signal)
+    .then((result) => sendResponse({ ok: true, ...result }))
+    .catch((error) => {
+      if (controller.signal.aborted) {
+        sendResponse({ aborted: true });
+        return;
+      }
+      sendResponse({ error: error.message });
+    })
+    .finally(() => {
+      if (activeController === controller) {
+        activeController = null;
+      }
+    });
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message?.type === 'START_PROMPT_QUEUE') {
+  if (!isFromWorker(sender)) {
+    return undefined;
+  }
+  if (message?.type === 'PREPARE_PROMPT_QUEUE') {
+    respondWith(async (signal) => {
+      configureUi(message.selectors, message.timeouts);
+      return prepareQueue(signal);
+    }, sendResponse);
+    return true;
+  }
+  if (message?.type === 'DIAGNOSE_UI') {
+    try {
+      sendResponse({ ok: true, report: configureUi(message.selectors).diagnose() });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+    return;
+  }
+  if (message?.type === 'RUN_PROMPT') {
     if (isProcessing) {
-      sendResponse({ error: 'A prompt queue is already running.' });
+      sendResponse({ error: 'A prompt is already being processed in this tab.' });
       return;
     }
-    processPrompts(message.prompts)
-      .then(() => sendResponse({ ok: true }))
-      .catch((error) => {
-        notify(`Error: ${error.message}`);
-        sendResponse({ error: error.message });
-      });
+    respondWith(
+      async (signal) => {
+        configureUi(message.selectors, message.timeouts);
+        return processPrompt(
+          message.prompt,
+          message.attachments ?? [],
+          message.index,
+          message.total,
+          Boolean(message.downloadImages),
+          signal,
+        );
+      },
+      sendResponse,
+    );
     return true;
   }
+  if (message?.type === 'ABORT_PROMPT') {
+    if (message.stopGeneration) {
+      stopGenerating();
+    }
+    activeController?.abort();
+    sendResponse({ ok: true });
+    return;
+  }
   return undefined;
 });
@@ -0,0 +1,204 @@
+// @vitest-environment jsdom
+import { readFileSync } from 'node:fs';
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createChatSimulator } from './chatSimulator.js';
+import { classifyPromptOutcome } from './promptOutcome.js';
+import { DEFAULT_UI_SELECTORS } from './uiSelectors.js';
+
+const TIMEOUTS = { composerMs: 1000, sendButtonMs: 1000, uploadMs: 5000, replyMs: 60 * 1000 };
+const WORKER = { id: 'extension-id' };
+
+let listener = null;
+let simulator = null;
+
+// The content script is a classic script that expects `createUiAdapter` and `chrome` as
+// globals, so both files run in the page's global scope, as in a tab.
+beforeAll(() => {
+  globalThis.chrome = {
+    runtime: {
+      lastError: undefined,
+      sendMessage: vi.fn(),
+      onMessage: { addListener: (callback) => { listener = callback; } },
+    },
+  };
+  const source = ['uiAdapter.js', 'contentScript.js']
+    .map((file) => readFileSync(new URL(file, import.meta.url), 'utf8'))
+    .join('\n');
+  (0, eval)(source);
+  // jsdom does no layout, and the adapter skips elements without a size.
+  vi.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ width: 100, height: 20, top: 0, left: 0, right: 100, bottom: 20 });
+});
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  simulator?.destroy();
+  vi.useRealTimers();
+});
+
+function mount(options) {
+  simulator = createChatSimulator(document.body, { thinkMs: 200, streamMs: 1000, ...options });
+}
+
+function send(message, sender = WORKER) {
+  return new Promise((resolve) => {
+    listener({ selectors: DEFAULT_UI_SELECTORS, timeouts: TIMEOUTS, ...message }, sender, resolve);
+  });
+}
+
+async function runPrompt(prompt) {
+  const response = send({ type: 'RUN_PROMPT', prompt, attachments: [], index: 0, total: 1 });
+  await vi.advanceTimersByTimeAsync(10 * 1000);
+  return response;
+}
+
+describe.each([
+  ['textarea', 'textarea[data-testid="prompt-textarea"]'],
+  ['lexical', 'div[data-lexical-editor="true"][contenteditable="true"]'],
+  ['prosemirror', 'div[contenteditable="true"]'],
+])('with the %s composer', (composer, selector) => {
+  it('finds the composer and collects the generated images', async () => {
+    mount({ composer, imageCount: 2 });
+
+    const { report } = await send({ type: 'DIAGNOSE_UI' });
+    expect(report.roles.find((role) => role.role === 'composer').matchedSelector).toBe(selector);
+
+    const response = await runPrompt('a red fox in the snow');
+    expect(response).toMatchObject({ ok: true, imageTitles: ['a red fox in the snow', 'a red fox in the snow'] });
+    expect(response.images).toHaveLength(2);
+    expect(classifyPromptOutcome(response).type).toBe('images');
+    expect(document.querySelector('[data-message-author-role="user"]').textContent).toBe('a red fox in the snow');
+  });
+});
+
+describe('replies', () => {
+  it('are classified like the ChatGPT replies they stand in for', async () => {
+    mount({ replies: ['text', 'refusal', 'error', 'cooldown'], cooldownSeconds: 45 });
+
+    const outcomes = [];
+    for (const prompt of ['one', 'two', 'three', 'four']) {
+      outcomes.push(classifyPromptOutcome(await runPrompt(prompt)));
+    }
+
+    expect(outcomes.map((outcome) => outcome.type)).toEqual(['text', 'refusal', 'error', 'cooldown']);
+    expect(outcomes[3].message).toMatch(/try again in 4\d seconds/);
+  });
+
+  it('are not mistaken for the error card of an earlier prompt', async () => {
+    mount({ replies: ['error', 'text'] });
+
+    const failed = await runPrompt('one');
+    expect(failed.errorInTurn).toBe(true);
+    expect(classifyPromptOutcome(failed).type).toBe('error');
+    const response = await runPrompt('two');
+    expect(response.errorText).toBe('');
+    expect(classifyPromptOutcome(response).type).toBe('text');
+  });
+
+  it('hit the image limit after the configured number of image replies', async () => {
+    mount({ imageLimit: 1, cooldownSeconds: 30 });
+
+    expect(classifyPromptOutcome(await runPrompt('first')).type).toBe('images');
+    expect(classifyPromptOutcome(await runPrompt('second')).type).toBe('cooldown');
+    await vi.advanceTimersByTimeAsync(30 * 1000);
+    expect(classifyPromptOutcome(await runPrompt('second')).type).toBe('images');
+  });
+});
+
+describe('images for download', () => {
+  let observer = null;
+
+  // Some of ChatGPT's images are blob: URLs, which only the page can read.
+  beforeEach(() => {
+    let count = 0;
+    observer = new MutationObserver(() => {
+      for (const image of document.querySelectorAll('img[src^="data:"]')) {
+        image.src = `blob:https://chatgpt.com/${count++}`;
+      }
+    });
+    observer.observe(document.body, { subtree: true, childList: true });
+  });
+
+  afterEach(() => {
+    observer.disconnect();
+    vi.unstubAllGlobals();
+  });
+
+  function runDownloadingPrompt(prompt) {
+    const response = send({ type: 'RUN_PROMPT', prompt, attachments: [], index: 0, total: 1, downloadImages: true });
+    return vi.advanceTimersByTimeAsync(10 * 1000).then(() => response);
+  }
+
+  it('are only read when the worker downloads them', async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal('fetch', fetch);
+    mount({ imageCount: 1 });
+
+    const response = await runPrompt('a red fox');
+    expect(response.images).toEqual(['blob:https://chatgpt.com/0']);
+    expect(response).not.toHaveProperty('downloadUrls');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('are handed over as data: URLs', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ blob: async () => new Blob(['png'], { type: 'image/png' }) }));
+    mount({ imageCount: 1 });
+
+    const response = await runDownloadingPrompt('a red fox');
+    expect(response.images).toEqual(['blob:https://chatgpt.com/0']);
+    expect(response.downloadUrls).toEqual(['data:image/png;base64,cG5n']);
+  });
+
+  it('keep their URL when they cannot be read', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    mount({ imageCount: 1 });
+
+    const response = await runDownloadingPrompt('a red fox');
+    expect(response).toMatchObject({ ok: true, downloadUrls: ['blob:https://chatgpt.com/0'] });
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('PREPARE_PROMPT_QUEUE', () => {
+  it('waits for the previous reply no longer than the reply timeout', async () => {
+    mount({ streamMs: 60 * 1000 });
+    // A reply the user started themselves is still streaming.
+    const composer = document.querySelector('textarea');
+    composer.value = 'a slow fox';
+    composer.dispatchEvent(new Event('input', { bubbles: true }));
+    document.querySelector('[data-testid="send-button"]').click();
+
+    const prepared = send({ type: 'PREPARE_PROMPT_QUEUE', timeouts: { ...TIMEOUTS, replyMs: 5000 } });
+    await vi.advanceTimersByTimeAsync(6000);
+    expect(await prepared).toEqual({ error: 'Timed out while waiting for the previous reply to finish.' });
+  });
+});
+
+describe('ABORT_PROMPT', () => {
+  it('stops the reply in the page', async () => {
+    mount({ streamMs: 30 * 1000 });
+
+    const response = send({ type: 'RUN_PROMPT', prompt: 'a slow fox', attachments: [], index: 0, total: 1 });
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(document.querySelector('[data-testid="stop-button"]')).not.toBeNull();
+
+    await send({ type: 'ABORT_PROMPT', stopGeneration: true });
+    expect(await response).toEqual({ aborted: true });
+    expect(document.querySelector('[data-testid="stop-button"]')).toBeNull();
+    expect(document.querySelector('[data-testid="composer-speech-button"]')).not.toBeNull();
+  });
+});
+
+describe('messages from other tabs', () => {
+  it('are left to the background worker', () => {
+    mount();
+    const sendResponse = vi.fn();
+
+    expect(listener({ type: 'DIAGNOSE_UI', tabId: 7 }, { id: 'extension-id', tab: { id: 3 } }, sendResponse)).toBeUndefined();
+    expect(sendResponse).not.toHaveBeenCalled();
+  });
+});
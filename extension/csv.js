@@ -0,0 +1,67 @@
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {unknown[][]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return `${rows.map((row) => row.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Parses RFC 4180 CSV: quoted cells may contain commas, quotes ("") and line breaks.
+ * Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let position = 0; position < source.length; position++) {
+    const char = source[position];
+    if (quoted) {
+      if (char === '"' && source[position + 1] === '"') {
+        cell += '"';
+        position++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[position + 1] === '\n') {
+        position++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    endRow();
+  }
+  return rows;
+}
@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv, toCsv } from './csv.js';
+
+describe('csv', () => {
+  it('round-trips quotes, commas and line breaks', () => {
+    const rows = [['name', 'prompt'], ['Fox', 'a "neon", fox\non two lines'], ['', null]];
+    const csv = toCsv(rows);
+
+    expect(csv).toBe('name,prompt\r\nFox,"a ""neon"", fox\non two lines"\r\n,\r\n');
+    expect(parseCsv(csv)).toEqual([['name', 'prompt'], ['Fox', 'a "neon", fox\non two lines'], ['', '']]);
+  });
+
+  it('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa,b\n\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+});
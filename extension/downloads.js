@@ -0,0 +1,109 @@
+export const DOWNLOAD_SETTINGS_KEY = 'downloadSettings';
+
+export const DEFAULT_FILENAME_TEMPLATE = '{sequence}/{index}-{prompt-slug}-{n}.png';
+
+export const DEFAULT_DOWNLOAD_SETTINGS = {
+  enabled: false,
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  writeSidecar: false,
+};
+
+const UNSAFE_FILENAME_CHARS = /[<>:"\\|?*\u0000-\u001f]/g;
+
+/**
+ * Lowercases the text and collapses everything but letters and digits into single dashes.
+ *
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function slugify(text, maxLength = 48) {
+  const slug = String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug.slice(0, maxLength).replace(/-+$/, '') || 'untitled';
+}
+
+function sanitizeSegment(segment) {
+  return segment
+    .replace(UNSAFE_FILENAME_CHARS, '_')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 120);
+}
+
+/**
+ * Renders a download path from a template such as `{sequence}/{index}-{prompt-slug}-{n}.png`.
+ * Supported tokens: `{sequence}`, `{index}` (1-based, zero-padded to the queue length),
+ * `{prompt-slug}`, `{n}` (image number within the prompt), `{date}` and `{time}`.
+ * Unknown tokens are left as-is. Every path segment is sanitized for `chrome.downloads`,
+ * which rejects absolute paths, `..` and characters that are invalid on Windows.
+ *
+ * @param {string} template
+ * @param {{ sequenceName?: string, index: number, total: number, prompt: string, imageNumber: number, date?: Date }} context
+ * @returns {string}
+ */
+export function renderFilename(template, context) {
+  const { sequenceName, index, total, prompt, imageNumber, date = new Date() } = context;
+  const pad = (value, width) => String(value).padStart(width, '0');
+  const values = {
+    sequence: slugify(sequenceName || 'prompt-queue'),
+    index: pad(index + 1, Math.max(3, String(total).length)),
+    'prompt-slug': slugify(prompt),
+    n: String(imageNumber),
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1, 2)}-${pad(date.getDate(), 2)}`,
+    time: `${pad(date.getHours(), 2)}${pad(date.getMinutes(), 2)}${pad(date.getSeconds(), 2)}`,
+  };
+
+  const rendered = (template || DEFAULT_FILENAME_TEMPLATE).replace(
+    /\{([a-z-]+)\}/gi,
+    (token, name) => values[name.toLowerCase()] ?? token,
+  );
+
+  const segments = rendered
+    .split(/[\\/]+/)
+    .map(sanitizeSegment)
+    .filter((segment) => segment && segment !== '..');
+  return segments.join('/') || `${values.index}-${values['prompt-slug']}-${values.n}.png`;
+}
+
+/**
+ * Returns the path of the JSON file written next to an image: the same name with a
+ * `.json` extension.
+ *
+ * @param {string} filename
+ * @returns {string}
+ */
+export function sidecarFilename(filename) {
+  const slash = filename.lastIndexOf('/');
+  const dot = filename.lastIndexOf('.');
+  const base = dot > slash ? filename.slice(0, dot) : filename;
+  return `${base}.json`;
+}
+
+/**
+ * Builds a `data:` URL for the sidecar file. Service workers cannot create object URLs,
+ * and `chrome.downloads` accepts data URLs directly.
+ *
+ * @param {object} metadata
+ * @returns {string}
+ */
+export function toJsonDataUrl(metadata) {
+  return `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(metadata, null, 2))}`;
+}
+
+export async function loadDownloadSettings() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(DOWNLOAD_SETTINGS_KEY);
+    return { ...DEFAULT_DOWNLOAD_SETTINGS, ...(stored?.[DOWNLOAD_SETTINGS_KEY] ?? {}) };
+  } catch (error) {
+    console.error('Failed to read download settings', error);
+    return { ...DEFAULT_DOWNLOAD_SETTINGS };
+  }
+}
+
+export async function saveDownloadSettings(settings) {
+  await chrome.storage?.local?.set?.({ [DOWNLOAD_SETTINGS_KEY]: settings });
+}
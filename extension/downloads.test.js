@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_FILENAME_TEMPLATE,
+  renderFilename,
+  sidecarFilename,
+  slugify,
+  toJsonDataUrl,
+} from './downloads.js';
+
+describe('download filenames', () => {
+  const date = new Date(2024, 4, 3, 9, 5, 7);
+
+  it('slugifies prompt text', () => {
+    expect(slugify('A Café poster, in *neon* style!')).toBe('a-cafe-poster-in-neon-style');
+    expect(slugify('   ')).toBe('untitled');
+    expect(slugify('one two three', 7)).toBe('one-two');
+  });
+
+  it('renders the default template', () => {
+    const filename = renderFilename(DEFAULT_FILENAME_TEMPLATE, {
+      sequenceName: 'Holiday Campaign',
+      index: 4,
+      total: 40,
+      prompt: 'A red fox in the snow',
+      imageNumber: 2,
+      date,
+    });
+
+    expect(filename).toBe('holiday-campaign/005-a-red-fox-in-the-snow-2.png');
+  });
+
+  it('supports date tokens and keeps unknown tokens', () => {
+    const filename = renderFilename('{date}/{time}-{unknown}-{n}.webp', {
+      index: 0,
+      total: 1,
+      prompt: 'x',
+      imageNumber: 1,
+      date,
+    });
+
+    expect(filename).toBe('2024-05-03/090507-{unknown}-1.webp');
+  });
+
+  it('strips unsafe path segments and characters', () => {
+    const filename = renderFilename('/../{sequence}/a:b*c?/{n}.png', {
+      sequenceName: '',
+      index: 0,
+      total: 1,
+      prompt: 'x',
+      imageNumber: 3,
+      date,
+    });
+
+    expect(filename).toBe('prompt-queue/a_b_c_/3.png');
+  });
+
+  it('derives sidecar names and data URLs', () => {
+    expect(sidecarFilename('run/001-fox-1.png')).toBe('run/001-fox-1.json');
+    expect(sidecarFilename('run.v2/image')).toBe('run.v2/image.json');
+    expect(decodeURIComponent(toJsonDataUrl({ prompt: 'fox' }).split(',')[1]))
+      .toBe('{\n  "prompt": "fox"\n}');
+  });
+});
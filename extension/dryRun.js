@@ -0,0 +1,212 @@
+/**
+ * Checks behind the popup's dry run: problems in the parsed prompts, separator mistakes,
+ * and estimates of the run time and of the image limit from the run history.
+ */
+
+import { IMAGE_LIMIT_WINDOW_MS, median } from './imageLimit.js';
+
+/**
+ * @typedef {import('./runHistory.js').RunRecord} RunRecord
+ */
+
+/**
+ * @typedef {object} PromptProblem
+ * @property {'duplicate' | 'too-long' | 'short'} kind
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} RunDurationEstimate
+ * @property {number} perPromptMs Median time of recent prompts.
+ * @property {number} totalMs
+ * @property {number} samples How many past prompts the median is taken from.
+ */
+
+/**
+ * @typedef {object} ImageLimitEstimate
+ * @property {number} limit Images made within the window before the limit was hit, as a
+ *   median over every time it was hit.
+ * @property {number} used Images made within the window up to now.
+ * @property {number} remaining
+ * @property {number} windowMs
+ */
+
+/**
+ * DALL-E prompts longer than this are cut short.
+ */
+export const MAX_PROMPT_LENGTH = 4000;
+
+/**
+ * Prompts this short are more likely a separator splitting a prompt than a prompt.
+ */
+export const SHORT_PROMPT_LENGTH = 3;
+
+// Past prompts the duration estimate is taken from, newest first.
+const DURATION_SAMPLES = 50;
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// "1 prompt is", "2 prompts are": `verbs` holds the singular and plural verb.
+function agree(count, word, [singular, pluralVerb]) {
+  return `${plural(count, word)} ${count === 1 ? singular : pluralVerb}`;
+}
+
+/**
+ * Flags duplicates (ignoring case and spacing), prompts over `maxLength` and very short
+ * prompts.
+ *
+ * @param {string[]} prompts
+ * @param {{ maxLength?: number }} [options]
+ * @returns {PromptProblem[][]} The problems of each prompt, by position.
+ */
+export function findPromptProblems(prompts, { maxLength = MAX_PROMPT_LENGTH } = {}) {
+  const firstSeen = new Map();
+  return prompts.map((prompt, index) => {
+    const problems = [];
+    const key = prompt.replace(/\s+/g, ' ').trim().toLocaleLowerCase();
+    if (firstSeen.has(key)) {
+      problems.push({ kind: 'duplicate', message: `Same as prompt ${firstSeen.get(key) + 1}.` });
+    } else {
+      firstSeen.set(key, index);
+    }
+    if (prompt.length > maxLength) {
+      problems.push({ kind: 'too-long', message: `${prompt.length} characters; prompts over ${maxLength} are cut short.` });
+    }
+    if (prompt.trim().length <= SHORT_PROMPT_LENGTH) {
+      problems.push({ kind: 'short', message: 'Very short; was a prompt split by mistake?' });
+    }
+    return problems;
+  });
+}
+
+/**
+ * @param {PromptProblem[][]} problems As returned by `findPromptProblems`.
+ * @returns {string[]} One line per kind of problem.
+ */
+export function summarizePromptProblems(problems) {
+  const count = (kind) => problems.filter((list) => list.some((problem) => problem.kind === kind)).length;
+  const lines = [];
+  const duplicates = count('duplicate');
+  const tooLong = count('too-long');
+  const short = count('short');
+  if (duplicates) {
+    lines.push(`${agree(duplicates, 'prompt', ['repeats', 'repeat'])} an earlier prompt.`);
+  }
+  if (tooLong) {
+    lines.push(`${agree(tooLong, 'prompt', ['is', 'are'])} over ${MAX_PROMPT_LENGTH} characters and will be cut short.`);
+  }
+  if (short) {
+    lines.push(`${agree(short, 'prompt', ['is', 'are'])} very short, perhaps split by mistake.`);
+  }
+  return lines;
+}
+
+/**
+ * Looks for separator mistakes in the editor text (without variable definitions): empty
+ * prompts between separators, and lines run together because the separator, rather than
+ * the line break, splits them. A separator at the very end is not a mistake.
+ *
+ * @param {string} text
+ * @param {string} separator Empty to split by lines.
+ * @returns {string[]}
+ */
+export function findSeparatorProblems(text, separator) {
+  const body = text.trim();
+  if (!body) {
+    return [];
+  }
+  const problems = [];
+  const segments = body.split(separator || /\r?\n/);
+  const empty = segments.slice(0, -1).filter((segment) => !segment.trim()).length;
+  if (empty) {
+    problems.push(separator
+      ? `${agree(empty, 'empty prompt', ['was', 'were'])} skipped between “${separator}” separators.`
+      : `${agree(empty, 'blank line', ['was', 'were'])} skipped.`);
+  }
+  if (!separator) {
+    return problems;
+  }
+
+  const joined = segments.filter((segment) => /\n/.test(segment.trim())).length;
+  if (!joined) {
+    return problems;
+  }
+  const lines = body.split(/\r?\n/).map((line) => line.trim());
+  const splitLines = lines
+    .map((line, index) => (line.slice(1, -1).includes(separator) ? index + 1 : null))
+    .filter(Boolean);
+  if (!lines.some((line) => line.includes(separator))) {
+    problems.push(`The text has ${plural(lines.filter(Boolean).length, 'line')} but no “${separator}”, so it runs as one prompt. Clear the separator to send one prompt per line.`);
+  } else if (splitLines.length) {
+    problems.push(`${agree(joined, 'prompt', ['spans', 'span'])} several lines, while “${separator}” splits line ${splitLines.join(', ')}. If each line is one prompt, clear the separator.`);
+  }
+  return problems;
+}
+
+/**
+ * Estimates how long the prompts take from the durations of recent prompts that finished
+ * without hitting the image limit.
+ *
+ * @param {number} promptCount
+ * @param {RunRecord[]} runs Newest first, as stored.
+ * @param {{ concurrency?: number }} [options] How many tabs run prompts at once.
+ * @returns {RunDurationEstimate | null} Null without past prompts to go on.
+ */
+export function estimateRunDuration(promptCount, runs, { concurrency = 1 } = {}) {
+  const durations = runs
+    .flatMap((run) => run.prompts)
+    .filter((prompt) => prompt.status === 'done' && prompt.durationMs > 0 && !prompt.limitHitAt)
+    .slice(0, DURATION_SAMPLES)
+    .map((prompt) => prompt.durationMs);
+  if (!durations.length) {
+    return null;
+  }
+  const perPromptMs = median(durations);
+  return {
+    perPromptMs,
+    totalMs: Math.ceil(promptCount / Math.max(1, concurrency)) * perPromptMs,
+    samples: durations.length,
+  };
+}
+
+/**
+ * Works out from the run history how many images ChatGPT allowed within `windowMs` before
+ * reporting the image limit, and how many of those were made recently.
+ *
+ * @param {RunRecord[]} runs
+ * @param {{ now?: number, windowMs?: number }} [options]
+ * @returns {ImageLimitEstimate | null} Null when no run has hit the limit.
+ */
+export function estimateImageLimit(runs, { now = Date.now(), windowMs = IMAGE_LIMIT_WINDOW_MS } = {}) {
+  const prompts = runs.flatMap((run) => run.prompts);
+  const hits = prompts.map((prompt) => Date.parse(prompt.limitHitAt)).filter(Number.isFinite);
+  if (!hits.length) {
+    return null;
+  }
+  const generated = prompts
+    .filter((prompt) => prompt.outcome?.type === 'images')
+    .map((prompt) => Date.parse(prompt.finishedAt))
+    .filter(Number.isFinite);
+  const countBefore = (end) => generated.filter((time) => time > end - windowMs && time <= end).length;
+  const limit = Math.max(1, median(hits.map(countBefore)));
+  const used = countBefore(now);
+  return { limit, used, remaining: Math.max(0, limit - used), windowMs };
+}
+
+/**
+ * @param {number} promptCount
+ * @param {ImageLimitEstimate | null} estimate
+ * @returns {string | null} A warning when the prompts will probably run into the limit.
+ */
+export function describeImageLimitRisk(promptCount, estimate) {
+  if (!estimate || promptCount <= estimate.remaining) {
+    return null;
+  }
+  const hours = Math.round(estimate.windowMs / (60 * 60 * 1000));
+  const where = estimate.remaining
+    ? `after about ${plural(estimate.remaining, 'prompt')}`
+    : 'at the first prompt';
+  return `This run will probably hit the image limit ${where}: past runs hit it after about ${plural(estimate.limit, 'image')} in ${hours} h, and ${agree(estimate.used, 'image', ['was', 'were'])} made in the last ${hours} h.`;
+}
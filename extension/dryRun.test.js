@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import {
+  describeImageLimitRisk,
+  estimateImageLimit,
+  estimateRunDuration,
+  findPromptProblems,
+  findSeparatorProblems,
+  summarizePromptProblems,
+} from './dryRun.js';
+import { IMAGE_LIMIT_WINDOW_MS } from './imageLimit.js';
+
+const kinds = (problems) => problems.map((list) => list.map((problem) => problem.kind));
+
+describe('findPromptProblems', () => {
+  it('flags duplicates, long prompts and very short prompts', () => {
+    const problems = findPromptProblems(['A fox', 'a  FOX', '9', 'x'.repeat(12)], { maxLength: 10 });
+
+    expect(kinds(problems)).toEqual([[], ['duplicate'], ['short'], ['too-long']]);
+    expect(problems[1][0].message).toBe('Same as prompt 1.');
+    expect(summarizePromptProblems(problems)).toEqual([
+      '1 prompt repeats an earlier prompt.',
+      '1 prompt is over 4000 characters and will be cut short.',
+      '1 prompt is very short, perhaps split by mistake.',
+    ]);
+  });
+});
+
+describe('findSeparatorProblems', () => {
+  it('reports empty prompts but not a separator at the end', () => {
+    expect(findSeparatorProblems('a fox | | a hare |', '|')).toEqual(['1 empty prompt was skipped between “|” separators.']);
+    expect(findSeparatorProblems('a fox |\n a hare |', '|')).toEqual([]);
+    expect(findSeparatorProblems('a fox\n\n\na hare', '')).toEqual(['2 blank lines were skipped.']);
+  });
+
+  it('notices lines run together by the separator', () => {
+    expect(findSeparatorProblems('a fox\na hare\na kite', '|')).toEqual([
+      'The text has 3 lines but no “|”, so it runs as one prompt. Clear the separator to send one prompt per line.',
+    ]);
+    expect(findSeparatorProblems('a fox\na banner, 16|9\na kite', '|')).toEqual([
+      '2 prompts span several lines, while “|” splits line 2. If each line is one prompt, clear the separator.',
+    ]);
+    expect(findSeparatorProblems('a fox | a hare', '|')).toEqual([]);
+  });
+});
+
+describe('estimateRunDuration', () => {
+  it('takes the median of prompts that did not wait for the image limit', () => {
+    const runs = [{
+      prompts: [
+        { status: 'done', durationMs: 30_000 },
+        { status: 'done', durationMs: 50_000 },
+        { status: 'done', durationMs: 40_000 },
+        { status: 'done', durationMs: 900_000, limitHitAt: '2024-03-01T10:00:00.000Z' },
+        { status: 'failed', durationMs: 120_000 },
+      ],
+    }];
+
+    expect(estimateRunDuration(10, runs, { concurrency: 2 })).toEqual({ perPromptMs: 40_000, totalMs: 200_000, samples: 3 });
+    expect(estimateRunDuration(10, [])).toBeNull();
+  });
+});
+
+describe('estimateImageLimit', () => {
+  const hitAt = Date.parse('2024-03-01T12:00:00.000Z');
+  const image = (minutesBefore) => ({
+    outcome: { type: 'images' },
+    finishedAt: new Date(hitAt - minutesBefore * 60_000).toISOString(),
+  });
+  const runs = [{
+    prompts: [
+      image(200),
+      ...[100, 60, 30, 10].map(image),
+      { outcome: null, limitHitAt: new Date(hitAt).toISOString() },
+    ],
+  }];
+
+  it('counts the images made in the window before the limit was hit', () => {
+    const now = hitAt + IMAGE_LIMIT_WINDOW_MS - 20 * 60_000;
+    const estimate = estimateImageLimit(runs, { now });
+
+    expect(estimate).toMatchObject({ limit: 4, used: 1, remaining: 3 });
+    expect(describeImageLimitRisk(3, estimate)).toBeNull();
+    expect(describeImageLimitRisk(5, estimate)).toBe(
+      'This run will probably hit the image limit after about 3 prompts: past runs hit it after about 4 images in 3 h, and 1 image was made in the last 3 h.',
+    );
+    expect(estimateImageLimit([{ prompts: [image(5)] }])).toBeNull();
+  });
+});
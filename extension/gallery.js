@@ -0,0 +1,228 @@
+import {
+  RUN_HISTORY_KEY,
+  buildGallery,
+  handOffToEditor,
+  loadRunHistory,
+  sentPromptText,
+} from './runHistory.js';
+
+const galleryRuns = document.getElementById('gallery-runs');
+const gallerySearch = document.getElementById('gallery-search');
+const gallerySummary = document.getElementById('gallery-summary');
+const galleryStatus = document.getElementById('gallery-status');
+const rerunSelectedButton = document.getElementById('rerun-selected');
+const copySelectedButton = document.getElementById('copy-selected');
+const clearSelectionButton = document.getElementById('clear-selection');
+
+let runs = [];
+// Keys (`<run id>:<prompt index>`) of the prompts ticked for a re-run or copy.
+let selectedKeys = new Set();
+
+function setStatus(message, variant = 'success') {
+  galleryStatus.textContent = message;
+  galleryStatus.dataset.variant = variant;
+}
+
+function createLink(href, text) {
+  const link = document.createElement('a');
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = text;
+  return link;
+}
+
+function createButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * ChatGPT's image links expire after a while; an expired one is replaced by a note that
+ * still links to the URL.
+ */
+function createThumbnail(url, position) {
+  const link = createLink(url, '');
+  link.className = 'gallery-thumb';
+  const image = document.createElement('img');
+  image.src = url;
+  image.alt = `Image ${position + 1}`;
+  image.loading = 'lazy';
+  image.addEventListener('error', () => {
+    link.classList.add('gallery-thumb--expired');
+    link.replaceChildren(`Image ${position + 1} is no longer available`);
+  });
+  link.appendChild(image);
+  return link;
+}
+
+function createPromptCard(item) {
+  const { run, prompt, key } = item;
+  const text = sentPromptText(prompt);
+  const card = document.createElement('li');
+  card.className = 'gallery-prompt';
+  card.title = text;
+
+  const thumbnails = document.createElement('div');
+  thumbnails.className = 'gallery-prompt__images';
+  thumbnails.append(...prompt.imageUrls.map(createThumbnail));
+
+  const caption = document.createElement('label');
+  caption.className = 'gallery-prompt__caption';
+  const select = document.createElement('input');
+  select.type = 'checkbox';
+  select.checked = selectedKeys.has(key);
+  select.addEventListener('change', () => {
+    if (select.checked) {
+      selectedKeys.add(key);
+    } else {
+      selectedKeys.delete(key);
+    }
+    updateSelectionActions();
+  });
+  const label = document.createElement('span');
+  label.textContent = `${prompt.index + 1}. ${text}`;
+  caption.append(select, label);
+
+  const actions = document.createElement('div');
+  actions.className = 'gallery-prompt__actions';
+  actions.append(
+    createButton('Re-run', () => rerunPrompts([item])),
+    createButton('Copy to editor', () => copyToEditor([item])),
+  );
+  const conversationUrl = prompt.conversationUrl ?? run.conversationUrl;
+  if (conversationUrl) {
+    actions.appendChild(createLink(conversationUrl, 'Open chat'));
+  }
+
+  card.append(thumbnails, caption, actions);
+  return card;
+}
+
+function createRunSection({ run, prompts }) {
+  const item = document.createElement('li');
+  item.className = 'run-list__item';
+  const header = document.createElement('div');
+  header.className = 'gallery-run__header';
+  const heading = document.createElement('h2');
+  heading.textContent = run.sequenceName || 'Untitled run';
+  const meta = document.createElement('span');
+  meta.className = 'run-list__meta';
+  const imageCount = prompts.reduce((total, { prompt }) => total + prompt.imageUrls.length, 0);
+  meta.textContent = `${run.startedAt ? new Date(run.startedAt).toLocaleString() : '—'} · ${imageCount} image(s) from ${prompts.length} prompt(s)`;
+  header.append(heading, meta);
+
+  const list = document.createElement('ul');
+  list.className = 'gallery-prompts';
+  list.append(...prompts.map(createPromptCard));
+  item.append(header, list);
+  return item;
+}
+
+function visibleGallery() {
+  return buildGallery(runs, { query: gallerySearch.value });
+}
+
+function selectedItems() {
+  return buildGallery(runs)
+    .flatMap((group) => group.prompts)
+    .filter((item) => selectedKeys.has(item.key));
+}
+
+function updateSelectionActions() {
+  const count = selectedKeys.size;
+  rerunSelectedButton.disabled = !count;
+  copySelectedButton.disabled = !count;
+  rerunSelectedButton.textContent = count ? `Re-run selected (${count})` : 'Re-run selected';
+  copySelectedButton.textContent = count ? `Copy selected to editor (${count})` : 'Copy selected to editor';
+  clearSelectionButton.hidden = !count;
+}
+
+function renderGallery() {
+  const keys = new Set(buildGallery(runs).flatMap((group) => group.prompts.map((item) => item.key)));
+  selectedKeys = new Set([...selectedKeys].filter((key) => keys.has(key)));
+  updateSelectionActions();
+
+  const gallery = visibleGallery();
+  galleryRuns.replaceChildren(...gallery.map(createRunSection));
+  if (!gallery.length) {
+    const empty = document.createElement('li');
+    empty.className = 'run-list__item run-list__item--empty';
+    empty.textContent = keys.size
+      ? 'No prompt matches the search.'
+      : 'No images yet. Images generated by your runs appear here.';
+    galleryRuns.appendChild(empty);
+  }
+  const promptCount = gallery.reduce((total, group) => total + group.prompts.length, 0);
+  gallerySummary.textContent = keys.size ? `${promptCount} prompt(s) from ${gallery.length} run(s), newest first.` : '';
+}
+
+/**
+ * Starts a new run with the prompts, in a ChatGPT tab the background worker opens if none
+ * is open. The popup shows its progress as usual.
+ */
+async function rerunPrompts(items) {
+  const prompts = items.map(({ prompt }) => sentPromptText(prompt));
+  const runNames = [...new Set(items.map(({ run }) => run.sequenceName || 'Untitled run'))];
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_PROMPT_QUEUE',
+      tabIds: [],
+      openTab: true,
+      prompts,
+      sequenceName: runNames.length === 1 ? `${runNames[0]} (re-run)` : 'Gallery re-run',
+    });
+    if (response?.error) {
+      setStatus(response.error, 'error');
+      return;
+    }
+    setStatus(`Started a new run with ${prompts.length} prompt(s). Open the popup to follow it.`);
+  } catch (error) {
+    setStatus(`Could not start the run: ${error?.message || 'Unknown error.'}`, 'error');
+  }
+}
+
+async function copyToEditor(items) {
+  const prompts = items.map(({ prompt }) => sentPromptText(prompt));
+  try {
+    await handOffToEditor(prompts);
+  } catch (error) {
+    setStatus(`Could not copy the prompts: ${error?.message || 'Unknown error.'}`, 'error');
+    return;
+  }
+  if (navigator.clipboard) {
+    await navigator.clipboard.writeText(prompts.join('\n')).catch(() => {});
+  }
+  // Opening the popup needs a recent Chrome; otherwise it picks the prompts up when opened.
+  const opened = chrome.action?.openPopup
+    ? await chrome.action.openPopup().then(() => true, () => false)
+    : false;
+  setStatus(opened
+    ? `Copied ${prompts.length} prompt(s) into the editor.`
+    : `Copied ${prompts.length} prompt(s). Open the extension popup to edit them.`);
+}
+
+gallerySearch.addEventListener('input', renderGallery);
+rerunSelectedButton.addEventListener('click', () => rerunPrompts(selectedItems()));
+copySelectedButton.addEventListener('click', () => copyToEditor(selectedItems()));
+clearSelectionButton.addEventListener('click', () => {
+  selectedKeys.clear();
+  renderGallery();
+});
+
+async function refresh() {
+  runs = await loadRunHistory();
+  renderGallery();
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[RUN_HISTORY_KEY]) {
+    void refresh();
+  }
+});
+
+void refresh();
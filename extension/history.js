@@ -0,0 +1,222 @@
+import { formatOutcomeLabel } from './promptOutcome.js';
+import {
+  RUN_HISTORY_KEY,
+  clearRunHistory,
+  deleteRun,
+  loadRunHistory,
+  runsToCsv,
+  runsToJson,
+} from './runHistory.js';
+
+const runList = document.getElementById('run-list');
+const historySummary = document.getElementById('history-summary');
+const exportJsonButton = document.getElementById('export-json');
+const exportCsvButton = document.getElementById('export-csv');
+const clearHistoryButton = document.getElementById('clear-history');
+
+let runs = [];
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Exports one run, or every stored run when `run` is omitted.
+ */
+function exportRuns(format, run = null) {
+  const selected = run ? [run] : runs;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const filename = run ? `prompt-run-${run.id}.${format}` : `prompt-runs-${stamp}.${format}`;
+  if (format === 'csv') {
+    downloadText(runsToCsv(selected), filename, 'text/csv');
+  } else {
+    downloadText(runsToJson(selected), filename, 'application/json');
+  }
+}
+
+function createStatusBadge(status) {
+  const badge = document.createElement('span');
+  badge.className = 'run-status';
+  badge.dataset.status = status;
+  badge.textContent = status;
+  return badge;
+}
+
+function createLink(href, text) {
+  const link = document.createElement('a');
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = text;
+  return link;
+}
+
+// Runs recorded before `conversationUrls` existed still have the URL on each prompt.
+function listConversations(run) {
+  return run.conversationUrls ?? [...new Set(run.prompts.map((prompt) => prompt.conversationUrl).filter(Boolean))];
+}
+
+function createPromptTable(run) {
+  const conversations = listConversations(run);
+  const table = document.createElement('table');
+  table.className = 'prompt-table';
+  const head = table.createTHead().insertRow();
+  for (const label of ['#', 'Prompt', 'Status', 'Outcome', 'Duration', 'Retries', 'Images', 'Chat']) {
+    const cell = document.createElement('th');
+    cell.textContent = label;
+    head.appendChild(cell);
+  }
+
+  const body = table.createTBody();
+  for (const prompt of run.prompts) {
+    const row = body.insertRow();
+    // Prompts of a flow also show the step they came from, since steps can repeat.
+    row.insertCell().textContent = prompt.step ? `${prompt.index + 1} (step ${prompt.step})` : String(prompt.index + 1);
+
+    const textCell = row.insertCell();
+    textCell.textContent = prompt.text;
+    if (prompt.rewrittenText) {
+      const rewrite = document.createElement('span');
+      rewrite.className = 'prompt-table__rewrite';
+      rewrite.textContent = `Rewritten: ${prompt.rewrittenText}`;
+      textCell.appendChild(rewrite);
+    }
+    if (prompt.error) {
+      const error = document.createElement('span');
+      error.className = 'prompt-table__error';
+      error.textContent = prompt.error;
+      textCell.appendChild(error);
+    }
+
+    row.insertCell().appendChild(createStatusBadge(prompt.status));
+    row.insertCell().textContent = formatOutcomeLabel(prompt.outcome);
+    row.insertCell().textContent = formatDuration(prompt.durationMs);
+    row.insertCell().textContent = String(prompt.retries);
+
+    const imagesCell = row.insertCell();
+    const images = document.createElement('div');
+    images.className = 'prompt-table__images';
+    prompt.imageUrls.forEach((url, position) => {
+      images.appendChild(createLink(url, `Image ${position + 1}`));
+    });
+    imagesCell.appendChild(images);
+
+    const chatCell = row.insertCell();
+    if (prompt.conversationUrl) {
+      chatCell.appendChild(createLink(prompt.conversationUrl, `Chat ${conversations.indexOf(prompt.conversationUrl) + 1}`));
+    }
+  }
+  return table;
+}
+
+function createRunListItem(run) {
+  const item = document.createElement('li');
+  item.className = 'run-list__item';
+
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  const heading = document.createElement('h2');
+  heading.textContent = run.sequenceName || 'Untitled run';
+  const meta = document.createElement('span');
+  meta.className = 'run-list__meta';
+  const done = run.prompts.filter((prompt) => prompt.status === 'done').length;
+  meta.textContent = `${formatDate(run.startedAt)} · ${done} of ${run.prompts.length} prompt(s) done`;
+  summary.append(heading, createStatusBadge(run.status), meta);
+  details.appendChild(summary);
+
+  const actions = document.createElement('div');
+  actions.className = 'run-list__actions';
+
+  const jsonButton = document.createElement('button');
+  jsonButton.type = 'button';
+  jsonButton.className = 'secondary';
+  jsonButton.textContent = 'Export JSON';
+  jsonButton.addEventListener('click', () => exportRuns('json', run));
+
+  const csvButton = document.createElement('button');
+  csvButton.type = 'button';
+  csvButton.className = 'secondary';
+  csvButton.textContent = 'Export CSV';
+  csvButton.addEventListener('click', () => exportRuns('csv', run));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'secondary';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', async () => {
+    if (!window.confirm('Delete this run from the history?')) return;
+    await deleteRun(run.id);
+    await refresh();
+  });
+
+  actions.append(jsonButton, csvButton, deleteButton);
+  const conversations = listConversations(run);
+  if (conversations.length === 1) {
+    actions.appendChild(createLink(conversations[0], 'Open conversation'));
+  } else if (conversations.length > 1) {
+    const chats = document.createElement('span');
+    chats.className = 'run-list__chats';
+    chats.append(`${conversations.length} conversations:`, ...conversations.map((url, position) => createLink(url, `Chat ${position + 1}`)));
+    actions.appendChild(chats);
+  }
+
+  details.append(actions, createPromptTable(run));
+  item.appendChild(details);
+  return item;
+}
+
+function renderRuns() {
+  runList.innerHTML = '';
+  const hasRuns = runs.length > 0;
+  exportJsonButton.disabled = !hasRuns;
+  exportCsvButton.disabled = !hasRuns;
+  clearHistoryButton.disabled = !hasRuns;
+
+  if (!hasRuns) {
+    historySummary.textContent = '';
+    const empty = document.createElement('li');
+    empty.className = 'run-list__item run-list__item--empty';
+    empty.textContent = 'No runs yet. Finished queues from the popup appear here.';
+    runList.appendChild(empty);
+    return;
+  }
+
+  historySummary.textContent = `${runs.length} run(s), newest first.`;
+  runs.forEach((run) => runList.appendChild(createRunListItem(run)));
+}
+
+async function refresh() {
+  runs = await loadRunHistory();
+  renderRuns();
+}
+
+exportJsonButton.addEventListener('click', () => exportRuns('json'));
+exportCsvButton.addEventListener('click', () => exportRuns('csv'));
+clearHistoryButton.addEventListener('click', async () => {
+  if (!window.confirm('Delete every run from the history? This cannot be undone.')) return;
+  await clearRunHistory();
+  await refresh();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[RUN_HISTORY_KEY]) {
+    void refresh();
+  }
+});
+
+void refresh();
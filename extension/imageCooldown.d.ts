@@ -0,0 +1,149 @@
+/**
+ * Types for `imageCooldown.js`, which the extension loads unpacked without a build step.
+ */
+
+export interface ImageCooldownRetryOptions<T> {
+  /**
+   * Base delay (in milliseconds) to wait before retrying once a cooldown is detected.
+   * Only used when the response or error carries no wait hint. Defaults to 60 seconds.
+   */
+  baseDelayMs?: number;
+  /**
+   * Computes the delay before each retry from `baseDelayMs` when no wait hint is
+   * available. Defaults to `constantBackoff()`, i.e. always `baseDelayMs`.
+   */
+  backoff?: BackoffStrategy;
+  /**
+   * Optional jitter window (in milliseconds) added on top of the base delay to avoid
+   * hammering the API when the cooldown resets for everyone at the same time.
+   * Defaults to a range between 5s–10s. Use [0, 0] to disable jitter.
+   */
+  jitterMsRange?: [number, number];
+  /**
+   * Maximum number of retry attempts before giving up. Defaults to 3.
+   */
+  maxAttempts?: number;
+  /**
+   * Optional logger (console by default).
+   */
+  logger?: Pick<Console, 'info' | 'warn' | 'error'>;
+  /**
+   * Invoked whenever a cooldown is detected, after the wait time has been calculated
+   * but before the delay starts.
+   */
+  onCooldown?: (event: ImageCooldownEvent) => void;
+  /**
+   * Receives every attempt, cooldown, success and fallback as it happens.
+   */
+  onEvent?: (event: ImageCooldownRetryEvent<T>) => void;
+  /**
+   * Aborts the retry loop, including a wait that is already in progress. The helper
+   * rejects with `signal.reason` and passes the signal on to `requestFn`.
+   */
+  signal?: AbortSignal;
+  /**
+   * Custom detector that returns true when the provided response indicates a cooldown.
+   * Defaults to `isImageCooldownResponse`.
+   */
+  detector?: (response: unknown) => boolean;
+  /**
+   * Custom detector for thrown errors. Defaults to `isImageCooldownError`.
+   */
+  errorDetector?: (error: unknown) => boolean;
+  /**
+   * Optional fallback invoked when the cooldown persists for the full retry budget.
+   * This can return cached data or a placeholder image so the caller can gracefully degrade.
+   */
+  fallback?: () => Promise<T> | T;
+  /**
+   * Custom wait strategy used when delaying between retries. Primarily useful for tests.
+   * Receives the abort signal when one is set; the wait is interrupted on abort either way.
+   */
+  waitStrategy?: (durationMs: number, signal?: AbortSignal) => Promise<void> | void;
+  /**
+   * Extracts the server-provided wait time from a cooldown response or error.
+   * Defaults to `extractCooldownWaitHint`; return undefined to fall back to `baseDelayMs`.
+   */
+  waitHintExtractor?: (payload: unknown) => CooldownWaitHint | undefined;
+}
+
+/**
+ * Where the wait before a retry came from: a `Retry-After` header, an
+ * `x-ratelimit-reset-*` header, the limit message text, or the backoff strategy.
+ */
+export type CooldownWaitSource = 'retry-after' | 'ratelimit-reset' | 'message' | 'default';
+
+export interface CooldownWaitHint {
+  waitMs: number;
+  source: Exclude<CooldownWaitSource, 'default'>;
+}
+
+export interface ImageCooldownEvent {
+  attempt: number;
+  /**
+   * Total wait before the next attempt, including jitter.
+   */
+  waitMs: number;
+  source: 'response' | 'error';
+  payload: unknown;
+  /**
+   * Wait derived from the payload (or the backoff strategy), before jitter is added.
+   */
+  baseWaitMs: number;
+  waitSource: CooldownWaitSource;
+}
+
+export type ImageCooldownRetryEvent<T> =
+  | { type: 'attempt'; attempt: number }
+  | ({ type: 'cooldown' } & ImageCooldownEvent)
+  | { type: 'success'; attempt: number; result: T }
+  | { type: 'fallback'; attempt: number; source: 'response' | 'error'; payload: unknown };
+
+export interface BackoffContext {
+  /**
+   * The attempt that just hit the cooldown (1-based).
+   */
+  attempt: number;
+  baseDelayMs: number;
+  /**
+   * Delay used before the previous retry, before jitter. Undefined on the first cooldown.
+   */
+  previousDelayMs?: number;
+}
+
+export type BackoffStrategy = (context: BackoffContext) => number;
+
+export const DEFAULT_COOLDOWN_PATTERNS: RegExp[];
+
+export function constantBackoff(): BackoffStrategy;
+export function exponentialBackoff(options?: { factor?: number }): BackoffStrategy;
+export function decorrelatedJitterBackoff(options?: { random?: () => number }): BackoffStrategy;
+export function cappedBackoff(strategy: BackoffStrategy, maxDelayMs: number): BackoffStrategy;
+
+/**
+ * Error thrown when the helper exhausted all retries while the API stayed in cooldown.
+ */
+export class ImageCooldownError extends Error {
+  constructor(message: string, options?: { source?: 'response' | 'error'; payload?: unknown });
+  source?: 'response' | 'error';
+  payload?: unknown;
+}
+
+export function isImageCooldownMessage(text: string | null | undefined, patterns?: RegExp[]): boolean;
+export function extractAssistantContent(payload: unknown): string | undefined;
+export function isImageCooldownResponse(response: unknown): boolean;
+export function isImageCooldownError(error: unknown): boolean;
+export function parseCooldownWaitFromText(text: string | null | undefined, now?: Date): number | undefined;
+export function parseRetryAfter(value: string | null | undefined, now?: Date): number | undefined;
+export function parseRateLimitReset(value: string | null | undefined, now?: Date): number | undefined;
+export function extractCooldownWaitHint(payload: unknown, now?: Date): CooldownWaitHint | undefined;
+
+/**
+ * Wraps an image-generation call with retry logic that respects cooldown responses.
+ * The wait before each retry comes from `waitHintExtractor` when the payload carries a
+ * hint, and from the backoff strategy otherwise; jitter is added in both cases.
+ */
+export function withImageCooldownRetry<T>(
+  requestFn: (attempt: number, signal?: AbortSignal) => Promise<T>,
+  options?: ImageCooldownRetryOptions<T>,
+): Promise<T>;
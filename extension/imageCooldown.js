@@ -0,0 +1,607 @@
+/**
+ * Utilities for handling ChatGPT image-generation cooldown responses.
+ *
+ * Written in JavaScript because the extension is loaded unpacked without a build step.
+ * `imageCooldown.d.ts` declares its types, `imageCooldown.ts` re-exports it for the
+ * TypeScript code, and `imageCooldown.test.ts` tests it through that module.
+ */
+
+export const DEFAULT_COOLDOWN_PATTERNS = [
+  /you['’`]?ve hit the image-generation limit/i,
+  /image generation limit reached/i,
+  /you['’`]?ve hit the.*limit/i,
+  /please wait .* before (?:submitting|sending).*image/i,
+  /too many image generation requests/i,
+  /image generation requests are temporarily blocked/i,
+  /cooldown period/i,
+];
+
+/**
+ * @typedef {'retry-after' | 'ratelimit-reset' | 'message' | 'default'} CooldownWaitSource
+ */
+
+/**
+ * @typedef {object} CooldownWaitHint
+ * @property {number} waitMs
+ * @property {Exclude<CooldownWaitSource, 'default'>} source
+ */
+
+/**
+ * @typedef {object} ImageCooldownEvent
+ * @property {number} attempt
+ * @property {number} waitMs Total wait before the next attempt, including jitter.
+ * @property {'response' | 'error'} source
+ * @property {unknown} payload
+ * @property {number} baseWaitMs Wait derived from the payload (or the backoff strategy), before jitter.
+ * @property {CooldownWaitSource} waitSource
+ */
+
+/**
+ * @template [T=unknown]
+ * @typedef {{ type: 'attempt', attempt: number }
+ *   | ({ type: 'cooldown' } & ImageCooldownEvent)
+ *   | { type: 'success', attempt: number, result: T }
+ *   | { type: 'fallback', attempt: number, source: 'response' | 'error', payload: unknown }
+ * } ImageCooldownRetryEvent
+ */
+
+/**
+ * @typedef {object} BackoffContext
+ * @property {number} attempt The attempt that just hit the cooldown (1-based).
+ * @property {number} baseDelayMs
+ * @property {number} [previousDelayMs] Delay used before the previous retry, before jitter.
+ */
+
+/**
+ * @typedef {(context: BackoffContext) => number} BackoffStrategy
+ */
+
+/**
+ * Waits `baseDelayMs` before every retry.
+ *
+ * @returns {BackoffStrategy}
+ */
+export function constantBackoff() {
+  return ({ baseDelayMs }) => baseDelayMs;
+}
+
+/**
+ * Multiplies the delay by `factor` after each cooldown.
+ *
+ * @param {{ factor?: number }} [options]
+ * @returns {BackoffStrategy}
+ */
+export function exponentialBackoff(options = {}) {
+  const { factor = 2 } = options;
+  return ({ attempt, baseDelayMs }) => baseDelayMs * factor ** (attempt - 1);
+}
+
+/**
+ * "Decorrelated jitter": a random delay between `baseDelayMs` and three times the
+ * previous delay.
+ *
+ * @param {{ random?: () => number }} [options]
+ * @returns {BackoffStrategy}
+ */
+export function decorrelatedJitterBackoff(options = {}) {
+  const { random = Math.random } = options;
+  return ({ baseDelayMs, previousDelayMs }) => {
+    const upper = Math.max(baseDelayMs, (previousDelayMs ?? baseDelayMs) * 3);
+    return baseDelayMs + random() * (upper - baseDelayMs);
+  };
+}
+
+/**
+ * Limits the delay produced by another strategy to `maxDelayMs`.
+ *
+ * @param {BackoffStrategy} strategy
+ * @param {number} maxDelayMs
+ * @returns {BackoffStrategy}
+ */
+export function cappedBackoff(strategy, maxDelayMs) {
+  return (context) => Math.min(maxDelayMs, strategy(context));
+}
+
+/**
+ * Error thrown when the helper exhausted all retries while the API stayed in cooldown.
+ */
+export class ImageCooldownError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ source?: 'response' | 'error', payload?: unknown }} [options]
+   */
+  constructor(message, options) {
+    super(message);
+    this.name = 'ImageCooldownError';
+    this.source = options?.source;
+    this.payload = options?.payload;
+  }
+}
+
+/**
+ * Returns true when the provided text matches a known image cooldown phrase.
+ *
+ * @param {string | null | undefined} text
+ * @param {RegExp[]} [patterns]
+ * @returns {boolean}
+ */
+export function isImageCooldownMessage(text, patterns = DEFAULT_COOLDOWN_PATTERNS) {
+  if (!text) return false;
+  return patterns.some((pattern) => pattern.test(text));
+}
+
+/**
+ * Attempts to extract the assistant text from an OpenAI-style response payload.
+ *
+ * @param {unknown} payload
+ * @returns {string | undefined}
+ */
+export function extractAssistantContent(payload) {
+  if (typeof payload === 'string') {
+    return payload;
+  }
+
+  if (payload && typeof payload === 'object') {
+    if (Array.isArray(payload.choices)) {
+      for (const choice of payload.choices) {
+        if (!choice || typeof choice !== 'object') continue;
+
+        const message = choice.message;
+        if (message) {
+          if (typeof message.content === 'string') return message.content;
+          if (typeof message.text === 'string') return message.text;
+        }
+
+        if (typeof choice.text === 'string') {
+          return choice.text;
+        }
+      }
+    }
+
+    if (typeof payload.message === 'string') {
+      return payload.message;
+    }
+
+    if (payload.error && typeof payload.error === 'object') {
+      if (typeof payload.error.message === 'string') {
+        return payload.error.message;
+      }
+    }
+
+    if (typeof payload.error === 'string') {
+      return payload.error;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Detects a cooldown signal inside an OpenAI response object.
+ *
+ * @param {unknown} response
+ * @returns {boolean}
+ */
+export function isImageCooldownResponse(response) {
+  const content = extractAssistantContent(response);
+  return isImageCooldownMessage(content);
+}
+
+/**
+ * Detects a cooldown signal inside a thrown error, either from its message or from an
+ * HTTP 429 status.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isImageCooldownError(error) {
+  if (!error) return false;
+  if (typeof error === 'string') {
+    return isImageCooldownMessage(error);
+  }
+
+  if (typeof error === 'object') {
+    const directMessage = typeof error.message === 'string' ? error.message : undefined;
+    if (directMessage && isImageCooldownMessage(directMessage)) {
+      return true;
+    }
+
+    if (getStatus(error) === 429) {
+      return true;
+    }
+
+    if (error.response && isImageCooldownResponse(error.response.data)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+const DURATION_UNITS_MS = {
+  ms: 1,
+  s: 1_000,
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+};
+
+const RELATIVE_WAIT_PATTERN =
+  /\b(?:in|after|wait|for)\s+((?:(?:\d+(?:\.\d+)?|an?)\s*(?:days?|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b[\s,]*(?:and\s+)?)+)/i;
+
+const RELATIVE_WAIT_PART = /(\d+(?:\.\d+)?|an?)\s*(days?|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b/gi;
+
+const CLOCK_TIME_PATTERN =
+  /\b(?:after|at|until|by)\s+(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*(m\.?)?\s*(utc|gmt)?/i;
+
+/**
+ * Parses a wait time out of a limit message such as "try again in 12 minutes" or
+ * "please try again after 3:45 PM".
+ *
+ * @param {string | null | undefined} text
+ * @param {Date} [now]
+ * @returns {number | undefined}
+ */
+export function parseCooldownWaitFromText(text, now = new Date()) {
+  if (!text) return undefined;
+
+  const relative = RELATIVE_WAIT_PATTERN.exec(text);
+  if (relative) {
+    let total = 0;
+    for (const [, amount, unit] of relative[1].matchAll(RELATIVE_WAIT_PART)) {
+      const value = /^an?$/i.test(amount) ? 1 : Number(amount);
+      total += value * unitToMs(unit);
+    }
+    if (total > 0) {
+      return total;
+    }
+  }
+
+  const clock = CLOCK_TIME_PATTERN.exec(text);
+  if (clock) {
+    const [, rawHours, rawMinutes, meridiem, meridiemSuffix, zone] = clock;
+    // Bare numbers ("at 3 images") are not times; require minutes or AM/PM.
+    const hasMeridiem = Boolean(meridiem && meridiemSuffix);
+    if (!rawMinutes && !hasMeridiem) {
+      return undefined;
+    }
+    let hours = Number(rawHours);
+    const minutes = rawMinutes ? Number(rawMinutes) : 0;
+    if (hasMeridiem) {
+      if (hours > 12) return undefined;
+      hours = (hours % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) {
+      return undefined;
+    }
+
+    const target = new Date(now.getTime());
+    if (zone) {
+      target.setUTCHours(hours, minutes, 0, 0);
+    } else {
+      target.setHours(hours, minutes, 0, 0);
+    }
+    if (target.getTime() <= now.getTime()) {
+      target.setTime(target.getTime() + DURATION_UNITS_MS.d);
+    }
+    return target.getTime() - now.getTime();
+  }
+
+  return undefined;
+}
+
+/**
+ * Parses a `Retry-After` header value, given either in seconds or as an HTTP date.
+ *
+ * @param {string | null | undefined} value
+ * @param {Date} [now]
+ * @returns {number | undefined}
+ */
+export function parseRetryAfter(value, now = new Date()) {
+  if (!value) return undefined;
+  const trimmed = value.trim();
+  if (/^\d+(?:\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed) * 1_000;
+  }
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return undefined;
+  }
+  return Math.max(0, date - now.getTime());
+}
+
+/**
+ * Parses an `x-ratelimit-reset-*` header value ("6m0s", "20ms", seconds or a Unix timestamp).
+ *
+ * @param {string | null | undefined} value
+ * @param {Date} [now]
+ * @returns {number | undefined}
+ */
+export function parseRateLimitReset(value, now = new Date()) {
+  if (!value) return undefined;
+  const trimmed = value.trim();
+
+  if (/^\d+(?:\.\d+)?$/.test(trimmed)) {
+    const seconds = Number(trimmed);
+    // Values this large are Unix timestamps rather than durations.
+    if (seconds > 1_000_000_000) {
+      return Math.max(0, seconds * 1_000 - now.getTime());
+    }
+    return seconds * 1_000;
+  }
+
+  const parts = [...trimmed.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/gi)];
+  if (!parts.length || parts.map(([part]) => part).join('') !== trimmed.replace(/\s+/g, '')) {
+    return undefined;
+  }
+  return parts.reduce((total, [, amount, unit]) => total + Number(amount) * unitToMs(unit), 0);
+}
+
+/**
+ * Derives how long to wait before retrying from a cooldown response or error. Headers win
+ * over the message text; `Retry-After` wins over the `x-ratelimit-reset-*` family.
+ *
+ * @param {unknown} payload
+ * @param {Date} [now]
+ * @returns {CooldownWaitHint | undefined}
+ */
+export function extractCooldownWaitHint(payload, now = new Date()) {
+  if (!payload) return undefined;
+
+  const headerSets = [];
+  const texts = [];
+
+  if (typeof payload === 'string') {
+    texts.push(payload);
+  } else if (typeof payload === 'object') {
+    const response = payload.response;
+    headerSets.push(payload.headers, response?.headers);
+    texts.push(
+      extractAssistantContent(payload),
+      typeof payload.message === 'string' ? payload.message : undefined,
+      response ? extractAssistantContent(response.data) : undefined,
+    );
+  }
+
+  for (const headers of headerSets) {
+    const retryAfter = parseRetryAfter(readHeader(headers, 'retry-after'), now);
+    if (retryAfter !== undefined) {
+      return { waitMs: retryAfter, source: 'retry-after' };
+    }
+  }
+
+  for (const headers of headerSets) {
+    const resets = listHeaders(headers)
+      .filter(([name]) => name.toLowerCase().startsWith('x-ratelimit-reset'))
+      .map(([, value]) => parseRateLimitReset(value, now))
+      .filter((value) => value !== undefined);
+    if (resets.length) {
+      return { waitMs: Math.max(...resets), source: 'ratelimit-reset' };
+    }
+  }
+
+  for (const text of texts) {
+    const waitMs = parseCooldownWaitFromText(text, now);
+    if (waitMs !== undefined) {
+      return { waitMs, source: 'message' };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Wraps an image-generation call with retry logic that respects cooldown responses.
+ * The options are documented on `ImageCooldownRetryOptions` in `imageCooldown.d.ts`.
+ *
+ * @template T
+ * @param {(attempt: number, signal?: AbortSignal) => Promise<T>} requestFn
+ * @param {object} [options]
+ * @param {number} [options.baseDelayMs]
+ * @param {BackoffStrategy} [options.backoff]
+ * @param {[number, number]} [options.jitterMsRange]
+ * @param {number} [options.maxAttempts]
+ * @param {Pick<Console, 'info' | 'warn' | 'error'>} [options.logger]
+ * @param {(event: ImageCooldownEvent) => void} [options.onCooldown]
+ * @param {(event: ImageCooldownRetryEvent<T>) => void} [options.onEvent]
+ * @param {AbortSignal} [options.signal] Aborts the loop and any wait in progress.
+ * @param {(response: unknown) => boolean} [options.detector]
+ * @param {(error: unknown) => boolean} [options.errorDetector]
+ * @param {() => Promise<T> | T} [options.fallback]
+ * @param {(durationMs: number, signal?: AbortSignal) => Promise<void> | void} [options.waitStrategy]
+ * @param {(payload: unknown) => CooldownWaitHint | undefined} [options.waitHintExtractor]
+ * @returns {Promise<T>}
+ */
+export async function withImageCooldownRetry(requestFn, options = {}) {
+  const {
+    baseDelayMs = 60_000,
+    jitterMsRange = [5_000, 10_000],
+    maxAttempts = 3,
+    logger = console,
+    onCooldown,
+    onEvent,
+    signal,
+    backoff = constantBackoff(),
+    detector = isImageCooldownResponse,
+    errorDetector = isImageCooldownError,
+    fallback,
+    waitStrategy,
+    waitHintExtractor = extractCooldownWaitHint,
+  } = options;
+
+  const [minJitter, maxJitter] = normalizeJitterRange(jitterMsRange);
+  const waitFor = waitStrategy ?? wait;
+  let previousDelayMs;
+
+  const runFallback = async (fallbackFn, attempt, source, payload) => {
+    onEvent?.({ type: 'fallback', attempt, source, payload });
+    return await fallbackFn();
+  };
+
+  const waitBeforeRetry = async (attempt, source, payload) => {
+    const backoffDelayMs = backoff({ attempt, baseDelayMs, previousDelayMs });
+    const { baseWaitMs, waitSource } = resolveBaseWait(waitHintExtractor, payload, backoffDelayMs);
+    previousDelayMs = baseWaitMs;
+    const waitMs = computeWaitTime(baseWaitMs, minJitter, maxJitter);
+    const event = { attempt, waitMs, source, payload, baseWaitMs, waitSource };
+    logCooldown(logger, attempt, waitMs, source, waitSource);
+    onCooldown?.(event);
+    onEvent?.({ type: 'cooldown', ...event });
+    await waitWithSignal(waitFor, waitMs, signal);
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    signal?.throwIfAborted();
+    onEvent?.({ type: 'attempt', attempt });
+
+    try {
+      const result = await requestFn(attempt, signal);
+
+      if (detector(result)) {
+        if (attempt >= maxAttempts) {
+          if (fallback) {
+            logger?.warn?.(
+              'Image cooldown persisted after maximum attempts. Executing fallback handler.',
+            );
+            return await runFallback(fallback, attempt, 'response', result);
+          }
+
+          throw new ImageCooldownError('Image generation cooldown detected.', {
+            source: 'response',
+            payload: result,
+          });
+        }
+
+        await waitBeforeRetry(attempt, 'response', result);
+        continue;
+      }
+
+      onEvent?.({ type: 'success', attempt, result });
+      return result;
+    } catch (error) {
+      if (signal?.aborted || !errorDetector(error)) {
+        throw error;
+      }
+
+      if (fallback && attempt >= maxAttempts) {
+        logger?.warn?.(
+          'Image cooldown error persisted after maximum attempts. Executing fallback handler.',
+        );
+        return await runFallback(fallback, attempt, 'error', error);
+      }
+
+      if (attempt >= maxAttempts) {
+        throw new ImageCooldownError('Image generation cooldown detected.', {
+          source: 'error',
+          payload: error,
+        });
+      }
+
+      await waitBeforeRetry(attempt, 'error', error);
+    }
+  }
+
+  // In practice the loop either returns or throws.
+  throw new ImageCooldownError('Image generation failed after cooldown handling.');
+}
+
+function resolveBaseWait(extractor, payload, baseDelayMs) {
+  const hint = extractor(payload);
+  if (hint && Number.isFinite(hint.waitMs) && hint.waitMs >= 0) {
+    return { baseWaitMs: hint.waitMs, waitSource: hint.source };
+  }
+  return { baseWaitMs: baseDelayMs, waitSource: 'default' };
+}
+
+function unitToMs(unit) {
+  const normalized = unit.toLowerCase();
+  if (normalized === 'ms') return DURATION_UNITS_MS.ms;
+  return DURATION_UNITS_MS[normalized[0]] ?? 0;
+}
+
+function getStatus(record) {
+  const status = record.status ?? record.response?.status;
+  return typeof status === 'number' ? status : undefined;
+}
+
+function listHeaders(headers) {
+  if (!headers || typeof headers !== 'object') return [];
+  if (typeof headers.forEach === 'function') {
+    // Fetch `Headers` instances are not plain records.
+    const entries = [];
+    headers.forEach((value, name) => entries.push([name, value]));
+    return entries;
+  }
+  return Object.entries(headers).filter((entry) => typeof entry[1] === 'string');
+}
+
+function readHeader(headers, name) {
+  const match = listHeaders(headers).find(([key]) => key.toLowerCase() === name);
+  return match?.[1];
+}
+
+function computeWaitTime(baseDelayMs, minJitterMs, maxJitterMs) {
+  const jitterRange = Math.max(0, maxJitterMs - minJitterMs);
+  const jitter = jitterRange > 0 ? Math.random() * jitterRange + minJitterMs : minJitterMs;
+  return baseDelayMs + jitter;
+}
+
+function normalizeJitterRange(range) {
+  const [min, max] = range;
+  if (Number.isNaN(min) || Number.isNaN(max)) {
+    return [0, 0];
+  }
+  if (max < min) {
+    return [max, min];
+  }
+  return [Math.max(0, min), Math.max(0, max)];
+}
+
+function wait(durationMs, signal) {
+  if (durationMs <= 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, durationMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs the wait strategy but rejects as soon as the signal aborts, even when a custom
+ * strategy ignores the signal.
+ */
+async function waitWithSignal(waitFor, durationMs, signal) {
+  if (!signal) {
+    await waitFor(durationMs);
+    return;
+  }
+
+  signal.throwIfAborted();
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    await Promise.race([waitFor(durationMs, signal), aborted]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+function logCooldown(logger, attempt, waitMs, source, waitSource) {
+  const seconds = (waitMs / 1000).toFixed(1);
+  const hint = waitSource === 'default' ? '' : ` (wait from ${waitSource})`;
+  logger?.warn?.(
+    `Image cooldown detected from ${source} on attempt ${attempt}. Waiting ${seconds}s${hint} before retrying.`,
+  );
+}
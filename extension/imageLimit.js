@@ -0,0 +1,18 @@
+/**
+ * What the dry run's estimates and the usage quota share about ChatGPT's image limit.
+ */
+
+/**
+ * How far back images count towards the image limit.
+ */
+export const IMAGE_LIMIT_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * @param {number[]} values Not empty.
+ * @returns {number} The middle value, or the rounded mean of the two middle values.
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
@@ -0,0 +1,10 @@
+import { describe, expect, it } from 'vitest';
+import { median } from './imageLimit.js';
+
+describe('median', () => {
+  it('takes the middle value, or the rounded mean of the two middle values', () => {
+    expect(median([9, 1, 5])).toBe(5);
+    expect(median([4, 1, 2, 8])).toBe(3);
+    expect(median([7])).toBe(7);
+  });
+});
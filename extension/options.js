@@ -0,0 +1,217 @@
+import {
+  DEFAULT_UI_SELECTORS,
+  UI_SELECTORS_VERSION,
+  UI_SELECTOR_ROLES,
+  areOverridesOutdated,
+  createUiSelectorOverrides,
+  loadUiSelectorOverrides,
+  parseSelectorList,
+  resolveUiSelectors,
+  saveUiSelectorOverrides,
+} from './uiSelectors.js';
+import { SIMULATOR_PAGE } from './runOptions.js';
+
+const selectorsForm = document.getElementById('selectors-form');
+const selectorsVersion = document.getElementById('selectors-version');
+const selectorsOutdated = document.getElementById('selectors-outdated');
+const selectorsFeedback = document.getElementById('selectors-feedback');
+const saveSelectorsButton = document.getElementById('save-selectors');
+const resetSelectorsButton = document.getElementById('reset-selectors');
+const runDiagnosisButton = document.getElementById('run-diagnosis');
+const diagnosis = document.getElementById('diagnosis');
+const openSimulatorButton = document.getElementById('open-simulator');
+
+const ROLE_LABELS = {
+  composer: ['Composer', 'The prompt input box.'],
+  sendButton: ['Send button', 'The button that submits the prompt.'],
+  sendButtonText: ['Send button words', 'Button text accepted as "send" when no send selector matches. Plain words, not selectors.'],
+  stopButton: ['Stop button', 'The button shown while ChatGPT is answering.'],
+  stopButtonText: ['Stop button words', 'Words in a button\'s label or text that mark it as the stop button. Plain words, not selectors.'],
+  streamingIndicator: ['Streaming indicator', 'Elements present only while a reply or image is being generated.'],
+  errorMessage: ['Error message', 'Error cards such as "Something went wrong", reported as a failed prompt.'],
+  assistantMessage: ['Assistant messages', 'Each reply from ChatGPT, used to read answers and find images.'],
+  conversationTurn: ['Conversation turn', 'The container around a reply that holds its images.'],
+  fileInput: ['File input', 'The composer\'s hidden file input, used to upload reference images.'],
+  attachmentPreview: ['Attachment preview', 'Thumbnails of the images attached to the composer, counted to confirm an upload.'],
+  uploadIndicator: ['Upload indicator', 'Elements present only while an attachment is uploading.'],
+};
+
+// These roles hold plain words matched against button text, not CSS selectors.
+const TEXT_ROLES = new Set(['sendButtonText', 'stopButtonText']);
+// Only shown while a reply is generating, a file is attached or after a failure, so a miss
+// is not a problem.
+const TRANSIENT_ROLES = new Set(['stopButton', 'streamingIndicator', 'errorMessage', 'attachmentPreview', 'uploadIndicator']);
+
+const textareas = {};
+
+function setFeedback(text, variant = 'success') {
+  selectorsFeedback.textContent = text;
+  selectorsFeedback.dataset.variant = variant;
+}
+
+function renderSelectorFields() {
+  for (const role of UI_SELECTOR_ROLES) {
+    const [label, description] = ROLE_LABELS[role];
+    const group = document.createElement('div');
+    group.className = 'field-group';
+
+    const labelElement = document.createElement('label');
+    labelElement.htmlFor = `selectors-${role}`;
+    labelElement.textContent = label;
+
+    const hint = document.createElement('p');
+    hint.className = 'hint';
+    hint.textContent = description;
+
+    const textarea = document.createElement('textarea');
+    textarea.id = `selectors-${role}`;
+    textarea.rows = Math.min(8, Math.max(2, DEFAULT_UI_SELECTORS[role].length));
+    textarea.spellcheck = false;
+    textarea.addEventListener('input', () => {
+      group.dataset.modified = String(isModified(role));
+    });
+
+    textareas[role] = textarea;
+    group.append(labelElement, hint, textarea);
+    selectorsForm.append(group);
+  }
+}
+
+function isModified(role) {
+  return parseSelectorList(textareas[role].value).join('\n') !== DEFAULT_UI_SELECTORS[role].join('\n');
+}
+
+function fillSelectorFields(overrides) {
+  const selectors = resolveUiSelectors(overrides);
+  for (const role of UI_SELECTOR_ROLES) {
+    textareas[role].value = selectors[role].join('\n');
+    textareas[role].closest('.field-group').dataset.modified = String(isModified(role));
+  }
+  selectorsOutdated.hidden = !areOverridesOutdated(overrides);
+}
+
+function findInvalidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return null;
+  } catch (error) {
+    return selector;
+  }
+}
+
+async function handleSaveSelectors() {
+  const lists = {};
+  const invalid = [];
+  for (const role of UI_SELECTOR_ROLES) {
+    lists[role] = parseSelectorList(textareas[role].value);
+    if (!TEXT_ROLES.has(role)) {
+      invalid.push(...lists[role].map(findInvalidSelector).filter(Boolean).map((selector) => `${ROLE_LABELS[role][0]}: ${selector}`));
+    }
+  }
+  if (invalid.length) {
+    setFeedback(`Not saved. These selectors are not valid CSS: ${invalid.join('; ')}`, 'error');
+    return;
+  }
+
+  const overrides = createUiSelectorOverrides(lists);
+  try {
+    await saveUiSelectorOverrides(overrides);
+  } catch (error) {
+    console.error('Failed to save the selector overrides', error);
+    setFeedback('Unable to save the selectors.', 'error');
+    return;
+  }
+  fillSelectorFields(overrides);
+  const count = Object.keys(overrides.selectors).length;
+  setFeedback(count
+    ? `Saved. ${count} list${count === 1 ? '' : 's'} customized; the next prompt uses them.`
+    : 'Saved. Using the built-in selectors.');
+}
+
+async function handleResetSelectors() {
+  if (!window.confirm('Replace all customized selectors with the built-in defaults?')) {
+    return;
+  }
+  try {
+    await saveUiSelectorOverrides(null);
+  } catch (error) {
+    console.error('Failed to reset the selector overrides', error);
+    setFeedback('Unable to reset the selectors.', 'error');
+    return;
+  }
+  fillSelectorFields(null);
+  setFeedback('Reset to the built-in selectors.');
+}
+
+function createCode(text) {
+  const code = document.createElement('code');
+  code.textContent = text;
+  return code;
+}
+
+function renderDiagnosisRole(role) {
+  const found = Boolean(role.matchedSelector);
+  const item = document.createElement('details');
+  item.className = 'diagnosis__role';
+  item.dataset.found = String(found || TRANSIENT_ROLES.has(role.role));
+
+  const summary = document.createElement('summary');
+  const label = ROLE_LABELS[role.role]?.[0] ?? role.role;
+  if (found) {
+    summary.append(`${label}: matched `, createCode(role.matchedSelector), ` → ${role.element}${role.visible ? '' : ' (hidden)'}`);
+  } else {
+    summary.append(`${label}: ${TRANSIENT_ROLES.has(role.role) ? 'not on the page right now' : 'not found'}`);
+  }
+
+  const candidates = document.createElement('ul');
+  candidates.className = 'diagnosis__candidates';
+  for (const candidate of role.candidates) {
+    const entry = document.createElement('li');
+    if (candidate.invalid) {
+      entry.classList.add('diagnosis__candidate--invalid');
+    } else if (candidate.selector === role.matchedSelector) {
+      entry.classList.add('diagnosis__candidate--matched');
+    }
+    const result = candidate.invalid
+      ? ' — invalid selector'
+      : ` — ${candidate.matches} match${candidate.matches === 1 ? '' : 'es'}`;
+    entry.append(createCode(candidate.selector), result);
+    candidates.append(entry);
+  }
+
+  item.append(summary, candidates);
+  return item;
+}
+
+function renderDiagnosis(report) {
+  diagnosis.replaceChildren();
+  const overview = document.createElement('p');
+  overview.className = 'hint';
+  overview.textContent = `${report.url} · selectors v${report.selectorsVersion} · `
+    + `${report.streaming ? 'generating a reply' : 'idle'} · ${report.assistantMessages} assistant message${report.assistantMessages === 1 ? '' : 's'}`;
+  diagnosis.append(overview, ...report.roles.map(renderDiagnosisRole));
+}
+
+function handleRunDiagnosis() {
+  runDiagnosisButton.disabled = true;
+  diagnosis.textContent = 'Checking the ChatGPT tab…';
+  chrome.runtime.sendMessage({ type: 'DIAGNOSE_UI' }, (response) => {
+    runDiagnosisButton.disabled = false;
+    if (chrome.runtime.lastError || !response?.ok) {
+      diagnosis.textContent = response?.error || chrome.runtime.lastError?.message || 'The diagnosis failed.';
+      return;
+    }
+    renderDiagnosis(response.report);
+  });
+}
+
+saveSelectorsButton.addEventListener('click', handleSaveSelectors);
+resetSelectorsButton.addEventListener('click', handleResetSelectors);
+runDiagnosisButton.addEventListener('click', handleRunDiagnosis);
+openSimulatorButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL(SIMULATOR_PAGE) });
+});
+
+renderSelectorFields();
+selectorsVersion.textContent = `Built-in selectors v${UI_SELECTORS_VERSION}`;
+loadUiSelectorOverrides().then(fillSelectorFields);
@@ -1,19 +1,236 @@
+import { addAttachment, deleteAttachment, listAttachments } from './attachmentStore.js';
+import {
+  DEFAULT_DOWNLOAD_SETTINGS,
+  loadDownloadSettings,
+  saveDownloadSettings,
+} from './downloads.js';
+import {
+  findMissingAttachments,
+  formatAttachmentTag,
+  uniqueAttachmentName,
+  validateAttachmentFile,
+} from './promptAttachments.js';
+import {
+  describeImageLimitRisk,
+  estimateImageLimit,
+  estimateRunDuration,
+  findPromptProblems,
+  findSeparatorProblems,
+  summarizePromptProblems,
+} from './dryRun.js';
+import { buildFlowSteps, describeFlowTarget, findFlowProblems } from './promptFlow.js';
+import { formatOutcomeLabel } from './promptOutcome.js';
+import { loadRunHistory, takeEditorHandoff } from './runHistory.js';
+import {
+  USAGE_QUOTA_KEY,
+  createUsageQuota,
+  describeUsage,
+  isUsageLow,
+  loadUsageQuota,
+  summarizeUsage,
+} from './usageQuota.js';
+import {
+  DEFAULT_REFUSAL_SETTINGS,
+  loadRefusalSettings,
+  parseRewriteRules,
+  saveRefusalSettings,
+} from './refusalPolicy.js';
+import {
+  collectFailedPrompts,
+  isChatGptUrl,
+  isQueueTabUrl,
+  loadRunOptions,
+  saveRunOptions,
+} from './runOptions.js';
+import {
+  DEFAULT_EXPANSION_MODE,
+  LARGE_RUN_THRESHOLD,
+  expandPrompts,
+  extractVariableDefinitions,
+  formatVariableDefinitions,
+} from './promptTemplates.js';
+import {
+  buildScheduledRun,
+  describePacing,
+  estimatePacedDuration,
+  normalizePacing,
+  validateScheduleInput,
+} from './schedules.js';
+import {
+  applySequenceImport,
+  describeSequenceExport,
+  findSequenceConflict,
+  formatImportSummary,
+  parseSequenceImport,
+  serializeSequences,
+} from './sequenceTransfer.js';
+import {
+  SEQUENCE_HISTORY_KEY,
+  TRASH_RETENTION_DAYS,
+  createSequenceHistory,
+  diffRevisions,
+  matchesRevision,
+  restoreFromTrash,
+  restoreRevision,
+} from './sequenceHistory.js';
+import {
+  DEFAULT_SEQUENCE_SORT,
+  SEQUENCE_SORTS,
+  SEQUENCE_SORT_LABELS,
+  filterSequences,
+  formatTags,
+  groupSequences,
+  listFolders,
+  listTags,
+  loadSequenceListSettings,
+  normalizeFolder,
+  normalizeTags,
+  saveSequenceListSettings,
+  sortSequences,
+} from './sequenceLibrary.js';
+import {
+  createChromeStorageBackend,
+  createChromeSyncBackend,
+  createLocalStorageBackend,
+  createSequenceStore,
+  loadSequenceSyncEnabled,
+  saveSequenceSyncEnabled,
+} from './sequenceStore.js';
+
 const promptList = document.getElementById('prompt-list');
 const separatorInput = document.getElementById('separator');
+const expansionModeSelect = document.getElementById('expansion-mode');
+const flowModeInput = document.getElementById('flow-mode');
+const flowStepList = document.getElementById('flow-steps');
+const usageStatus = document.getElementById('usage-status');
+const usageStatusText = document.getElementById('usage-status-text');
+const resetUsageLimitButton = document.getElementById('reset-usage-limit');
+const promptPreview = document.getElementById('prompt-preview');
+const promptPreviewSummary = document.getElementById('prompt-preview-summary');
+const promptPreviewWarnings = document.getElementById('prompt-preview-warnings');
+const promptPreviewList = document.getElementById('prompt-preview-list');
+const promptPreviewEstimate = document.getElementById('prompt-preview-estimate');
 const startButton = document.getElementById('start');
+const dryRunButton = document.getElementById('dry-run');
+const queueControls = document.getElementById('queue-controls');
+const pauseButton = document.getElementById('pause-queue');
+const skipButton = document.getElementById('skip-prompt');
+const cancelQueueButton = document.getElementById('cancel-queue');
 const statusSection = document.getElementById('status');
+const cooldownStatus = document.getElementById('cooldown-status');
+const promptResults = document.getElementById('prompt-results');
+const failedActions = document.getElementById('failed-actions');
+const failedSummary = document.getElementById('failed-summary');
+const rerunFailuresButton = document.getElementById('rerun-failures');
+const refusedActions = document.getElementById('refused-actions');
+const refusedSummary = document.getElementById('refused-summary');
+const requeueRefusedButton = document.getElementById('requeue-refused');
+const refusalPolicySelect = document.getElementById('refusal-policy');
+const rewriteRulesGroup = document.getElementById('rewrite-rules-group');
+const rewriteRulesInput = document.getElementById('rewrite-rules');
+const rewriteRulesStatus = document.getElementById('rewrite-rules-status');
+const errorPolicySelect = document.getElementById('error-policy');
+const runOptionInputs = {
+  maxRetries: document.getElementById('max-retries'),
+  retryDelaySeconds: document.getElementById('retry-delay'),
+  composerTimeoutSeconds: document.getElementById('composer-timeout'),
+  sendButtonTimeoutSeconds: document.getElementById('send-timeout'),
+  uploadTimeoutSeconds: document.getElementById('upload-timeout'),
+  replyTimeoutMinutes: document.getElementById('reply-timeout'),
+  concurrency: document.getElementById('concurrency'),
+  newChatEvery: document.getElementById('new-chat-every'),
+};
+const chatUrlInput = document.getElementById('chat-url');
+const chatUrlStatus = document.getElementById('chat-url-status');
+const scheduleSequenceSelect = document.getElementById('schedule-sequence');
+const scheduleStartInput = document.getElementById('schedule-start');
+const scheduleMaxPerHourInput = document.getElementById('schedule-max-per-hour');
+const scheduleMinGapInput = document.getElementById('schedule-min-gap');
+const scheduleEstimate = document.getElementById('schedule-estimate');
+const saveScheduleButton = document.getElementById('save-schedule');
+const cancelScheduleEditButton = document.getElementById('cancel-schedule-edit');
+const scheduleFeedback = document.getElementById('schedule-feedback');
+const scheduleList = document.getElementById('schedule-list');
+const pacingStatus = document.getElementById('pacing-status');
+const attachmentFileInput = document.getElementById('attachment-file');
+const attachmentList = document.getElementById('attachment-list');
+const attachmentStatus = document.getElementById('attachment-status');
+const tabList = document.getElementById('tab-list');
+const refreshTabsButton = document.getElementById('refresh-tabs');
 const saveSequenceButton = document.getElementById('save-sequence');
 const sequenceNameInput = document.getElementById('sequence-name');
 const sequenceDescriptionInput = document.getElementById('sequence-description');
+const sequenceFolderInput = document.getElementById('sequence-folder');
+const sequenceFolderOptions = document.getElementById('sequence-folder-options');
+const sequenceTagsInput = document.getElementById('sequence-tags');
+const sequenceSearchInput = document.getElementById('sequence-search');
+const sequenceFolderFilter = document.getElementById('sequence-folder-filter');
+const sequenceTagFilter = document.getElementById('sequence-tag-filter');
+const sequenceSortSelect = document.getElementById('sequence-sort');
+const sequenceFilterSummary = document.getElementById('sequence-filter-summary');
 const sequenceList = document.getElementById('sequence-list');
 const sequenceFeedback = document.getElementById('sequence-feedback');
 const cancelSequenceEditButton = document.getElementById('cancel-sequence-edit');
+const downloadEnabledInput = document.getElementById('download-enabled');
+const filenameTemplateInput = document.getElementById('filename-template');
+const downloadSidecarInput = document.getElementById('download-sidecar');
+const openHistoryButton = document.getElementById('open-history');
+const openGalleryButton = document.getElementById('open-gallery');
+const openOptionsButton = document.getElementById('open-options');
+const exportFormatSelect = document.getElementById('export-format');
+const exportSequencesButton = document.getElementById('export-sequences');
+const toggleImportButton = document.getElementById('toggle-import');
+const importPanel = document.getElementById('import-panel');
+const importFileInput = document.getElementById('import-file');
+const importTextInput = document.getElementById('import-text');
+const importStrategySelect = document.getElementById('import-strategy');
+const importPreview = document.getElementById('import-preview');
+const confirmImportButton = document.getElementById('confirm-import');
+const cancelImportButton = document.getElementById('cancel-import');
+const sequenceTrash = document.getElementById('sequence-trash');
+const sequenceTrashSummary = document.getElementById('sequence-trash-summary');
+const trashList = document.getElementById('trash-list');
+const emptyTrashButton = document.getElementById('empty-trash');
+const sequenceSyncInput = document.getElementById('sequence-sync');
+const sequenceStorageStatus = document.getElementById('sequence-storage-status');
 
-const STORAGE_KEY = 'promptSequences';
+const PREVIEW_LIMIT = 200;
 
 let logLines = [];
 let sequences = [];
+let sequenceStore = null;
+// Revisions and trash stay on this device whether or not the sequences sync.
+const sequenceHistoryStore = createSequenceHistory({
+  backend: createChromeStorageBackend(chrome.storage.local, SEQUENCE_HISTORY_KEY),
+});
+let sequenceHistory = { revisions: {}, trash: [] };
+// Sequence whose revision history is expanded in the list.
+let historySequenceId = null;
 let editingSequenceId = null;
+let selectedSequenceIds = new Set();
+let pendingImport = null;
+let importFilename = null;
+let loadedSequenceName = null;
+let loadedSequenceId = null;
+// Search, folder and tag filters of the saved sequence list; folder null shows every folder.
+let sequenceFilter = { query: '', tag: '', folder: null };
+let sequenceSort = DEFAULT_SEQUENCE_SORT;
+let refusedPrompts = [];
+// Failed prompts of the last finished run, and its sequence name, for "Re-run failures".
+let failedRun = null;
+let queueStatus = 'idle';
+let scheduledRuns = [];
+// Reference images in IndexedDB; null until loaded, so the preview does not flag every tag.
+let attachmentLibrary = null;
+let attachmentObjectUrls = [];
+// Recent runs and the image generations of the rolling window, for the dry run's estimates.
+let pastRuns = [];
+let usageQuota = createUsageQuota();
+let editingScheduleId = null;
+let cooldownTimer = null;
+// "If refused" and "If it fails" choices of the flow steps, by position, kept while the
+// prompts are edited.
+let flowSteps = [];
 
 function appendStatus(line) {
   logLines.push(line);
@@ -23,6 +240,8 @@ function appendStatus(line) {
 function resetStatus() {
   logLines = [];
   statusSection.textContent = '';
+  renderPromptResults([]);
+  renderFailedActions(null);
 }
 
 function parsePrompts(rawText, separator) {
@@ -39,6 +258,212 @@ function normalizePrompts(prompts) {
   return prompts.map((prompt) => prompt.trim()).filter(Boolean);
 }
 
+async function refreshUsage() {
+  usageQuota = await loadUsageQuota();
+  const summary = summarizeUsage(usageQuota);
+  usageStatusText.textContent = describeUsage(summary);
+  usageStatus.dataset.variant = summary.limit !== null && isUsageLow(summary) ? 'low' : '';
+  resetUsageLimitButton.hidden = summary.limit === null;
+  renderPromptPreview();
+}
+
+/**
+ * After a change of plan the learned limit is wrong until ChatGPT reports the new one.
+ */
+async function resetUsageLimit() {
+  if (!window.confirm('Forget the learned image limit? It is learned again the next time ChatGPT reports the limit.')) {
+    return;
+  }
+  try {
+    const response = await sendMessageToBackground({ type: 'RESET_USAGE_LIMIT' });
+    if (response?.error) {
+      appendStatus(`Error: ${response.error}`);
+    }
+  } catch (error) {
+    appendStatus(`Failed: ${error?.message || 'Unknown error.'}`);
+  }
+}
+
+async function refreshPastRuns() {
+  try {
+    pastRuns = await loadRunHistory();
+  } catch (error) {
+    console.error('Failed to read the run history', error);
+    pastRuns = [];
+  }
+}
+
+/**
+ * Reads the editor. In flow mode `steps` holds one step per template and `prompts` the
+ * expanded steps as far as they can be known before the run, without `{{...}}` outputs.
+ * `problems` holds the problems of each prompt, by position.
+ */
+function buildPromptPlan() {
+  const { variables, body } = extractVariableDefinitions(promptList.value);
+  const templates = parsePrompts(body.trim(), separatorInput.value);
+  const { prompts, warnings } = expandPrompts(templates, variables, expansionModeSelect.value);
+  const steps = flowModeInput.checked && templates.length ? buildFlowSteps(templates, flowSteps) : null;
+  const problems = findPromptProblems(prompts);
+  warnings.push(...findSeparatorProblems(body, separatorInput.value), ...summarizePromptProblems(problems));
+  if (steps) {
+    warnings.push(...findFlowProblems(steps));
+  } else {
+    // The limit learned by the usage tracker is the better guess once there is one.
+    const usage = summarizeUsage(usageQuota);
+    const limitEstimate = usage.limit === null ? estimateImageLimit(pastRuns) : usage;
+    const limitRisk = describeImageLimitRisk(prompts.length, limitEstimate);
+    if (limitRisk) {
+      warnings.push(limitRisk);
+    }
+  }
+  if (attachmentLibrary) {
+    const missing = findMissingAttachments(prompts, attachmentLibrary.map((attachment) => attachment.name));
+    if (missing.length) {
+      warnings.push(`Reference image not found: ${missing.join(', ')}. Those prompts will fail.`);
+    }
+  }
+  return { templates, variables, prompts, warnings, steps, problems };
+}
+
+/**
+ * A flow runs its steps one after another; other runs split the prompts between the
+ * selected tabs.
+ */
+function describeRunEstimate(promptCount, flow) {
+  const tabCount = Math.max(1, getSelectedTabIds().length);
+  const concurrency = flow ? 1 : Math.min(tabCount, Number(runOptionInputs.concurrency.value) || 1);
+  const estimate = estimateRunDuration(promptCount, pastRuns, { concurrency });
+  if (!estimate) {
+    return 'No finished runs yet to estimate how long this takes.';
+  }
+  const perPrompt = Math.max(1, Math.round(estimate.perPromptMs / 1000));
+  const tabs = concurrency > 1 ? ` across ${concurrency} tabs` : '';
+  return `Takes about ${formatDuration(estimate.totalMs)}${tabs}, at ${perPrompt} s per prompt (median of the last ${estimate.samples} prompt(s)), not counting waits for the image limit.`;
+}
+
+function createFlowTargetSelect(step, position, key, label, stepCount) {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', `Step ${position + 1}: ${label}`);
+  const targets = ['next', 'stop', ...Array.from({ length: stepCount }, (_, index) => index + 1)];
+  for (const target of targets) {
+    const option = document.createElement('option');
+    option.value = String(target);
+    option.textContent = `${label}: ${describeFlowTarget(target)}`;
+    select.appendChild(option);
+  }
+  select.value = String(step[key]);
+  select.addEventListener('change', () => {
+    flowSteps[position] = { ...flowSteps[position], [key]: Number(select.value) || select.value };
+  });
+  return select;
+}
+
+function renderFlowSteps(steps) {
+  flowSteps = steps ?? flowSteps;
+  flowStepList.hidden = !steps;
+  flowStepList.replaceChildren(...(steps ?? []).map((step, position) => {
+    const item = document.createElement('li');
+    item.className = 'flow-steps__item';
+    const prompt = document.createElement('span');
+    prompt.className = 'flow-steps__prompt';
+    prompt.textContent = `${position + 1}. ${step.prompt}`;
+    prompt.title = step.prompt;
+    item.append(
+      prompt,
+      createFlowTargetSelect(step, position, 'onRefused', 'If refused', steps.length),
+      createFlowTargetSelect(step, position, 'onFailed', 'If it fails', steps.length),
+    );
+    return item;
+  }));
+}
+
+function renderPromptPreview() {
+  const { templates, prompts, warnings, steps, problems } = buildPromptPlan();
+  promptPreviewList.innerHTML = '';
+  promptPreviewWarnings.innerHTML = '';
+  promptPreviewEstimate.textContent = '';
+  renderFlowSteps(steps);
+
+  if (!prompts.length) {
+    promptPreviewSummary.textContent = 'No prompts yet';
+    return;
+  }
+
+  if (steps) {
+    promptPreviewSummary.textContent = `Preview a flow of ${steps.length} step(s)`;
+  } else {
+    promptPreviewSummary.textContent = prompts.length === templates.length
+      ? `Preview ${prompts.length} prompt(s)`
+      : `Preview ${prompts.length} prompt(s) expanded from ${templates.length} template(s)`;
+  }
+
+  for (const warning of warnings) {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    promptPreviewWarnings.appendChild(item);
+  }
+
+  prompts.slice(0, PREVIEW_LIMIT).forEach((prompt, index) => {
+    const item = document.createElement('li');
+    item.textContent = prompt;
+    if (problems[index].length) {
+      item.dataset.problem = problems[index].map((problem) => problem.kind).join(' ');
+      const note = document.createElement('span');
+      note.className = 'prompt-preview__problem';
+      note.textContent = problems[index].map((problem) => problem.message).join(' ');
+      item.append(' ', note);
+    }
+    promptPreviewList.appendChild(item);
+  });
+  if (prompts.length > PREVIEW_LIMIT) {
+    const more = document.createElement('li');
+    more.textContent = `…and ${prompts.length - PREVIEW_LIMIT} more`;
+    promptPreviewList.appendChild(more);
+  }
+  promptPreviewEstimate.textContent = describeRunEstimate(prompts.length, Boolean(steps));
+}
+
+/**
+ * Checks the prompts without sending anything: the preview opens with the parsed prompts,
+ * their problems and an estimate from the latest run history.
+ */
+async function dryRun() {
+  await refreshPastRuns();
+  renderPromptPreview();
+  promptPreview.open = true;
+  promptPreview.scrollIntoView({ block: 'nearest' });
+}
+
+function loadSequenceIntoEditor(sequence) {
+  const definitions = formatVariableDefinitions(sequence.variables);
+  promptList.value = [definitions, ...sequence.prompts].filter(Boolean).join('\n');
+  separatorInput.value = '';
+  expansionModeSelect.value = sequence.expansionMode ?? DEFAULT_EXPANSION_MODE;
+  flowModeInput.checked = Boolean(sequence.steps);
+  flowSteps = sequence.steps ?? [];
+  loadedSequenceName = sequence.name;
+  loadedSequenceId = sequence.id;
+  renderPromptPreview();
+}
+
+/**
+ * Puts prompts copied from the gallery into the editor, one per line.
+ */
+async function restoreEditorHandoff() {
+  const prompts = await takeEditorHandoff();
+  if (!prompts.length) {
+    return;
+  }
+  promptList.value = prompts.join('\n');
+  separatorInput.value = '';
+  flowModeInput.checked = false;
+  flowSteps = [];
+  loadedSequenceName = null;
+  loadedSequenceId = null;
+  renderPromptPreview();
+  setSequenceFeedback(`Loaded ${prompts.length} prompt(s) from the gallery.`);
+}
+
 function setSequenceFeedback(message, variant = 'success') {
   sequenceFeedback.textContent = message;
   if (!message) {
@@ -51,34 +476,46 @@ function setSequenceFeedback(message, variant = 'success') {
 function resetSequenceForm() {
   sequenceNameInput.value = '';
   sequenceDescriptionInput.value = '';
+  sequenceFolderInput.value = '';
+  sequenceTagsInput.value = '';
   editingSequenceId = null;
   saveSequenceButton.textContent = 'Save Sequence';
   cancelSequenceEditButton.hidden = true;
   setSequenceFeedback('');
 }
 
-function loadSequences() {
+function createPopupSequenceStore(syncEnabled) {
+  return createSequenceStore({
+    primary: createChromeStorageBackend(chrome.storage.local),
+    // Sequences lived in the popup's localStorage before the shared store existed.
+    legacy: [createLocalStorageBackend(localStorage)],
+    sync: syncEnabled ? createChromeSyncBackend(chrome.storage.sync) : null,
+    history: sequenceHistoryStore,
+  });
+}
+
+function renderStorageWarnings(warnings) {
+  sequenceStorageStatus.textContent = warnings.join(' ');
+  sequenceStorageStatus.hidden = !warnings.length;
+}
+
+async function loadSequences() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (!stored) {
-      sequences = [];
-      return;
-    }
-    const parsed = JSON.parse(stored);
-    if (Array.isArray(parsed)) {
-      sequences = parsed;
-    } else {
-      sequences = [];
-    }
+    const { sequences: loaded, warnings } = await sequenceStore.load();
+    sequences = loaded;
+    renderStorageWarnings(warnings);
   } catch (error) {
     console.error('Failed to read prompt sequences from storage', error);
     sequences = [];
   }
+  await loadSequenceHistory();
 }
 
-function persistSequences() {
+async function persistSequences() {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(sequences));
+    const { warnings } = await sequenceStore.save(sequences);
+    renderStorageWarnings(warnings);
+    await loadSequenceHistory();
     return true;
   } catch (error) {
     console.error('Failed to persist prompt sequences', error);
@@ -86,6 +523,159 @@ function persistSequences() {
   }
 }
 
+async function loadSequenceHistory() {
+  try {
+    sequenceHistory = await sequenceHistoryStore.load();
+  } catch (error) {
+    console.error('Failed to read the sequence history', error);
+  }
+}
+
+function createPromptDiffList(changes) {
+  const list = document.createElement('ul');
+  list.className = 'revision-diff';
+  for (const change of changes) {
+    const item = document.createElement('li');
+    item.dataset.change = change.type;
+    item.textContent = `${{ added: '+', removed: '−', same: ' ' }[change.type]} ${change.prompt}`;
+    list.appendChild(item);
+  }
+  return list;
+}
+
+/**
+ * Lists the saved revisions of a sequence, newest first, each with what changed since the
+ * revision before it and a button to restore it.
+ */
+function createRevisionPanel(sequence) {
+  const panel = document.createElement('ol');
+  panel.className = 'revision-list';
+  const revisions = sequenceHistory.revisions[sequence.id] ?? [];
+  if (!revisions.length) {
+    const empty = document.createElement('li');
+    empty.className = 'hint';
+    empty.textContent = 'No revisions yet. One is kept every time the sequence is saved.';
+    panel.appendChild(empty);
+    return panel;
+  }
+
+  for (let index = revisions.length - 1; index >= 0; index--) {
+    const revision = revisions[index];
+    const { fields, prompts } = diffRevisions(revisions[index - 1]?.sequence, revision.sequence);
+    const item = document.createElement('li');
+    item.className = 'revision-list__item';
+
+    const header = document.createElement('div');
+    header.className = 'revision-list__header';
+    const label = document.createElement('span');
+    label.textContent = `${new Date(revision.savedAt).toLocaleString()}${index === 0 ? ' · first saved' : ''}`;
+    header.appendChild(label);
+    if (matchesRevision(sequence, revision)) {
+      const current = document.createElement('span');
+      current.className = 'hint';
+      current.textContent = 'Current version';
+      header.appendChild(current);
+    } else {
+      const restoreButton = document.createElement('button');
+      restoreButton.type = 'button';
+      restoreButton.className = 'link';
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => restoreSequenceRevision(sequence.id, revision));
+      header.appendChild(restoreButton);
+    }
+    item.appendChild(header);
+
+    if (fields.length) {
+      const changed = document.createElement('p');
+      changed.className = 'hint';
+      changed.textContent = `Changed: ${fields.join(', ')}`;
+      item.appendChild(changed);
+    }
+    if (index === 0 || prompts.some((change) => change.type !== 'same')) {
+      item.appendChild(createPromptDiffList(prompts));
+    }
+    panel.appendChild(item);
+  }
+  return panel;
+}
+
+async function restoreSequenceRevision(sequenceId, revision) {
+  sequences = sequences.map((sequence) => (sequence.id === sequenceId ? restoreRevision(sequence, revision) : sequence));
+  if (!(await persistSequences())) {
+    await loadSequences();
+    renderSequences();
+    setSequenceFeedback('Could not restore the revision due to a storage error.', 'error');
+    return;
+  }
+  if (editingSequenceId === sequenceId) {
+    resetSequenceForm();
+  }
+  renderSequences();
+  setSequenceFeedback(`Restored the version saved ${new Date(revision.savedAt).toLocaleString()}.`);
+}
+
+function renderTrash() {
+  const { trash } = sequenceHistory;
+  sequenceTrash.hidden = !trash.length;
+  sequenceTrashSummary.textContent = `Trash (${trash.length})`;
+  trashList.replaceChildren(...trash.map((entry) => {
+    const item = document.createElement('li');
+    item.className = 'sequence-list__item';
+    const heading = document.createElement('h3');
+    heading.textContent = entry.sequence.name;
+    const meta = document.createElement('div');
+    meta.className = 'sequence-list__meta';
+    meta.textContent = `${entry.sequence.prompts.length} prompt(s) · deleted ${new Date(entry.deletedAt).toLocaleString()}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'sequence-list__actions';
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'secondary';
+    restoreButton.textContent = 'Restore';
+    restoreButton.addEventListener('click', () => restoreTrashedSequence(entry));
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'secondary';
+    deleteButton.textContent = 'Delete forever';
+    deleteButton.addEventListener('click', async () => {
+      if (!window.confirm(`Delete “${entry.sequence.name}” and its revisions for good? This cannot be undone.`)) return;
+      await updateTrash(() => sequenceHistoryStore.deleteForever([entry.sequence.id]));
+    });
+    actions.append(restoreButton, deleteButton);
+    item.append(heading, meta, actions);
+    return item;
+  }));
+}
+
+async function restoreTrashedSequence(entry) {
+  sequences = [restoreFromTrash(entry), ...sequences];
+  if (!(await persistSequences())) {
+    await loadSequences();
+    renderSequences();
+    setSequenceFeedback('Could not restore the sequence due to a storage error.', 'error');
+    return;
+  }
+  renderSequences();
+  setSequenceFeedback(`Restored “${entry.sequence.name}” from the trash.`);
+}
+
+async function updateTrash(change) {
+  try {
+    sequenceHistory = await change();
+  } catch (error) {
+    console.error('Failed to update the trash', error);
+    setSequenceFeedback('Could not update the trash due to a storage error.', 'error');
+  }
+  renderTrash();
+}
+
+async function handleEmptyTrash() {
+  const count = sequenceHistory.trash.length;
+  if (!window.confirm(`Delete the ${count} sequence(s) in the trash for good? This cannot be undone.`)) return;
+  await updateTrash(() => sequenceHistoryStore.emptyTrash());
+}
+
 function createSequenceListItem(sequence) {
   const item = document.createElement('li');
   item.className = 'sequence-list__item';
@@ -93,9 +683,31 @@ function createSequenceListItem(sequence) {
   const title = document.createElement('div');
   title.className = 'sequence-list__title';
 
+  const selectLabel = document.createElement('label');
+  const select = document.createElement('input');
+  select.type = 'checkbox';
+  select.checked = selectedSequenceIds.has(sequence.id);
+  select.setAttribute('aria-label', `Select “${sequence.name}” for export`);
+  select.addEventListener('change', () => {
+    if (select.checked) {
+      selectedSequenceIds.add(sequence.id);
+    } else {
+      selectedSequenceIds.delete(sequence.id);
+    }
+    updateExportButton();
+  });
   const heading = document.createElement('h3');
   heading.textContent = sequence.name;
-  title.appendChild(heading);
+  selectLabel.append(select, heading);
+
+  const pinButton = document.createElement('button');
+  pinButton.type = 'button';
+  pinButton.className = 'link sequence-list__pin';
+  pinButton.textContent = sequence.pinned ? '★' : '☆';
+  pinButton.title = sequence.pinned ? 'Unpin' : 'Pin to the top';
+  pinButton.setAttribute('aria-pressed', String(Boolean(sequence.pinned)));
+  pinButton.addEventListener('click', () => togglePinned(sequence.id));
+  title.append(selectLabel, pinButton);
 
   const meta = document.createElement('div');
   meta.className = 'sequence-list__meta';
@@ -103,6 +715,25 @@ function createSequenceListItem(sequence) {
   promptCount.textContent = `${sequence.prompts.length} prompt${sequence.prompts.length === 1 ? '' : 's'}`;
   meta.appendChild(promptCount);
 
+  if (sequence.steps) {
+    const flow = document.createElement('span');
+    flow.textContent = 'Multi-step flow';
+    meta.appendChild(flow);
+  }
+
+  if (sequence.variables?.length) {
+    const expanded = expandPrompts(sequence.prompts, sequence.variables, sequence.expansionMode);
+    const expandedCount = document.createElement('span');
+    expandedCount.textContent = `${sequence.variables.length} variable(s), expands to ${expanded.prompts.length}`;
+    meta.appendChild(expandedCount);
+  }
+
+  if (sequence.pinned && sequence.folder) {
+    const folder = document.createElement('span');
+    folder.textContent = `In ${sequence.folder}`;
+    meta.appendChild(folder);
+  }
+
   if (sequence.updatedAt) {
     const updated = document.createElement('span');
     const date = new Date(sequence.updatedAt);
@@ -110,9 +741,33 @@ function createSequenceListItem(sequence) {
     meta.appendChild(updated);
   }
 
+  if (sequence.lastRunAt) {
+    const lastRun = document.createElement('span');
+    lastRun.textContent = `Last run ${new Date(sequence.lastRunAt).toLocaleString()}`;
+    meta.appendChild(lastRun);
+  }
+
   item.appendChild(title);
   item.appendChild(meta);
 
+  if (sequence.tags?.length) {
+    const tags = document.createElement('div');
+    tags.className = 'sequence-list__tags';
+    for (const tag of sequence.tags) {
+      const tagButton = document.createElement('button');
+      tagButton.type = 'button';
+      tagButton.className = 'sequence-list__tag';
+      tagButton.textContent = `#${tag}`;
+      tagButton.title = `Show sequences tagged ${tag}`;
+      tagButton.addEventListener('click', () => {
+        sequenceFilter = { ...sequenceFilter, tag };
+        renderSequences();
+      });
+      tags.appendChild(tagButton);
+    }
+    item.appendChild(tags);
+  }
+
   if (sequence.description) {
     const description = document.createElement('p');
     description.textContent = sequence.description;
@@ -128,8 +783,7 @@ function createSequenceListItem(sequence) {
   useButton.className = 'secondary';
   useButton.textContent = 'Load prompts';
   useButton.addEventListener('click', () => {
-    promptList.value = sequence.prompts.join('\n');
-    separatorInput.value = '';
+    loadSequenceIntoEditor(sequence);
     setSequenceFeedback(`Loaded ${sequence.prompts.length} prompt(s) from “${sequence.name}”.`);
   });
 
@@ -141,23 +795,35 @@ function createSequenceListItem(sequence) {
     editingSequenceId = sequence.id;
     sequenceNameInput.value = sequence.name;
     sequenceDescriptionInput.value = sequence.description ?? '';
-    promptList.value = sequence.prompts.join('\n');
-    separatorInput.value = '';
+    sequenceFolderInput.value = sequence.folder ?? '';
+    sequenceTagsInput.value = formatTags(sequence.tags);
+    loadSequenceIntoEditor(sequence);
     saveSequenceButton.textContent = 'Update Sequence';
     cancelSequenceEditButton.hidden = false;
     setSequenceFeedback(`Editing “${sequence.name}”. Update the prompts above and save.`);
   });
 
+  const revisionCount = sequenceHistory.revisions[sequence.id]?.length ?? 0;
+  const historyButton = document.createElement('button');
+  historyButton.type = 'button';
+  historyButton.className = 'secondary';
+  historyButton.textContent = revisionCount ? `History (${revisionCount})` : 'History';
+  historyButton.setAttribute('aria-expanded', String(historySequenceId === sequence.id));
+  historyButton.addEventListener('click', () => {
+    historySequenceId = historySequenceId === sequence.id ? null : sequence.id;
+    renderSequences();
+  });
+
   const deleteButton = document.createElement('button');
   deleteButton.type = 'button';
   deleteButton.className = 'secondary';
   deleteButton.textContent = 'Delete';
-  deleteButton.addEventListener('click', () => {
-    const confirmed = window.confirm(`Delete the sequence “${sequence.name}”? This cannot be undone.`);
+  deleteButton.addEventListener('click', async () => {
+    const confirmed = window.confirm(`Move the sequence “${sequence.name}” to the trash? It can be restored for ${TRASH_RETENTION_DAYS} days.`);
     if (!confirmed) return;
     sequences = sequences.filter((item) => item.id !== sequence.id);
-    if (!persistSequences()) {
-      loadSequences();
+    if (!(await persistSequences())) {
+      await loadSequences();
       renderSequences();
       setSequenceFeedback('Could not delete the sequence due to a storage error.', 'error');
       return;
@@ -166,18 +832,77 @@ function createSequenceListItem(sequence) {
     if (editingSequenceId === sequence.id) {
       resetSequenceForm();
     }
-    setSequenceFeedback('Sequence deleted.');
+    setSequenceFeedback('Sequence moved to the trash.');
   });
 
-  actions.append(useButton, editButton, deleteButton);
+  actions.append(useButton, editButton, historyButton, deleteButton);
 
   item.appendChild(actions);
+  if (historySequenceId === sequence.id) {
+    item.appendChild(createRevisionPanel(sequence));
+  }
 
   return item;
 }
 
+function updateExportButton() {
+  const count = selectedSequenceIds.size;
+  exportSequencesButton.textContent = count ? `Export selected (${count})` : 'Export all';
+  exportSequencesButton.disabled = !sequences.length;
+}
+
+function createFilterOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+/**
+ * Rebuilds the folder and tag filters and the folder suggestions from the saved sequences,
+ * dropping a filter whose folder or tag no longer exists.
+ */
+function renderSequenceFilters() {
+  const folders = listFolders(sequences);
+  const tags = listTags(sequences);
+  const fold = (text) => text.toLocaleLowerCase();
+  if (sequenceFilter.folder && !folders.some(({ folder }) => fold(folder) === fold(sequenceFilter.folder))) {
+    sequenceFilter = { ...sequenceFilter, folder: null };
+  }
+  if (sequenceFilter.tag && !tags.some(({ tag }) => fold(tag) === fold(sequenceFilter.tag))) {
+    sequenceFilter = { ...sequenceFilter, tag: '' };
+  }
+
+  // Folder option values are prefixed so a folder cannot be mistaken for "all" or "none".
+  sequenceFolderFilter.replaceChildren(
+    createFilterOption('', 'All folders'),
+    ...folders.map(({ folder, count }) => createFilterOption(`folder:${folder}`, `${folder} (${count})`)),
+    createFilterOption('none', 'No folder'),
+  );
+  const selectedFolder = folders.find(({ folder }) => fold(folder) === fold(sequenceFilter.folder ?? ''));
+  sequenceFolderFilter.value = sequenceFilter.folder === null
+    ? ''
+    : selectedFolder ? `folder:${selectedFolder.folder}` : 'none';
+
+  sequenceTagFilter.replaceChildren(
+    createFilterOption('', 'All tags'),
+    ...tags.map(({ tag, count }) => createFilterOption(tag, `#${tag} (${count})`)),
+  );
+  sequenceTagFilter.value = tags.find(({ tag }) => fold(tag) === fold(sequenceFilter.tag))?.tag ?? '';
+  sequenceTagFilter.disabled = !tags.length;
+
+  sequenceFolderOptions.replaceChildren(...folders.map(({ folder }) => createFilterOption(folder, folder)));
+}
+
 function renderSequences() {
   sequenceList.innerHTML = '';
+  const ids = new Set(sequences.map((sequence) => sequence.id));
+  selectedSequenceIds = new Set([...selectedSequenceIds].filter((id) => ids.has(id)));
+  updateExportButton();
+  renderScheduleSequenceOptions();
+  renderSequenceFilters();
+  renderTrash();
+  sequenceFilterSummary.hidden = true;
   if (!sequences.length) {
     const empty = document.createElement('li');
     empty.className = 'sequence-list__item sequence-list__item--empty';
@@ -186,21 +911,93 @@ function renderSequences() {
     return;
   }
 
-  const sorted = [...sequences].sort((a, b) => {
-    const left = new Date(b.updatedAt || b.createdAt || 0).getTime();
-    const right = new Date(a.updatedAt || a.createdAt || 0).getTime();
-    return left - right;
-  });
+  const visible = sortSequences(filterSequences(sequences, sequenceFilter), sequenceSort);
+  if (visible.length < sequences.length) {
+    sequenceFilterSummary.textContent = `Showing ${visible.length} of ${sequences.length} sequences.`;
+    sequenceFilterSummary.hidden = false;
+  }
+  if (!visible.length) {
+    const empty = document.createElement('li');
+    empty.className = 'sequence-list__item sequence-list__item--empty';
+    empty.textContent = 'No saved sequence matches the search and filters.';
+    sequenceList.appendChild(empty);
+    return;
+  }
+
+  for (const group of groupSequences(visible)) {
+    if (group.label) {
+      const heading = document.createElement('li');
+      heading.className = 'sequence-list__group';
+      heading.textContent = group.label;
+      sequenceList.appendChild(heading);
+    }
+    for (const sequence of group.sequences) {
+      sequenceList.appendChild(createSequenceListItem(sequence));
+    }
+  }
+}
+
+async function togglePinned(sequenceId) {
+  const now = new Date().toISOString();
+  sequences = sequences.map((sequence) => (
+    sequence.id === sequenceId ? { ...sequence, pinned: sequence.pinned ? undefined : true, updatedAt: now } : sequence
+  ));
+  if (!(await persistSequences())) {
+    await loadSequences();
+    setSequenceFeedback('Could not update the sequence due to a storage error.', 'error');
+  }
+  renderSequences();
+}
+
+/**
+ * Remembers when a queue last started from the sequence, for sorting by the last run. The
+ * update time is left alone, since the sequence itself did not change.
+ */
+async function recordSequenceRun(sequenceId) {
+  const lastRunAt = new Date().toISOString();
+  sequences = sequences.map((sequence) => (sequence.id === sequenceId ? { ...sequence, lastRunAt } : sequence));
+  await persistSequences();
+  renderSequences();
+}
+
+function handleSequenceFilterChange() {
+  const folder = sequenceFolderFilter.value;
+  sequenceFilter = {
+    query: sequenceSearchInput.value,
+    tag: sequenceTagFilter.value,
+    folder: folder === '' ? null : folder === 'none' ? '' : folder.slice('folder:'.length),
+  };
+  renderSequences();
+}
 
-  for (const sequence of sorted) {
-    sequenceList.appendChild(createSequenceListItem(sequence));
+async function handleSequenceSortChange() {
+  sequenceSort = sequenceSortSelect.value;
+  renderSequences();
+  try {
+    await saveSequenceListSettings({ sort: sequenceSort });
+  } catch (error) {
+    console.error('Failed to save the sequence list settings', error);
   }
 }
 
-function handleSaveSequence() {
+async function restoreSequenceListSettings() {
+  sequenceSortSelect.replaceChildren(...SEQUENCE_SORTS.map((sort) => createFilterOption(sort, `Sort: ${SEQUENCE_SORT_LABELS[sort]}`)));
+  ({ sort: sequenceSort } = await loadSequenceListSettings());
+  sequenceSortSelect.value = sequenceSort;
+  renderSequences();
+}
+
+async function handleSaveSequence() {
   const name = sequenceNameInput.value.trim();
   const description = sequenceDescriptionInput.value.trim();
-  const prompts = normalizePrompts(parsePrompts(promptList.value, separatorInput.value));
+  const folder = normalizeFolder(sequenceFolderInput.value);
+  const tags = normalizeTags(sequenceTagsInput.value);
+  const libraryFields = { folder: folder || undefined, tags: tags.length ? tags : undefined };
+  const { templates, variables, steps } = buildPromptPlan();
+  const prompts = normalizePrompts(templates);
+  const templateFields = variables.length
+    ? { variables, expansionMode: expansionModeSelect.value }
+    : { variables: undefined, expansionMode: undefined };
 
   if (!name) {
     setSequenceFeedback('Please provide a sequence name before saving.', 'error');
@@ -226,6 +1023,9 @@ function handleSaveSequence() {
         name,
         description: description || undefined,
         prompts,
+        ...templateFields,
+        ...libraryFields,
+        steps: steps ?? undefined,
         updatedAt: now,
       };
     });
@@ -240,14 +1040,17 @@ function handleSaveSequence() {
       name,
       description: description || undefined,
       prompts,
+      ...templateFields,
+      ...libraryFields,
+      steps: steps ?? undefined,
       createdAt: now,
       updatedAt: now,
     });
     successMessage = `Saved “${name}”. You can load it anytime.`;
   }
 
-  if (!persistSequences()) {
-    loadSequences();
+  if (!(await persistSequences())) {
+    await loadSequences();
     renderSequences();
     setSequenceFeedback('Unable to save the sequence. Check storage permissions.', 'error');
     return;
@@ -259,14 +1062,109 @@ function handleSaveSequence() {
   }
 }
 
+function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function handleExportSequences() {
+  const selected = selectedSequenceIds.size
+    ? sequences.filter((sequence) => selectedSequenceIds.has(sequence.id))
+    : sequences;
+  if (!selected.length) return;
+  const format = exportFormatSelect.value;
+  const { filename, mimeType } = describeSequenceExport(selected, format);
+  downloadText(serializeSequences(selected, format), filename, mimeType);
+  setSequenceFeedback(`Exported ${selected.length} sequence(s) as ${filename}.`);
+}
+
+function resetImport() {
+  pendingImport = null;
+  importFilename = null;
+  importFileInput.value = '';
+  importTextInput.value = '';
+  importPreview.innerHTML = '';
+  confirmImportButton.disabled = true;
+}
+
+function appendImportPreviewLine(text, className) {
+  const item = document.createElement('li');
+  item.textContent = text;
+  if (className) {
+    item.className = className;
+  }
+  importPreview.appendChild(item);
+}
+
+function renderImportPreview() {
+  importPreview.innerHTML = '';
+  const text = importTextInput.value;
+  pendingImport = text.trim() ? parseSequenceImport(text, { filename: importFilename ?? undefined }) : null;
+  confirmImportButton.disabled = !pendingImport?.sequences.length;
+  if (!pendingImport) return;
+
+  for (const sequence of pendingImport.sequences) {
+    const conflict = findSequenceConflict(sequences, sequence);
+    const line = `${sequence.name} — ${sequence.prompts.length} prompt(s)`;
+    if (conflict) {
+      appendImportPreviewLine(`${line}, matches saved “${conflict.name}”`, 'import-preview__conflict');
+    } else {
+      appendImportPreviewLine(`${line}, new`);
+    }
+  }
+  for (const error of pendingImport.errors) {
+    appendImportPreviewLine(`Skipped: ${error}`, 'import-preview__error');
+  }
+  for (const warning of pendingImport.warnings) {
+    appendImportPreviewLine(warning);
+  }
+}
+
+async function handleImportFileChange() {
+  const file = importFileInput.files?.[0];
+  if (!file) return;
+  try {
+    importTextInput.value = await file.text();
+    importFilename = file.name;
+    renderImportPreview();
+  } catch (error) {
+    console.error('Failed to read the import file', error);
+    setSequenceFeedback('Could not read the selected file.', 'error');
+  }
+}
+
+async function handleConfirmImport() {
+  if (!pendingImport?.sequences.length) return;
+  const { sequences: imported, summary } = applySequenceImport(
+    sequences,
+    pendingImport.sequences,
+    importStrategySelect.value,
+  );
+  sequences = imported;
+  if (!(await persistSequences())) {
+    await loadSequences();
+    renderSequences();
+    setSequenceFeedback('Unable to import the sequences. Check storage permissions.', 'error');
+    return;
+  }
+  renderSequences();
+  resetImport();
+  importPanel.hidden = true;
+  setSequenceFeedback(formatImportSummary(summary));
+}
+
 function handleCancelEdit() {
   resetSequenceForm();
   setSequenceFeedback('Edit cancelled.');
 }
 
-async function sendMessageToTab(tabId, message) {
-  const send = () => new Promise((resolve, reject) => {
-    chrome.tabs.sendMessage(tabId, message, (resp) => {
+function sendMessageToBackground(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (resp) => {
       const err = chrome.runtime.lastError;
       if (err) {
         reject(new Error(err.message));
@@ -275,26 +1173,6 @@ async function sendMessageToTab(tabId, message) {
       resolve(resp);
     });
   });
-
-  try {
-    return await send();
-  } catch (error) {
-    if (!/Receiving end does not exist/i.test(error.message)) {
-      throw error;
-    }
-
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['contentScript.js'],
-      });
-    } catch (injectError) {
-      const message = injectError?.message || 'Unknown error while injecting content script.';
-      throw new Error(`Could not inject the helper script. ${message}`);
-    }
-
-    return await send();
-  }
 }
 
 async function getActiveChatGptTab() {
@@ -309,81 +1187,726 @@ async function getActiveChatGptTab() {
     });
   });
 
-  const url = tab?.url || '';
-  const isChatGpt = /^(https:\/\/chat\.openai\.com\/|https:\/\/chatgpt\.com\/)/.test(url);
-
-  if (!tab || !tab.id || !isChatGpt) {
+  if (!tab || !tab.id || !isQueueTabUrl(tab.url || '')) {
     throw new Error('Please focus the ChatGPT tab before starting the queue.');
   }
 
   return tab;
 }
 
+/**
+ * Lists the open ChatGPT and simulator tabs with a checkbox each. Selections survive a
+ * refresh; the active tab is selected when nothing else is.
+ */
+async function renderTabList() {
+  const selected = new Set(getSelectedTabIds());
+  const tabs = (await chrome.tabs.query({})).filter((tab) => isQueueTabUrl(tab.url));
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tabs.some((tab) => selected.has(tab.id))) {
+    selected.clear();
+    selected.add(tabs.some((tab) => tab.id === activeTab?.id) ? activeTab.id : tabs[0]?.id);
+  }
+
+  tabList.replaceChildren(...tabs.map((tab) => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = 'checkbox';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = String(tab.id);
+    checkbox.checked = selected.has(tab.id);
+    const title = document.createElement('span');
+    title.textContent = tab.title || tab.url;
+    title.title = tab.url;
+    label.append(checkbox, title);
+    item.appendChild(label);
+    return item;
+  }));
+
+  if (!tabs.length) {
+    const empty = document.createElement('li');
+    empty.className = 'tab-list__empty';
+    empty.textContent = 'Open ChatGPT in a tab to run prompts.';
+    tabList.appendChild(empty);
+  }
+}
+
+function getSelectedTabIds() {
+  return Array.from(tabList.querySelectorAll('input[type="checkbox"]:checked'), (input) => Number(input.value));
+}
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+function renderCooldown(cooldown) {
+  clearInterval(cooldownTimer);
+  cooldownTimer = null;
+  if (!cooldown) {
+    cooldownStatus.hidden = true;
+    cooldownStatus.textContent = '';
+    return;
+  }
+  const until = new Date(cooldown.until).getTime();
+  const tick = () => {
+    cooldownStatus.textContent = `Image limit reached. Retrying prompt ${cooldown.index + 1} in ${formatCountdown(until - Date.now())}.`;
+  };
+  tick();
+  cooldownStatus.hidden = false;
+  cooldownTimer = setInterval(tick, 1000);
+}
+
+function renderPacingStatus(state) {
+  if (state?.throttle) {
+    const { remaining, limit, until } = state.throttle;
+    pacingStatus.textContent = `Slowing down for the image limit: ${remaining} of about ${limit} left. Next prompt at ${new Date(until).toLocaleTimeString()}.`;
+    pacingStatus.hidden = false;
+    return;
+  }
+  if (!state?.pacing) {
+    pacingStatus.hidden = true;
+    return;
+  }
+  const next = state.nextPromptAt ? ` Next prompt at ${new Date(state.nextPromptAt).toLocaleTimeString()}.` : '';
+  pacingStatus.textContent = `Paced run: ${describePacing(state.pacing)}.${next}`;
+  pacingStatus.hidden = false;
+}
+
+function renderFailedActions(state) {
+  const failedPrompts = state && !['running', 'paused'].includes(state.status) ? collectFailedPrompts(state.results) : [];
+  failedRun = failedPrompts.length ? { prompts: failedPrompts, sequenceName: state.sequenceName } : null;
+  failedSummary.textContent = `${failedPrompts.length} prompt${failedPrompts.length === 1 ? '' : 's'} failed.`;
+  failedActions.hidden = !failedRun;
+}
+
+function renderPromptResults(results = []) {
+  promptResults.replaceChildren(...results.map((result, index) => {
+    const item = document.createElement('li');
+    item.dataset.status = result.status;
+    const prompt = document.createElement('span');
+    prompt.className = 'prompt-results__prompt';
+    prompt.textContent = `${index + 1}. ${result.prompt}`;
+    prompt.title = [result.rewrittenPrompt && `Rewritten: ${result.rewrittenPrompt}`, result.error || result.prompt]
+      .filter(Boolean)
+      .join('\n');
+    const outcome = document.createElement('span');
+    outcome.className = 'prompt-results__outcome';
+    outcome.textContent = result.outcome ? formatOutcomeLabel(result.outcome) : result.status;
+    item.append(prompt, outcome);
+    return item;
+  }));
+  promptResults.hidden = !results.length;
+
+  refusedPrompts = results.filter((result) => result.status === 'refused').map((result) => result.prompt);
+  refusedSummary.textContent = `${refusedPrompts.length} prompt${refusedPrompts.length === 1 ? ' was' : 's were'} refused.`;
+  refusedActions.hidden = !refusedPrompts.length;
+}
+
+/**
+ * Puts the refused prompts back into the editor so they can be fixed and started as a new queue.
+ */
+function handleRequeueRefused() {
+  promptList.value = refusedPrompts.join('\n');
+  separatorInput.value = '';
+  loadedSequenceName = null;
+  loadedSequenceId = null;
+  renderPromptPreview();
+  promptList.focus();
+}
+
+function renderQueueState(state) {
+  if (!state || state.status === 'idle') {
+    return;
+  }
+  logLines = [...state.log];
+  statusSection.textContent = logLines.join('\n');
+  queueStatus = state.status;
+  const active = state.status === 'running' || state.status === 'paused';
+  startButton.disabled = active;
+  queueControls.hidden = !active;
+  pauseButton.textContent = state.status === 'paused' ? 'Resume' : 'Pause';
+  skipButton.disabled = !state.results?.some((result) => result.status === 'running');
+  renderCooldown(active ? state.cooldown : null);
+  renderPacingStatus(active ? state : null);
+  renderPromptResults(state.results);
+  renderFailedActions(state);
+}
+
+async function sendQueueCommand(type) {
+  try {
+    const response = await sendMessageToBackground({ type });
+    if (response?.error) {
+      appendStatus(`Error: ${response.error}`);
+    }
+  } catch (error) {
+    appendStatus(`Failed: ${error?.message || 'Unknown error.'}`);
+  }
+}
+
 async function startQueue() {
   resetStatus();
-  const raw = promptList.value.trim();
-  const separator = separatorInput.value;
-  const prompts = parsePrompts(raw, separator);
+  const { prompts, warnings, steps, variables } = buildPromptPlan();
 
   if (!prompts.length) {
     appendStatus('Please provide at least one prompt.');
     return;
   }
 
+  // A flow's prompts are only known as it runs, so only its warnings are confirmed up front.
+  const flow = steps ? { steps, variables, expansionMode: expansionModeSelect.value } : null;
+  const large = !flow && prompts.length > LARGE_RUN_THRESHOLD;
+  if (large || warnings.length) {
+    const intro = large ? `This run will send ${prompts.length} prompts to ChatGPT.` : 'The prompts have some problems:';
+    const details = warnings.map((warning) => `• ${warning}`).join('\n');
+    const confirmed = window.confirm(`${intro}${details ? `\n\n${details}` : ''}\n\nContinue?`);
+    if (!confirmed) return;
+  }
+
+  const started = await requestQueueStart(flow ? [] : prompts, loadedSequenceName, flow);
+  if (started && loadedSequenceId) {
+    await recordSequenceRun(loadedSequenceId);
+  }
+}
+
+async function requestQueueStart(prompts, sequenceName, flow = null) {
   try {
     startButton.disabled = true;
-    appendStatus(`Starting queue with ${prompts.length} prompt(s)...`);
-
-    const tab = await getActiveChatGptTab();
+    const selectedTabIds = getSelectedTabIds();
+    const tabIds = selectedTabIds.length ? selectedTabIds : [(await getActiveChatGptTab()).id];
 
-    const response = await sendMessageToTab(tab.id, {
+    const response = await sendMessageToBackground({
       type: 'START_PROMPT_QUEUE',
+      tabIds,
       prompts,
+      flow,
+      sequenceName,
     });
-    if (response && response.ok) {
-      appendStatus('Queue complete.');
-    } else if (response && response.error) {
+    if (response?.error) {
       appendStatus(`Error: ${response.error}`);
-    } else {
-      appendStatus('Queue finished with unknown status.');
+      startButton.disabled = false;
+      return false;
     }
+    renderQueueState(response?.state);
+    return true;
   } catch (error) {
-    let message = error?.message || 'Unknown error.';
-    if (/Receiving end does not exist/i.test(message)) {
-      message = 'Could not connect to the ChatGPT tab. Please reload the page and try again.';
-    }
-    appendStatus(`Failed: ${message}`);
-  } finally {
+    appendStatus(`Failed: ${error?.message || 'Unknown error.'}`);
     startButton.disabled = false;
+    return false;
   }
 }
 
-startButton.addEventListener('click', startQueue);
-saveSequenceButton.addEventListener('click', handleSaveSequence);
-cancelSequenceEditButton.addEventListener('click', handleCancelEdit);
+async function rerunFailures() {
+  if (!failedRun) return;
+  const { prompts, sequenceName } = failedRun;
+  resetStatus();
+  await requestQueueStart(prompts, sequenceName);
+}
+
+async function restoreQueueState() {
+  try {
+    const response = await sendMessageToBackground({ type: 'GET_QUEUE_STATE' });
+    renderQueueState(response?.state);
+  } catch (error) {
+    console.error('Failed to read the prompt queue state', error);
+  }
+}
+
+async function restoreDownloadSettings() {
+  const settings = await loadDownloadSettings();
+  downloadEnabledInput.checked = settings.enabled;
+  filenameTemplateInput.value = settings.filenameTemplate;
+  downloadSidecarInput.checked = settings.writeSidecar;
+}
+
+function handleDownloadSettingsChange() {
+  saveDownloadSettings({
+    enabled: downloadEnabledInput.checked,
+    filenameTemplate: filenameTemplateInput.value.trim() || DEFAULT_DOWNLOAD_SETTINGS.filenameTemplate,
+    writeSidecar: downloadSidecarInput.checked,
+  }).catch((error) => {
+    console.error('Failed to save download settings', error);
+  });
+}
+
+async function restoreRefusalSettings() {
+  const settings = await loadRefusalSettings();
+  refusalPolicySelect.value = settings.policy;
+  rewriteRulesInput.value = settings.rewriteRules;
+  renderRewriteRulesStatus();
+}
+
+function renderRewriteRulesStatus() {
+  rewriteRulesGroup.hidden = refusalPolicySelect.value !== 'rewrite';
+  const { rules, errors } = parseRewriteRules(rewriteRulesInput.value);
+  if (errors.length) {
+    rewriteRulesStatus.textContent = `Ignored: ${errors.join(' ')}`;
+  } else if (!rules.length && refusalPolicySelect.value === 'rewrite') {
+    rewriteRulesStatus.textContent = 'Add at least one rule, or refused prompts are only skipped.';
+  } else {
+    rewriteRulesStatus.textContent = '';
+  }
+  rewriteRulesStatus.hidden = !rewriteRulesStatus.textContent;
+}
+
+function handleRefusalSettingsChange() {
+  renderRewriteRulesStatus();
+  saveRefusalSettings({
+    policy: refusalPolicySelect.value || DEFAULT_REFUSAL_SETTINGS.policy,
+    rewriteRules: rewriteRulesInput.value,
+  }).catch((error) => {
+    console.error('Failed to save refusal settings', error);
+  });
+}
+
+async function restoreRunOptions() {
+  const options = await loadRunOptions();
+  errorPolicySelect.value = options.onError;
+  for (const [key, input] of Object.entries(runOptionInputs)) {
+    input.value = String(options[key]);
+  }
+  chatUrlInput.value = options.chatUrl;
+  chatUrlStatus.hidden = true;
+}
+
+function handleRunOptionsChange() {
+  const options = { onError: errorPolicySelect.value, chatUrl: chatUrlInput.value.trim() };
+  for (const [key, input] of Object.entries(runOptionInputs)) {
+    options[key] = input.value;
+  }
+  // Saving would drop a URL that is not on ChatGPT, so keep it in the field until fixed.
+  chatUrlStatus.hidden = !options.chatUrl || isChatGptUrl(options.chatUrl);
+  if (!chatUrlStatus.hidden) {
+    return;
+  }
+  // Reload so out-of-range values show as the clamped numbers that were saved.
+  saveRunOptions(options).then(restoreRunOptions).catch((error) => {
+    console.error('Failed to save run options', error);
+  });
+}
+
+function toDateTimeLocalValue(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+function countSequencePrompts(sequence) {
+  return expandPrompts(sequence.prompts, sequence.variables, sequence.expansionMode).prompts.length;
+}
+
+function readSchedulePacing() {
+  return normalizePacing({ maxPerHour: scheduleMaxPerHourInput.value, minGapMinutes: scheduleMinGapInput.value });
+}
+
+function setScheduleFeedback(message, variant = 'success') {
+  scheduleFeedback.textContent = message;
+  if (!message) {
+    delete scheduleFeedback.dataset.variant;
+  } else {
+    scheduleFeedback.dataset.variant = variant;
+  }
+}
+
+function renderScheduleSequenceOptions() {
+  const selected = scheduleSequenceSelect.value;
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = sequences.length ? 'Choose a sequence' : 'Save a sequence first';
+  scheduleSequenceSelect.replaceChildren(placeholder, ...sequences.map((sequence) => {
+    const option = document.createElement('option');
+    option.value = sequence.id;
+    option.textContent = sequence.name;
+    return option;
+  }));
+  scheduleSequenceSelect.value = sequences.some((sequence) => sequence.id === selected) ? selected : '';
+  renderScheduleEstimate();
+}
+
+function renderScheduleEstimate() {
+  const sequence = sequences.find((item) => item.id === scheduleSequenceSelect.value);
+  if (!sequence) {
+    scheduleEstimate.textContent = '';
+    return;
+  }
+  const count = countSequencePrompts(sequence);
+  const pacing = readSchedulePacing();
+  const duration = estimatePacedDuration(count, pacing);
+  scheduleEstimate.textContent = duration
+    ? `${count} prompt(s), ${describePacing(pacing)}. The last one starts at least ${formatDuration(duration)} after the first.`
+    : `${count} prompt(s), ${describePacing(pacing)}.`;
+}
+
+function resetScheduleForm() {
+  editingScheduleId = null;
+  scheduleStartInput.value = '';
+  scheduleMaxPerHourInput.value = '0';
+  scheduleMinGapInput.value = '0';
+  saveScheduleButton.textContent = 'Schedule run';
+  cancelScheduleEditButton.hidden = true;
+  renderScheduleEstimate();
+}
 
-loadSequences();
-renderSequences();
+function editScheduledRun(schedule) {
+  editingScheduleId = schedule.id;
+  scheduleSequenceSelect.value = schedule.sequenceId;
+  scheduleStartInput.value = toDateTimeLocalValue(new Date(schedule.startAt));
+  scheduleMaxPerHourInput.value = String(schedule.pacing.maxPerHour);
+  scheduleMinGapInput.value = String(schedule.pacing.minGapMinutes);
+  saveScheduleButton.textContent = 'Update schedule';
+  cancelScheduleEditButton.hidden = false;
+  renderScheduleEstimate();
+  setScheduleFeedback(`Editing the run of “${schedule.sequenceName}”.`);
+}
+
+function describeScheduleStatus(schedule) {
+  switch (schedule.status) {
+    case 'scheduled':
+      return 'Scheduled';
+    case 'running':
+      return 'Running now';
+    case 'failed':
+      return schedule.error ? `Failed: ${schedule.error}` : 'Failed';
+    default:
+      return schedule.status.charAt(0).toUpperCase() + schedule.status.slice(1);
+  }
+}
+
+function createScheduleListItem(schedule) {
+  const item = document.createElement('li');
+  item.className = 'sequence-list__item';
+  item.dataset.status = schedule.status;
 
-chrome.storage?.local?.get?.(STORAGE_KEY, (result) => {
-  const stored = result?.[STORAGE_KEY];
-  if (!stored) {
+  const title = document.createElement('div');
+  title.className = 'sequence-list__title';
+  const heading = document.createElement('h3');
+  heading.textContent = schedule.sequenceName;
+  title.appendChild(heading);
+
+  const meta = document.createElement('div');
+  meta.className = 'sequence-list__meta';
+  const startAt = document.createElement('span');
+  startAt.textContent = new Date(schedule.startAt).toLocaleString();
+  const pacing = document.createElement('span');
+  pacing.textContent = describePacing(schedule.pacing);
+  meta.append(startAt, pacing);
+
+  const status = document.createElement('p');
+  status.className = 'sequence-list__description sequence-list__status';
+  status.textContent = describeScheduleStatus(schedule);
+
+  const actions = document.createElement('div');
+  actions.className = 'sequence-list__actions';
+  if (schedule.status !== 'running') {
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'secondary';
+    editButton.textContent = schedule.status === 'scheduled' ? 'Edit' : 'Schedule again';
+    editButton.addEventListener('click', () => editScheduledRun(schedule));
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'secondary';
+    removeButton.textContent = schedule.status === 'scheduled' ? 'Cancel' : 'Remove';
+    removeButton.addEventListener('click', () => handleDeleteSchedule(schedule));
+    actions.append(editButton, removeButton);
+  }
+
+  item.append(title, meta, status, actions);
+  return item;
+}
+
+function renderScheduledRuns(schedules = []) {
+  scheduledRuns = schedules;
+  scheduleList.replaceChildren(...schedules.map(createScheduleListItem));
+  if (!schedules.length) {
+    const empty = document.createElement('li');
+    empty.className = 'sequence-list__item sequence-list__item--empty';
+    empty.textContent = 'No scheduled runs.';
+    scheduleList.appendChild(empty);
+  }
+}
+
+async function handleSaveSchedule() {
+  const input = {
+    sequenceId: scheduleSequenceSelect.value,
+    // datetime-local values have no zone, so they parse as local time.
+    startAt: scheduleStartInput.value ? new Date(scheduleStartInput.value).toISOString() : '',
+    pacing: readSchedulePacing(),
+  };
+  const error = validateScheduleInput(input, {
+    sequenceIds: sequences.map((sequence) => sequence.id),
+    editing: Boolean(editingScheduleId),
+  });
+  if (error) {
+    setScheduleFeedback(error, 'error');
     return;
   }
+  const sequence = sequences.find((item) => item.id === input.sequenceId);
+  const existing = scheduledRuns.find((schedule) => schedule.id === editingScheduleId) ?? null;
+  const schedule = buildScheduledRun({ ...input, sequenceName: sequence.name }, { existing });
   try {
-    const parsed = Array.isArray(stored) ? stored : JSON.parse(stored);
-    if (Array.isArray(parsed)) {
-      sequences = parsed;
-      persistSequences();
-      renderSequences();
+    const response = await sendMessageToBackground({ type: 'SAVE_SCHEDULED_RUN', schedule });
+    if (response?.error) {
+      setScheduleFeedback(response.error, 'error');
+      return;
+    }
+    renderScheduledRuns(response.schedules);
+    resetScheduleForm();
+    setScheduleFeedback(`“${sequence.name}” starts ${new Date(schedule.startAt).toLocaleString()}.`);
+  } catch (sendError) {
+    setScheduleFeedback(`Could not save the schedule: ${sendError?.message || 'Unknown error.'}`, 'error');
+  }
+}
+
+async function handleDeleteSchedule(schedule) {
+  if (schedule.status === 'scheduled' && !window.confirm(`Cancel the scheduled run of “${schedule.sequenceName}”?`)) {
+    return;
+  }
+  try {
+    const response = await sendMessageToBackground({ type: 'DELETE_SCHEDULED_RUN', scheduleId: schedule.id });
+    if (response?.error) {
+      setScheduleFeedback(response.error, 'error');
+      return;
+    }
+    renderScheduledRuns(response.schedules);
+    if (editingScheduleId === schedule.id) {
+      resetScheduleForm();
+    }
+    setScheduleFeedback(schedule.status === 'scheduled' ? 'Scheduled run cancelled.' : 'Removed.');
+  } catch (error) {
+    setScheduleFeedback(`Could not update the schedule: ${error?.message || 'Unknown error.'}`, 'error');
+  }
+}
+
+async function restoreScheduledRuns() {
+  try {
+    const response = await sendMessageToBackground({ type: 'GET_SCHEDULED_RUNS' });
+    renderScheduledRuns(response?.schedules);
+  } catch (error) {
+    console.error('Failed to read the scheduled runs', error);
+  }
+}
+
+function setAttachmentStatus(message) {
+  attachmentStatus.textContent = message;
+  attachmentStatus.hidden = !message;
+}
+
+/**
+ * Inserts the image's tag at the cursor in the prompt editor.
+ */
+function insertAttachmentTag(name) {
+  const tag = formatAttachmentTag(name);
+  const start = promptList.selectionStart ?? promptList.value.length;
+  const end = promptList.selectionEnd ?? start;
+  const before = promptList.value.slice(0, start);
+  const prefix = before && !/\s$/.test(before) ? ' ' : '';
+  promptList.setRangeText(`${prefix}${tag} `, start, end, 'end');
+  promptList.focus();
+  renderPromptPreview();
+}
+
+function createAttachmentListItem(attachment) {
+  const item = document.createElement('li');
+  item.className = 'attachment-list__item';
+
+  const thumbnail = document.createElement('img');
+  const url = URL.createObjectURL(attachment.blob);
+  attachmentObjectUrls.push(url);
+  thumbnail.src = url;
+  thumbnail.alt = '';
+
+  const name = document.createElement('span');
+  name.className = 'attachment-list__name';
+  name.textContent = attachment.name;
+  name.title = `${attachment.name} · ${Math.ceil(attachment.size / 1024)} KB`;
+
+  const insertButton = document.createElement('button');
+  insertButton.type = 'button';
+  insertButton.className = 'link';
+  insertButton.textContent = 'Insert';
+  insertButton.addEventListener('click', () => insertAttachmentTag(attachment.name));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'link';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', async () => {
+    if (!window.confirm(`Delete the reference image “${attachment.name}”? Prompts that use it will fail.`)) return;
+    try {
+      await deleteAttachment(attachment.name);
+    } catch (error) {
+      console.error('Failed to delete the reference image', error);
+      setAttachmentStatus('Could not delete the image.');
     }
+    await refreshAttachments();
+  });
+
+  item.append(thumbnail, name, insertButton, deleteButton);
+  return item;
+}
+
+async function refreshAttachments() {
+  try {
+    attachmentLibrary = await listAttachments();
   } catch (error) {
-    console.error('Failed to migrate sequences from chrome.storage', error);
+    console.error('Failed to read the reference images', error);
+    attachmentLibrary = [];
+    setAttachmentStatus('Could not read the reference images.');
+  }
+  attachmentObjectUrls.forEach((url) => URL.revokeObjectURL(url));
+  attachmentObjectUrls = [];
+  attachmentList.replaceChildren(...attachmentLibrary.map(createAttachmentListItem));
+  renderPromptPreview();
+}
+
+async function handleAttachmentFiles() {
+  const files = Array.from(attachmentFileInput.files ?? []);
+  const problems = [];
+  const names = attachmentLibrary.map((attachment) => attachment.name);
+  for (const file of files) {
+    const problem = validateAttachmentFile(file);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    const name = uniqueAttachmentName(file.name, names);
+    try {
+      await addAttachment(name, file);
+      names.push(name);
+    } catch (error) {
+      console.error('Failed to store the reference image', error);
+      problems.push(`Could not store ${file.name}.`);
+    }
+  }
+  attachmentFileInput.value = '';
+  setAttachmentStatus(problems.join(' '));
+  await refreshAttachments();
+}
+
+startButton.addEventListener('click', startQueue);
+dryRunButton.addEventListener('click', dryRun);
+resetUsageLimitButton.addEventListener('click', resetUsageLimit);
+pauseButton.addEventListener('click', () => {
+  sendQueueCommand(queueStatus === 'paused' ? 'RESUME_PROMPT_QUEUE' : 'PAUSE_PROMPT_QUEUE');
+});
+skipButton.addEventListener('click', () => sendQueueCommand('SKIP_PROMPT'));
+cancelQueueButton.addEventListener('click', () => sendQueueCommand('CANCEL_PROMPT_QUEUE'));
+saveSequenceButton.addEventListener('click', handleSaveSequence);
+exportSequencesButton.addEventListener('click', handleExportSequences);
+toggleImportButton.addEventListener('click', () => {
+  importPanel.hidden = !importPanel.hidden;
+  if (importPanel.hidden) {
+    resetImport();
+  }
+});
+importFileInput.addEventListener('change', handleImportFileChange);
+importTextInput.addEventListener('input', () => {
+  importFilename = null;
+  renderImportPreview();
+});
+confirmImportButton.addEventListener('click', handleConfirmImport);
+cancelImportButton.addEventListener('click', () => {
+  resetImport();
+  importPanel.hidden = true;
+});
+openHistoryButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+openGalleryButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('gallery.html') });
+});
+openOptionsButton.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+cancelSequenceEditButton.addEventListener('click', handleCancelEdit);
+sequenceSyncInput.addEventListener('change', handleSequenceSyncChange);
+sequenceSearchInput.addEventListener('input', handleSequenceFilterChange);
+sequenceFolderFilter.addEventListener('change', handleSequenceFilterChange);
+sequenceTagFilter.addEventListener('change', handleSequenceFilterChange);
+sequenceSortSelect.addEventListener('change', handleSequenceSortChange);
+for (const input of [promptList, separatorInput, expansionModeSelect, flowModeInput]) {
+  input.addEventListener('input', renderPromptPreview);
+}
+for (const input of [downloadEnabledInput, filenameTemplateInput, downloadSidecarInput]) {
+  input.addEventListener('change', handleDownloadSettingsChange);
+}
+refusalPolicySelect.addEventListener('change', handleRefusalSettingsChange);
+rewriteRulesInput.addEventListener('input', handleRefusalSettingsChange);
+requeueRefusedButton.addEventListener('click', handleRequeueRefused);
+rerunFailuresButton.addEventListener('click', rerunFailures);
+refreshTabsButton.addEventListener('click', renderTabList);
+emptyTrashButton.addEventListener('click', handleEmptyTrash);
+attachmentFileInput.addEventListener('change', handleAttachmentFiles);
+saveScheduleButton.addEventListener('click', handleSaveSchedule);
+cancelScheduleEditButton.addEventListener('click', () => {
+  resetScheduleForm();
+  setScheduleFeedback('Edit cancelled.');
+});
+for (const input of [scheduleSequenceSelect, scheduleMaxPerHourInput, scheduleMinGapInput]) {
+  input.addEventListener('input', renderScheduleEstimate);
+}
+for (const input of [errorPolicySelect, chatUrlInput, ...Object.values(runOptionInputs)]) {
+  input.addEventListener('change', handleRunOptionsChange);
+}
+
+async function initSequences() {
+  const syncEnabled = await loadSequenceSyncEnabled();
+  sequenceSyncInput.checked = syncEnabled;
+  sequenceStore = createPopupSequenceStore(syncEnabled);
+  await loadSequences();
+  renderSequences();
+}
+
+async function handleSequenceSyncChange() {
+  const syncEnabled = sequenceSyncInput.checked;
+  try {
+    await saveSequenceSyncEnabled(syncEnabled);
+  } catch (error) {
+    console.error('Failed to save the sequence sync setting', error);
+  }
+  // Loading with sync enabled merges the synced copy in and uploads the result.
+  sequenceStore = createPopupSequenceStore(syncEnabled);
+  await loadSequences();
+  renderSequences();
+  setSequenceFeedback(syncEnabled ? 'Sequences now sync across your Chrome browsers.' : 'Sequences are saved on this device only.');
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[USAGE_QUOTA_KEY]) {
+    void refreshUsage();
   }
 });
 
 chrome.runtime.onMessage.addListener((message) => {
-  if (message?.type === 'PROMPT_PROGRESS') {
-    appendStatus(message.text);
+  if (message?.type === 'QUEUE_STATE') {
+    renderQueueState(message.state);
+  } else if (message?.type === 'SCHEDULED_RUNS') {
+    renderScheduledRuns(message.schedules);
   }
 });
+
+initSequences();
+restoreSequenceListSettings();
+restoreEditorHandoff();
+restoreQueueState();
+restoreDownloadSettings();
+restoreRefusalSettings();
+restoreRunOptions();
+restoreScheduledRuns();
+refreshAttachments();
+renderTabList();
+renderPromptPreview();
+refreshPastRuns().then(renderPromptPreview);
+refreshUsage();
@@ -0,0 +1,98 @@
+/**
+ * Reference images for prompts. A prompt names the images to upload with it using tags
+ * such as `[image: product.jpg]`; the tags are removed from the text ChatGPT receives. The
+ * images themselves live in IndexedDB (see `attachmentStore.js`), keyed by name, so a tag
+ * works in templates and saved sequences alike:
+ *
+ *     @product = shoe.jpg | bag.jpg
+ *     [image: {product}] Restyle this product photo as a watercolor
+ */
+
+// ChatGPT rejects larger uploads.
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+const ATTACHMENT_TAG = /\[image:\s*([^\]]*?)\s*\]/gi;
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+export function formatAttachmentTag(name) {
+  return `[image: ${name}]`;
+}
+
+/**
+ * Splits the image tags out of a prompt. Names are returned once each, in order.
+ *
+ * @param {string} prompt
+ * @returns {{ text: string, names: string[] }}
+ */
+export function extractAttachmentRefs(prompt) {
+  const names = [];
+  const text = String(prompt ?? '').replace(ATTACHMENT_TAG, (tag, name) => {
+    if (name && !names.includes(name)) {
+      names.push(name);
+    }
+    return ' ';
+  });
+  return { text: text.replace(/\s{2,}/g, ' ').trim(), names };
+}
+
+/**
+ * Lists the image names the prompts refer to that are not in the library.
+ *
+ * @param {string[]} prompts
+ * @param {string[]} libraryNames
+ * @returns {string[]}
+ */
+export function findMissingAttachments(prompts, libraryNames) {
+  const known = new Set(libraryNames);
+  const missing = new Set();
+  for (const prompt of prompts) {
+    for (const name of extractAttachmentRefs(prompt).names) {
+      if (!known.has(name)) {
+        missing.add(name);
+      }
+    }
+  }
+  return [...missing];
+}
+
+/**
+ * Makes a file name usable inside a tag and distinct from the names already stored, adding
+ * " (2)", " (3)"… before the extension when needed.
+ *
+ * @param {string} fileName
+ * @param {string[]} existingNames
+ * @returns {string}
+ */
+export function uniqueAttachmentName(fileName, existingNames) {
+  const cleaned = String(fileName ?? '').replace(/[[\]]/g, '_').replace(/\s+/g, ' ').trim() || 'image';
+  const taken = new Set(existingNames);
+  if (!taken.has(cleaned)) {
+    return cleaned;
+  }
+  const dot = cleaned.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [cleaned.slice(0, dot), cleaned.slice(dot)] : [cleaned, ''];
+  let counter = 2;
+  while (taken.has(`${base} (${counter})${extension}`)) {
+    counter += 1;
+  }
+  return `${base} (${counter})${extension}`;
+}
+
+/**
+ * Returns why a file cannot be used as a reference image, or null.
+ *
+ * @param {{ name: string, type: string, size: number }} file
+ * @returns {string | null}
+ */
+export function validateAttachmentFile(file) {
+  if (!/^image\//.test(file.type)) {
+    return `${file.name} is not an image.`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`;
+  }
+  return null;
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_ATTACHMENT_BYTES,
+  extractAttachmentRefs,
+  findMissingAttachments,
+  formatAttachmentTag,
+  uniqueAttachmentName,
+  validateAttachmentFile,
+} from './promptAttachments.js';
+
+describe('extractAttachmentRefs', () => {
+  it('removes the image tags and lists their names once each', () => {
+    expect(extractAttachmentRefs('[image: shoe.jpg] Restyle this  as a watercolor [IMAGE:logo.png] [image: shoe.jpg]')).toEqual({
+      text: 'Restyle this as a watercolor',
+      names: ['shoe.jpg', 'logo.png'],
+    });
+  });
+
+  it('leaves prompts without tags alone', () => {
+    expect(extractAttachmentRefs('A fox [in brackets]')).toEqual({ text: 'A fox [in brackets]', names: [] });
+  });
+
+  it('round-trips names written with formatAttachmentTag', () => {
+    expect(extractAttachmentRefs(`${formatAttachmentTag('photo (2).jpg')} more`).names).toEqual(['photo (2).jpg']);
+  });
+});
+
+describe('findMissingAttachments', () => {
+  it('reports names that are not in the library', () => {
+    expect(findMissingAttachments(['[image: a.png] one', '[image: b.png] [image: a.png] two', 'three'], ['a.png']))
+      .toEqual(['b.png']);
+  });
+});
+
+describe('uniqueAttachmentName', () => {
+  it('numbers duplicates before the extension', () => {
+    expect(uniqueAttachmentName('shoe.jpg', [])).toBe('shoe.jpg');
+    expect(uniqueAttachmentName('shoe.jpg', ['shoe.jpg', 'shoe (2).jpg'])).toBe('shoe (3).jpg');
+    expect(uniqueAttachmentName('README', ['README'])).toBe('README (2)');
+  });
+
+  it('replaces brackets that would end the tag early', () => {
+    expect(uniqueAttachmentName('draft [final].png', [])).toBe('draft _final_.png');
+  });
+});
+
+describe('validateAttachmentFile', () => {
+  it('accepts images within the upload limit', () => {
+    expect(validateAttachmentFile({ name: 'a.png', type: 'image/png', size: 1024 })).toBeNull();
+    expect(validateAttachmentFile({ name: 'a.pdf', type: 'application/pdf', size: 1024 })).toBe('a.pdf is not an image.');
+    expect(validateAttachmentFile({ name: 'big.png', type: 'image/png', size: MAX_ATTACHMENT_BYTES + 1 }))
+      .toBe('big.png is larger than 20 MB.');
+  });
+});
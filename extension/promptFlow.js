@@ -0,0 +1,248 @@
+/**
+ * Multi-step prompt flows. A flow is a list of steps, each one prompt template, that run
+ * one after another in the same tab. A step can use what earlier steps produced:
+ *
+ *     {{step1.reply}}        the text of step 1's latest reply
+ *     {{step1.imageTitle}}   the title of the first image step 1 generated
+ *     {{previous.reply}}     the same for whichever prompt ran just before
+ *
+ * A step whose template uses `{name}` variables runs once per value, so a variable list
+ * doubles as a loop. When a step is refused or fails it can go on to the next step, stop
+ * the flow or go to another step.
+ *
+ * Shared by the popup, the background worker and `PromptSequenceManager.tsx`.
+ */
+import { DEFAULT_EXPANSION_MODE, expandPrompts } from './promptTemplates.js';
+
+/**
+ * `'next'`, `'stop'`, or the 1-based number of the step to go to.
+ *
+ * @typedef {'next' | 'stop' | number} FlowTarget
+ */
+
+/**
+ * @typedef {object} FlowStep
+ * @property {string} prompt
+ * @property {FlowTarget} onRefused
+ * @property {FlowTarget} onFailed
+ */
+
+/**
+ * @typedef {object} PromptFlow
+ * @property {FlowStep[]} steps
+ * @property {import('./promptTemplates.js').PromptVariable[]} [variables]
+ * @property {import('./promptTemplates.js').ExpansionMode} [expansionMode]
+ */
+
+/**
+ * @typedef {object} StepOutput
+ * @property {string} reply
+ * @property {string} imageTitle
+ */
+
+/**
+ * A flow stops after this many prompts, so a "go to" loop that never succeeds cannot run
+ * forever.
+ */
+export const MAX_FLOW_PROMPTS = 500;
+
+export const FLOW_OUTPUT_FIELDS = ['reply', 'imageTitle'];
+
+const REFERENCE = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const REFERENCE_PARTS = /^(?:step(\d+)|(previous))\.(\w+)$/;
+
+/**
+ * @param {unknown} value
+ * @param {number} stepCount
+ * @returns {FlowTarget}
+ */
+export function normalizeFlowTarget(value, stepCount) {
+  if (value === 'stop') {
+    return 'stop';
+  }
+  const step = Number(value);
+  return Number.isInteger(step) && step >= 1 && step <= stepCount ? step : 'next';
+}
+
+/**
+ * Keeps the steps that have a prompt and repairs their targets. Returns null when no step
+ * is left. Targets are checked against the steps that remain.
+ *
+ * @param {unknown} candidate
+ * @returns {FlowStep[] | null}
+ */
+export function normalizeFlowSteps(candidate) {
+  const steps = (Array.isArray(candidate) ? candidate : [])
+    .filter((step) => typeof step?.prompt === 'string' && step.prompt.trim());
+  if (!steps.length) {
+    return null;
+  }
+  return steps.map((step) => ({
+    prompt: step.prompt.trim(),
+    onRefused: normalizeFlowTarget(step.onRefused, steps.length),
+    onFailed: normalizeFlowTarget(step.onFailed, steps.length),
+  }));
+}
+
+/**
+ * Builds steps from prompt templates, keeping the targets already chosen for each position.
+ *
+ * @param {string[]} prompts
+ * @param {Partial<FlowStep>[]} [previous]
+ * @returns {FlowStep[]}
+ */
+export function buildFlowSteps(prompts, previous = []) {
+  return prompts.map((prompt, position) => ({
+    prompt,
+    onRefused: normalizeFlowTarget(previous[position]?.onRefused, prompts.length),
+    onFailed: normalizeFlowTarget(previous[position]?.onFailed, prompts.length),
+  }));
+}
+
+/**
+ * @param {FlowTarget} target
+ * @returns {string}
+ */
+export function describeFlowTarget(target) {
+  if (target === 'stop') {
+    return 'stop the flow';
+  }
+  return typeof target === 'number' ? `go to step ${target}` : 'continue';
+}
+
+/**
+ * Lists the `{{...}}` references in the steps that cannot be resolved: unknown fields,
+ * steps that do not exist, and steps that have not run yet the first time the reference
+ * is read.
+ *
+ * @param {FlowStep[]} steps
+ * @returns {string[]}
+ */
+export function findFlowProblems(steps) {
+  const problems = [];
+  steps.forEach((step, position) => {
+    for (const [reference, body] of step.prompt.matchAll(REFERENCE)) {
+      const match = REFERENCE_PARTS.exec(body);
+      if (!match || !FLOW_OUTPUT_FIELDS.includes(match[3])) {
+        problems.push(`Step ${position + 1}: ${reference} is not a known reference. Use {{stepN.reply}}, {{stepN.imageTitle}} or {{previous.reply}}.`);
+        continue;
+      }
+      const target = match[1] === undefined ? null : Number(match[1]);
+      if (target === null) {
+        if (position === 0) {
+          problems.push(`Step 1: ${reference} is empty because no prompt runs before the first step.`);
+        }
+      } else if (target < 1 || target > steps.length) {
+        problems.push(`Step ${position + 1}: ${reference} refers to a step that does not exist.`);
+      } else if (target > position) {
+        problems.push(`Step ${position + 1}: ${reference} is empty until step ${target} has run.`);
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Replaces the `{{...}}` references with the outputs recorded so far. References to steps
+ * that have not run become empty; anything that is not a flow reference is left alone.
+ *
+ * @param {string} template
+ * @param {Map<number, StepOutput>} outputs Latest output of each step, by step number.
+ * @param {StepOutput | null} previous
+ * @returns {string}
+ */
+export function fillFlowReferences(template, outputs, previous) {
+  return String(template).replace(REFERENCE, (reference, body) => {
+    const match = REFERENCE_PARTS.exec(body);
+    if (!match || !FLOW_OUTPUT_FIELDS.includes(match[3])) {
+      return reference;
+    }
+    const output = match[2] ? previous : outputs.get(Number(match[1]));
+    return output?.[match[3]] ?? '';
+  });
+}
+
+/**
+ * Where the flow goes after a prompt of `step` ends with `status`. Skipped and cancelled
+ * prompts, like finished ones, continue.
+ *
+ * @param {FlowStep} step
+ * @param {string} status A prompt result status.
+ * @returns {FlowTarget}
+ */
+export function getFlowTarget(step, status) {
+  if (status === 'refused') {
+    return step.onRefused;
+  }
+  if (status === 'failed' || status === 'cooldown') {
+    return step.onFailed;
+  }
+  return 'next';
+}
+
+/**
+ * Steps through a flow. `next()` returns the next prompt to send with its references
+ * filled in, or null once the flow is over; `report()` records how that prompt ended and
+ * returns where the flow goes from there. Each visit to a step expands its variables
+ * again, so a "go to" re-runs the whole loop.
+ *
+ * @param {PromptFlow} flow
+ * @param {{ maxPrompts?: number }} [options]
+ */
+export function createFlowCursor({ steps, variables = [], expansionMode = DEFAULT_EXPANSION_MODE }, { maxPrompts = MAX_FLOW_PROMPTS } = {}) {
+  const outputs = new Map();
+  let previous = null;
+  let position = 0;
+  let iterations = null;
+  let iteration = 0;
+  let sent = 0;
+
+  const goTo = (stepNumber) => {
+    position = stepNumber - 1;
+    iterations = null;
+    iteration = 0;
+  };
+
+  return {
+    /** True once the flow was cut short by `maxPrompts`. */
+    limitReached: false,
+
+    /**
+     * @returns {{ step: number, prompt: string } | null}
+     */
+    next() {
+      while (position < steps.length) {
+        iterations ??= expandPrompts([steps[position].prompt], variables, expansionMode).prompts;
+        if (iteration < iterations.length) {
+          if (sent >= maxPrompts) {
+            this.limitReached = true;
+            return null;
+          }
+          const prompt = fillFlowReferences(iterations[iteration], outputs, previous);
+          sent += 1;
+          iteration += 1;
+          return { step: position + 1, prompt };
+        }
+        goTo(position + 2);
+      }
+      return null;
+    },
+
+    /**
+     * @param {number} step
+     * @param {{ status: string, reply?: string, imageTitle?: string }} result
+     * @returns {FlowTarget}
+     */
+    report(step, { status, reply = '', imageTitle = '' }) {
+      previous = { reply, imageTitle };
+      outputs.set(step, previous);
+      const target = getFlowTarget(steps[step - 1], status);
+      if (target === 'stop') {
+        position = steps.length;
+      } else if (typeof target === 'number') {
+        goTo(target);
+      }
+      return target;
+    },
+  };
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildFlowSteps,
+  createFlowCursor,
+  describeFlowTarget,
+  fillFlowReferences,
+  findFlowProblems,
+  normalizeFlowSteps,
+} from './promptFlow.js';
+
+const step = (prompt, onRefused = 'next', onFailed = 'next') => ({ prompt, onRefused, onFailed });
+
+function runFlow(flow, statusOf, options) {
+  const cursor = createFlowCursor(flow, options);
+  const sent = [];
+  for (let next = cursor.next(); next; next = cursor.next()) {
+    sent.push(next.prompt);
+    cursor.report(next.step, { status: statusOf(next, sent.length), reply: `reply ${sent.length}`, imageTitle: `image ${sent.length}` });
+  }
+  return { sent, limitReached: cursor.limitReached };
+}
+
+describe('normalizeFlowSteps', () => {
+  it('drops empty steps and repairs targets against the steps left', () => {
+    expect(normalizeFlowSteps([
+      { prompt: ' Draw a fox ', onRefused: 3, onFailed: 'stop' },
+      { prompt: '' },
+      { prompt: 'Describe it', onRefused: '1', onFailed: 'retry' },
+    ])).toEqual([step('Draw a fox', 'next', 'stop'), step('Describe it', 1, 'next')]);
+    expect(normalizeFlowSteps([{ prompt: ' ' }])).toBeNull();
+    expect(normalizeFlowSteps('nope')).toBeNull();
+  });
+});
+
+describe('buildFlowSteps', () => {
+  it('keeps the targets chosen for each position', () => {
+    expect(buildFlowSteps(['a', 'b'], [{ onRefused: 2, onFailed: 'stop' }, { onRefused: 5 }]))
+      .toEqual([step('a', 2, 'stop'), step('b')]);
+  });
+});
+
+describe('describeFlowTarget', () => {
+  it('reads as an action', () => {
+    expect(describeFlowTarget('next')).toBe('continue');
+    expect(describeFlowTarget('stop')).toBe('stop the flow');
+    expect(describeFlowTarget(2)).toBe('go to step 2');
+  });
+});
+
+describe('fillFlowReferences', () => {
+  it('fills step and previous outputs and leaves other braces alone', () => {
+    const outputs = new Map([[1, { reply: 'A fox', imageTitle: 'Fox in snow' }]]);
+    expect(fillFlowReferences('Caption "{{ step1.imageTitle }}" after {{previous.reply}}; {{step2.reply}}; {{other}} {x}', outputs, outputs.get(1)))
+      .toBe('Caption "Fox in snow" after A fox; ; {{other}} {x}');
+  });
+});
+
+describe('findFlowProblems', () => {
+  it('reports unknown fields, missing steps and outputs read before they exist', () => {
+    expect(findFlowProblems([
+      step('Start from {{previous.reply}}'),
+      step('Use {{step1.text}} and {{step9.reply}}'),
+      step('Use {{step1.reply}} and {{step3.reply}}'),
+    ])).toEqual([
+      'Step 1: {{previous.reply}} is empty because no prompt runs before the first step.',
+      'Step 2: {{step1.text}} is not a known reference. Use {{stepN.reply}}, {{stepN.imageTitle}} or {{previous.reply}}.',
+      'Step 2: {{step9.reply}} refers to a step that does not exist.',
+      'Step 3: {{step3.reply}} is empty until step 3 has run.',
+    ]);
+  });
+});
+
+describe('createFlowCursor', () => {
+  it('runs the steps in order and passes earlier outputs on', () => {
+    const { sent } = runFlow({
+      steps: [step('Draw a fox'), step('Title: {{step1.imageTitle}}. Reply was: {{previous.reply}}')],
+    }, () => 'done');
+    expect(sent).toEqual(['Draw a fox', 'Title: image 1. Reply was: reply 1']);
+  });
+
+  it('loops a step over the values of its variables', () => {
+    const { sent } = runFlow({
+      steps: [step('Draw a {animal}'), step('Compare them')],
+      variables: [{ name: 'animal', values: ['fox', 'owl'] }],
+    }, () => 'done');
+    expect(sent).toEqual(['Draw a fox', 'Draw a owl', 'Compare them']);
+  });
+
+  it('goes to another step when a prompt is refused', () => {
+    const { sent } = runFlow({
+      steps: [step('Safe version'), step('Risky version', 1), step('Wrap up')],
+    }, (next, count) => (next.step === 2 && count === 2 ? 'refused' : 'done'));
+    expect(sent).toEqual(['Safe version', 'Risky version', 'Safe version', 'Risky version', 'Wrap up']);
+  });
+
+  it('stops when a failed step says so', () => {
+    const { sent } = runFlow({
+      steps: [step('One', 'next', 'stop'), step('Two')],
+    }, () => 'failed');
+    expect(sent).toEqual(['One']);
+  });
+
+  it('gives up on endless loops', () => {
+    const result = runFlow({ steps: [step('Again', 1)] }, () => 'refused', { maxPrompts: 3 });
+    expect(result).toEqual({ sent: ['Again', 'Again', 'Again'], limitReached: true });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Classifies what ChatGPT did with a prompt, from what the content script observed once the
+ * reply settled. The queue decides how to record and continue based on the outcome type.
+ */
+
+import { DEFAULT_COOLDOWN_PATTERNS } from './imageCooldown.js';
+
+/**
+ * @typedef {'images' | 'text' | 'refusal' | 'error' | 'cooldown'} PromptOutcomeType
+ */
+
+/**
+ * @typedef {object} PromptObservation
+ * @property {string} [reply] Text of the newest assistant turn, empty when no turn appeared.
+ * @property {string[]} [images] Generated image URLs found in the new turns.
+ * @property {string[]} [imageTitles] Titles of those images, where ChatGPT gave one.
+ * @property {string} [errorText] Text of an error card in the new turn, or shown since the
+ *   prompt was sent, if any.
+ * @property {boolean} [errorInTurn] Whether that card is in the new turn, and so is
+ *   ChatGPT's answer to the prompt.
+ */
+
+/**
+ * @typedef {object} PromptOutcome
+ * @property {PromptOutcomeType} type
+ * @property {number} imageCount
+ * @property {string} message The reply or error text the outcome was derived from.
+ */
+
+export const PROMPT_OUTCOME_TYPES = ['images', 'text', 'refusal', 'error', 'cooldown'];
+
+export const DEFAULT_REFUSAL_PATTERNS = [
+  /\bI(?: can(?:no|['’]?)t| am unable to|['’]m unable to| won['’]?t be able to) (?:help|create|generate|make|produce|fulfil|assist)/i,
+  /\b(?:violates?|goes against|not allowed under) (?:our|the|OpenAI['’]?s) (?:content |usage )?polic/i,
+  /\bcontent polic(?:y|ies)\b/i,
+  /\bnot able to (?:create|generate|make) (?:that|this|images? of)/i,
+];
+
+export const DEFAULT_ERROR_PATTERNS = [
+  /\bsomething went wrong\b/i,
+  /\bnetwork error\b/i,
+  /\ban error occurred\b/i,
+  /\berror (?:in|while) (?:message )?(?:stream|generating)/i,
+  /\bthere was an error generating\b/i,
+];
+
+function matchesAny(patterns, text) {
+  return Boolean(text) && patterns.some((pattern) => pattern.test(text));
+}
+
+/**
+ * Cooldowns win over everything else because the prompt has to be re-sent; images win
+ * over the reply text, which often apologizes for a partial result. A reply with more in it
+ * than the error card wins over the card; an error card alone or an empty reply counts as
+ * an error.
+ *
+ * @param {PromptObservation} observation
+ * @param {{ cooldownPatterns?: RegExp[], refusalPatterns?: RegExp[], errorPatterns?: RegExp[] }} [patterns]
+ * @returns {PromptOutcome}
+ */
+export function classifyPromptOutcome(observation, patterns = {}) {
+  const {
+    cooldownPatterns = DEFAULT_COOLDOWN_PATTERNS,
+    refusalPatterns = DEFAULT_REFUSAL_PATTERNS,
+    errorPatterns = DEFAULT_ERROR_PATTERNS,
+  } = patterns;
+  const reply = observation?.reply?.trim() ?? '';
+  const errorText = observation?.errorText?.trim() ?? '';
+  const imageCount = observation?.images?.length ?? 0;
+  const outcome = (type, message = reply) => ({ type, imageCount, message });
+
+  if (matchesAny(cooldownPatterns, reply) || matchesAny(cooldownPatterns, errorText)) {
+    return outcome('cooldown', matchesAny(cooldownPatterns, reply) ? reply : errorText);
+  }
+  if (imageCount) {
+    return outcome('images');
+  }
+  if (errorText && !reply.replace(errorText, '').trim()) {
+    return outcome('error', errorText);
+  }
+  if (!reply) {
+    return outcome('error', 'ChatGPT did not reply.');
+  }
+  if (matchesAny(errorPatterns, reply)) {
+    return outcome('error');
+  }
+  if (matchesAny(refusalPatterns, reply)) {
+    return outcome('refusal');
+  }
+  return outcome('text');
+}
+
+/**
+ * Short label for logs and tables, e.g. "2 images" or "refused".
+ *
+ * @param {Pick<PromptOutcome, 'type' | 'imageCount'> | null | undefined} outcome
+ * @returns {string}
+ */
+export function formatOutcomeLabel(outcome) {
+  switch (outcome?.type) {
+    case 'images':
+      return `${outcome.imageCount} image${outcome.imageCount === 1 ? '' : 's'}`;
+    case 'text':
+      return 'text only';
+    case 'refusal':
+      return 'refused';
+    case 'error':
+      return 'error';
+    case 'cooldown':
+      return 'image limit';
+    default:
+      return '—';
+  }
+}
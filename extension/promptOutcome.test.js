@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { classifyPromptOutcome, formatOutcomeLabel } from './promptOutcome.js';
+
+describe('classifyPromptOutcome', () => {
+  it('reports generated images with their count', () => {
+    const outcome = classifyPromptOutcome({
+      reply: 'Here is the image you asked for.',
+      images: ['https://files.example.com/a.png', 'https://files.example.com/b.png'],
+      errorText: '',
+    });
+
+    expect(outcome).toEqual({ type: 'images', imageCount: 2, message: 'Here is the image you asked for.' });
+  });
+
+  it('treats a limit message as a cooldown even when images are present', () => {
+    const outcome = classifyPromptOutcome({
+      reply: "You've hit the image-generation limit. Please try again in 12 minutes.",
+      images: ['https://files.example.com/a.png'],
+    });
+
+    expect(outcome.type).toBe('cooldown');
+    expect(outcome.message).toMatch(/12 minutes/);
+  });
+
+  it('detects refusals', () => {
+    expect(classifyPromptOutcome({ reply: "I'm unable to create that image because it violates our content policy." }).type)
+      .toBe('refusal');
+    expect(classifyPromptOutcome({ reply: "I can't generate images of real public figures." }).type).toBe('refusal');
+  });
+
+  it('reports error cards and empty replies as errors', () => {
+    expect(classifyPromptOutcome({ reply: '', images: [], errorText: 'Something went wrong. Retry' }))
+      .toEqual({ type: 'error', imageCount: 0, message: 'Something went wrong. Retry' });
+    expect(classifyPromptOutcome({ reply: '   ' })).toMatchObject({ type: 'error', message: 'ChatGPT did not reply.' });
+    expect(classifyPromptOutcome({ reply: 'There was an error generating a response' }).type).toBe('error');
+  });
+
+  it('lets a reply win over an error card', () => {
+    expect(classifyPromptOutcome({ reply: 'Which style do you prefer?', errorText: 'Something went wrong. Retry' }).type)
+      .toBe('text');
+    expect(classifyPromptOutcome({ reply: 'Something went wrong. Retry', errorText: 'Something went wrong. Retry' }).type)
+      .toBe('error');
+  });
+
+  it('falls back to a text-only reply', () => {
+    expect(classifyPromptOutcome({ reply: 'Could you tell me which style you prefer?', images: [] }))
+      .toMatchObject({ type: 'text', imageCount: 0 });
+  });
+
+  it('accepts custom patterns', () => {
+    const outcome = classifyPromptOutcome({ reply: 'Nope.' }, { refusalPatterns: [/^nope/i] });
+    expect(outcome.type).toBe('refusal');
+  });
+});
+
+describe('formatOutcomeLabel', () => {
+  it('labels each outcome', () => {
+    expect(formatOutcomeLabel({ type: 'images', imageCount: 1 })).toBe('1 image');
+    expect(formatOutcomeLabel({ type: 'images', imageCount: 4 })).toBe('4 images');
+    expect(formatOutcomeLabel({ type: 'refusal', imageCount: 0 })).toBe('refused');
+    expect(formatOutcomeLabel(null)).toBe('—');
+  });
+});
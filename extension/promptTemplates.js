@@ -0,0 +1,190 @@
+/**
+ * Prompt templates: prompts may reference named variables such as
+ * "a {style} poster of {subject}", and each variable holds a list of values. Expanding a
+ * template produces one prompt per combination of values.
+ *
+ * Variables can be defined inline, one per line, before or between prompts:
+ *
+ *     @style = watercolor | neon | pixel art
+ *     @subject = a fox | a lighthouse
+ *
+ * Shared by the popup and `PromptSequenceManager.tsx`.
+ */
+
+/**
+ * @typedef {object} PromptVariable
+ * @property {string} name
+ * @property {string[]} values
+ */
+
+/**
+ * @typedef {'cartesian' | 'zip'} ExpansionMode
+ */
+
+export const EXPANSION_MODES = ['cartesian', 'zip'];
+
+export const DEFAULT_EXPANSION_MODE = 'cartesian';
+
+/**
+ * Runs above this many prompts ask for confirmation before starting.
+ */
+export const LARGE_RUN_THRESHOLD = 50;
+
+/**
+ * Hard limit on the number of prompts one expansion may produce, so a typo in a large
+ * cartesian product cannot freeze the popup.
+ */
+export const MAX_EXPANDED_PROMPTS = 5000;
+
+const VARIABLE_LINE = /^\s*@([A-Za-z_][\w-]*)\s*[:=]\s*(.*)$/;
+// Single braces only; `{{...}}` is left alone for other placeholder syntaxes.
+const PLACEHOLDER = /(?<!\{)\{([A-Za-z_][\w-]*)\}(?!\})/g;
+
+/**
+ * Parses "a | b | c" into a list of trimmed, non-empty values.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseVariableValues(text) {
+  return String(text ?? '')
+    .split('|')
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Splits `@name = a | b` lines out of the prompt text. A later definition of the same
+ * name replaces the earlier one.
+ *
+ * @param {string} text
+ * @returns {{ variables: PromptVariable[], body: string }}
+ */
+export function extractVariableDefinitions(text) {
+  const byName = new Map();
+  const lines = [];
+  for (const line of String(text ?? '').split(/\r?\n/)) {
+    const match = VARIABLE_LINE.exec(line);
+    if (match) {
+      byName.set(match[1], { name: match[1], values: parseVariableValues(match[2]) });
+    } else {
+      lines.push(line);
+    }
+  }
+  return { variables: Array.from(byName.values()), body: lines.join('\n') };
+}
+
+/**
+ * Inverse of `extractVariableDefinitions`: one `@name = a | b` line per variable.
+ *
+ * @param {PromptVariable[] | undefined} variables
+ * @returns {string}
+ */
+export function formatVariableDefinitions(variables) {
+  return (variables ?? [])
+    .map((variable) => `@${variable.name} = ${variable.values.join(' | ')}`)
+    .join('\n');
+}
+
+/**
+ * Returns the variable names referenced by a template, in order of first use.
+ *
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function findPlaceholders(template) {
+  const names = [];
+  for (const [, name] of String(template).matchAll(PLACEHOLDER)) {
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * @param {string} template
+ * @param {Record<string, string>} values
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+  return String(template).replace(PLACEHOLDER, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  ));
+}
+
+function* cartesian(lists) {
+  if (!lists.length) {
+    yield [];
+    return;
+  }
+  const [first, ...rest] = lists;
+  for (const value of first) {
+    for (const tail of cartesian(rest)) {
+      yield [value, ...tail];
+    }
+  }
+}
+
+/**
+ * Expands prompt templates into literal prompts. Prompts without placeholders pass
+ * through unchanged. In `cartesian` mode every combination of the referenced variables is
+ * produced; in `zip` mode the n-th prompt takes the n-th value of each variable and the
+ * shortest list wins.
+ *
+ * @param {string[]} templates
+ * @param {PromptVariable[]} [variables]
+ * @param {ExpansionMode} [mode]
+ * @returns {{ prompts: string[], warnings: string[] }}
+ */
+export function expandPrompts(templates, variables = [], mode = DEFAULT_EXPANSION_MODE) {
+  const lookup = new Map(
+    variables
+      .filter((variable) => variable.values.length)
+      .map((variable) => [variable.name, variable.values]),
+  );
+  const prompts = [];
+  const warnings = [];
+  const warn = (message) => {
+    if (!warnings.includes(message)) {
+      warnings.push(message);
+    }
+  };
+
+  for (const template of templates) {
+    const names = findPlaceholders(template).filter((name) => {
+      if (lookup.has(name)) return true;
+      warn(`Unknown variable {${name}} is left as-is.`);
+      return false;
+    });
+
+    if (!names.length) {
+      prompts.push(template);
+      continue;
+    }
+
+    const lists = names.map((name) => lookup.get(name));
+    let combinations;
+    if (mode === 'zip') {
+      const lengths = lists.map((list) => list.length);
+      const length = Math.min(...lengths);
+      if (new Set(lengths).size > 1) {
+        warn(`Zipped variables {${names.join('}, {')}} have different lengths; using the first ${length} value(s).`);
+      }
+      combinations = Array.from({ length }, (_, position) => lists.map((list) => list[position]));
+    } else {
+      combinations = cartesian(lists);
+    }
+
+    for (const combination of combinations) {
+      if (prompts.length >= MAX_EXPANDED_PROMPTS) {
+        warn(`Expansion stopped at ${MAX_EXPANDED_PROMPTS} prompts.`);
+        return { prompts, warnings };
+      }
+      const values = Object.fromEntries(names.map((name, position) => [name, combination[position]]));
+      prompts.push(fillTemplate(template, values));
+    }
+  }
+
+  return { prompts, warnings };
+}
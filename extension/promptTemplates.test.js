@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_EXPANDED_PROMPTS,
+  expandPrompts,
+  extractVariableDefinitions,
+  fillTemplate,
+  findPlaceholders,
+  formatVariableDefinitions,
+} from './promptTemplates.js';
+
+describe('prompt templates', () => {
+  const variables = [
+    { name: 'style', values: ['watercolor', 'neon'] },
+    { name: 'subject', values: ['a fox', 'a lighthouse', 'a robot'] },
+  ];
+
+  it('extracts inline variable definitions from prompt text', () => {
+    const { variables: parsed, body } = extractVariableDefinitions(
+      '@style = watercolor | neon\nA {style} poster\n@subject: a fox |  | a robot\nPlain prompt',
+    );
+
+    expect(parsed).toEqual([
+      { name: 'style', values: ['watercolor', 'neon'] },
+      { name: 'subject', values: ['a fox', 'a robot'] },
+    ]);
+    expect(body).toBe('A {style} poster\nPlain prompt');
+  });
+
+  it('round-trips variable definitions', () => {
+    const text = formatVariableDefinitions(variables);
+    expect(extractVariableDefinitions(text).variables).toEqual(variables);
+  });
+
+  it('finds and fills single-brace placeholders only', () => {
+    expect(findPlaceholders('a {style} {subject} in {style} and {{step1.reply}}'))
+      .toEqual(['style', 'subject']);
+    expect(fillTemplate('a {style} {missing}', { style: 'neon' })).toBe('a neon {missing}');
+  });
+
+  it('expands the cartesian product of referenced variables', () => {
+    const { prompts, warnings } = expandPrompts(
+      ['a {style} poster of {subject}', 'literal prompt'],
+      variables,
+    );
+
+    expect(prompts).toHaveLength(7);
+    expect(prompts.slice(0, 3)).toEqual([
+      'a watercolor poster of a fox',
+      'a watercolor poster of a lighthouse',
+      'a watercolor poster of a robot',
+    ]);
+    expect(prompts[6]).toBe('literal prompt');
+    expect(warnings).toEqual([]);
+  });
+
+  it('zips variables and warns about uneven lengths', () => {
+    const { prompts, warnings } = expandPrompts(['{style} {subject}'], variables, 'zip');
+
+    expect(prompts).toEqual(['watercolor a fox', 'neon a lighthouse']);
+    expect(warnings).toHaveLength(1);
+  });
+
+  it('warns about unknown variables and caps huge expansions', () => {
+    expect(expandPrompts(['a {colour} cat'], variables).warnings)
+      .toEqual(['Unknown variable {colour} is left as-is.']);
+
+    const wide = Array.from({ length: 4 }, (_, index) => ({
+      name: `v${index}`,
+      values: Array.from({ length: 10 }, (__, value) => String(value)),
+    }));
+    const { prompts, warnings } = expandPrompts(['{v0}{v1}{v2}{v3}'], wide);
+    expect(prompts).toHaveLength(MAX_EXPANDED_PROMPTS);
+    expect(warnings).toEqual([`Expansion stopped at ${MAX_EXPANDED_PROMPTS} prompts.`]);
+  });
+});
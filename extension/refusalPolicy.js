@@ -0,0 +1,142 @@
+/**
+ * What the queue does when ChatGPT refuses a prompt, and the rewrite rules it can apply
+ * before trying once more. Settings live in `chrome.storage.local` and are read when a run
+ * starts, so changing them does not affect a run in progress.
+ */
+
+export const REFUSAL_SETTINGS_KEY = 'refusalSettings';
+
+/**
+ * - `skip`: record the prompt as refused and continue with the next one.
+ * - `stop`: record it and stop the queue.
+ * - `rewrite`: apply the rewrite rules and send the prompt once more; if it is refused
+ *   again (or no rule changes it) it is recorded as refused and the queue continues.
+ *
+ * @typedef {'skip' | 'stop' | 'rewrite'} RefusalPolicy
+ */
+
+/**
+ * @typedef {{ type: 'remove', pattern: RegExp }
+ *   | { type: 'replace', pattern: RegExp, replacement: string }
+ *   | { type: 'append', text: string }
+ * } RewriteRule
+ */
+
+export const REFUSAL_POLICIES = ['skip', 'stop', 'rewrite'];
+
+export const DEFAULT_REFUSAL_SETTINGS = {
+  policy: 'skip',
+  // Kept as the text the user typed; see `parseRewriteRules` for the syntax.
+  rewriteRules: '',
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Literal text matches case-insensitively; `/source/flags` is used as a regular expression.
+ * Both always replace every occurrence.
+ */
+function parsePattern(text) {
+  const literal = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (!literal) {
+    return new RegExp(escapeRegExp(text), 'gi');
+  }
+  const flags = literal[2].includes('g') ? literal[2] : `${literal[2]}g`;
+  return new RegExp(literal[1], flags);
+}
+
+/**
+ * Parses one rule per line:
+ *
+ *     remove: Greg Rutkowski
+ *     remove: /in the style of [^,]+/i
+ *     replace: photorealistic => painterly
+ *     append: , family-friendly illustration
+ *
+ * Blank lines and lines starting with `#` are ignored.
+ *
+ * @param {string} text
+ * @returns {{ rules: RewriteRule[], errors: string[] }}
+ */
+export function parseRewriteRules(text) {
+  const rules = [];
+  const errors = [];
+  String(text ?? '').split(/\r?\n/).forEach((rawLine, position) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const match = line.match(/^(remove|replace|append)\s*:\s*(.*)$/i);
+    if (!match || !match[2].trim()) {
+      errors.push(`Line ${position + 1}: expected "remove:", "replace:" or "append:" followed by text.`);
+      return;
+    }
+    const type = match[1].toLowerCase();
+    const value = match[2].trim();
+    try {
+      if (type === 'append') {
+        // Keep a leading comma or space so "append: , watercolor" attaches as written.
+        rules.push({ type, text: match[2].replace(/\s+$/, '') });
+      } else if (type === 'remove') {
+        rules.push({ type, pattern: parsePattern(value) });
+      } else {
+        const [pattern, replacement] = value.split(/\s*=>\s*/);
+        if (replacement === undefined || !pattern) {
+          errors.push(`Line ${position + 1}: write replace rules as "replace: old => new".`);
+          return;
+        }
+        rules.push({ type, pattern: parsePattern(pattern), replacement });
+      }
+    } catch (error) {
+      errors.push(`Line ${position + 1}: ${error.message}`);
+    }
+  });
+  return { rules, errors };
+}
+
+function tidyPrompt(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/([,;])(?:\s*[,;])+/g, '$1')
+    .replace(/^[\s,;]+|[\s,;]+$/g, '');
+}
+
+/**
+ * Applies the rules in order and tidies the whitespace and punctuation they leave behind.
+ *
+ * @param {string} prompt
+ * @param {RewriteRule[]} rules
+ * @returns {string}
+ */
+export function applyRewriteRules(prompt, rules) {
+  let rewritten = prompt;
+  for (const rule of rules) {
+    if (rule.type === 'remove') {
+      rewritten = rewritten.replace(rule.pattern, '');
+    } else if (rule.type === 'replace') {
+      rewritten = rewritten.replace(rule.pattern, rule.replacement);
+    } else {
+      const suffix = rule.text.trim();
+      if (!rewritten.toLowerCase().endsWith(suffix.replace(/^[,;]\s*/, '').toLowerCase())) {
+        rewritten = /^[,;\s]/.test(rule.text) ? `${rewritten}${rule.text}` : `${rewritten} ${rule.text}`;
+      }
+    }
+  }
+  return tidyPrompt(rewritten);
+}
+
+export async function loadRefusalSettings() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(REFUSAL_SETTINGS_KEY);
+    const settings = { ...DEFAULT_REFUSAL_SETTINGS, ...(stored?.[REFUSAL_SETTINGS_KEY] ?? {}) };
+    return REFUSAL_POLICIES.includes(settings.policy) ? settings : { ...settings, policy: DEFAULT_REFUSAL_SETTINGS.policy };
+  } catch (error) {
+    console.error('Failed to read refusal settings', error);
+    return { ...DEFAULT_REFUSAL_SETTINGS };
+  }
+}
+
+export async function saveRefusalSettings(settings) {
+  await chrome.storage?.local?.set?.({ [REFUSAL_SETTINGS_KEY]: settings });
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { applyRewriteRules, parseRewriteRules } from './refusalPolicy.js';
+
+describe('parseRewriteRules', () => {
+  it('parses remove, replace and append rules and reports bad lines', () => {
+    const { rules, errors } = parseRewriteRules([
+      '# tone things down',
+      'remove: Greg Rutkowski',
+      'replace: /photo-?realistic/i => painterly',
+      'append: , family-friendly illustration',
+      'replace: missing arrow',
+      'shout: LOUDER',
+      'remove: /[unclosed/',
+    ].join('\n'));
+
+    expect(rules.map((rule) => rule.type)).toEqual(['remove', 'replace', 'append']);
+    expect(rules[1].pattern.flags).toBe('gi');
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toMatch(/^Line 5: write replace rules/);
+    expect(errors[1]).toMatch(/^Line 6:/);
+    expect(errors[2]).toMatch(/^Line 7:/);
+  });
+});
+
+describe('applyRewriteRules', () => {
+  const { rules } = parseRewriteRules([
+    'remove: in the style of Greg Rutkowski',
+    'replace: /photo-?realistic/i => painterly',
+    'append: , family-friendly illustration',
+  ].join('\n'));
+
+  it('rewrites the prompt and tidies what the rules leave behind', () => {
+    expect(applyRewriteRules('A Photorealistic dragon , in the style of greg rutkowski, at dusk', rules))
+      .toBe('A painterly dragon, at dusk, family-friendly illustration');
+  });
+
+  it('does not append a suffix that is already present', () => {
+    const prompt = 'A painterly castle, family-friendly illustration';
+    expect(applyRewriteRules(prompt, rules)).toBe(prompt);
+  });
+
+  it('appends plain suffixes with a space', () => {
+    const { rules: suffix } = parseRewriteRules('append: in watercolor');
+    expect(applyRewriteRules('A fox', suffix)).toBe('A fox in watercolor');
+  });
+});
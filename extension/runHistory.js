@@ -0,0 +1,265 @@
+import { toCsv } from './csv.js';
+
+export const RUN_HISTORY_KEY = 'runHistory';
+
+/**
+ * Prompts sent from the gallery to the popup's editor, picked up the next time it opens.
+ */
+export const EDITOR_HANDOFF_KEY = 'editorHandoff';
+
+/**
+ * Oldest runs are dropped beyond this many to stay well inside the storage quota.
+ */
+export const MAX_STORED_RUNS = 200;
+
+/**
+ * @typedef {'done' | 'refused' | 'failed' | 'cooldown' | 'skipped' | 'cancelled' | 'pending'} PromptResultStatus
+ */
+
+/**
+ * @typedef {object} PromptRecord
+ * @property {number} index
+ * @property {number | null} step The flow step the prompt belongs to, in multi-step flows.
+ * @property {string} text
+ * @property {string | null} rewrittenText The rewritten prompt sent after a refusal, if any.
+ * @property {PromptResultStatus} status
+ * @property {{ type: import('./promptOutcome.js').PromptOutcomeType, imageCount: number } | null} outcome
+ *   What the reply contained; null when the prompt never got one.
+ * @property {string | null} startedAt
+ * @property {string | null} finishedAt
+ * @property {number | null} durationMs
+ * @property {number} retries
+ * @property {string[]} imageUrls
+ * @property {string | null} conversationUrl
+ * @property {string | null} limitHitAt When the prompt first hit the image limit, if it did.
+ * @property {string | null} error
+ */
+
+/**
+ * @typedef {object} GalleryPrompt
+ * @property {string} key `<run id>:<prompt index>`, unique across runs.
+ * @property {RunRecord} run
+ * @property {PromptRecord} prompt
+ */
+
+/**
+ * @typedef {object} GalleryRun
+ * @property {RunRecord} run
+ * @property {GalleryPrompt[]} prompts
+ */
+
+/**
+ * @typedef {object} RunRecord
+ * @property {string} id
+ * @property {string | null} sequenceName
+ * @property {string} status
+ * @property {string | null} startedAt
+ * @property {string | null} finishedAt
+ * @property {string | null} conversationUrl The conversation of the last prompt that got one.
+ * @property {string[]} conversationUrls Every conversation the run used, in the order first used.
+ * @property {PromptRecord[]} prompts
+ */
+
+function durationBetween(startedAt, finishedAt) {
+  if (!startedAt || !finishedAt) return null;
+  return Math.max(0, new Date(finishedAt).getTime() - new Date(startedAt).getTime());
+}
+
+/**
+ * Builds the persisted record of a finished (or interrupted) run from the background
+ * worker's queue state. Prompts that were still running are recorded as failed. Only
+ * http(s) image URLs are kept; data: URLs would blow the storage quota.
+ *
+ * @param {object} state
+ * @returns {RunRecord}
+ */
+export function createRunRecord(state) {
+  const prompts = state.results.map((result, index) => ({
+    index,
+    step: result.step ?? null,
+    text: result.prompt,
+    rewrittenText: result.rewrittenPrompt ?? null,
+    status: result.status === 'running' ? 'failed' : result.status,
+    outcome: result.outcome ?? null,
+    startedAt: result.startedAt ?? null,
+    finishedAt: result.finishedAt ?? null,
+    durationMs: durationBetween(result.startedAt, result.finishedAt),
+    retries: result.retries ?? 0,
+    imageUrls: (result.images ?? []).filter((url) => /^https?:/i.test(url)),
+    conversationUrl: result.conversationUrl ?? null,
+    limitHitAt: result.limitHitAt ?? null,
+    error: result.error ?? null,
+  }));
+
+  const lastConversation = [...prompts].reverse().find((prompt) => prompt.conversationUrl);
+
+  return {
+    id: state.runId,
+    sequenceName: state.sequenceName ?? null,
+    status: state.status,
+    startedAt: state.startedAt,
+    finishedAt: state.finishedAt,
+    conversationUrl: lastConversation?.conversationUrl ?? null,
+    conversationUrls: [...new Set(prompts.map((prompt) => prompt.conversationUrl).filter(Boolean))],
+    prompts,
+  };
+}
+
+/**
+ * @param {PromptRecord} prompt
+ * @returns {string} The text that produced the prompt's images: the rewritten prompt when
+ *   a refusal rewrite was sent, otherwise the prompt itself.
+ */
+export function sentPromptText(prompt) {
+  return prompt.rewrittenText ?? prompt.text;
+}
+
+/**
+ * Lists the prompts that produced images, grouped by run in the order given. A query keeps
+ * the prompts whose text, rewritten text or sequence name contains every word of it; runs
+ * left without prompts are dropped.
+ *
+ * @param {RunRecord[]} runs
+ * @param {{ query?: string }} [options]
+ * @returns {GalleryRun[]}
+ */
+export function buildGallery(runs, { query = '' } = {}) {
+  const words = query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+  return runs
+    .map((run) => ({
+      run,
+      prompts: run.prompts
+        .filter((prompt) => prompt.imageUrls?.length)
+        .filter((prompt) => {
+          const text = [prompt.text, prompt.rewrittenText, run.sequenceName].filter(Boolean).join('\n').toLocaleLowerCase();
+          return words.every((word) => text.includes(word));
+        })
+        .map((prompt) => ({ key: `${run.id}:${prompt.index}`, run, prompt })),
+    }))
+    .filter((group) => group.prompts.length);
+}
+
+export async function loadRunHistory() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(RUN_HISTORY_KEY);
+    const runs = stored?.[RUN_HISTORY_KEY];
+    return Array.isArray(runs) ? runs : [];
+  } catch (error) {
+    console.error('Failed to read the run history', error);
+    return [];
+  }
+}
+
+async function writeRunHistory(runs) {
+  await chrome.storage.local.set({ [RUN_HISTORY_KEY]: runs });
+}
+
+/**
+ * Inserts or replaces a run, keeping the newest `MAX_STORED_RUNS` runs first.
+ *
+ * @param {RunRecord} run
+ */
+export async function saveRun(run) {
+  const runs = (await loadRunHistory()).filter((item) => item.id !== run.id);
+  runs.unshift(run);
+  await writeRunHistory(runs.slice(0, MAX_STORED_RUNS));
+}
+
+export async function deleteRun(runId) {
+  const runs = await loadRunHistory();
+  await writeRunHistory(runs.filter((run) => run.id !== runId));
+}
+
+export async function clearRunHistory() {
+  await writeRunHistory([]);
+}
+
+/**
+ * @param {string[]} prompts
+ */
+export async function handOffToEditor(prompts) {
+  await chrome.storage.local.set({ [EDITOR_HANDOFF_KEY]: { prompts, createdAt: new Date().toISOString() } });
+}
+
+/**
+ * Reads and clears the prompts handed to the editor.
+ *
+ * @returns {Promise<string[]>}
+ */
+export async function takeEditorHandoff() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(EDITOR_HANDOFF_KEY);
+    const prompts = stored?.[EDITOR_HANDOFF_KEY]?.prompts;
+    if (!Array.isArray(prompts)) {
+      return [];
+    }
+    await chrome.storage.local.remove(EDITOR_HANDOFF_KEY);
+    return prompts.filter((prompt) => typeof prompt === 'string' && prompt.trim());
+  } catch (error) {
+    console.error('Failed to read the prompts handed to the editor', error);
+    return [];
+  }
+}
+
+/**
+ * @param {RunRecord[]} runs
+ * @returns {string}
+ */
+export function runsToJson(runs) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), runs }, null, 2);
+}
+
+const CSV_COLUMNS = [
+  'run_id',
+  'sequence',
+  'run_status',
+  'run_started_at',
+  'run_finished_at',
+  'prompt_index',
+  'prompt',
+  'prompt_status',
+  'outcome',
+  'image_count',
+  'prompt_started_at',
+  'duration_ms',
+  'retries',
+  'image_urls',
+  'conversation_url',
+  'error',
+  'rewritten_prompt',
+];
+
+/**
+ * Flattens runs into one CSV row per prompt. Multiple image URLs share a cell,
+ * separated by spaces.
+ *
+ * @param {RunRecord[]} runs
+ * @returns {string}
+ */
+export function runsToCsv(runs) {
+  const rows = [CSV_COLUMNS];
+  for (const run of runs) {
+    for (const prompt of run.prompts) {
+      rows.push([
+        run.id,
+        run.sequenceName,
+        run.status,
+        run.startedAt,
+        run.finishedAt,
+        prompt.index + 1,
+        prompt.text,
+        prompt.status,
+        prompt.outcome?.type,
+        prompt.outcome?.imageCount,
+        prompt.startedAt,
+        prompt.durationMs,
+        prompt.retries,
+        prompt.imageUrls.join(' '),
+        prompt.conversationUrl ?? run.conversationUrl,
+        prompt.error,
+        prompt.rewrittenText,
+      ]);
+    }
+  }
+  return toCsv(rows);
+}
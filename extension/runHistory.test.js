@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { buildGallery, createRunRecord, runsToCsv, runsToJson, sentPromptText } from './runHistory.js';
+
+const state = {
+  runId: 'run-1',
+  sequenceName: 'Spring campaign',
+  status: 'failed',
+  startedAt: '2024-03-01T10:00:00.000Z',
+  finishedAt: '2024-03-01T10:05:00.000Z',
+  results: [
+    {
+      prompt: 'A fox, in "neon"',
+      status: 'done',
+      outcome: { type: 'images', imageCount: 2 },
+      startedAt: '2024-03-01T10:00:00.000Z',
+      finishedAt: '2024-03-01T10:01:30.000Z',
+      retries: 1,
+      images: ['https://files.example.com/a.png', 'data:image/png;base64,AAAA'],
+      conversationUrl: 'https://chatgpt.com/c/abc',
+      error: null,
+    },
+    {
+      prompt: 'A lighthouse',
+      status: 'running',
+      startedAt: '2024-03-01T10:01:31.000Z',
+      error: 'Timed out while waiting for DALL-E to finish.',
+    },
+    { prompt: 'A robot', status: 'pending', error: null },
+    {
+      prompt: 'A kite',
+      status: 'done',
+      conversationUrl: 'https://chatgpt.com/c/def',
+      error: null,
+    },
+    {
+      prompt: 'A boat',
+      status: 'done',
+      conversationUrl: 'https://chatgpt.com/c/abc',
+      error: null,
+    },
+  ],
+};
+
+describe('run history', () => {
+  it('creates a run record from the queue state', () => {
+    const record = createRunRecord(state);
+
+    expect(record).toMatchObject({
+      id: 'run-1',
+      sequenceName: 'Spring campaign',
+      status: 'failed',
+      conversationUrl: 'https://chatgpt.com/c/abc',
+      conversationUrls: ['https://chatgpt.com/c/abc', 'https://chatgpt.com/c/def'],
+    });
+    expect(record.prompts[0]).toMatchObject({
+      index: 0,
+      step: null,
+      status: 'done',
+      outcome: { type: 'images', imageCount: 2 },
+      durationMs: 90_000,
+      retries: 1,
+      imageUrls: ['https://files.example.com/a.png'],
+    });
+    expect(record.prompts[1]).toMatchObject({ status: 'failed', outcome: null, durationMs: null, retries: 0 });
+    expect(record.prompts[2]).toMatchObject({ status: 'pending', imageUrls: [] });
+  });
+
+  it('exports one CSV row per prompt with escaping', () => {
+    const csv = runsToCsv([createRunRecord(state)]);
+    const lines = csv.trimEnd().split('\r\n');
+
+    expect(lines).toHaveLength(6);
+    expect(lines[0]).toMatch(/^run_id,sequence,run_status/);
+    expect(lines[1]).toContain(',1,"A fox, in ""neon""",done,images,2,');
+    expect(lines[1]).toContain(',90000,1,https://files.example.com/a.png,https://chatgpt.com/c/abc,');
+  });
+
+  it('exports JSON with the runs', () => {
+    const parsed = JSON.parse(runsToJson([createRunRecord(state)]));
+    expect(parsed.runs[0].prompts).toHaveLength(5);
+    expect(typeof parsed.exportedAt).toBe('string');
+  });
+});
+
+describe('buildGallery', () => {
+  const run = createRunRecord(state);
+  const rewritten = createRunRecord({
+    ...state,
+    runId: 'run-2',
+    sequenceName: null,
+    results: [{ prompt: 'A castle by Greg Rutkowski', rewrittenPrompt: 'A castle', status: 'done', images: ['https://files.example.com/b.png'] }],
+  });
+
+  it('groups the prompts with images by run', () => {
+    const gallery = buildGallery([rewritten, run]);
+
+    expect(gallery.map((group) => [group.run.id, group.prompts.map((item) => item.key)])).toEqual([
+      ['run-2', ['run-2:0']],
+      ['run-1', ['run-1:0']],
+    ]);
+    expect(sentPromptText(gallery[0].prompts[0].prompt)).toBe('A castle');
+  });
+
+  it('keeps the prompts that match every word of the query', () => {
+    expect(buildGallery([rewritten, run], { query: 'SPRING fox' }).map((group) => group.run.id)).toEqual(['run-1']);
+    expect(buildGallery([rewritten, run], { query: 'castle rutkowski' }).map((group) => group.run.id)).toEqual(['run-2']);
+    expect(buildGallery([rewritten, run], { query: 'lighthouse' })).toEqual([]);
+  });
+});
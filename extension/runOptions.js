@@ -0,0 +1,221 @@
+/**
+ * Run options for how the queue treats failing prompts: how often to retry them, whether
+ * the queue continues after one gives up, and how long the content script waits for each
+ * step; plus how many tabs run at once and which conversation the prompts go to. Read
+ * when a run starts, like the download and refusal settings.
+ */
+
+export const RUN_OPTIONS_KEY = 'runOptions';
+
+/**
+ * @typedef {'continue' | 'stop'} ErrorPolicy
+ */
+
+/**
+ * @typedef {object} RunOptions
+ * @property {ErrorPolicy} onError What the queue does once a prompt failed all its attempts.
+ * @property {number} maxRetries Extra attempts per prompt after an error.
+ * @property {number} retryDelaySeconds Wait before the first retry; it doubles for each further one.
+ * @property {number} composerTimeoutSeconds
+ * @property {number} sendButtonTimeoutSeconds
+ * @property {number} uploadTimeoutSeconds How long reference images may take to upload.
+ * @property {number} replyTimeoutMinutes
+ * @property {number} concurrency How many of the selected tabs run prompts at the same time.
+ * @property {number} newChatEvery Start a new chat before every this many prompts in a tab;
+ *   0 keeps typing into the conversation that is open.
+ * @property {string} chatUrl A custom GPT or project page that each tab opens first and new
+ *   chats start from; empty for a plain ChatGPT chat.
+ */
+
+/**
+ * @typedef {object} PromptTimeouts
+ * @property {number} composerMs
+ * @property {number} sendButtonMs
+ * @property {number} uploadMs
+ * @property {number} replyMs
+ */
+
+export const ERROR_POLICIES = ['continue', 'stop'];
+
+/** @type {RunOptions} */
+export const DEFAULT_RUN_OPTIONS = {
+  onError: 'continue',
+  maxRetries: 1,
+  retryDelaySeconds: 10,
+  composerTimeoutSeconds: 5,
+  sendButtonTimeoutSeconds: 2,
+  uploadTimeoutSeconds: 60,
+  replyTimeoutMinutes: 5,
+  concurrency: 2,
+  newChatEvery: 0,
+  chatUrl: '',
+};
+
+export const NEW_CHAT_URL = 'https://chatgpt.com/';
+
+const CHATGPT_HOSTS = ['chatgpt.com', 'chat.openai.com'];
+
+/**
+ * The extension page that stands in for ChatGPT (see `chatSimulator.js`).
+ */
+export const SIMULATOR_PAGE = 'simulator.html';
+
+const NUMBER_LIMITS = {
+  maxRetries: [0, 5],
+  retryDelaySeconds: [0, 600],
+  composerTimeoutSeconds: [1, 120],
+  sendButtonTimeoutSeconds: [1, 60],
+  uploadTimeoutSeconds: [5, 600],
+  replyTimeoutMinutes: [1, 30],
+  concurrency: [1, 6],
+  newChatEvery: [0, 100],
+};
+
+const INTEGER_OPTIONS = new Set(['maxRetries', 'concurrency', 'newChatEvery']);
+
+/**
+ * Errors that retrying the same prompt cannot fix, because the tab is gone or unreachable.
+ * They stop the queue whatever the error policy says.
+ */
+const FATAL_ERROR_PATTERNS = [
+  /no tab with id/i,
+  /could not inject the helper script/i,
+  /receiving end does not exist/i,
+  /could not connect to the chatgpt tab/i,
+];
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isChatGptUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && CHATGPT_HOSTS.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @param {string} value
+ * @param {string} [simulatorUrl]
+ * @returns {boolean} Whether `value` is the simulator page, whatever its query string.
+ */
+export function isSimulatorUrl(value, simulatorUrl = chrome.runtime.getURL(SIMULATOR_PAGE)) {
+  return typeof value === 'string' && value.split(/[?#]/)[0] === simulatorUrl;
+}
+
+/**
+ * Tabs the queue can run in: ChatGPT and the simulator.
+ *
+ * @param {string} value
+ * @param {string} [simulatorUrl]
+ * @returns {boolean}
+ */
+export function isQueueTabUrl(value, simulatorUrl) {
+  return isChatGptUrl(value) || isSimulatorUrl(value, simulatorUrl);
+}
+
+/**
+ * Fills in defaults and clamps every number into its allowed range. A chat URL outside
+ * ChatGPT is dropped.
+ *
+ * @param {Partial<RunOptions> | null | undefined} candidate
+ * @returns {RunOptions}
+ */
+export function normalizeRunOptions(candidate) {
+  const options = { ...DEFAULT_RUN_OPTIONS };
+  if (ERROR_POLICIES.includes(candidate?.onError)) {
+    options.onError = candidate.onError;
+  }
+  for (const [key, [min, max]] of Object.entries(NUMBER_LIMITS)) {
+    const value = Number(candidate?.[key]);
+    if (candidate?.[key] !== undefined && candidate?.[key] !== '' && Number.isFinite(value)) {
+      options[key] = Math.min(max, Math.max(min, INTEGER_OPTIONS.has(key) ? Math.round(value) : value));
+    }
+  }
+  const chatUrl = typeof candidate?.chatUrl === 'string' ? candidate.chatUrl.trim() : '';
+  if (isChatGptUrl(chatUrl)) {
+    options.chatUrl = chatUrl;
+  }
+  return options;
+}
+
+/**
+ * Whether a tab opens a fresh conversation before its next prompt, given how many prompts
+ * it has sent in this run. The configured chat URL is always opened before the first one.
+ *
+ * @param {RunOptions} options
+ * @param {number} sentInTab
+ * @returns {boolean}
+ */
+export function shouldOpenNewChat(options, sentInTab) {
+  if (sentInTab === 0 && options.chatUrl) {
+    return true;
+  }
+  return options.newChatEvery > 0 && sentInTab % options.newChatEvery === 0;
+}
+
+/**
+ * @param {RunOptions} options
+ * @returns {string}
+ */
+export function getNewChatUrl(options) {
+  return options.chatUrl || NEW_CHAT_URL;
+}
+
+/**
+ * @param {RunOptions} options
+ * @returns {PromptTimeouts}
+ */
+export function toPromptTimeouts(options) {
+  return {
+    composerMs: options.composerTimeoutSeconds * 1000,
+    sendButtonMs: options.sendButtonTimeoutSeconds * 1000,
+    uploadMs: options.uploadTimeoutSeconds * 1000,
+    replyMs: options.replyTimeoutMinutes * 60 * 1000,
+  };
+}
+
+/**
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isFatalPromptError(error) {
+  const message = error instanceof Error ? error.message : String(error ?? '');
+  return FATAL_ERROR_PATTERNS.some((pattern) => pattern.test(message));
+}
+
+/**
+ * True for prompts that ended without a usable result and are worth running again:
+ * failed ones and those that kept hitting the image limit.
+ *
+ * @param {{ status: string }} result
+ * @returns {boolean}
+ */
+export function isFailedResult(result) {
+  return result.status === 'failed' || result.status === 'cooldown';
+}
+
+/**
+ * @param {{ prompt: string, status: string }[]} results
+ * @returns {string[]}
+ */
+export function collectFailedPrompts(results = []) {
+  return results.filter(isFailedResult).map((result) => result.prompt);
+}
+
+export async function loadRunOptions() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(RUN_OPTIONS_KEY);
+    return normalizeRunOptions(stored?.[RUN_OPTIONS_KEY]);
+  } catch (error) {
+    console.error('Failed to read run options', error);
+    return { ...DEFAULT_RUN_OPTIONS };
+  }
+}
+
+export async function saveRunOptions(options) {
+  await chrome.storage?.local?.set?.({ [RUN_OPTIONS_KEY]: normalizeRunOptions(options) });
+}
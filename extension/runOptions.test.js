@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_RUN_OPTIONS,
+  collectFailedPrompts,
+  getNewChatUrl,
+  isChatGptUrl,
+  isFatalPromptError,
+  isQueueTabUrl,
+  normalizeRunOptions,
+  shouldOpenNewChat,
+  toPromptTimeouts,
+} from './runOptions.js';
+
+describe('normalizeRunOptions', () => {
+  it('fills in defaults and clamps numbers from form inputs', () => {
+    expect(normalizeRunOptions(null)).toEqual(DEFAULT_RUN_OPTIONS);
+    expect(normalizeRunOptions({
+      onError: 'stop',
+      maxRetries: '2.6',
+      retryDelaySeconds: '-5',
+      composerTimeoutSeconds: '',
+      replyTimeoutMinutes: 90,
+      concurrency: '9',
+    })).toEqual({
+      ...DEFAULT_RUN_OPTIONS,
+      onError: 'stop',
+      maxRetries: 3,
+      retryDelaySeconds: 0,
+      replyTimeoutMinutes: 30,
+      concurrency: 6,
+    });
+  });
+
+  it('ignores unknown error policies', () => {
+    expect(normalizeRunOptions({ onError: 'explode' }).onError).toBe('continue');
+  });
+
+  it('keeps only chat URLs on ChatGPT', () => {
+    expect(normalizeRunOptions({ chatUrl: ' https://chatgpt.com/g/g-abc123-logo-maker ' }).chatUrl)
+      .toBe('https://chatgpt.com/g/g-abc123-logo-maker');
+    expect(normalizeRunOptions({ chatUrl: 'https://example.com/chatgpt.com' }).chatUrl).toBe('');
+    expect(normalizeRunOptions({ chatUrl: 'http://chatgpt.com/' }).chatUrl).toBe('');
+  });
+});
+
+describe('isChatGptUrl', () => {
+  it('accepts both ChatGPT hosts over https', () => {
+    expect(isChatGptUrl('https://chat.openai.com/')).toBe(true);
+    expect(isChatGptUrl('https://chatgpt.com/g/g-p-123/project')).toBe(true);
+    expect(isChatGptUrl('chatgpt.com')).toBe(false);
+  });
+});
+
+describe('isQueueTabUrl', () => {
+  const simulatorUrl = 'chrome-extension://abc/simulator.html';
+
+  it('accepts ChatGPT and the simulator with any options', () => {
+    expect(isQueueTabUrl('https://chatgpt.com/c/123', simulatorUrl)).toBe(true);
+    expect(isQueueTabUrl('chrome-extension://abc/simulator.html?composer=lexical', simulatorUrl)).toBe(true);
+    expect(isQueueTabUrl('chrome-extension://abc/options.html', simulatorUrl)).toBe(false);
+    expect(isQueueTabUrl('chrome-extension://xyz/simulator.html', simulatorUrl)).toBe(false);
+  });
+});
+
+describe('shouldOpenNewChat', () => {
+  it('keeps the open conversation by default', () => {
+    expect([0, 1, 2].map((sent) => shouldOpenNewChat(DEFAULT_RUN_OPTIONS, sent))).toEqual([false, false, false]);
+  });
+
+  it('opens a new chat before every N prompts in a tab', () => {
+    const options = { ...DEFAULT_RUN_OPTIONS, newChatEvery: 2 };
+    expect([0, 1, 2, 3, 4].map((sent) => shouldOpenNewChat(options, sent))).toEqual([true, false, true, false, true]);
+  });
+
+  it('opens the configured chat URL once before the first prompt', () => {
+    const options = { ...DEFAULT_RUN_OPTIONS, chatUrl: 'https://chatgpt.com/g/g-abc' };
+    expect([0, 1, 2].map((sent) => shouldOpenNewChat(options, sent))).toEqual([true, false, false]);
+    expect(getNewChatUrl(options)).toBe('https://chatgpt.com/g/g-abc');
+    expect(getNewChatUrl(DEFAULT_RUN_OPTIONS)).toBe('https://chatgpt.com/');
+  });
+});
+
+describe('toPromptTimeouts', () => {
+  it('converts the options to milliseconds', () => {
+    expect(toPromptTimeouts(DEFAULT_RUN_OPTIONS)).toEqual({ composerMs: 5000, sendButtonMs: 2000, uploadMs: 60_000, replyMs: 300_000 });
+  });
+});
+
+describe('isFatalPromptError', () => {
+  it('recognizes errors a retry cannot fix', () => {
+    expect(isFatalPromptError(new Error('No tab with id: 42.'))).toBe(true);
+    expect(isFatalPromptError(new Error('Could not establish connection. Receiving end does not exist.'))).toBe(true);
+    expect(isFatalPromptError(new Error('Send button not found. The ChatGPT UI might have changed.'))).toBe(false);
+  });
+});
+
+describe('collectFailedPrompts', () => {
+  it('returns failed prompts and those that kept hitting the image limit', () => {
+    expect(collectFailedPrompts([
+      { prompt: 'a', status: 'done' },
+      { prompt: 'b', status: 'failed' },
+      { prompt: 'c', status: 'refused' },
+      { prompt: 'd', status: 'cooldown' },
+    ])).toEqual(['b', 'd']);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Scheduled runs: a saved sequence started by a `chrome.alarms` alarm at a set time, with
+ * an optional pacing rule that spreads its prompts out. The background worker owns the
+ * stored list; the popup edits it through messages so the alarms always match.
+ */
+
+export const SCHEDULES_KEY = 'scheduledRuns';
+
+export const SCHEDULE_ALARM_PREFIX = 'scheduled-run:';
+
+// Finished schedules kept in the list so their outcome stays visible.
+export const FINISHED_SCHEDULES_KEPT = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {'scheduled' | 'running' | 'completed' | 'failed' | 'cancelled'} ScheduleStatus
+ */
+
+/**
+ * @typedef {object} RunPacing
+ * @property {number} maxPerHour At most this many prompts start in any 60 minutes; 0 for no limit.
+ * @property {number} minGapMinutes Minimum time between two prompts starting.
+ */
+
+/**
+ * @typedef {object} ScheduledRun
+ * @property {string} id
+ * @property {string} sequenceId
+ * @property {string} sequenceName Name at the time of scheduling, shown if the sequence is deleted.
+ * @property {string} startAt
+ * @property {RunPacing} pacing
+ * @property {ScheduleStatus} status
+ * @property {string | null} error
+ * @property {string | null} runId
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/** @type {RunPacing} */
+export const DEFAULT_PACING = {
+  maxPerHour: 0,
+  minGapMinutes: 0,
+};
+
+const PACING_LIMITS = {
+  maxPerHour: [0, 500],
+  minGapMinutes: [0, 1440],
+};
+
+function defaultCreateId() {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * @param {Partial<RunPacing> | null | undefined} candidate
+ * @returns {RunPacing}
+ */
+export function normalizePacing(candidate) {
+  const pacing = { ...DEFAULT_PACING };
+  for (const [key, [min, max]] of Object.entries(PACING_LIMITS)) {
+    const value = Number(candidate?.[key]);
+    if (candidate?.[key] !== undefined && candidate?.[key] !== '' && Number.isFinite(value)) {
+      pacing[key] = Math.min(max, Math.max(min, key === 'maxPerHour' ? Math.round(value) : value));
+    }
+  }
+  return pacing;
+}
+
+/**
+ * @param {RunPacing | null | undefined} pacing
+ * @returns {boolean}
+ */
+export function isPaced(pacing) {
+  return Boolean(pacing && (pacing.maxPerHour > 0 || pacing.minGapMinutes > 0));
+}
+
+/**
+ * How long to wait before the next prompt may start, given when the previous ones started.
+ *
+ * @param {RunPacing} pacing
+ * @param {number[]} startedAt Start times (ms since epoch) of the prompts sent so far.
+ * @param {number} now
+ * @returns {number} Milliseconds, 0 when a prompt may start right away.
+ */
+export function getPacingDelay(pacing, startedAt, now) {
+  if (!isPaced(pacing) || !startedAt.length) {
+    return 0;
+  }
+  let waitMs = Math.max(...startedAt) + pacing.minGapMinutes * 60 * 1000 - now;
+  if (pacing.maxPerHour > 0) {
+    const recent = startedAt.filter((time) => time > now - HOUR_MS).sort((a, b) => a - b);
+    if (recent.length >= pacing.maxPerHour) {
+      // Wait until enough of the last hour's prompts have aged out of the window.
+      waitMs = Math.max(waitMs, recent[recent.length - pacing.maxPerHour] + HOUR_MS - now);
+    }
+  }
+  return Math.max(0, waitMs);
+}
+
+/**
+ * The earliest the last of `promptCount` prompts can start after the run begins, counting
+ * only the pacing waits. Generation time comes on top.
+ *
+ * @param {number} promptCount
+ * @param {RunPacing} pacing
+ * @returns {number} Milliseconds.
+ */
+export function estimatePacedDuration(promptCount, pacing) {
+  const startedAt = [];
+  let now = 0;
+  for (let count = 0; count < promptCount; count += 1) {
+    now += getPacingDelay(pacing, startedAt, now);
+    startedAt.push(now);
+  }
+  return now;
+}
+
+/**
+ * @param {RunPacing} pacing
+ * @returns {string}
+ */
+export function describePacing(pacing) {
+  const parts = [];
+  if (pacing.maxPerHour > 0) {
+    parts.push(`at most ${pacing.maxPerHour} prompt${pacing.maxPerHour === 1 ? '' : 's'} per hour`);
+  }
+  if (pacing.minGapMinutes > 0) {
+    parts.push(`${pacing.minGapMinutes} min apart`);
+  }
+  return parts.length ? parts.join(', ') : 'as fast as ChatGPT allows';
+}
+
+/**
+ * Checks a schedule from the popup form. Returns an error message, or null.
+ *
+ * @param {{ sequenceId?: string, startAt?: string }} input
+ * @param {{ sequenceIds: string[], now?: number, editing?: boolean }} context
+ * @returns {string | null}
+ */
+export function validateScheduleInput(input, { sequenceIds, now = Date.now(), editing = false }) {
+  if (!input.sequenceId || !sequenceIds.includes(input.sequenceId)) {
+    return 'Choose a saved sequence to schedule.';
+  }
+  const startAt = Date.parse(input.startAt ?? '');
+  if (Number.isNaN(startAt)) {
+    return 'Choose when the run should start.';
+  }
+  // A minute of slack so "now" picked in the form is still accepted.
+  if (!editing && startAt < now - 60 * 1000) {
+    return 'The start time is in the past.';
+  }
+  return null;
+}
+
+/**
+ * Creates a new schedule, or applies the form input to an existing one and sets it back to
+ * `scheduled`.
+ *
+ * @param {{ sequenceId: string, sequenceName: string, startAt: string, pacing?: Partial<RunPacing> }} input
+ * @param {{ existing?: ScheduledRun | null, now?: string, createId?: () => string }} [context]
+ * @returns {ScheduledRun}
+ */
+export function buildScheduledRun(input, { existing = null, now = new Date().toISOString(), createId = defaultCreateId } = {}) {
+  return {
+    id: existing?.id ?? createId(),
+    sequenceId: input.sequenceId,
+    sequenceName: input.sequenceName,
+    startAt: new Date(input.startAt).toISOString(),
+    pacing: normalizePacing(input.pacing),
+    status: 'scheduled',
+    error: null,
+    runId: null,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Upcoming schedules first by start time, then the most recently finished ones, keeping at
+ * most `FINISHED_SCHEDULES_KEPT` of those.
+ *
+ * @param {ScheduledRun[]} schedules
+ * @returns {ScheduledRun[]}
+ */
+export function sortScheduledRuns(schedules) {
+  const upcoming = schedules
+    .filter((schedule) => schedule.status === 'scheduled' || schedule.status === 'running')
+    .sort((a, b) => Date.parse(a.startAt) - Date.parse(b.startAt));
+  const finished = schedules
+    .filter((schedule) => !upcoming.includes(schedule))
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, FINISHED_SCHEDULES_KEPT);
+  return [...upcoming, ...finished];
+}
+
+/**
+ * @param {string} scheduleId
+ * @returns {string}
+ */
+export function scheduleAlarmName(scheduleId) {
+  return `${SCHEDULE_ALARM_PREFIX}${scheduleId}`;
+}
+
+/**
+ * @param {string} alarmName
+ * @returns {string | null}
+ */
+export function scheduleIdFromAlarm(alarmName) {
+  return alarmName.startsWith(SCHEDULE_ALARM_PREFIX) ? alarmName.slice(SCHEDULE_ALARM_PREFIX.length) : null;
+}
+
+export async function loadScheduledRuns() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(SCHEDULES_KEY);
+    const schedules = stored?.[SCHEDULES_KEY];
+    return Array.isArray(schedules) ? schedules : [];
+  } catch (error) {
+    console.error('Failed to read scheduled runs', error);
+    return [];
+  }
+}
+
+export async function saveScheduledRuns(schedules) {
+  await chrome.storage?.local?.set?.({ [SCHEDULES_KEY]: sortScheduledRuns(schedules) });
+}
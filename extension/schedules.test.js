@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_PACING,
+  FINISHED_SCHEDULES_KEPT,
+  buildScheduledRun,
+  describePacing,
+  estimatePacedDuration,
+  getPacingDelay,
+  normalizePacing,
+  scheduleAlarmName,
+  scheduleIdFromAlarm,
+  sortScheduledRuns,
+  validateScheduleInput,
+} from './schedules.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('normalizePacing', () => {
+  it('fills in defaults and clamps form values', () => {
+    expect(normalizePacing(null)).toEqual(DEFAULT_PACING);
+    expect(normalizePacing({ maxPerHour: '12.4', minGapMinutes: '-3' })).toEqual({ maxPerHour: 12, minGapMinutes: 0 });
+    expect(normalizePacing({ maxPerHour: '', minGapMinutes: 5000 })).toEqual({ maxPerHour: 0, minGapMinutes: 1440 });
+  });
+});
+
+describe('getPacingDelay', () => {
+  it('never waits without a pacing rule or before the first prompt', () => {
+    expect(getPacingDelay(DEFAULT_PACING, [0, 1, 2], 3)).toBe(0);
+    expect(getPacingDelay({ maxPerHour: 1, minGapMinutes: 10 }, [], 0)).toBe(0);
+  });
+
+  it('keeps the minimum gap after the latest prompt', () => {
+    const pacing = { maxPerHour: 0, minGapMinutes: 10 };
+    expect(getPacingDelay(pacing, [0, 4 * MINUTE], 5 * MINUTE)).toBe(9 * MINUTE);
+    expect(getPacingDelay(pacing, [0], 12 * MINUTE)).toBe(0);
+  });
+
+  it('waits for the oldest prompt of the last hour to age out', () => {
+    const pacing = { maxPerHour: 3, minGapMinutes: 0 };
+    expect(getPacingDelay(pacing, [0, 10 * MINUTE], 20 * MINUTE)).toBe(0);
+    expect(getPacingDelay(pacing, [0, 10 * MINUTE, 15 * MINUTE], 20 * MINUTE)).toBe(40 * MINUTE);
+    // Prompts older than an hour no longer count.
+    expect(getPacingDelay(pacing, [0, 70 * MINUTE, 80 * MINUTE], 90 * MINUTE)).toBe(0);
+  });
+
+  it('applies whichever rule waits longer', () => {
+    const pacing = { maxPerHour: 2, minGapMinutes: 45 };
+    expect(getPacingDelay(pacing, [0, 5 * MINUTE], 10 * MINUTE)).toBe(50 * MINUTE);
+  });
+});
+
+describe('estimatePacedDuration', () => {
+  it('adds up the pacing waits between prompts', () => {
+    expect(estimatePacedDuration(10, DEFAULT_PACING)).toBe(0);
+    expect(estimatePacedDuration(4, { maxPerHour: 0, minGapMinutes: 15 })).toBe(45 * MINUTE);
+    expect(estimatePacedDuration(5, { maxPerHour: 2, minGapMinutes: 0 })).toBe(2 * HOUR);
+  });
+});
+
+describe('describePacing', () => {
+  it('summarizes the rule for the popup', () => {
+    expect(describePacing(DEFAULT_PACING)).toBe('as fast as ChatGPT allows');
+    expect(describePacing({ maxPerHour: 1, minGapMinutes: 20 })).toBe('at most 1 prompt per hour, 20 min apart');
+  });
+});
+
+describe('validateScheduleInput', () => {
+  const now = Date.parse('2024-05-01T12:00:00Z');
+
+  it('requires a known sequence and a start time', () => {
+    expect(validateScheduleInput({ startAt: '2024-05-01T13:00:00Z' }, { sequenceIds: ['a'], now }))
+      .toBe('Choose a saved sequence to schedule.');
+    expect(validateScheduleInput({ sequenceId: 'a', startAt: '' }, { sequenceIds: ['a'], now }))
+      .toBe('Choose when the run should start.');
+    expect(validateScheduleInput({ sequenceId: 'a', startAt: '2024-05-01T13:00:00Z' }, { sequenceIds: ['a'], now }))
+      .toBeNull();
+  });
+
+  it('rejects start times in the past unless an existing schedule is edited', () => {
+    const input = { sequenceId: 'a', startAt: '2024-05-01T11:00:00Z' };
+    expect(validateScheduleInput(input, { sequenceIds: ['a'], now })).toBe('The start time is in the past.');
+    expect(validateScheduleInput(input, { sequenceIds: ['a'], now, editing: true })).toBeNull();
+  });
+});
+
+describe('buildScheduledRun', () => {
+  const input = { sequenceId: 's1', sequenceName: 'Posters', startAt: '2024-05-01T13:00:00Z', pacing: { maxPerHour: '6' } };
+
+  it('creates a scheduled run with normalized pacing', () => {
+    expect(buildScheduledRun(input, { now: '2024-05-01T12:00:00.000Z', createId: () => 'r1' })).toEqual({
+      id: 'r1',
+      sequenceId: 's1',
+      sequenceName: 'Posters',
+      startAt: '2024-05-01T13:00:00.000Z',
+      pacing: { maxPerHour: 6, minGapMinutes: 0 },
+      status: 'scheduled',
+      error: null,
+      runId: null,
+      createdAt: '2024-05-01T12:00:00.000Z',
+      updatedAt: '2024-05-01T12:00:00.000Z',
+    });
+  });
+
+  it('keeps the id and creation time of an edited schedule and reschedules it', () => {
+    const existing = { ...buildScheduledRun(input, { now: '2024-04-01T00:00:00.000Z', createId: () => 'r1' }), status: 'failed', error: 'Tab closed.' };
+    const edited = buildScheduledRun({ ...input, startAt: '2024-05-02T09:00:00Z' }, { existing, now: '2024-05-01T12:00:00.000Z' });
+    expect(edited).toMatchObject({ id: 'r1', createdAt: '2024-04-01T00:00:00.000Z', status: 'scheduled', error: null });
+    expect(edited.startAt).toBe('2024-05-02T09:00:00.000Z');
+  });
+});
+
+describe('sortScheduledRuns', () => {
+  it('lists upcoming runs by start time, then the latest finished ones', () => {
+    const schedule = (id, status, startAt, updatedAt = startAt) => ({ id, status, startAt, updatedAt });
+    const finished = Array.from({ length: FINISHED_SCHEDULES_KEPT + 2 }, (_, day) => (
+      schedule(`done-${day}`, 'completed', '2024-04-01T00:00:00Z', `2024-04-${String(day + 1).padStart(2, '0')}T00:00:00Z`)
+    ));
+    const sorted = sortScheduledRuns([
+      schedule('later', 'scheduled', '2024-05-03T00:00:00Z'),
+      ...finished,
+      schedule('now', 'running', '2024-05-01T00:00:00Z'),
+    ]);
+    expect(sorted.slice(0, 3).map((item) => item.id)).toEqual(['now', 'later', 'done-11']);
+    expect(sorted).toHaveLength(2 + FINISHED_SCHEDULES_KEPT);
+  });
+});
+
+describe('schedule alarms', () => {
+  it('round-trips the schedule id through the alarm name', () => {
+    expect(scheduleIdFromAlarm(scheduleAlarmName('abc'))).toBe('abc');
+    expect(scheduleIdFromAlarm('queue-keepalive')).toBeNull();
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Revision history and trash for saved sequences, shared by the popup and
+ * `PromptSequenceManager.tsx`.
+ *
+ * Every save that changes what a sequence contains keeps a revision of it, and a deleted
+ * sequence moves to the trash, where it stays for `TRASH_RETENTION_DAYS` before it is
+ * purged together with its revisions. The history is stored as `{ version, revisions,
+ * trash }` on this device only; it is not synced, since it would soon outgrow the quota.
+ */
+import { normalizeSequence } from './sequenceStore.js';
+
+/**
+ * @typedef {import('./sequenceStore.js').PromptSequence} PromptSequence
+ * @typedef {import('./sequenceStore.js').SequenceBackend} SequenceBackend
+ */
+
+/**
+ * @typedef {object} SequenceRevision
+ * @property {string} id
+ * @property {string} savedAt
+ * @property {PromptSequence} sequence The sequence as it was saved.
+ */
+
+/**
+ * @typedef {object} TrashedSequence
+ * @property {PromptSequence} sequence
+ * @property {string} deletedAt
+ */
+
+/**
+ * @typedef {object} SequenceHistory
+ * @property {number} version
+ * @property {Record<string, SequenceRevision[]>} revisions Oldest first, by sequence id.
+ * @property {TrashedSequence[]} trash Most recently deleted first.
+ */
+
+/**
+ * @typedef {object} PromptChange
+ * @property {'same' | 'added' | 'removed'} type
+ * @property {string} prompt
+ */
+
+/**
+ * @typedef {object} RevisionDiff
+ * @property {string[]} fields Labels of the other details that changed, such as "Name".
+ * @property {PromptChange[]} prompts
+ */
+
+export const SEQUENCE_HISTORY_KEY = 'sequenceHistory';
+
+export const SEQUENCE_HISTORY_VERSION = 1;
+
+/**
+ * Revisions kept per sequence; older ones are dropped first.
+ */
+export const MAX_REVISIONS = 30;
+
+export const TRASH_RETENTION_DAYS = 30;
+
+export const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// What a revision compares and restores. Pinning and the last run are not edits.
+const REVISION_FIELDS = {
+  name: 'Name',
+  description: 'Description',
+  folder: 'Folder',
+  tags: 'Tags',
+  variables: 'Variables',
+  expansionMode: 'Expansion mode',
+  steps: 'Flow steps',
+  prompts: 'Prompts',
+};
+
+function defaultCreateId() {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function timeOf(value) {
+  return Date.parse(value) || 0;
+}
+
+function emptyHistory() {
+  return { version: SEQUENCE_HISTORY_VERSION, revisions: {}, trash: [] };
+}
+
+function revisionContent(sequence) {
+  return Object.fromEntries(Object.keys(REVISION_FIELDS).map((field) => [field, sequence[field]]));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function sameContent(a, b) {
+  return Object.keys(REVISION_FIELDS).every((field) => sameValue(a[field], b[field]));
+}
+
+function validSequence(candidate, now) {
+  const result = normalizeSequence(candidate, { position: 0, now, warnings: [] });
+  return result.sequence?.id ? result.sequence : null;
+}
+
+/**
+ * @param {PromptSequence} sequence
+ * @param {SequenceRevision} revision
+ * @returns {boolean} Whether restoring the revision would change nothing.
+ */
+export function matchesRevision(sequence, revision) {
+  return sameContent(sequence, revision.sequence);
+}
+
+/**
+ * Validates stored history, dropping revisions and trash entries that no longer hold a
+ * valid sequence.
+ *
+ * @param {unknown} raw The stored value, as an object or a JSON string.
+ * @param {{ now?: string }} [options]
+ * @returns {SequenceHistory}
+ */
+export function normalizeSequenceHistory(raw, { now = new Date().toISOString() } = {}) {
+  let value = raw;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return emptyHistory();
+    }
+  }
+  const history = emptyHistory();
+  for (const [id, revisions] of Object.entries(value?.revisions ?? {})) {
+    const valid = (Array.isArray(revisions) ? revisions : [])
+      .filter((revision) => typeof revision?.id === 'string' && !Number.isNaN(Date.parse(revision?.savedAt)))
+      .map((revision) => ({ ...revision, sequence: validSequence(revision.sequence, now) }))
+      .filter((revision) => revision.sequence?.id === id);
+    if (valid.length) {
+      history.revisions[id] = valid;
+    }
+  }
+  history.trash = (Array.isArray(value?.trash) ? value.trash : [])
+    .filter((entry) => !Number.isNaN(Date.parse(entry?.deletedAt)))
+    .map((entry) => ({ sequence: validSequence(entry.sequence, now), deletedAt: entry.deletedAt }))
+    .filter((entry) => entry.sequence);
+  return history;
+}
+
+/**
+ * Drops trash entries older than the retention period, and the revisions of sequences
+ * that are neither in `sequenceIds` nor in the trash.
+ *
+ * @param {SequenceHistory} history
+ * @param {{ now: string, sequenceIds?: Iterable<string> }} options Without `sequenceIds`,
+ *   revisions are kept.
+ * @returns {SequenceHistory}
+ */
+export function pruneSequenceHistory(history, { now, sequenceIds }) {
+  const cutoff = timeOf(now) - TRASH_RETENTION_MS;
+  const trash = history.trash.filter((entry) => timeOf(entry.deletedAt) >= cutoff);
+  if (!sequenceIds) {
+    return { ...history, trash };
+  }
+  const kept = new Set([...sequenceIds, ...trash.map((entry) => entry.sequence.id)]);
+  const revisions = Object.fromEntries(Object.entries(history.revisions).filter(([id]) => kept.has(id)));
+  return { ...history, revisions, trash };
+}
+
+/**
+ * Records a save of the full sequence list: a revision for every sequence that is new or
+ * whose content changed, and a trash entry for every sequence that is gone. A sequence
+ * saved again takes its entry out of the trash. The first time a sequence that predates
+ * the history changes, its previous version is kept as well.
+ *
+ * @param {SequenceHistory} history
+ * @param {PromptSequence[]} previous The list as it was before the save.
+ * @param {PromptSequence[]} next The saved list.
+ * @param {{ now?: string, createId?: () => string }} [options]
+ * @returns {SequenceHistory}
+ */
+export function recordSequenceChanges(history, previous, next, { now = new Date().toISOString(), createId = defaultCreateId } = {}) {
+  const revisions = { ...history.revisions };
+  const before = new Map(previous.map((sequence) => [sequence.id, sequence]));
+  const nextIds = new Set(next.map((sequence) => sequence.id));
+  const revision = (sequence) => ({ id: createId(), savedAt: sequence.updatedAt ?? now, sequence });
+
+  for (const sequence of next) {
+    const list = revisions[sequence.id] ?? [];
+    const latest = list[list.length - 1]?.sequence ?? before.get(sequence.id);
+    if (latest && sameContent(latest, sequence)) {
+      continue;
+    }
+    const added = !list.length && latest ? [revision(latest), revision(sequence)] : [revision(sequence)];
+    revisions[sequence.id] = [...list, ...added].slice(-MAX_REVISIONS);
+  }
+
+  const removed = previous
+    .filter((sequence) => !nextIds.has(sequence.id))
+    .map((sequence) => ({ sequence, deletedAt: now }));
+  const removedIds = new Set(removed.map((entry) => entry.sequence.id));
+  const trash = [
+    ...removed,
+    ...history.trash.filter((entry) => !nextIds.has(entry.sequence.id) && !removedIds.has(entry.sequence.id)),
+  ];
+
+  return pruneSequenceHistory({ ...history, revisions, trash }, { now, sequenceIds: nextIds });
+}
+
+/**
+ * Removes sequences from the trash for good, with their revisions.
+ *
+ * @param {SequenceHistory} history
+ * @param {string[]} ids
+ * @returns {SequenceHistory}
+ */
+export function removeFromTrash(history, ids) {
+  const removed = new Set(ids);
+  return {
+    ...history,
+    revisions: Object.fromEntries(Object.entries(history.revisions).filter(([id]) => !removed.has(id))),
+    trash: history.trash.filter((entry) => !removed.has(entry.sequence.id)),
+  };
+}
+
+/**
+ * Compares two prompt lists line by line, keeping the order of both.
+ *
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {PromptChange[]}
+ */
+export function diffPrompts(before, after) {
+  // Longest common subsequence table, filled from the end.
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      changes.push({ type: 'same', prompt: before[i] });
+      i += 1;
+      j += 1;
+    } else if (j < after.length && (i === before.length || lengths[i][j + 1] > lengths[i + 1][j])) {
+      changes.push({ type: 'added', prompt: after[j] });
+      j += 1;
+    } else {
+      changes.push({ type: 'removed', prompt: before[i] });
+      i += 1;
+    }
+  }
+  return changes;
+}
+
+/**
+ * @param {PromptSequence | undefined} before Undefined for the first revision.
+ * @param {PromptSequence} after
+ * @returns {RevisionDiff}
+ */
+export function diffRevisions(before, after) {
+  const fields = Object.entries(REVISION_FIELDS)
+    .filter(([field]) => field !== 'prompts' && before && !sameValue(before[field], after[field]))
+    .map(([, label]) => label);
+  return { fields, prompts: diffPrompts(before?.prompts ?? [], after.prompts) };
+}
+
+/**
+ * Puts a revision's content back into the current sequence. The id, creation date, pin and
+ * last run of the current sequence are kept.
+ *
+ * @param {PromptSequence} current
+ * @param {SequenceRevision} revision
+ * @param {string} [now]
+ * @returns {PromptSequence}
+ */
+export function restoreRevision(current, revision, now = new Date().toISOString()) {
+  return { ...current, ...revisionContent(revision.sequence), updatedAt: now };
+}
+
+/**
+ * @param {TrashedSequence} entry
+ * @param {string} [now]
+ * @returns {PromptSequence} Updated now, so it wins over the tombstone of its deletion.
+ */
+export function restoreFromTrash(entry, now = new Date().toISOString()) {
+  return { ...entry.sequence, updatedAt: now };
+}
+
+/**
+ * Creates the history store passed to `createSequenceStore` as `history`, which calls
+ * `record` after every save.
+ *
+ * @param {{ backend: SequenceBackend, now?: () => string, createId?: () => string }} options
+ */
+export function createSequenceHistory({ backend, now = () => new Date().toISOString(), createId = defaultCreateId }) {
+  async function read() {
+    const raw = await backend.read();
+    return raw === null || raw === undefined ? emptyHistory() : normalizeSequenceHistory(raw, { now: now() });
+  }
+
+  async function update(change) {
+    const history = change(await read());
+    await backend.write(history);
+    return history;
+  }
+
+  return {
+    /**
+     * Reads the history, purging trash past its retention period.
+     *
+     * @returns {Promise<SequenceHistory>}
+     */
+    async load() {
+      const history = await read();
+      const pruned = pruneSequenceHistory(history, { now: now() });
+      if (pruned.trash.length !== history.trash.length) {
+        await backend.write(pruned);
+      }
+      return pruned;
+    },
+
+    /**
+     * @param {PromptSequence[]} previous
+     * @param {PromptSequence[]} next
+     * @returns {Promise<SequenceHistory>}
+     */
+    record(previous, next) {
+      return update((history) => recordSequenceChanges(history, previous, next, { now: now(), createId }));
+    },
+
+    /**
+     * @param {string[]} ids
+     * @returns {Promise<SequenceHistory>}
+     */
+    deleteForever(ids) {
+      return update((history) => removeFromTrash(history, ids));
+    },
+
+    /**
+     * @returns {Promise<SequenceHistory>}
+     */
+    emptyTrash() {
+      return update((history) => removeFromTrash(history, history.trash.map((entry) => entry.sequence.id)));
+    },
+  };
+}
@@ -0,0 +1,174 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_REVISIONS,
+  TRASH_RETENTION_MS,
+  createSequenceHistory,
+  diffPrompts,
+  diffRevisions,
+  normalizeSequenceHistory,
+  recordSequenceChanges,
+  removeFromTrash,
+  restoreFromTrash,
+  restoreRevision,
+} from './sequenceHistory.js';
+import { createSequenceStore } from './sequenceStore.js';
+
+const now = '2024-06-01T12:00:00.000Z';
+
+const sequence = (id, updatedAt, extra = {}) => ({
+  id,
+  name: `Sequence ${id}`,
+  prompts: ['a fox'],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt,
+  ...extra,
+});
+
+const empty = { version: 1, revisions: {}, trash: [] };
+
+function counter() {
+  let next = 0;
+  return () => `r${++next}`;
+}
+
+function memoryBackend(value = null) {
+  const backend = {
+    value,
+    read: async () => backend.value,
+    write: async (data) => {
+      backend.value = data;
+    },
+  };
+  return backend;
+}
+
+describe('recordSequenceChanges', () => {
+  it('keeps a revision for new and changed sequences only', () => {
+    const createId = counter();
+    const first = recordSequenceChanges(empty, [], [sequence('a', '2024-05-01T00:00:00.000Z')], { now, createId });
+    const edited = sequence('a', now, { prompts: ['a fox', 'a hare'] });
+    const second = recordSequenceChanges(first, [sequence('a', '2024-05-01T00:00:00.000Z')], [edited], { now, createId });
+    const pinned = recordSequenceChanges(second, [edited], [{ ...edited, pinned: true, lastRunAt: now }], { now, createId });
+
+    expect(pinned.revisions.a.map((revision) => [revision.id, revision.savedAt, revision.sequence.prompts])).toEqual([
+      ['r1', '2024-05-01T00:00:00.000Z', ['a fox']],
+      ['r2', now, ['a fox', 'a hare']],
+    ]);
+  });
+
+  it('keeps the version before the first change of a sequence saved before the history', () => {
+    const old = sequence('a', '2024-05-01T00:00:00.000Z');
+    const history = recordSequenceChanges(empty, [old], [{ ...old, name: 'Renamed', updatedAt: now }], { now, createId: counter() });
+
+    expect(history.revisions.a.map((revision) => revision.sequence.name)).toEqual(['Sequence a', 'Renamed']);
+  });
+
+  it('caps the revisions of a sequence', () => {
+    let history = empty;
+    let previous = [];
+    for (let index = 0; index < MAX_REVISIONS + 5; index++) {
+      const next = [sequence('a', now, { prompts: [`prompt ${index}`] })];
+      history = recordSequenceChanges(history, previous, next, { now, createId: counter() });
+      previous = next;
+    }
+
+    expect(history.revisions.a).toHaveLength(MAX_REVISIONS);
+    expect(history.revisions.a.at(-1).sequence.prompts).toEqual([`prompt ${MAX_REVISIONS + 4}`]);
+  });
+
+  it('moves deleted sequences to the trash and takes them out when saved again', () => {
+    const a = sequence('a', now);
+    const deleted = recordSequenceChanges(empty, [a, sequence('b', now)], [sequence('b', now)], { now });
+    expect(deleted.trash).toEqual([{ sequence: a, deletedAt: now }]);
+    expect(deleted.revisions.a).toBeUndefined();
+
+    const restored = restoreFromTrash(deleted.trash[0], '2024-06-02T00:00:00.000Z');
+    expect(restored.updatedAt).toBe('2024-06-02T00:00:00.000Z');
+    expect(recordSequenceChanges(deleted, [sequence('b', now)], [restored, sequence('b', now)], { now }).trash).toEqual([]);
+  });
+
+  it('purges the trash and its revisions after the retention period', () => {
+    const a = sequence('a', now);
+    const deleted = recordSequenceChanges(recordSequenceChanges(empty, [], [a], { now }), [a], [], { now });
+    expect(deleted.revisions.a).toHaveLength(1);
+
+    const later = new Date(Date.parse(now) + TRASH_RETENTION_MS + 1).toISOString();
+    expect(recordSequenceChanges(deleted, [], [], { now: later })).toEqual(empty);
+    expect(removeFromTrash(deleted, ['a'])).toEqual(empty);
+  });
+});
+
+describe('diffPrompts', () => {
+  it('lists kept, removed and added prompts in order', () => {
+    expect(diffPrompts(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd', 'e'])).toEqual([
+      { type: 'same', prompt: 'a' },
+      { type: 'removed', prompt: 'b' },
+      { type: 'same', prompt: 'c' },
+      { type: 'added', prompt: 'x' },
+      { type: 'same', prompt: 'd' },
+      { type: 'added', prompt: 'e' },
+    ]);
+    expect(diffPrompts([], ['a'])).toEqual([{ type: 'added', prompt: 'a' }]);
+  });
+});
+
+describe('diffRevisions', () => {
+  it('names the other details that changed', () => {
+    const before = sequence('a', now, { tags: ['print'] });
+    const after = sequence('a', now, { name: 'Renamed', prompts: ['a hare'], folder: 'Clients', tags: ['print'] });
+
+    expect(diffRevisions(before, after)).toEqual({
+      fields: ['Name', 'Folder'],
+      prompts: [{ type: 'removed', prompt: 'a fox' }, { type: 'added', prompt: 'a hare' }],
+    });
+    expect(diffRevisions(undefined, before).fields).toEqual([]);
+  });
+});
+
+describe('restoreRevision', () => {
+  it('brings back the content but keeps the pin and the last run', () => {
+    const current = sequence('a', now, { name: 'New', description: 'Later', pinned: true, lastRunAt: now });
+    const revision = { id: 'r1', savedAt: '2024-05-01T00:00:00.000Z', sequence: sequence('a', '2024-05-01T00:00:00.000Z', { prompts: ['old'] }) };
+
+    expect(restoreRevision(current, revision, '2024-06-02T00:00:00.000Z')).toMatchObject({
+      name: 'Sequence a',
+      description: undefined,
+      prompts: ['old'],
+      pinned: true,
+      lastRunAt: now,
+      updatedAt: '2024-06-02T00:00:00.000Z',
+    });
+  });
+});
+
+describe('normalizeSequenceHistory', () => {
+  it('drops entries without a valid sequence', () => {
+    const raw = JSON.stringify({
+      revisions: { a: [{ id: 'r1', savedAt: now, sequence: sequence('a', now) }, { id: 'r2', savedAt: now, sequence: { id: 'a' } }], b: 'oops' },
+      trash: [{ sequence: sequence('c', now), deletedAt: now }, { sequence: sequence('d', now) }],
+    });
+    const history = normalizeSequenceHistory(raw, { now });
+
+    expect(Object.keys(history.revisions)).toEqual(['a']);
+    expect(history.revisions.a.map((revision) => revision.id)).toEqual(['r1']);
+    expect(history.trash.map((entry) => entry.sequence.id)).toEqual(['c']);
+    expect(normalizeSequenceHistory('{oops')).toEqual(empty);
+  });
+});
+
+describe('createSequenceStore with a history', () => {
+  it('records every save and deletion', async () => {
+    const backend = memoryBackend();
+    const history = createSequenceHistory({ backend, now: () => now, createId: counter() });
+    const store = createSequenceStore({ primary: memoryBackend(), history, now: () => now });
+    await store.load();
+
+    await store.save([sequence('a', now), sequence('b', now)]);
+    await store.save([sequence('b', now, { prompts: ['a hare'] })]);
+
+    const { revisions, trash } = await history.load();
+    expect(revisions.b.map((revision) => revision.sequence.prompts)).toEqual([['a fox'], ['a hare']]);
+    expect(trash.map((entry) => entry.sequence.id)).toEqual(['a']);
+    expect((await history.emptyTrash()).revisions.a).toBeUndefined();
+  });
+});
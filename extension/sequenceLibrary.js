@@ -0,0 +1,231 @@
+/**
+ * Organizing saved sequences: tags, folders, pinned favourites, full-text search and
+ * sorting. Shared by the popup and `PromptSequenceManager.tsx`.
+ */
+
+/**
+ * @typedef {import('./sequenceStore.js').PromptSequence} PromptSequence
+ */
+
+/**
+ * @typedef {'updated' | 'name' | 'created' | 'lastRun'} SequenceSort
+ */
+
+/**
+ * @typedef {object} SequenceFilter
+ * @property {string} [query] Words that must all appear in the name, description, prompts,
+ *   tags or folder. A word starting with `#` must match a tag exactly.
+ * @property {string} [tag]
+ * @property {string | null} [folder] Null or undefined for any folder, `''` for none.
+ */
+
+/**
+ * @typedef {object} SequenceGroup
+ * @property {string} key
+ * @property {string} label
+ * @property {PromptSequence[]} sequences
+ */
+
+export const SEQUENCE_SORTS = ['updated', 'name', 'created', 'lastRun'];
+
+export const DEFAULT_SEQUENCE_SORT = 'updated';
+
+export const SEQUENCE_SORT_LABELS = {
+  updated: 'Last updated',
+  name: 'Name',
+  created: 'Date created',
+  lastRun: 'Last run',
+};
+
+export const SEQUENCE_LIST_SETTINGS_KEY = 'sequenceListSettings';
+
+export const MAX_TAGS = 20;
+
+const MAX_TAG_LENGTH = 40;
+const MAX_FOLDER_LENGTH = 80;
+
+function foldCase(text) {
+  return String(text ?? '').toLocaleLowerCase();
+}
+
+function timeOf(value) {
+  return Date.parse(value) || 0;
+}
+
+/**
+ * Cleans a tag list, given as an array or as comma-separated text. Tags cannot hold commas,
+ * leading `#` signs are dropped and duplicates that differ only in case are kept once.
+ *
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+export function normalizeTags(value) {
+  const candidates = (Array.isArray(value) ? value : [value])
+    .flatMap((candidate) => (typeof candidate === 'string' ? candidate.split(',') : []));
+  const tags = [];
+  for (const candidate of candidates) {
+    const tag = candidate.replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.some((existing) => foldCase(existing) === foldCase(tag))) {
+      tags.push(tag);
+    }
+  }
+  return tags.slice(0, MAX_TAGS);
+}
+
+/**
+ * @param {string[] | undefined} tags
+ * @returns {string}
+ */
+export function formatTags(tags) {
+  return (tags ?? []).join(', ');
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} Empty when the sequence is in no folder.
+ */
+export function normalizeFolder(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_FOLDER_LENGTH) : '';
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const value of values) {
+    const key = foldCase(value);
+    const entry = counts.get(key) ?? { value, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  }
+  return Array.from(counts.values()).sort((a, b) => a.value.localeCompare(b.value, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * @param {PromptSequence[]} sequences
+ * @returns {{ tag: string, count: number }[]} By name.
+ */
+export function listTags(sequences) {
+  return countBy(sequences.flatMap((sequence) => sequence.tags ?? []))
+    .map(({ value, count }) => ({ tag: value, count }));
+}
+
+/**
+ * @param {PromptSequence[]} sequences
+ * @returns {{ folder: string, count: number }[]} By name, without the sequences in no folder.
+ */
+export function listFolders(sequences) {
+  return countBy(sequences.map((sequence) => sequence.folder).filter(Boolean))
+    .map(({ value, count }) => ({ folder: value, count }));
+}
+
+function hasTag(sequence, tag) {
+  return (sequence.tags ?? []).some((item) => foldCase(item) === foldCase(tag));
+}
+
+/**
+ * @param {PromptSequence} sequence
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesSequenceQuery(sequence, query) {
+  const words = foldCase(query).split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    return true;
+  }
+  const text = foldCase([
+    sequence.name,
+    sequence.description,
+    sequence.folder,
+    ...(sequence.tags ?? []),
+    ...sequence.prompts,
+  ].filter(Boolean).join('\n'));
+  return words.every((word) => (
+    word.startsWith('#') && word.length > 1 ? hasTag(sequence, word.slice(1)) : text.includes(word)
+  ));
+}
+
+/**
+ * @param {PromptSequence[]} sequences
+ * @param {SequenceFilter} [filter]
+ * @returns {PromptSequence[]}
+ */
+export function filterSequences(sequences, { query = '', tag = '', folder = null } = {}) {
+  return sequences.filter((sequence) => (
+    (!tag || hasTag(sequence, tag))
+    && (folder === null || folder === undefined || foldCase(sequence.folder ?? '') === foldCase(folder))
+    && matchesSequenceQuery(sequence, query)
+  ));
+}
+
+/**
+ * Sorts a copy of the list, pinned sequences first. Names sort A to Z, dates newest first;
+ * sequences that never ran come last when sorting by the last run.
+ *
+ * @param {PromptSequence[]} sequences
+ * @param {SequenceSort} [sort]
+ * @returns {PromptSequence[]}
+ */
+export function sortSequences(sequences, sort = DEFAULT_SEQUENCE_SORT) {
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  const newestFirst = (field) => (a, b) => timeOf(b[field]) - timeOf(a[field]);
+  const compare = {
+    name: byName,
+    created: newestFirst('createdAt'),
+    lastRun: newestFirst('lastRunAt'),
+    updated: newestFirst('updatedAt'),
+  }[sort] ?? newestFirst('updatedAt');
+  return [...sequences].sort((a, b) => (
+    Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))
+    || compare(a, b)
+    || newestFirst('updatedAt')(a, b)
+    || byName(a, b)
+  ));
+}
+
+/**
+ * Splits a sorted list into the pinned sequences, then one group per folder by name, then
+ * the sequences in no folder. The order within each group is kept.
+ *
+ * @param {PromptSequence[]} sorted
+ * @returns {SequenceGroup[]}
+ */
+export function groupSequences(sorted) {
+  const pinned = sorted.filter((sequence) => sequence.pinned);
+  const rest = sorted.filter((sequence) => !sequence.pinned);
+  const groups = [];
+  if (pinned.length) {
+    groups.push({ key: 'pinned', label: 'Pinned', sequences: pinned });
+  }
+  for (const { folder } of listFolders(rest)) {
+    groups.push({
+      key: `folder:${foldCase(folder)}`,
+      label: folder,
+      sequences: rest.filter((sequence) => foldCase(sequence.folder ?? '') === foldCase(folder)),
+    });
+  }
+  const unfiled = rest.filter((sequence) => !sequence.folder);
+  if (unfiled.length) {
+    groups.push({ key: 'unfiled', label: groups.length ? 'No folder' : '', sequences: unfiled });
+  }
+  return groups;
+}
+
+/**
+ * @returns {Promise<{ sort: SequenceSort }>}
+ */
+export async function loadSequenceListSettings() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(SEQUENCE_LIST_SETTINGS_KEY);
+    const sort = stored?.[SEQUENCE_LIST_SETTINGS_KEY]?.sort;
+    return { sort: SEQUENCE_SORTS.includes(sort) ? sort : DEFAULT_SEQUENCE_SORT };
+  } catch (error) {
+    console.error('Failed to read the sequence list settings', error);
+    return { sort: DEFAULT_SEQUENCE_SORT };
+  }
+}
+
+/**
+ * @param {{ sort: SequenceSort }} settings
+ */
+export async function saveSequenceListSettings(settings) {
+  await chrome.storage?.local?.set?.({ [SEQUENCE_LIST_SETTINGS_KEY]: settings });
+}
@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_TAGS,
+  filterSequences,
+  formatTags,
+  groupSequences,
+  listFolders,
+  listTags,
+  matchesSequenceQuery,
+  normalizeFolder,
+  normalizeTags,
+  sortSequences,
+} from './sequenceLibrary.js';
+
+const sequence = (id, extra = {}) => ({
+  id,
+  name: `Sequence ${id}`,
+  prompts: ['a fox'],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+  ...extra,
+});
+
+const library = [
+  sequence('a', { name: 'Spring posters', tags: ['Print', 'spring'], folder: 'Clients', prompts: ['a neon tulip poster'], updatedAt: '2024-03-01T00:00:00.000Z' }),
+  sequence('b', { name: 'Avatars', description: 'Team headshots', tags: ['people'], createdAt: '2024-02-01T00:00:00.000Z', lastRunAt: '2024-04-01T00:00:00.000Z' }),
+  sequence('c', { name: 'banners', folder: 'clients', pinned: true, updatedAt: '2024-02-01T00:00:00.000Z', lastRunAt: '2024-05-01T00:00:00.000Z' }),
+];
+
+const ids = (sequences) => sequences.map((item) => item.id);
+
+describe('normalizeTags', () => {
+  it('splits text, drops hash signs and case-insensitive duplicates', () => {
+    expect(normalizeTags('#print, Spring ,  ,PRINT,  two  words')).toEqual(['print', 'Spring', 'two words']);
+    expect(normalizeTags(['a', 3, ' b ', 'c,d'])).toEqual(['a', 'b', 'c', 'd']);
+    expect(normalizeTags(Array.from({ length: 30 }, (_, index) => `t${index}`))).toHaveLength(MAX_TAGS);
+    expect(formatTags(['a', 'b'])).toBe('a, b');
+  });
+});
+
+describe('normalizeFolder', () => {
+  it('trims folder names and ignores other values', () => {
+    expect(normalizeFolder('  Client   work ')).toBe('Client work');
+    expect(normalizeFolder(42)).toBe('');
+  });
+});
+
+describe('listTags and listFolders', () => {
+  it('count each name once whatever its case', () => {
+    expect(listTags(library)).toEqual([{ tag: 'people', count: 1 }, { tag: 'Print', count: 1 }, { tag: 'spring', count: 1 }]);
+    expect(listFolders(library)).toEqual([{ folder: 'Clients', count: 2 }]);
+  });
+});
+
+describe('matchesSequenceQuery', () => {
+  it('needs every word somewhere in the sequence', () => {
+    expect(matchesSequenceQuery(library[0], 'NEON clients')).toBe(true);
+    expect(matchesSequenceQuery(library[1], 'team headshots')).toBe(true);
+    expect(matchesSequenceQuery(library[1], 'team neon')).toBe(false);
+    expect(matchesSequenceQuery(library[1], '  ')).toBe(true);
+  });
+
+  it('matches #words against tags only', () => {
+    expect(matchesSequenceQuery(library[0], '#print')).toBe(true);
+    expect(matchesSequenceQuery(library[0], '#prin')).toBe(false);
+  });
+});
+
+describe('filterSequences', () => {
+  it('combines the query, tag and folder', () => {
+    expect(ids(filterSequences(library, { tag: 'PRINT' }))).toEqual(['a']);
+    expect(ids(filterSequences(library, { folder: 'CLIENTS' }))).toEqual(['a', 'c']);
+    expect(ids(filterSequences(library, { folder: '' }))).toEqual(['b']);
+    expect(ids(filterSequences(library, { folder: 'Clients', query: 'banner' }))).toEqual(['c']);
+    expect(ids(filterSequences(library))).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('sortSequences', () => {
+  it('keeps pinned sequences first', () => {
+    expect(ids(sortSequences(library, 'updated'))).toEqual(['c', 'a', 'b']);
+    expect(ids(sortSequences(library, 'name'))).toEqual(['c', 'b', 'a']);
+    expect(ids(sortSequences(library, 'created'))).toEqual(['c', 'b', 'a']);
+  });
+
+  it('puts sequences that never ran last', () => {
+    const unpinned = library.map((item) => ({ ...item, pinned: undefined }));
+    expect(ids(sortSequences(unpinned, 'lastRun'))).toEqual(['c', 'b', 'a']);
+    expect(ids(sortSequences(unpinned.slice(0, 2), 'lastRun'))).toEqual(['b', 'a']);
+  });
+});
+
+describe('groupSequences', () => {
+  it('lists pinned sequences, then folders, then the rest', () => {
+    const groups = groupSequences(sortSequences(library, 'name'));
+    expect(groups.map((group) => [group.label, ids(group.sequences)])).toEqual([
+      ['Pinned', ['c']],
+      ['Clients', ['a']],
+      ['No folder', ['b']],
+    ]);
+  });
+
+  it('needs no heading when nothing is pinned or filed', () => {
+    expect(groupSequences([sequence('x')])).toEqual([{ key: 'unfiled', label: '', sequences: [sequence('x')] }]);
+  });
+});
@@ -0,0 +1,520 @@
+/**
+ * Versioned storage for saved prompt sequences, shared by the popup and
+ * `PromptSequenceManager.tsx`.
+ *
+ * Data is stored as `{ version, sequences, deleted }`, where `deleted` holds tombstones
+ * (`{ id, deletedAt }`) so a deletion is not undone by merging in an older copy. Every
+ * read runs the data through the migrations and validation below, and copies from
+ * several backends (the primary store, legacy `localStorage`, `chrome.storage.sync`) are
+ * merged by `updatedAt` rather than overwritten.
+ */
+import { normalizeFlowSteps } from './promptFlow.js';
+import { DEFAULT_EXPANSION_MODE, EXPANSION_MODES } from './promptTemplates.js';
+import { normalizeFolder, normalizeTags } from './sequenceLibrary.js';
+
+/**
+ * @typedef {import('./promptTemplates.js').PromptVariable} PromptVariable
+ * @typedef {import('./promptTemplates.js').ExpansionMode} ExpansionMode
+ * @typedef {import('./promptFlow.js').FlowStep} FlowStep
+ */
+
+/**
+ * @typedef {object} PromptSequence
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string[]} prompts
+ * @property {PromptVariable[]} [variables]
+ * @property {ExpansionMode} [expansionMode]
+ * @property {FlowStep[]} [steps] Set when the sequence runs as a multi-step flow; `prompts`
+ *   then holds the same prompts as the steps.
+ * @property {string[]} [tags]
+ * @property {string} [folder]
+ * @property {boolean} [pinned]
+ * @property {string} [lastRunAt] When a queue last started from the sequence.
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {object} SequenceTombstone
+ * @property {string} id
+ * @property {string} deletedAt
+ */
+
+/**
+ * @typedef {object} SequenceData
+ * @property {number} version
+ * @property {PromptSequence[]} sequences
+ * @property {SequenceTombstone[]} deleted
+ */
+
+/**
+ * @typedef {object} SequenceBackend
+ * @property {() => Promise<unknown>} read Resolves to the stored value, or null.
+ * @property {(data: SequenceData) => Promise<void>} write
+ * @property {() => Promise<void>} [clear]
+ */
+
+export const SEQUENCE_STORAGE_KEY = 'promptSequences';
+
+export const SEQUENCE_SYNC_SETTING_KEY = 'sequenceSyncEnabled';
+
+export const SEQUENCE_SCHEMA_VERSION = 1;
+
+/**
+ * Tombstones are dropped after this long; by then every synced copy has seen them.
+ */
+export const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// chrome.storage.sync limits, used when the API does not expose them.
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+const VARIABLE_NAME = /^[A-Za-z_][\w-]*$/;
+
+export class SyncQuotaError extends Error {
+  /**
+   * @param {number} bytes
+   * @param {number} quotaBytes
+   */
+  constructor(bytes, quotaBytes) {
+    super(`Sequences need ${Math.ceil(bytes / 1024)} KB but Chrome sync allows ${Math.floor(quotaBytes / 1024)} KB.`);
+    this.name = 'SyncQuotaError';
+    this.bytes = bytes;
+    this.quotaBytes = quotaBytes;
+  }
+}
+
+function defaultCreateId() {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function validTimestamp(value, fallback) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : fallback;
+}
+
+function timeOf(value) {
+  return Date.parse(value) || 0;
+}
+
+/**
+ * Validates one stored or imported sequence and repairs what it can. Invalid variables,
+ * flow steps and unknown expansion modes are reported through `warnings`; a missing name
+ * or prompt list rejects the record. Flow steps, when valid, decide the prompt list. A
+ * missing id is left undefined for the caller to assign.
+ *
+ * @param {unknown} candidate
+ * @param {{ position: number, now: string, warnings: string[] }} context
+ * @returns {{ sequence: PromptSequence, error?: undefined } | { error: string, sequence?: undefined }}
+ */
+export function normalizeSequence(candidate, { position, now, warnings }) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { error: `Entry ${position + 1} is not a prompt sequence.` };
+  }
+  const name = typeof candidate.name === 'string' ? candidate.name.trim() : '';
+  if (!name) {
+    return { error: `Entry ${position + 1} has no name.` };
+  }
+  let steps = null;
+  if (candidate.steps !== undefined) {
+    steps = normalizeFlowSteps(candidate.steps);
+    if (!steps) {
+      warnings.push(`“${name}”: ignored invalid flow steps.`);
+    }
+  }
+  const prompts = steps
+    ? steps.map((step) => step.prompt)
+    : Array.isArray(candidate.prompts)
+      ? candidate.prompts.filter((prompt) => typeof prompt === 'string').map((prompt) => prompt.trim()).filter(Boolean)
+      : [];
+  if (!prompts.length) {
+    return { error: `“${name}” has no prompts.` };
+  }
+
+  const variables = [];
+  for (const variable of Array.isArray(candidate.variables) ? candidate.variables : []) {
+    const values = Array.isArray(variable?.values)
+      ? variable.values.filter((value) => typeof value === 'string' && value.trim()).map((value) => value.trim())
+      : [];
+    if (typeof variable?.name !== 'string' || !VARIABLE_NAME.test(variable.name) || !values.length) {
+      warnings.push(`“${name}”: ignored an invalid variable.`);
+      continue;
+    }
+    variables.push({ name: variable.name, values });
+  }
+
+  let expansionMode = candidate.expansionMode;
+  if (expansionMode !== undefined && !EXPANSION_MODES.includes(expansionMode)) {
+    warnings.push(`“${name}”: unknown expansion mode "${expansionMode}", using ${DEFAULT_EXPANSION_MODE}.`);
+    expansionMode = DEFAULT_EXPANSION_MODE;
+  }
+
+  const description = typeof candidate.description === 'string' ? candidate.description.trim() : '';
+  const tags = normalizeTags(Array.isArray(candidate.tags) ? candidate.tags : []);
+  const folder = normalizeFolder(candidate.folder);
+  const createdAt = validTimestamp(candidate.createdAt, now);
+  return {
+    sequence: {
+      id: typeof candidate.id === 'string' && candidate.id.trim() ? candidate.id.trim() : undefined,
+      name,
+      description: description || undefined,
+      prompts,
+      variables: variables.length ? variables : undefined,
+      expansionMode: variables.length ? expansionMode ?? DEFAULT_EXPANSION_MODE : undefined,
+      steps: steps ?? undefined,
+      tags: tags.length ? tags : undefined,
+      folder: folder || undefined,
+      pinned: candidate.pinned === true || undefined,
+      lastRunAt: validTimestamp(candidate.lastRunAt, undefined),
+      createdAt,
+      updatedAt: validTimestamp(candidate.updatedAt, createdAt),
+    },
+  };
+}
+
+/**
+ * Upgrades data of version `index` to version `index + 1`.
+ */
+const MIGRATIONS = [
+  // 0 → 1: the popup stored a bare array (sometimes as a JSON string) without tombstones.
+  (sequences) => ({ version: 1, sequences: Array.isArray(sequences) ? sequences : [], deleted: [] }),
+];
+
+/**
+ * Brings stored data of any version up to `SEQUENCE_SCHEMA_VERSION` and validates every
+ * record. Malformed records are dropped and reported in `warnings`; records without an id
+ * get one. `changed` tells whether the data should be written back.
+ *
+ * @param {unknown} raw
+ * @param {{ now?: string, createId?: () => string }} [options]
+ * @returns {{ data: SequenceData, warnings: string[], changed: boolean }}
+ */
+export function migrateSequenceData(raw, { now = new Date().toISOString(), createId = defaultCreateId } = {}) {
+  const warnings = [];
+  let value = raw;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      warnings.push('Stored sequences could not be parsed and were ignored.');
+      return { data: { version: SEQUENCE_SCHEMA_VERSION, sequences: [], deleted: [] }, warnings, changed: true };
+    }
+  }
+
+  let version = Array.isArray(value) ? 0 : Number(value?.version) || 0;
+  let changed = version !== SEQUENCE_SCHEMA_VERSION;
+  if (version > SEQUENCE_SCHEMA_VERSION) {
+    warnings.push(`Stored sequences use a newer format (version ${version}); some details may be lost.`);
+  }
+  while (version < SEQUENCE_SCHEMA_VERSION) {
+    value = MIGRATIONS[version](value);
+    version = value.version;
+  }
+
+  const sequences = [];
+  (Array.isArray(value?.sequences) ? value.sequences : []).forEach((candidate, position) => {
+    const recordWarnings = [];
+    const result = normalizeSequence(candidate, { position, now, warnings: recordWarnings });
+    warnings.push(...recordWarnings);
+    if (result.error) {
+      warnings.push(`Dropped a malformed sequence: ${result.error}`);
+      changed = true;
+      return;
+    }
+    if (recordWarnings.length || !result.sequence.id) {
+      changed = true;
+    }
+    sequences.push({ ...result.sequence, id: result.sequence.id ?? createId() });
+  });
+
+  const deleted = (Array.isArray(value?.deleted) ? value.deleted : []).filter((tombstone) => (
+    typeof tombstone?.id === 'string' && !Number.isNaN(Date.parse(tombstone?.deletedAt))
+  ));
+
+  return { data: { version: SEQUENCE_SCHEMA_VERSION, sequences, deleted }, warnings, changed };
+}
+
+function pruneTombstones(tombstones, now) {
+  const cutoff = timeOf(now) - TOMBSTONE_TTL_MS;
+  return tombstones.filter((tombstone) => timeOf(tombstone.deletedAt) >= cutoff);
+}
+
+/**
+ * Merges copies of the sequence data: the most recently updated version of each sequence
+ * wins, and a sequence is removed when a tombstone is newer than its last update. On ties
+ * the earlier copy in `copies` wins, so pass the primary store first.
+ *
+ * @param {SequenceData[]} copies
+ * @param {{ now?: string }} [options]
+ * @returns {SequenceData}
+ */
+export function mergeSequenceData(copies, { now = new Date().toISOString() } = {}) {
+  const tombstones = new Map();
+  const byId = new Map();
+  for (const copy of copies) {
+    for (const tombstone of copy.deleted) {
+      const known = tombstones.get(tombstone.id);
+      if (!known || timeOf(tombstone.deletedAt) > timeOf(known.deletedAt)) {
+        tombstones.set(tombstone.id, tombstone);
+      }
+    }
+    for (const sequence of copy.sequences) {
+      const known = byId.get(sequence.id);
+      if (!known || timeOf(sequence.updatedAt) > timeOf(known.updatedAt)) {
+        byId.set(sequence.id, sequence);
+      }
+    }
+  }
+
+  const sequences = Array.from(byId.values()).filter((sequence) => {
+    const tombstone = tombstones.get(sequence.id);
+    return !tombstone || timeOf(sequence.updatedAt) > timeOf(tombstone.deletedAt);
+  });
+  const deleted = pruneTombstones(Array.from(tombstones.values()), now)
+    .filter((tombstone) => !sequences.some((sequence) => sequence.id === tombstone.id));
+  return { version: SEQUENCE_SCHEMA_VERSION, sequences, deleted };
+}
+
+/**
+ * @param {Storage} storage `window.localStorage`
+ * @param {string} [key]
+ * @returns {SequenceBackend}
+ */
+export function createLocalStorageBackend(storage, key = SEQUENCE_STORAGE_KEY) {
+  return {
+    read: async () => storage.getItem(key),
+    write: async (data) => storage.setItem(key, JSON.stringify(data)),
+    clear: async () => storage.removeItem(key),
+  };
+}
+
+/**
+ * @param {chrome.storage.StorageArea} area usually `chrome.storage.local`
+ * @param {string} [key]
+ * @returns {SequenceBackend}
+ */
+export function createChromeStorageBackend(area, key = SEQUENCE_STORAGE_KEY) {
+  return {
+    read: async () => (await area.get(key))?.[key] ?? null,
+    write: (data) => area.set({ [key]: data }),
+    clear: () => area.remove(key),
+  };
+}
+
+function jsonByteLength(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Splits text into pieces whose JSON encoding stays within `maxBytes`, as
+ * chrome.storage.sync measures each item.
+ *
+ * @param {string} text
+ * @param {number} maxBytes
+ * @returns {string[]}
+ */
+export function chunkForSync(text, maxBytes) {
+  const chunks = [];
+  let current = '';
+  let size = 2;
+  for (const char of text) {
+    const cost = jsonByteLength(char) - 2;
+    if (current && size + cost > maxBytes) {
+      chunks.push(current);
+      current = '';
+      size = 2;
+    }
+    current += char;
+    size += cost;
+  }
+  if (current || !chunks.length) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Stores the data in `chrome.storage.sync`, split over `<key>:<n>` items to respect the
+ * per-item quota, with a `<key>` header holding the chunk count. Throws `SyncQuotaError`
+ * instead of writing when the data does not fit the total quota.
+ *
+ * @param {chrome.storage.SyncStorageArea} area
+ * @param {string} [key]
+ * @returns {SequenceBackend}
+ */
+export function createChromeSyncBackend(area, key = SEQUENCE_STORAGE_KEY) {
+  const quotaBytes = area.QUOTA_BYTES ?? SYNC_QUOTA_BYTES;
+  const itemBytes = area.QUOTA_BYTES_PER_ITEM ?? SYNC_QUOTA_BYTES_PER_ITEM;
+  const chunkKey = (index) => `${key}:${index}`;
+
+  return {
+    async read() {
+      const header = (await area.get(key))?.[key];
+      if (!header?.chunks) {
+        return null;
+      }
+      const keys = Array.from({ length: header.chunks }, (_, index) => chunkKey(index));
+      const items = await area.get(keys);
+      return keys.map((name) => items?.[name] ?? '').join('');
+    },
+    async write(data) {
+      const chunks = chunkForSync(JSON.stringify(data), itemBytes - chunkKey(9999).length);
+      const items = { [key]: { version: data.version, chunks: chunks.length } };
+      chunks.forEach((chunk, index) => {
+        items[chunkKey(index)] = chunk;
+      });
+      const bytes = Object.entries(items).reduce((total, [name, value]) => total + name.length + jsonByteLength(value), 0);
+      if (bytes > quotaBytes) {
+        throw new SyncQuotaError(bytes, quotaBytes);
+      }
+
+      const previous = (await area.get(key))?.[key];
+      await area.set(items);
+      const stale = [];
+      for (let index = chunks.length; index < (previous?.chunks ?? 0); index++) {
+        stale.push(chunkKey(index));
+      }
+      if (stale.length) {
+        await area.remove(stale);
+      }
+    },
+    async clear() {
+      const previous = (await area.get(key))?.[key];
+      const keys = Array.from({ length: previous?.chunks ?? 0 }, (_, index) => chunkKey(index));
+      await area.remove([key, ...keys]);
+    },
+  };
+}
+
+/**
+ * Creates the sequence store. `load` reads and merges every backend; `save` writes the
+ * full list to the primary backend (throwing if that fails), clears the legacy backends
+ * and mirrors the data to `sync`. Sequences missing from a saved list compared to the last
+ * load or save are recorded as deleted, and the change is passed to `history` (see
+ * `sequenceHistory.js`). Problems that do not lose data are returned as `warnings`.
+ *
+ * @param {{
+ *   primary: SequenceBackend,
+ *   legacy?: SequenceBackend[],
+ *   sync?: SequenceBackend | null,
+ *   history?: { record: (previous: PromptSequence[], next: PromptSequence[]) => Promise<unknown> } | null,
+ *   now?: () => string,
+ *   createId?: () => string,
+ * }} options
+ */
+export function createSequenceStore({
+  primary,
+  legacy = [],
+  sync = null,
+  history = null,
+  now = () => new Date().toISOString(),
+  createId = defaultCreateId,
+}) {
+  let snapshot = { version: SEQUENCE_SCHEMA_VERSION, sequences: [], deleted: [] };
+
+  async function read(backend, label, warnings) {
+    try {
+      const raw = await backend.read();
+      if (raw === null || raw === undefined) {
+        return null;
+      }
+      const result = migrateSequenceData(raw, { now: now(), createId });
+      warnings.push(...result.warnings);
+      return result;
+    } catch (error) {
+      warnings.push(`Could not read sequences from ${label}: ${error?.message || 'Unknown error.'}`);
+      return null;
+    }
+  }
+
+  async function write(data, warnings) {
+    await primary.write(data);
+    snapshot = data;
+    for (const backend of legacy) {
+      await backend.clear?.().catch((error) => {
+        console.error('Failed to clear legacy prompt sequences', error);
+      });
+    }
+    if (sync) {
+      try {
+        await sync.write(data);
+      } catch (error) {
+        warnings.push(error instanceof SyncQuotaError
+          ? `${error.message} They are saved on this device only.`
+          : `Could not sync sequences: ${error?.message || 'Unknown error.'}`);
+      }
+    }
+  }
+
+  return {
+    /**
+     * @returns {Promise<{ sequences: PromptSequence[], warnings: string[] }>}
+     */
+    async load() {
+      const warnings = [];
+      const primaryCopy = await read(primary, 'this device', warnings);
+      const legacyCopies = [];
+      for (const backend of legacy) {
+        legacyCopies.push(await read(backend, 'the previous storage', warnings));
+      }
+      const syncCopy = sync ? await read(sync, 'Chrome sync', warnings) : null;
+
+      const copies = [primaryCopy, ...legacyCopies, syncCopy].filter(Boolean).map((copy) => copy.data);
+      const merged = mergeSequenceData(copies, { now: now() });
+      snapshot = merged;
+
+      const needsWrite = Boolean(sync) || !primaryCopy || primaryCopy.changed || legacyCopies.some(Boolean);
+      if (needsWrite && copies.length) {
+        try {
+          await write(merged, warnings);
+        } catch (error) {
+          warnings.push(`Could not save the merged sequences: ${error?.message || 'Unknown error.'}`);
+        }
+      }
+      return { sequences: merged.sequences, warnings };
+    },
+
+    /**
+     * @param {PromptSequence[]} sequences
+     * @returns {Promise<{ warnings: string[] }>}
+     */
+    async save(sequences) {
+      const deletedAt = now();
+      const ids = new Set(sequences.map((sequence) => sequence.id));
+      const removed = snapshot.sequences
+        .filter((sequence) => !ids.has(sequence.id))
+        .map((sequence) => ({ id: sequence.id, deletedAt }));
+      const deleted = pruneTombstones([...snapshot.deleted, ...removed], deletedAt)
+        .filter((tombstone) => !ids.has(tombstone.id));
+
+      const warnings = [];
+      const previous = snapshot.sequences;
+      await write({ version: SEQUENCE_SCHEMA_VERSION, sequences, deleted }, warnings);
+      if (history) {
+        try {
+          await history.record(previous, sequences);
+        } catch (error) {
+          warnings.push(`Could not update the revision history: ${error?.message || 'Unknown error.'}`);
+        }
+      }
+      return { warnings };
+    },
+  };
+}
+
+export async function loadSequenceSyncEnabled() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(SEQUENCE_SYNC_SETTING_KEY);
+    return stored?.[SEQUENCE_SYNC_SETTING_KEY] === true;
+  } catch (error) {
+    console.error('Failed to read the sequence sync setting', error);
+    return false;
+  }
+}
+
+export async function saveSequenceSyncEnabled(enabled) {
+  await chrome.storage?.local?.set?.({ [SEQUENCE_SYNC_SETTING_KEY]: Boolean(enabled) });
+}
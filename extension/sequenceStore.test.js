@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SEQUENCE_SCHEMA_VERSION,
+  chunkForSync,
+  createChromeSyncBackend,
+  createSequenceStore,
+  mergeSequenceData,
+  migrateSequenceData,
+} from './sequenceStore.js';
+
+const now = '2024-06-01T12:00:00.000Z';
+
+const sequence = (id, updatedAt, extra = {}) => ({
+  id,
+  name: `Sequence ${id}`,
+  prompts: ['a fox'],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt,
+  ...extra,
+});
+
+function memoryBackend(value = null) {
+  const backend = {
+    value,
+    read: async () => backend.value,
+    write: async (data) => {
+      backend.value = data;
+    },
+    clear: async () => {
+      backend.value = null;
+    },
+  };
+  return backend;
+}
+
+function memorySyncArea(quota = {}) {
+  const items = {};
+  return {
+    items,
+    ...quota,
+    get: async (keys) => {
+      const names = typeof keys === 'string' ? [keys] : keys;
+      return Object.fromEntries(names.filter((name) => name in items).map((name) => [name, items[name]]));
+    },
+    set: async (values) => Object.assign(items, values),
+    remove: async (keys) => [].concat(keys).forEach((name) => delete items[name]),
+  };
+}
+
+describe('sequence data migrations', () => {
+  it('upgrades the legacy array format and assigns missing ids', () => {
+    const legacy = JSON.stringify([
+      { name: 'Old', prompts: ['one', ' '], createdAt: now, updatedAt: now },
+      { name: 'Broken' },
+    ]);
+    const { data, warnings, changed } = migrateSequenceData(legacy, { now, createId: () => 'new-id' });
+
+    expect(changed).toBe(true);
+    expect(data).toEqual({
+      version: SEQUENCE_SCHEMA_VERSION,
+      sequences: [expect.objectContaining({ id: 'new-id', name: 'Old', prompts: ['one'] })],
+      deleted: [],
+    });
+    expect(warnings).toEqual(['Dropped a malformed sequence: “Broken” has no prompts.']);
+  });
+
+  it('leaves current, valid data unchanged', () => {
+    const stored = { version: SEQUENCE_SCHEMA_VERSION, sequences: [sequence('a', now)], deleted: [] };
+    const { data, changed, warnings } = migrateSequenceData(stored, { now });
+
+    expect(changed).toBe(false);
+    expect(warnings).toEqual([]);
+    expect(data.sequences[0]).toMatchObject({ id: 'a', prompts: ['a fox'] });
+  });
+
+  it('takes the prompts of a flow from its steps', () => {
+    const flow = sequence('f', now, {
+      prompts: ['stale'],
+      steps: [{ prompt: 'Draw a fox', onRefused: 2, onFailed: 'stop' }, { prompt: 'Describe {{step1.imageTitle}}' }],
+    });
+    const broken = sequence('b', now, { steps: [{ prompt: '' }] });
+    const { data, warnings } = migrateSequenceData({ version: SEQUENCE_SCHEMA_VERSION, sequences: [flow, broken], deleted: [] }, { now });
+
+    expect(data.sequences[0]).toMatchObject({
+      prompts: ['Draw a fox', 'Describe {{step1.imageTitle}}'],
+      steps: [
+        { prompt: 'Draw a fox', onRefused: 2, onFailed: 'stop' },
+        { prompt: 'Describe {{step1.imageTitle}}', onRefused: 'next', onFailed: 'next' },
+      ],
+    });
+    expect(data.sequences[1]).toMatchObject({ prompts: ['a fox'], steps: undefined });
+    expect(warnings).toEqual(['“Sequence b”: ignored invalid flow steps.']);
+  });
+
+  it('ignores unparseable data', () => {
+    expect(migrateSequenceData('{oops', { now })).toMatchObject({
+      data: { sequences: [] },
+      warnings: ['Stored sequences could not be parsed and were ignored.'],
+    });
+  });
+});
+
+describe('mergeSequenceData', () => {
+  it('keeps the most recently updated copy of each sequence', () => {
+    const merged = mergeSequenceData([
+      { version: 1, sequences: [sequence('a', '2024-05-01T00:00:00.000Z'), sequence('b', now)], deleted: [] },
+      { version: 1, sequences: [sequence('a', '2024-05-02T00:00:00.000Z', { name: 'Newer' }), sequence('c', now)], deleted: [] },
+    ], { now });
+
+    expect(merged.sequences.map((item) => [item.id, item.name])).toEqual([
+      ['a', 'Newer'],
+      ['b', 'Sequence b'],
+      ['c', 'Sequence c'],
+    ]);
+  });
+
+  it('drops sequences deleted after their last update', () => {
+    const merged = mergeSequenceData([
+      { version: 1, sequences: [], deleted: [{ id: 'a', deletedAt: '2024-05-10T00:00:00.000Z' }, { id: 'b', deletedAt: '2024-05-10T00:00:00.000Z' }] },
+      { version: 1, sequences: [sequence('a', '2024-05-01T00:00:00.000Z'), sequence('b', '2024-05-20T00:00:00.000Z')], deleted: [] },
+    ], { now });
+
+    expect(merged.sequences.map((item) => item.id)).toEqual(['b']);
+    expect(merged.deleted).toEqual([{ id: 'a', deletedAt: '2024-05-10T00:00:00.000Z' }]);
+  });
+});
+
+describe('createSequenceStore', () => {
+  it('merges legacy data into the primary store and clears it', async () => {
+    const primary = memoryBackend({ version: 1, sequences: [sequence('a', now)], deleted: [] });
+    const legacy = memoryBackend(JSON.stringify([sequence('b', now)]));
+    const store = createSequenceStore({ primary, legacy: [legacy], now: () => now });
+
+    const { sequences, warnings } = await store.load();
+
+    expect(warnings).toEqual([]);
+    expect(sequences.map((item) => item.id)).toEqual(['a', 'b']);
+    expect(primary.value.sequences).toHaveLength(2);
+    expect(legacy.value).toBeNull();
+  });
+
+  it('records deletions as tombstones so other copies do not restore them', async () => {
+    const primary = memoryBackend({ version: 1, sequences: [sequence('a', now), sequence('b', now)], deleted: [] });
+    const store = createSequenceStore({ primary, now: () => now });
+    const { sequences } = await store.load();
+
+    await store.save(sequences.filter((item) => item.id !== 'a'));
+
+    expect(primary.value.deleted).toEqual([{ id: 'a', deletedAt: now }]);
+    const merged = mergeSequenceData([primary.value, { version: 1, sequences: [sequence('a', '2024-05-01T00:00:00.000Z')], deleted: [] }], { now });
+    expect(merged.sequences.map((item) => item.id)).toEqual(['b']);
+  });
+
+  it('syncs in chunks and falls back to local-only storage over the quota', async () => {
+    const area = memorySyncArea({ QUOTA_BYTES: 2000, QUOTA_BYTES_PER_ITEM: 120 });
+    const primary = memoryBackend();
+    const store = createSequenceStore({ primary, sync: createChromeSyncBackend(area), now: () => now });
+
+    expect(await store.save([sequence('a', now)])).toEqual({ warnings: [] });
+    expect(area.items.promptSequences.chunks).toBeGreaterThan(1);
+    const { sequences } = await createSequenceStore({ primary: memoryBackend(), sync: createChromeSyncBackend(area), now: () => now }).load();
+    expect(sequences.map((item) => item.id)).toEqual(['a']);
+
+    const large = sequence('b', now, { prompts: ['x'.repeat(3000)] });
+    const { warnings } = await store.save([sequence('a', now), large]);
+    expect(warnings).toEqual([expect.stringMatching(/Chrome sync allows 1 KB\. They are saved on this device only\.$/)]);
+    expect(primary.value.sequences).toHaveLength(2);
+  });
+});
+
+describe('chunkForSync', () => {
+  it('keeps the JSON size of every chunk within the limit', () => {
+    const text = `${'é'.repeat(30)}"\n${'a'.repeat(30)}`;
+    const chunks = chunkForSync(text, 20);
+
+    expect(chunks.join('')).toBe(text);
+    for (const chunk of chunks) {
+      expect(new TextEncoder().encode(JSON.stringify(chunk)).length).toBeLessThanOrEqual(20);
+    }
+  });
+});
@@ -0,0 +1,377 @@
+/**
+ * Import and export of saved prompt sequences as JSON, CSV or plain text, so sequences can
+ * be shared between browsers and teammates. Shared by the popup and
+ * `PromptSequenceManager.tsx`.
+ *
+ * Plain text holds one prompt per line. Several sequences are separated by `# Name`
+ * heading lines, and template variables use the usual `@name = a | b` lines. Only JSON
+ * keeps the "go to" targets of multi-step flows; CSV and text export their prompts.
+ */
+import { parseCsv, toCsv } from './csv.js';
+import { slugify } from './downloads.js';
+import { buildFlowSteps } from './promptFlow.js';
+import { formatTags, normalizeTags } from './sequenceLibrary.js';
+import {
+  DEFAULT_EXPANSION_MODE,
+  extractVariableDefinitions,
+  formatVariableDefinitions,
+} from './promptTemplates.js';
+import { normalizeSequence } from './sequenceStore.js';
+
+/**
+ * @typedef {import('./sequenceStore.js').PromptSequence} PromptSequence
+ */
+
+/**
+ * @typedef {'json' | 'csv' | 'text'} SequenceExportFormat
+ */
+
+/**
+ * How an imported sequence that shares its id or name with a saved one is handled:
+ * `merge` appends the new prompts and variable values to the saved sequence, `overwrite`
+ * replaces it, and `keep-both` saves the import as a renamed copy.
+ *
+ * @typedef {'merge' | 'overwrite' | 'keep-both'} ImportConflictStrategy
+ */
+
+export const SEQUENCE_EXPORT_FORMATS = ['json', 'csv', 'text'];
+
+export const IMPORT_CONFLICT_STRATEGIES = ['merge', 'overwrite', 'keep-both'];
+
+export const SEQUENCE_EXPORT_VERSION = 1;
+
+const EXPORT_FILE_TYPES = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  text: { extension: 'txt', mimeType: 'text/plain' },
+};
+
+const CSV_COLUMNS = [
+  'sequence_id',
+  'name',
+  'description',
+  'expansion_mode',
+  'variables',
+  'tags',
+  'folder',
+  'created_at',
+  'updated_at',
+  'prompt',
+];
+
+function defaultCreateId() {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function toExportedSequence(sequence) {
+  return {
+    id: sequence.id,
+    name: sequence.name,
+    description: sequence.description,
+    prompts: sequence.prompts,
+    variables: sequence.variables,
+    expansionMode: sequence.expansionMode,
+    steps: sequence.steps,
+    tags: sequence.tags,
+    folder: sequence.folder,
+    pinned: sequence.pinned,
+    createdAt: sequence.createdAt,
+    updatedAt: sequence.updatedAt,
+  };
+}
+
+/**
+ * @param {PromptSequence[]} sequences
+ * @param {SequenceExportFormat} format
+ * @returns {string}
+ */
+export function serializeSequences(sequences, format) {
+  if (format === 'csv') {
+    const rows = [CSV_COLUMNS];
+    for (const sequence of sequences) {
+      for (const prompt of sequence.prompts) {
+        rows.push([
+          sequence.id,
+          sequence.name,
+          sequence.description,
+          sequence.expansionMode,
+          formatVariableDefinitions(sequence.variables),
+          formatTags(sequence.tags),
+          sequence.folder,
+          sequence.createdAt,
+          sequence.updatedAt,
+          prompt,
+        ]);
+      }
+    }
+    return toCsv(rows);
+  }
+
+  if (format === 'text') {
+    const blocks = sequences.map((sequence) => [
+      `# ${sequence.name}`,
+      formatVariableDefinitions(sequence.variables),
+      ...sequence.prompts,
+    ].filter(Boolean).join('\n'));
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  return JSON.stringify({
+    version: SEQUENCE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    sequences: sequences.map(toExportedSequence),
+  }, null, 2);
+}
+
+/**
+ * Suggests a download name and MIME type: the sequence name for a single sequence,
+ * otherwise a dated name.
+ *
+ * @param {PromptSequence[]} sequences
+ * @param {SequenceExportFormat} format
+ * @param {Date} [date]
+ * @returns {{ filename: string, mimeType: string }}
+ */
+export function describeSequenceExport(sequences, format, date = new Date()) {
+  const { extension, mimeType } = EXPORT_FILE_TYPES[format] ?? EXPORT_FILE_TYPES.json;
+  const base = sequences.length === 1
+    ? slugify(sequences[0].name)
+    : `prompt-sequences-${date.toISOString().slice(0, 10)}`;
+  return { filename: `${base}.${extension}`, mimeType };
+}
+
+function detectFormat(text, filename) {
+  const extension = /\.([a-z]+)$/i.exec(filename ?? '')?.[1]?.toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'txt') return 'text';
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  const header = parseCsv(trimmed.split(/\r?\n/, 1)[0])[0] ?? [];
+  return header.map((cell) => cell.trim().toLowerCase()).includes('prompt') ? 'csv' : 'text';
+}
+
+function fallbackName(filename) {
+  const base = String(filename ?? '').replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '').trim();
+  return base || 'Imported prompts';
+}
+
+function readJsonCandidates(text) {
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.sequences)) return parsed.sequences;
+  return [parsed];
+}
+
+function readCsvCandidates(text, filename) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((cell) => cell.trim().toLowerCase());
+  const column = (name) => columns.indexOf(name);
+  if (column('prompt') < 0) {
+    throw new Error('The CSV file needs a "prompt" column.');
+  }
+
+  const groups = new Map();
+  for (const row of rows) {
+    const cell = (name) => (column(name) >= 0 ? row[column(name)] ?? '' : '');
+    const name = cell('name').trim() || fallbackName(filename);
+    const key = cell('sequence_id').trim() || `name:${name}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        id: cell('sequence_id').trim() || undefined,
+        name,
+        description: cell('description'),
+        expansionMode: cell('expansion_mode') || undefined,
+        variables: extractVariableDefinitions(cell('variables')).variables,
+        tags: normalizeTags(cell('tags')),
+        folder: cell('folder'),
+        createdAt: cell('created_at') || undefined,
+        updatedAt: cell('updated_at') || undefined,
+        prompts: [],
+      });
+    }
+    groups.get(key).prompts.push(cell('prompt'));
+  }
+  return Array.from(groups.values());
+}
+
+function readTextCandidates(text, filename) {
+  const candidates = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    const heading = /^#\s+(.+)$/.exec(line.trim());
+    if (heading) {
+      current = { name: heading[1].trim(), lines: [] };
+      candidates.push(current);
+    } else {
+      if (!current) {
+        current = { name: fallbackName(filename), lines: [] };
+        candidates.push(current);
+      }
+      current.lines.push(line);
+    }
+  }
+  return candidates.map(({ name, lines }) => {
+    const { variables, body } = extractVariableDefinitions(lines.join('\n'));
+    return { name, variables, prompts: body.split('\n') };
+  });
+}
+
+/**
+ * Reads sequences from an exported JSON, CSV or text file. The format is taken from the
+ * filename extension, or guessed from the content. Invalid entries are reported in
+ * `errors` and left out; entries that were repaired are reported in `warnings`. Imported
+ * sequences may lack an `id` until they are applied.
+ *
+ * @param {string} text
+ * @param {{ filename?: string, now?: string }} [options]
+ * @returns {{ format: SequenceExportFormat, sequences: PromptSequence[], errors: string[], warnings: string[] }}
+ */
+export function parseSequenceImport(text, { filename, now = new Date().toISOString() } = {}) {
+  const source = String(text ?? '');
+  const format = detectFormat(source, filename);
+  const sequences = [];
+  const errors = [];
+  const warnings = [];
+
+  if (!source.trim()) {
+    return { format, sequences, errors: ['The file is empty.'], warnings };
+  }
+
+  let candidates;
+  try {
+    if (format === 'json') {
+      candidates = readJsonCandidates(source);
+    } else if (format === 'csv') {
+      candidates = readCsvCandidates(source, filename);
+    } else {
+      candidates = readTextCandidates(source, filename);
+    }
+  } catch (error) {
+    const message = error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message;
+    return { format, sequences, errors: [message], warnings };
+  }
+
+  candidates.forEach((candidate, position) => {
+    const result = normalizeSequence(candidate, { position, now, warnings });
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      sequences.push(result.sequence);
+    }
+  });
+  return { format, sequences, errors, warnings };
+}
+
+function sameName(left, right) {
+  return left.trim().toLowerCase() === right.trim().toLowerCase();
+}
+
+/**
+ * Finds the saved sequence an imported one collides with: same id first, otherwise the
+ * same name (ignoring case).
+ *
+ * @param {PromptSequence[]} existing
+ * @param {Pick<PromptSequence, 'name'> & { id?: string }} incoming
+ * @returns {PromptSequence | undefined}
+ */
+export function findSequenceConflict(existing, incoming) {
+  return (incoming.id && existing.find((sequence) => sequence.id === incoming.id))
+    || existing.find((sequence) => sameName(sequence.name, incoming.name));
+}
+
+function uniqueName(name, sequences) {
+  let candidate = name;
+  for (let copy = 2; sequences.some((sequence) => sameName(sequence.name, candidate)); copy++) {
+    candidate = `${name} (${copy})`;
+  }
+  return candidate;
+}
+
+function mergeVariables(current = [], incoming = []) {
+  const byName = new Map(current.map((variable) => [variable.name, [...variable.values]]));
+  for (const variable of incoming) {
+    const values = byName.get(variable.name) ?? [];
+    byName.set(variable.name, [...values, ...variable.values.filter((value) => !values.includes(value))]);
+  }
+  const merged = Array.from(byName, ([name, values]) => ({ name, values }));
+  return merged.length ? merged : undefined;
+}
+
+/**
+ * Adds imported sequences to the saved ones, resolving collisions with `strategy`.
+ * New sequences come first, as when saving from the editor.
+ *
+ * @param {PromptSequence[]} existing
+ * @param {PromptSequence[]} incoming
+ * @param {ImportConflictStrategy} strategy
+ * @param {{ now?: string, createId?: () => string }} [options]
+ * @returns {{ sequences: PromptSequence[], summary: { added: number, merged: number, overwritten: number, copied: number } }}
+ */
+export function applySequenceImport(existing, incoming, strategy, {
+  now = new Date().toISOString(),
+  createId = defaultCreateId,
+} = {}) {
+  let sequences = [...existing];
+  const summary = { added: 0, merged: 0, overwritten: 0, copied: 0 };
+  const replace = (updated) => {
+    sequences = sequences.map((sequence) => (sequence.id === updated.id ? updated : sequence));
+  };
+
+  for (const sequence of incoming) {
+    const conflict = findSequenceConflict(sequences, sequence);
+    if (!conflict) {
+      const idTaken = !sequence.id || sequences.some((item) => item.id === sequence.id);
+      sequences.unshift({ ...sequence, id: idTaken ? createId() : sequence.id });
+      summary.added++;
+    } else if (strategy === 'merge') {
+      const variables = mergeVariables(conflict.variables, sequence.variables);
+      const prompts = [...conflict.prompts, ...sequence.prompts.filter((prompt) => !conflict.prompts.includes(prompt))];
+      const tags = normalizeTags([...(conflict.tags ?? []), ...(sequence.tags ?? [])]);
+      replace({
+        ...conflict,
+        description: conflict.description || sequence.description,
+        prompts,
+        // New prompts join a saved flow as steps that simply continue.
+        steps: conflict.steps ? buildFlowSteps(prompts, conflict.steps) : undefined,
+        tags: tags.length ? tags : undefined,
+        folder: conflict.folder ?? sequence.folder,
+        variables,
+        expansionMode: variables ? conflict.expansionMode ?? sequence.expansionMode ?? DEFAULT_EXPANSION_MODE : undefined,
+        updatedAt: now,
+      });
+      summary.merged++;
+    } else if (strategy === 'overwrite') {
+      replace({ ...sequence, id: conflict.id, createdAt: conflict.createdAt, updatedAt: now });
+      summary.overwritten++;
+    } else {
+      sequences.unshift({
+        ...sequence,
+        id: createId(),
+        name: uniqueName(sequence.name, sequences),
+        createdAt: now,
+        updatedAt: now,
+      });
+      summary.copied++;
+    }
+  }
+
+  return { sequences, summary };
+}
+
+/**
+ * @param {{ added: number, merged: number, overwritten: number, copied: number }} summary
+ * @returns {string}
+ */
+export function formatImportSummary(summary) {
+  const parts = [
+    summary.added && `${summary.added} added`,
+    summary.merged && `${summary.merged} merged`,
+    summary.overwritten && `${summary.overwritten} overwritten`,
+    summary.copied && `${summary.copied} kept as copies`,
+  ].filter(Boolean);
+  return parts.length ? `Imported sequences: ${parts.join(', ')}.` : 'Nothing was imported.';
+}
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applySequenceImport,
+  describeSequenceExport,
+  formatImportSummary,
+  parseSequenceImport,
+  serializeSequences,
+} from './sequenceTransfer.js';
+
+const now = '2024-06-01T12:00:00.000Z';
+
+const sequences = [
+  {
+    id: 'seq-1',
+    name: 'Posters',
+    description: 'Campaign, "spring"',
+    prompts: ['a {style} poster', 'a plain poster'],
+    variables: [{ name: 'style', values: ['neon', 'watercolor'] }],
+    expansionMode: 'zip',
+    tags: ['print', 'spring 2024'],
+    folder: 'Clients',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-02-01T00:00:00.000Z',
+  },
+  {
+    id: 'seq-2',
+    name: 'Animals',
+    prompts: ['a fox', 'a robot'],
+    createdAt: '2024-01-02T00:00:00.000Z',
+    updatedAt: '2024-01-02T00:00:00.000Z',
+  },
+];
+
+let nextId = 0;
+const createId = () => `new-${++nextId}`;
+
+describe('sequence export', () => {
+  it.each(['json', 'csv'])('round-trips sequences through %s', (format) => {
+    const { sequences: imported, errors } = parseSequenceImport(
+      serializeSequences(sequences, format),
+      { filename: `shared.${format}`, now },
+    );
+
+    expect(errors).toEqual([]);
+    expect(imported).toEqual([
+      sequences[0],
+      { ...sequences[1], description: undefined, variables: undefined, expansionMode: undefined },
+    ]);
+  });
+
+  it('writes and reads plain text with headings and variables', () => {
+    const text = serializeSequences(sequences, 'text');
+    expect(text).toBe('# Posters\n@style = neon | watercolor\na {style} poster\na plain poster\n\n# Animals\na fox\na robot\n');
+
+    const { format, sequences: imported } = parseSequenceImport(text, { now });
+    expect(format).toBe('text');
+    expect(imported.map((sequence) => [sequence.name, sequence.prompts, sequence.variables]))
+      .toEqual([
+        ['Posters', ['a {style} poster', 'a plain poster'], [{ name: 'style', values: ['neon', 'watercolor'] }]],
+        ['Animals', ['a fox', 'a robot'], undefined],
+      ]);
+  });
+
+  it('names headless text imports after the file', () => {
+    const { sequences: imported } = parseSequenceImport('one\n\ntwo\n', { filename: 'Team ideas.txt', now });
+    expect(imported).toEqual([expect.objectContaining({ name: 'Team ideas', prompts: ['one', 'two'], createdAt: now })]);
+  });
+
+  it('suggests export filenames', () => {
+    expect(describeSequenceExport([sequences[0]], 'text')).toEqual({ filename: 'posters.txt', mimeType: 'text/plain' });
+    expect(describeSequenceExport(sequences, 'csv', new Date(now)).filename).toBe('prompt-sequences-2024-06-01.csv');
+  });
+});
+
+describe('sequence import validation', () => {
+  it('reports invalid entries and repairs what it can', () => {
+    const { sequences: imported, errors, warnings } = parseSequenceImport(JSON.stringify([
+      { name: 'Ok', prompts: [' a ', 3, ''], variables: [{ name: '1bad', values: ['x'] }], expansionMode: 'random' },
+      { name: '', prompts: ['x'] },
+      { name: 'Empty', prompts: [] },
+      'nope',
+    ]), { now });
+
+    expect(imported).toEqual([expect.objectContaining({ name: 'Ok', prompts: ['a'], variables: undefined })]);
+    expect(errors).toEqual(['Entry 2 has no name.', '“Empty” has no prompts.', 'Entry 4 is not a prompt sequence.']);
+    expect(warnings).toHaveLength(2);
+  });
+
+  it('reports unreadable files', () => {
+    expect(parseSequenceImport('{ broken', { now }).errors).toEqual(['The file is not valid JSON.']);
+    expect(parseSequenceImport('name,text\nx,y', { filename: 'a.csv', now }).errors)
+      .toEqual(['The CSV file needs a "prompt" column.']);
+  });
+});
+
+describe('sequence import conflicts', () => {
+  const incoming = [
+    { id: 'other', name: 'posters', prompts: ['a plain poster', 'a {style} banner'], variables: [{ name: 'style', values: ['pixel art'] }], createdAt: now, updatedAt: now },
+    { name: 'Birds', prompts: ['an owl'], createdAt: now, updatedAt: now },
+  ];
+
+  it('merges prompts and variable values into the saved sequence', () => {
+    const { sequences: result, summary } = applySequenceImport(sequences, incoming, 'merge', { now, createId });
+
+    expect(summary).toEqual({ added: 1, merged: 1, overwritten: 0, copied: 0 });
+    expect(result[0]).toMatchObject({ name: 'Birds', id: expect.stringMatching(/^new-/) });
+    expect(result.find((sequence) => sequence.id === 'seq-1')).toMatchObject({
+      prompts: ['a {style} poster', 'a plain poster', 'a {style} banner'],
+      variables: [{ name: 'style', values: ['neon', 'watercolor', 'pixel art'] }],
+      expansionMode: 'zip',
+      updatedAt: now,
+    });
+  });
+
+  it('overwrites the saved sequence but keeps its id', () => {
+    const { sequences: result, summary } = applySequenceImport(sequences, incoming.slice(0, 1), 'overwrite', { now, createId });
+
+    expect(summary.overwritten).toBe(1);
+    expect(result).toHaveLength(2);
+    expect(result[0]).toMatchObject({ id: 'seq-1', name: 'posters', createdAt: sequences[0].createdAt, prompts: incoming[0].prompts });
+  });
+
+  it('keeps both under a unique name', () => {
+    const { sequences: result, summary } = applySequenceImport(sequences, [incoming[0], incoming[0]], 'keep-both', { now, createId });
+
+    expect(summary.copied).toBe(2);
+    expect(result.map((sequence) => sequence.name)).toEqual(['posters (3)', 'posters (2)', 'Posters', 'Animals']);
+    expect(formatImportSummary(summary)).toBe('Imported sequences: 2 kept as copies.');
+  });
+});
@@ -0,0 +1,61 @@
+import {
+  createChatSimulator,
+  formatSimulatorQuery,
+  normalizeSimulatorOptions,
+  parseSimulatorOptions,
+} from './chatSimulator.js';
+
+const simulatorRoot = document.getElementById('simulator');
+const composerSelect = document.getElementById('sim-composer');
+const repliesInput = document.getElementById('sim-replies');
+const thinkInput = document.getElementById('sim-think');
+const streamInput = document.getElementById('sim-stream');
+const imageCountInput = document.getElementById('sim-image-count');
+const imageLimitInput = document.getElementById('sim-image-limit');
+const cooldownInput = document.getElementById('sim-cooldown');
+const applyButton = document.getElementById('sim-apply');
+const clearButton = document.getElementById('sim-clear');
+
+let simulator = null;
+
+function fillPanel(options) {
+  composerSelect.value = options.composer;
+  repliesInput.value = options.replies.join(', ');
+  thinkInput.value = String(options.thinkMs / 1000);
+  streamInput.value = String(options.streamMs / 1000);
+  imageCountInput.value = String(options.imageCount);
+  imageLimitInput.value = String(options.imageLimit);
+  cooldownInput.value = String(options.cooldownSeconds);
+}
+
+function readPanel() {
+  return normalizeSimulatorOptions({
+    composer: composerSelect.value,
+    replies: repliesInput.value.split(',').map((reply) => reply.trim()),
+    thinkMs: Number(thinkInput.value) * 1000,
+    streamMs: Number(streamInput.value) * 1000,
+    imageCount: imageCountInput.value,
+    imageLimit: imageLimitInput.value,
+    cooldownSeconds: cooldownInput.value,
+  });
+}
+
+/**
+ * Renders a fresh conversation. The image limit is kept in the session, so like on
+ * ChatGPT it outlasts the new chats the queue opens by reloading the page.
+ */
+function mount(options) {
+  simulator?.destroy();
+  simulator = createChatSimulator(simulatorRoot, options, { storage: sessionStorage });
+  fillPanel(simulator.options);
+}
+
+applyButton.addEventListener('click', () => {
+  const options = readPanel();
+  // The queue reloads this address for a new chat, so the settings live in it.
+  history.replaceState(null, '', `${location.pathname}${formatSimulatorQuery(options)}`);
+  mount(options);
+});
+clearButton.addEventListener('click', () => simulator?.clear());
+
+mount(parseSimulatorOptions(location.search));
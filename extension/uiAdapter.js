@@ -0,0 +1,260 @@
+/**
+ * Finds the parts of the ChatGPT page the queue interacts with, using the selector lists
+ * from `uiSelectors.js` (sent by the background worker, including any user overrides).
+ *
+ * Loaded as a classic content script before `contentScript.js`, which cannot import
+ * modules, so it only declares `createUiAdapter`.
+ */
+
+function createUiAdapter(selectors) {
+  // Returns null for selectors the browser rejects, so one bad override cannot break the rest.
+  function queryAll(selector, root = document) {
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function isVisible(element) {
+    if (!element) return false;
+    const style = window.getComputedStyle(element);
+    if (style.visibility === 'hidden' || style.display === 'none') {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  function isDisabled(button) {
+    return button.disabled || button.getAttribute('aria-disabled') === 'true';
+  }
+
+  function isStopButton(button) {
+    if (!button) return false;
+    const labels = [
+      button.getAttribute('aria-label'),
+      button.getAttribute('data-testid'),
+      button.textContent?.trim(),
+    ].map((value) => value?.toLowerCase() || '');
+    return selectors.stopButtonText.some((word) => labels.some((label) => label.includes(word)));
+  }
+
+  function resolveComposer(element) {
+    if (element.matches('[contenteditable="true"]')) {
+      return element;
+    }
+    const nestedEditable = element.querySelector?.('[contenteditable="true"]');
+    if (nestedEditable) {
+      return nestedEditable;
+    }
+    if (element.matches('textarea, input')) {
+      return element;
+    }
+    return element.querySelector?.('textarea') || null;
+  }
+
+  function findComposer() {
+    for (const selector of selectors.composer) {
+      const [element] = queryAll(selector) ?? [];
+      const composer = element && resolveComposer(element);
+      if (composer) {
+        return { element: composer, selector };
+      }
+    }
+    return { element: null, selector: null };
+  }
+
+  function findSendButton({ includeDisabled = false } = {}) {
+    const usable = (button) => isVisible(button)
+      && !isStopButton(button)
+      && (includeDisabled || !isDisabled(button));
+
+    for (const selector of selectors.sendButton) {
+      const button = (queryAll(selector) ?? []).find(usable);
+      if (button) {
+        return { element: button, selector };
+      }
+    }
+
+    for (const button of document.querySelectorAll('button')) {
+      const text = button.textContent?.trim().toLowerCase() || '';
+      const word = selectors.sendButtonText.find((match) => text.includes(match));
+      if (word && usable(button)) {
+        return { element: button, selector: `button text "${word}"` };
+      }
+    }
+    return { element: null, selector: null };
+  }
+
+  function findStopButton() {
+    for (const selector of selectors.stopButton) {
+      const button = (queryAll(selector) ?? []).find(isVisible);
+      if (button) {
+        return { element: button, selector };
+      }
+    }
+    return { element: null, selector: null };
+  }
+
+  function findStreamingIndicator() {
+    for (const selector of selectors.streamingIndicator) {
+      const [element] = queryAll(selector) ?? [];
+      if (element) {
+        return { element, selector };
+      }
+    }
+    return { element: null, selector: null };
+  }
+
+  function findErrorMessage(root = document, ignore = null) {
+    for (const selector of selectors.errorMessage) {
+      const element = (queryAll(selector, root) ?? [])
+        .find((candidate) => !ignore?.has(candidate) && isVisible(candidate) && candidate.textContent?.trim());
+      if (element) {
+        return { element, selector };
+      }
+    }
+    return { element: null, selector: null };
+  }
+
+  function findFileInput() {
+    for (const selector of selectors.fileInput) {
+      // File inputs are usually hidden behind an attach button, so visibility is not checked.
+      const [element] = queryAll(selector) ?? [];
+      if (element) {
+        return { element, selector };
+      }
+    }
+    return { element: null, selector: null };
+  }
+
+  function findAttachmentPreviews() {
+    for (const selector of selectors.attachmentPreview) {
+      const elements = queryAll(selector);
+      if (elements?.length) {
+        return { element: elements[0], elements, selector };
+      }
+    }
+    return { element: null, elements: [], selector: null };
+  }
+
+  function findUploadIndicator() {
+    for (const selector of selectors.uploadIndicator) {
+      const element = (queryAll(selector) ?? []).find(isVisible);
+      if (element) {
+        return { element, selector };
+      }
+    }
+    return { element: null, selector: null };
+  }
+
+  /**
+   * Every element an error selector matches, so the cards already on the page before a
+   * prompt is sent can be told apart from those it causes.
+   */
+  function getErrorCards() {
+    return new Set(selectors.errorMessage.flatMap((selector) => queryAll(selector) ?? []));
+  }
+
+  /**
+   * Text of the first visible error card inside `root`, skipping the cards in `ignore`.
+   */
+  function getErrorText({ root = document, ignore = null } = {}) {
+    const { element } = findErrorMessage(root, ignore);
+    return (element?.innerText || element?.textContent || '').trim();
+  }
+
+  function getAssistantTurns() {
+    for (const selector of selectors.assistantMessage) {
+      const turns = queryAll(selector);
+      if (turns?.length) {
+        return turns;
+      }
+    }
+    return [];
+  }
+
+  function getTurnContainer(message) {
+    for (const selector of selectors.conversationTurn) {
+      try {
+        const container = message.closest(selector);
+        if (container) {
+          return container;
+        }
+      } catch (error) {
+        // Invalid selector; try the next one.
+      }
+    }
+    return message;
+  }
+
+  function isStreaming() {
+    if (findStreamingIndicator().element) return true;
+    if (findStopButton().element) return true;
+    const sendButton = findSendButton({ includeDisabled: true }).element;
+    return Boolean(sendButton && isDisabled(sendButton));
+  }
+
+  function describeElement(element) {
+    if (!element) return null;
+    const testId = element.getAttribute('data-testid');
+    const label = element.getAttribute('aria-label') || element.getAttribute('placeholder');
+    return [
+      element.tagName.toLowerCase(),
+      element.id ? `#${element.id}` : '',
+      testId ? `[data-testid="${testId}"]` : '',
+      label ? ` “${label.slice(0, 40)}”` : '',
+    ].join('');
+  }
+
+  function describeRole(role, found) {
+    return {
+      role,
+      matchedSelector: found.selector,
+      element: describeElement(found.element),
+      visible: found.element ? isVisible(found.element) : false,
+      candidates: (selectors[role] ?? []).map((selector) => {
+        const matches = queryAll(selector);
+        return { selector, invalid: matches === null, matches: matches?.length ?? 0 };
+      }),
+    };
+  }
+
+  /**
+   * Reports which selector matched each part of the page, for the options page.
+   */
+  function diagnose() {
+    return {
+      url: location.href,
+      selectorsVersion: selectors.version,
+      streaming: isStreaming(),
+      assistantMessages: getAssistantTurns().length,
+      roles: [
+        describeRole('composer', findComposer()),
+        describeRole('sendButton', findSendButton({ includeDisabled: true })),
+        describeRole('stopButton', findStopButton()),
+        describeRole('streamingIndicator', findStreamingIndicator()),
+        describeRole('errorMessage', findErrorMessage()),
+        describeRole('fileInput', findFileInput()),
+        describeRole('attachmentPreview', findAttachmentPreviews()),
+        describeRole('uploadIndicator', findUploadIndicator()),
+      ],
+    };
+  }
+
+  return {
+    getComposer: () => findComposer().element,
+    getSendButton: (options) => findSendButton(options).element,
+    getStopButton: () => findStopButton().element,
+    isStreaming,
+    getErrorCards,
+    getErrorText,
+    getFileInput: () => findFileInput().element,
+    countAttachmentPreviews: () => findAttachmentPreviews().elements.length,
+    isUploading: () => Boolean(findUploadIndicator().element),
+    getAssistantTurns,
+    getTurnContainer,
+    diagnose,
+  };
+}
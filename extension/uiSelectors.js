@@ -0,0 +1,216 @@
+/**
+ * DOM selectors the content script uses to drive the ChatGPT page. The defaults ship with
+ * the extension; users can override any list from the options page when ChatGPT changes
+ * its markup, without waiting for a release. The background worker resolves the effective
+ * set and sends it to the content script with each command.
+ *
+ * Each list is tried in order and the first selector that finds a usable element wins.
+ */
+
+/**
+ * @typedef {object} UiSelectors
+ * @property {number} version
+ * @property {string[]} composer
+ * @property {string[]} sendButton
+ * @property {string[]} sendButtonText Button labels accepted when no send selector matches.
+ * @property {string[]} stopButton
+ * @property {string[]} stopButtonText Words that mark a button as "stop generating".
+ * @property {string[]} streamingIndicator
+ * @property {string[]} errorMessage Error cards, such as "Something went wrong".
+ * @property {string[]} assistantMessage
+ * @property {string[]} conversationTurn
+ * @property {string[]} fileInput The composer's file input, used to upload reference images.
+ * @property {string[]} attachmentPreview Thumbnails of files attached to the composer.
+ * @property {string[]} uploadIndicator Elements present only while an attachment uploads.
+ */
+
+/**
+ * @typedef {object} UiSelectorOverrides
+ * @property {number} basedOnVersion The `UI_SELECTORS_VERSION` the overrides were written against.
+ * @property {Partial<Record<UiSelectorRole, string[]>>} selectors
+ */
+
+/**
+ * @typedef {'composer' | 'sendButton' | 'sendButtonText' | 'stopButton' | 'stopButtonText' | 'streamingIndicator' | 'errorMessage' | 'assistantMessage' | 'conversationTurn' | 'fileInput' | 'attachmentPreview' | 'uploadIndicator'} UiSelectorRole
+ */
+
+/**
+ * Bump when the default lists change, so users with overrides are told to review them.
+ */
+export const UI_SELECTORS_VERSION = 4;
+
+export const UI_SELECTOR_OVERRIDES_KEY = 'uiSelectorOverrides';
+
+/** @type {UiSelectors} */
+export const DEFAULT_UI_SELECTORS = {
+  version: UI_SELECTORS_VERSION,
+  composer: [
+    'textarea[data-testid="prompt-text-input"]',
+    'textarea[data-testid="prompt-textarea"]',
+    'textarea[data-testid="textbox"]',
+    'div[data-testid="prompt-textarea"] textarea',
+    'div[data-testid="prompt-textarea"] [contenteditable="true"]',
+    'div[data-testid="prompt-editor"] textarea',
+    'div[data-testid="prompt-editor"] [contenteditable="true"]',
+    'div[data-testid="composer-textarea"] textarea',
+    'div[data-testid="composer-textarea"] [contenteditable="true"]',
+    'div[role="textbox"][data-testid="prompt-textarea"]',
+    'div[role="textbox"][aria-label*="Describe" i]',
+    'div[role="textbox"][aria-label*="want to see" i]',
+    'textarea[data-id="root"]',
+    'div[data-id="root"] textarea',
+    'div[contenteditable="true"][data-id="root"]',
+    'div[data-lexical-editor="true"][contenteditable="true"]',
+    'textarea[placeholder*="Message" i]',
+    'textarea[placeholder*="Describe" i]',
+    'textarea[placeholder*="Create" i]',
+    'textarea[data-testid*="composer"]',
+    'textarea[data-testid*="prompt"]',
+    'textarea[data-testid*="message"]',
+    'div[contenteditable="true"][data-testid*="composer"]',
+    'div[contenteditable="true"][data-testid*="prompt"]',
+    'div[contenteditable="true"][data-testid*="message"]',
+    'div[role="textbox"][data-testid*="composer"]',
+    'div[role="textbox"][data-testid*="prompt"]',
+    'div[role="textbox"][data-testid*="message"]',
+    'div[contenteditable="true"]',
+    'textarea',
+  ],
+  sendButton: [
+    'button[data-testid="send-button"]',
+    'button[data-testid="send"]',
+    'button[data-testid="composer-send-button"]',
+    'button[data-testid="prompt-send-button"]',
+    'button[data-testid="prompt-submit-button"]',
+    'button[data-testid="prompt-submit"]',
+    'button[data-testid*="composer"]',
+    'button[data-testid*="prompt"]',
+    'button[data-testid*="generate"]',
+    'button[data-testid*="submit"]',
+    'button[aria-label*="Send" i]',
+    'button[aria-label*="submit" i]',
+    'button[aria-label*="Generate" i]',
+    'form button[type="submit"]',
+  ],
+  sendButtonText: ['send', 'generate', 'create', 'submit'],
+  stopButton: [
+    'button[data-testid*="stop" i]',
+    'button[data-testid*="cancel" i]',
+    'button[aria-label*="Stop" i]',
+    'button[aria-label*="Cancel" i]',
+  ],
+  stopButtonText: ['stop', 'cancel'],
+  streamingIndicator: [
+    '[data-testid^="conversation-turn"][data-state="streaming"]',
+    '[data-testid="result-streaming"]',
+    '[data-testid="response-loader"]',
+    '[data-testid="image-generator-loading"]',
+    '[data-testid="image-generation-card-spinner"]',
+  ],
+  errorMessage: [
+    '[data-testid^="conversation-turn"] .text-token-text-error',
+    '[data-testid*="error-message" i]',
+    '[role="alert"]',
+    'div[class*="text-red"]',
+  ],
+  assistantMessage: ['[data-message-author-role="assistant"]'],
+  conversationTurn: ['[data-testid^="conversation-turn"]'],
+  fileInput: [
+    'form input[type="file"][accept*="image"]',
+    'input[type="file"][accept*="image"]',
+    'form input[type="file"]',
+    'input[type="file"]',
+  ],
+  attachmentPreview: [
+    'form [data-testid*="attachment" i]',
+    'form [data-testid*="file-tile" i]',
+    'form img[src^="blob:"]',
+    'form img[alt*="Uploaded" i]',
+  ],
+  uploadIndicator: [
+    'form [role="progressbar"]',
+    'form [data-testid*="upload" i][aria-busy="true"]',
+    'form [aria-label*="Uploading" i]',
+  ],
+};
+
+export const UI_SELECTOR_ROLES = Object.keys(DEFAULT_UI_SELECTORS).filter((key) => key !== 'version');
+
+/**
+ * Splits a textarea value into one selector per line, dropping blanks and `//` comments.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseSelectorList(text) {
+  return String(text ?? '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('//'));
+}
+
+/**
+ * Applies the user's overrides to the defaults. A role that is missing, empty or not a
+ * list of strings keeps its default selectors.
+ *
+ * @param {UiSelectorOverrides | null | undefined} overrides
+ * @returns {UiSelectors}
+ */
+export function resolveUiSelectors(overrides) {
+  const resolved = { ...DEFAULT_UI_SELECTORS };
+  for (const role of UI_SELECTOR_ROLES) {
+    const list = overrides?.selectors?.[role];
+    if (Array.isArray(list) && list.length && list.every((item) => typeof item === 'string')) {
+      resolved[role] = list;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Builds the overrides to store from the edited lists, keeping only roles that differ
+ * from the defaults.
+ *
+ * @param {Partial<Record<UiSelectorRole, string[]>>} lists
+ * @returns {UiSelectorOverrides}
+ */
+export function createUiSelectorOverrides(lists) {
+  const selectors = {};
+  for (const role of UI_SELECTOR_ROLES) {
+    const list = lists[role];
+    if (list?.length && list.join('\n') !== DEFAULT_UI_SELECTORS[role].join('\n')) {
+      selectors[role] = list;
+    }
+  }
+  return { basedOnVersion: UI_SELECTORS_VERSION, selectors };
+}
+
+/**
+ * True when the user has overrides written against older defaults, which may have been
+ * fixed since.
+ *
+ * @param {UiSelectorOverrides | null | undefined} overrides
+ * @returns {boolean}
+ */
+export function areOverridesOutdated(overrides) {
+  return Boolean(overrides && Object.keys(overrides.selectors ?? {}).length
+    && (overrides.basedOnVersion ?? 0) < UI_SELECTORS_VERSION);
+}
+
+export async function loadUiSelectorOverrides() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(UI_SELECTOR_OVERRIDES_KEY);
+    return stored?.[UI_SELECTOR_OVERRIDES_KEY] ?? null;
+  } catch (error) {
+    console.error('Failed to read the selector overrides', error);
+    return null;
+  }
+}
+
+export async function saveUiSelectorOverrides(overrides) {
+  await chrome.storage?.local?.set?.({ [UI_SELECTOR_OVERRIDES_KEY]: overrides });
+}
+
+export async function loadUiSelectors() {
+  return resolveUiSelectors(await loadUiSelectorOverrides());
+}
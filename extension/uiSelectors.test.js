@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_UI_SELECTORS,
+  UI_SELECTORS_VERSION,
+  areOverridesOutdated,
+  createUiSelectorOverrides,
+  parseSelectorList,
+  resolveUiSelectors,
+} from './uiSelectors.js';
+
+describe('parseSelectorList', () => {
+  it('keeps one trimmed selector per line and skips blanks and comments', () => {
+    expect(parseSelectorList(' textarea#prompt \r\n\n// old composer\n  div[role="textbox"]')).toEqual([
+      'textarea#prompt',
+      'div[role="textbox"]',
+    ]);
+  });
+});
+
+describe('resolveUiSelectors', () => {
+  it('replaces only the overridden roles', () => {
+    const resolved = resolveUiSelectors({ basedOnVersion: 1, selectors: { composer: ['#new-composer'] } });
+
+    expect(resolved.composer).toEqual(['#new-composer']);
+    expect(resolved.sendButton).toEqual(DEFAULT_UI_SELECTORS.sendButton);
+  });
+
+  it('ignores empty or malformed lists', () => {
+    const resolved = resolveUiSelectors({ selectors: { composer: [], sendButton: 'button', stopButton: [42] } });
+
+    expect(resolved).toEqual(DEFAULT_UI_SELECTORS);
+    expect(resolveUiSelectors(null)).toEqual(DEFAULT_UI_SELECTORS);
+  });
+});
+
+describe('createUiSelectorOverrides', () => {
+  it('stores only the lists that differ from the defaults', () => {
+    const overrides = createUiSelectorOverrides({
+      ...DEFAULT_UI_SELECTORS,
+      stopButton: ['button.stop'],
+      composer: [],
+    });
+
+    expect(overrides).toEqual({ basedOnVersion: UI_SELECTORS_VERSION, selectors: { stopButton: ['button.stop'] } });
+  });
+});
+
+describe('areOverridesOutdated', () => {
+  it('flags overrides written against older defaults', () => {
+    expect(areOverridesOutdated({ basedOnVersion: UI_SELECTORS_VERSION - 1, selectors: { composer: ['#c'] } })).toBe(true);
+    expect(areOverridesOutdated({ basedOnVersion: UI_SELECTORS_VERSION, selectors: { composer: ['#c'] } })).toBe(false);
+    expect(areOverridesOutdated({ basedOnVersion: 0, selectors: {} })).toBe(false);
+    expect(areOverridesOutdated(null)).toBe(false);
+  });
+});
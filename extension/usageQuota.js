@@ -0,0 +1,214 @@
+/**
+ * Counts image generations over a rolling window and learns the plan's image limit from
+ * the times ChatGPT reported it (the cooldown detected by `imageCooldown.js`). The
+ * background worker records both and slows the queue down as the limit nears; the badge
+ * and the popup show what is left. Stored as `{ version, generations, limitHits }` on this
+ * device.
+ *
+ * A generation is one prompt that produced images, however many it produced.
+ */
+import { IMAGE_LIMIT_WINDOW_MS, median } from './imageLimit.js';
+
+/**
+ * @typedef {object} LimitHit
+ * @property {string} at
+ * @property {number} count Generations counted within the window when the limit was hit.
+ */
+
+/**
+ * @typedef {object} UsageQuota
+ * @property {number} version
+ * @property {string[]} generations Oldest first, within the window.
+ * @property {LimitHit[]} limitHits Oldest first.
+ */
+
+/**
+ * @typedef {object} UsageSummary
+ * @property {number} used Generations within the window.
+ * @property {number | null} limit The learned limit, null until the limit was first hit.
+ * @property {number | null} remaining
+ * @property {string | null} resetsAt When the oldest counted generation leaves the window.
+ * @property {number} windowMs
+ */
+
+export const USAGE_QUOTA_KEY = 'usageQuota';
+
+export const USAGE_QUOTA_VERSION = 1;
+
+/**
+ * Limit hits the learned limit is taken from. Older ones are dropped, so a change of plan
+ * shows after a few hits.
+ */
+export const LIMIT_HITS_KEPT = 5;
+
+/**
+ * The queue starts spacing prompts out once this share of the learned limit is left.
+ */
+export const SLOW_DOWN_SHARE = 0.25;
+
+function timeOf(value) {
+  return Date.parse(value);
+}
+
+function inWindow(quota, now, windowMs) {
+  return quota.generations.filter((at) => timeOf(at) > now - windowMs);
+}
+
+function slowDownAt(limit) {
+  return Math.max(1, Math.ceil(limit * SLOW_DOWN_SHARE));
+}
+
+/**
+ * @returns {UsageQuota}
+ */
+export function createUsageQuota() {
+  return { version: USAGE_QUOTA_VERSION, generations: [], limitHits: [] };
+}
+
+/**
+ * Validates a stored quota and drops generations that left the window.
+ *
+ * @param {unknown} raw
+ * @param {{ now?: number, windowMs?: number }} [options]
+ * @returns {UsageQuota}
+ */
+export function normalizeUsageQuota(raw, { now = Date.now(), windowMs = IMAGE_LIMIT_WINDOW_MS } = {}) {
+  const generations = (Array.isArray(raw?.generations) ? raw.generations : [])
+    .filter((at) => typeof at === 'string' && Number.isFinite(timeOf(at)))
+    .sort((a, b) => timeOf(a) - timeOf(b));
+  const limitHits = (Array.isArray(raw?.limitHits) ? raw.limitHits : [])
+    .filter((hit) => Number.isFinite(timeOf(hit?.at)) && Number.isInteger(hit?.count) && hit.count > 0)
+    .map(({ at, count }) => ({ at, count }))
+    .slice(-LIMIT_HITS_KEPT);
+  const quota = { version: USAGE_QUOTA_VERSION, generations, limitHits };
+  return { ...quota, generations: inWindow(quota, now, windowMs) };
+}
+
+/**
+ * @param {UsageQuota} quota
+ * @param {{ now?: number, windowMs?: number }} [options]
+ * @returns {UsageQuota}
+ */
+export function recordGeneration(quota, { now = Date.now(), windowMs = IMAGE_LIMIT_WINDOW_MS } = {}) {
+  const generations = [...inWindow(quota, now, windowMs), new Date(now).toISOString()];
+  return { ...quota, generations };
+}
+
+/**
+ * Records that ChatGPT reported the image limit, learning the limit from how many
+ * generations the window held at that moment. A hit with none counted, such as after
+ * generating images outside the queue, teaches nothing and is not kept.
+ *
+ * @param {UsageQuota} quota
+ * @param {{ now?: number, windowMs?: number }} [options]
+ * @returns {UsageQuota}
+ */
+export function recordLimitHit(quota, { now = Date.now(), windowMs = IMAGE_LIMIT_WINDOW_MS } = {}) {
+  const count = inWindow(quota, now, windowMs).length;
+  if (!count) {
+    return quota;
+  }
+  const limitHits = [...quota.limitHits, { at: new Date(now).toISOString(), count }].slice(-LIMIT_HITS_KEPT);
+  return { ...quota, limitHits };
+}
+
+/**
+ * @param {UsageQuota} quota
+ * @returns {UsageQuota} The quota without its learned limit, for after a change of plan.
+ */
+export function forgetLearnedLimit(quota) {
+  return { ...quota, limitHits: [] };
+}
+
+/**
+ * @param {UsageQuota} quota
+ * @returns {number | null} The median of the recent limit hits.
+ */
+export function getLearnedLimit(quota) {
+  return quota.limitHits.length ? median(quota.limitHits.map((hit) => hit.count)) : null;
+}
+
+/**
+ * @param {UsageQuota} quota
+ * @param {{ now?: number, windowMs?: number }} [options]
+ * @returns {UsageSummary}
+ */
+export function summarizeUsage(quota, { now = Date.now(), windowMs = IMAGE_LIMIT_WINDOW_MS } = {}) {
+  const generations = inWindow(quota, now, windowMs);
+  const limit = getLearnedLimit(quota);
+  return {
+    used: generations.length,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - generations.length),
+    resetsAt: generations.length ? new Date(timeOf(generations[0]) + windowMs).toISOString() : null,
+    windowMs,
+  };
+}
+
+/**
+ * @param {UsageSummary} summary
+ * @returns {boolean} Whether the queue is slowing down for the limit.
+ */
+export function isUsageLow(summary) {
+  return summary.limit !== null && summary.remaining <= slowDownAt(summary.limit);
+}
+
+/**
+ * How long to hold the next prompt back so the queue does not run into the limit. Nothing
+ * is held while more than `SLOW_DOWN_SHARE` of the learned limit is left. Below that, what
+ * is left is spread evenly over the time until the oldest generation leaves the window,
+ * and with nothing left the prompt waits for that.
+ *
+ * @param {UsageQuota} quota
+ * @param {{ now?: number, windowMs?: number, inFlight?: number }} [options] `inFlight`
+ *   counts prompts already sent that may still produce images.
+ * @returns {number} Milliseconds, 0 when a prompt may start right away.
+ */
+export function getQuotaDelay(quota, { now = Date.now(), windowMs = IMAGE_LIMIT_WINDOW_MS, inFlight = 0 } = {}) {
+  const limit = getLearnedLimit(quota);
+  if (limit === null) {
+    return 0;
+  }
+  const times = inWindow(quota, now, windowMs).map(timeOf);
+  const remaining = limit - times.length - inFlight;
+  if (!times.length || remaining > slowDownAt(limit)) {
+    return 0;
+  }
+  if (remaining <= 0) {
+    // Wait until enough generations leave the window to free one slot.
+    const freeing = times[Math.min(times.length - 1, -remaining)];
+    return Math.max(0, freeing + windowMs - now);
+  }
+  const newest = times[times.length - 1];
+  const gap = (times[0] + windowMs - newest) / (remaining + 1);
+  return Math.max(0, Math.round(newest + gap - now));
+}
+
+/**
+ * @param {UsageSummary} summary
+ * @returns {string}
+ */
+export function describeUsage(summary) {
+  const hours = Math.round(summary.windowMs / (60 * 60 * 1000));
+  const resets = summary.resetsAt
+    ? ` The oldest expires at ${new Date(summary.resetsAt).toLocaleTimeString()}, freeing a slot.`
+    : '';
+  if (summary.limit === null) {
+    return `${summary.used} image generation(s) in the last ${hours} h. The limit is learned the first time ChatGPT reports it.${resets}`;
+  }
+  return `${summary.remaining} of about ${summary.limit} image generation(s) left in the ${hours} h window.${resets}`;
+}
+
+export async function loadUsageQuota() {
+  try {
+    const stored = await chrome.storage?.local?.get?.(USAGE_QUOTA_KEY);
+    return normalizeUsageQuota(stored?.[USAGE_QUOTA_KEY]);
+  } catch (error) {
+    console.error('Failed to read the image usage', error);
+    return createUsageQuota();
+  }
+}
+
+export async function saveUsageQuota(quota) {
+  await chrome.storage?.local?.set?.({ [USAGE_QUOTA_KEY]: quota });
+}
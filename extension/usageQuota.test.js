@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import {
+  LIMIT_HITS_KEPT,
+  createUsageQuota,
+  describeUsage,
+  forgetLearnedLimit,
+  getLearnedLimit,
+  getQuotaDelay,
+  normalizeUsageQuota,
+  recordGeneration,
+  recordLimitHit,
+  summarizeUsage,
+} from './usageQuota.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const start = Date.parse('2024-03-01T09:00:00.000Z');
+const at = (minutes) => new Date(start + minutes * MINUTE).toISOString();
+
+function quotaWith(generationMinutes, limitCounts = []) {
+  return {
+    ...createUsageQuota(),
+    generations: generationMinutes.map(at),
+    limitHits: limitCounts.map((count) => ({ at: at(0), count })),
+  };
+}
+
+describe('normalizeUsageQuota', () => {
+  it('sorts generations, drops those outside the window and invalid limit hits', () => {
+    const quota = normalizeUsageQuota({
+      generations: [at(30), 'soon', at(-200), at(10)],
+      limitHits: [{ at: at(0), count: 4 }, { at: at(0), count: 0 }, { at: 'never', count: 3 }],
+    }, { now: start + HOUR });
+
+    expect(quota.generations).toEqual([at(10), at(30)]);
+    expect(quota.limitHits).toEqual([{ at: at(0), count: 4 }]);
+    expect(normalizeUsageQuota(undefined)).toEqual(createUsageQuota());
+  });
+});
+
+describe('recordLimitHit', () => {
+  it('learns the limit from the generations in the window', () => {
+    let quota = createUsageQuota();
+    for (const minutes of [0, 5, 10]) {
+      quota = recordGeneration(quota, { now: start + minutes * MINUTE });
+    }
+    quota = recordLimitHit(quota, { now: start + 20 * MINUTE });
+
+    expect(quota.limitHits).toEqual([{ at: at(20), count: 3 }]);
+    expect(getLearnedLimit(quota)).toBe(3);
+    expect(recordLimitHit(createUsageQuota())).toEqual(createUsageQuota());
+    expect(getLearnedLimit(forgetLearnedLimit(quota))).toBeNull();
+  });
+
+  it('takes the median of the latest hits', () => {
+    const quota = quotaWith([], [40, 6, 8, 9, 50, 7]);
+    expect(normalizeUsageQuota(quota).limitHits).toHaveLength(LIMIT_HITS_KEPT);
+    expect(getLearnedLimit(normalizeUsageQuota(quota))).toBe(8);
+  });
+});
+
+describe('summarizeUsage', () => {
+  it('reports what is left and when the oldest generation leaves the window', () => {
+    const quota = quotaWith([0, 1, 2], [8]);
+
+    expect(summarizeUsage(quota, { now: start + 10 * MINUTE })).toEqual({
+      used: 3,
+      limit: 8,
+      remaining: 5,
+      resetsAt: at(180),
+      windowMs: 3 * HOUR,
+    });
+    expect(describeUsage(summarizeUsage(createUsageQuota()))).toBe(
+      '0 image generation(s) in the last 3 h. The limit is learned the first time ChatGPT reports it.',
+    );
+  });
+});
+
+describe('getQuotaDelay', () => {
+  const now = start + 10 * MINUTE;
+
+  it('never holds prompts back before the limit is known or while plenty is left', () => {
+    expect(getQuotaDelay(quotaWith([0, 1, 2, 3, 4, 5, 6, 7]), { now })).toBe(0);
+    expect(getQuotaDelay(quotaWith([0, 1, 2, 3, 4], [8]), { now })).toBe(0);
+  });
+
+  it('spreads the last generations over the time until the window frees up', () => {
+    // 2 left counting the prompt in flight: the gap is a third of 176 minutes.
+    expect(getQuotaDelay(quotaWith([0, 1, 2, 3, 4], [8]), { now, inFlight: 1 })).toBe(176 / 3 * MINUTE - 6 * MINUTE);
+  });
+
+  it('waits for a slot once the limit is used up', () => {
+    const quota = quotaWith([0, 1, 2, 3, 4, 5, 6, 7], [8]);
+    expect(getQuotaDelay(quota, { now })).toBe(170 * MINUTE);
+    expect(getQuotaDelay(quota, { now, inFlight: 2 })).toBe(172 * MINUTE);
+  });
+});
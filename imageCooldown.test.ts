@@ -2,10 +2,18 @@ import { describe, expect, it, vi } from 'vitest';
 import {
   DEFAULT_COOLDOWN_PATTERNS,
   ImageCooldownError,
+  cappedBackoff,
+  constantBackoff,
+  decorrelatedJitterBackoff,
+  exponentialBackoff,
   extractAssistantContent,
+  extractCooldownWaitHint,
   isImageCooldownError,
   isImageCooldownMessage,
   isImageCooldownResponse,
+  parseCooldownWaitFromText,
+  parseRateLimitReset,
+  parseRetryAfter,
   withImageCooldownRetry,
 } from './imageCooldown';
 
@@ -58,6 +66,62 @@ describe('image cooldown utilities', () => {
   });
 });
 
+describe('cooldown wait hints', () => {
+  const now = new Date(2024, 0, 15, 14, 0, 0);
+
+  it('parses relative durations from limit messages', () => {
+    expect(parseCooldownWaitFromText("You've hit the limit. Please try again in 12 minutes.", now))
+      .toBe(12 * 60_000);
+    expect(parseCooldownWaitFromText('Try again in 1 hour and 30 minutes.', now)).toBe(90 * 60_000);
+    expect(parseCooldownWaitFromText('Wait 45 seconds before sending another image.', now))
+      .toBe(45_000);
+    expect(parseCooldownWaitFromText('Try again in an hour.', now)).toBe(3_600_000);
+  });
+
+  it('parses clock times and rolls them over to the next day', () => {
+    expect(parseCooldownWaitFromText('You can create more images after 3:45 PM.', now))
+      .toBe(105 * 60_000);
+    expect(parseCooldownWaitFromText('Limit resets at 13:30.', now)).toBe(23.5 * 3_600_000);
+    expect(parseCooldownWaitFromText('Try again at 3 images per hour.', now)).toBeUndefined();
+  });
+
+  it('parses Retry-After values in seconds and as HTTP dates', () => {
+    expect(parseRetryAfter('120', now)).toBe(120_000);
+    expect(parseRetryAfter(new Date(now.getTime() + 30_000).toUTCString(), now)).toBe(30_000);
+    expect(parseRetryAfter('soon', now)).toBeUndefined();
+  });
+
+  it('parses x-ratelimit-reset durations and timestamps', () => {
+    expect(parseRateLimitReset('6m0s', now)).toBe(360_000);
+    expect(parseRateLimitReset('20ms', now)).toBe(20);
+    expect(parseRateLimitReset('1.5', now)).toBe(1_500);
+    expect(parseRateLimitReset(String(now.getTime() / 1000 + 90), now)).toBe(90_000);
+    expect(parseRateLimitReset('later', now)).toBeUndefined();
+  });
+
+  it('prefers headers over message text when extracting hints', () => {
+    const error = Object.assign(new Error('Try again in 10 minutes.'), {
+      status: 429,
+      headers: { 'Retry-After': '30', 'x-ratelimit-reset-requests': '2m' },
+    });
+
+    expect(extractCooldownWaitHint(error, now)).toEqual({ waitMs: 30_000, source: 'retry-after' });
+    expect(extractCooldownWaitHint({ response: { headers: new Headers({
+      'x-ratelimit-reset-requests': '2m',
+      'x-ratelimit-reset-tokens': '45s',
+    }) } }, now)).toEqual({ waitMs: 120_000, source: 'ratelimit-reset' });
+    expect(extractCooldownWaitHint(new Error('Try again in 10 minutes.'), now))
+      .toEqual({ waitMs: 600_000, source: 'message' });
+    expect(extractCooldownWaitHint(new Error('Slow down.'), now)).toBeUndefined();
+  });
+
+  it('treats HTTP 429 errors as cooldowns', () => {
+    expect(isImageCooldownError({ status: 429, message: 'Too Many Requests' })).toBe(true);
+    expect(isImageCooldownError({ response: { status: 429 } })).toBe(true);
+    expect(isImageCooldownError({ status: 500, message: 'Server error' })).toBe(false);
+  });
+});
+
 describe('withImageCooldownRetry', () => {
   it('retries after detecting a cooldown response', async () => {
     const responses = [
@@ -116,6 +180,36 @@ describe('withImageCooldownRetry', () => {
     expect(result).toEqual({ data: 'image-data' });
   });
 
+  it('waits for the server-provided hint instead of the base delay', async () => {
+    const error = Object.assign(new Error('Too Many Requests'), {
+      status: 429,
+      headers: { 'retry-after': '12' },
+    });
+    const requestFn = vi
+      .fn<[number], Promise<unknown>>()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValueOnce({ data: 'image-data' });
+    const onCooldown = vi.fn();
+    const logger = { warn: vi.fn(), info: vi.fn(), error: vi.fn() };
+    const waitStrategy = vi.fn(async () => {});
+
+    await withImageCooldownRetry((attempt) => requestFn(attempt), {
+      baseDelayMs: 60_000,
+      jitterMsRange: [0, 0],
+      logger,
+      onCooldown,
+      waitStrategy,
+    });
+
+    expect(waitStrategy).toHaveBeenCalledWith(12_000);
+    expect(onCooldown).toHaveBeenCalledWith(
+      expect.objectContaining({ waitMs: 12_000, baseWaitMs: 12_000, waitSource: 'retry-after' }),
+    );
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Image cooldown detected from error on attempt 1. Waiting 12.0s (wait from retry-after) before retrying.',
+    );
+  });
+
   it('invokes fallback when cooldown persists', async () => {
     const requestFn = vi.fn<[number], Promise<unknown>>().mockResolvedValue({
       choices: [
@@ -170,3 +264,103 @@ describe('withImageCooldownRetry', () => {
     ).rejects.toBeInstanceOf(ImageCooldownError);
   });
 });
+
+describe('backoff strategies', () => {
+  it('computes constant and exponential delays', () => {
+    expect(constantBackoff()({ attempt: 3, baseDelayMs: 1_000 })).toBe(1_000);
+
+    const exponential = exponentialBackoff({ factor: 3 });
+    expect(exponential({ attempt: 1, baseDelayMs: 1_000 })).toBe(1_000);
+    expect(exponential({ attempt: 3, baseDelayMs: 1_000 })).toBe(9_000);
+  });
+
+  it('draws decorrelated jitter between the base and three times the previous delay', () => {
+    const strategy = decorrelatedJitterBackoff({ random: () => 0.5 });
+    expect(strategy({ attempt: 1, baseDelayMs: 1_000 })).toBe(2_000);
+    expect(strategy({ attempt: 2, baseDelayMs: 1_000, previousDelayMs: 2_000 })).toBe(3_500);
+  });
+
+  it('caps the delay of another strategy', () => {
+    const strategy = cappedBackoff(exponentialBackoff(), 5_000);
+    expect(strategy({ attempt: 5, baseDelayMs: 1_000 })).toBe(5_000);
+  });
+
+  it('uses the backoff strategy between retries', async () => {
+    const cooldown = { message: "You've hit the image-generation limit" };
+    const requestFn = vi
+      .fn<[number], Promise<unknown>>()
+      .mockResolvedValueOnce(cooldown)
+      .mockResolvedValueOnce(cooldown)
+      .mockResolvedValueOnce({ data: 'image-data' });
+    const waitStrategy = vi.fn(async () => {});
+
+    await withImageCooldownRetry((attempt) => requestFn(attempt), {
+      baseDelayMs: 1_000,
+      backoff: exponentialBackoff(),
+      jitterMsRange: [0, 0],
+      waitStrategy,
+    });
+
+    expect(waitStrategy.mock.calls).toEqual([[1_000], [2_000]]);
+  });
+});
+
+describe('withImageCooldownRetry cancellation and events', () => {
+  it('interrupts an in-progress wait when the signal aborts', async () => {
+    const controller = new AbortController();
+    const requestFn = vi.fn<[number], Promise<unknown>>().mockResolvedValue({
+      message: "You've hit the image-generation limit",
+    });
+
+    const promise = withImageCooldownRetry((attempt) => requestFn(attempt), {
+      baseDelayMs: 60_000,
+      jitterMsRange: [0, 0],
+      logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn() },
+      signal: controller.signal,
+      onCooldown: () => controller.abort(new Error('Queue cancelled')),
+    });
+
+    await expect(promise).rejects.toThrow('Queue cancelled');
+    expect(requestFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not start an attempt once aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const requestFn = vi.fn<[number], Promise<unknown>>();
+
+    await expect(
+      withImageCooldownRetry((attempt) => requestFn(attempt), { signal: controller.signal }),
+    ).rejects.toMatchObject({ name: 'AbortError' });
+    expect(requestFn).not.toHaveBeenCalled();
+  });
+
+  it('reports attempt, cooldown, success and fallback events', async () => {
+    const cooldown = { message: "You've hit the image-generation limit" };
+    const events: string[] = [];
+    const onEvent = (event: { type: string }) => events.push(event.type);
+    const options = {
+      maxAttempts: 2,
+      baseDelayMs: 0,
+      jitterMsRange: [0, 0] as [number, number],
+      logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn() },
+      waitStrategy: async () => {},
+      onEvent,
+    };
+
+    await withImageCooldownRetry(
+      vi.fn<[number], Promise<unknown>>()
+        .mockResolvedValueOnce(cooldown)
+        .mockResolvedValueOnce({ data: 'image-data' }),
+      options,
+    );
+    expect(events).toEqual(['attempt', 'cooldown', 'attempt', 'success']);
+
+    events.length = 0;
+    await withImageCooldownRetry(vi.fn<[number], Promise<unknown>>().mockResolvedValue(cooldown), {
+      ...options,
+      fallback: () => ({ data: 'fallback-image' }),
+    });
+    expect(events).toEqual(['attempt', 'cooldown', 'attempt', 'fallback']);
+  });
+});